@@ -0,0 +1,63 @@
+// scripts/bootstrap-admin.js
+// Creates the first administrator. Run once per project, after that person
+// has registered in the app:
+//
+//   BOOTSTRAP_ADMIN_EMAIL=you@example.edu npm run admin:bootstrap
+//
+// Optional BOOTSTRAP_ADMIN_DOMAINS (comma separated) seeds the admin domain
+// allowlist in settings/access. Values may also come from .env. Uses the
+// Admin SDK with application default credentials
+// (GOOGLE_APPLICATION_CREDENTIALS), so it bypasses firestore.rules; it does
+// nothing once any admin exists.
+import "dotenv/config";
+import { initializeApp, applicationDefault } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { ROLES, USER_STATUS, rolesWithPermission, PERMISSIONS } from "../src/utils/permissions";
+import { ACCESS_SETTINGS_ID, SETTINGS_COLLECTION, normalizeDomain } from "../src/services/adminAccessService";
+
+const email = String(process.env.BOOTSTRAP_ADMIN_EMAIL || "").trim().toLowerCase();
+const domains = String(process.env.BOOTSTRAP_ADMIN_DOMAINS || "")
+  .split(",")
+  .map(normalizeDomain)
+  .filter(Boolean);
+
+if (!email) {
+  console.error("Set BOOTSTRAP_ADMIN_EMAIL to the email of the first administrator.");
+  process.exit(1);
+}
+
+initializeApp({ credential: applicationDefault() });
+const db = getFirestore();
+
+const admins = await db.collection("users")
+  .where("role", "in", rolesWithPermission(PERMISSIONS.MANAGE_USERS))
+  .limit(1)
+  .get();
+if (!admins.empty) {
+  console.log("An administrator already exists; nothing to do.");
+  process.exit(0);
+}
+
+let account;
+try {
+  account = await getAuth().getUserByEmail(email);
+} catch (error) {
+  console.error(`No account for ${email}. Register in the app first, then run this again.`, error.message);
+  process.exit(1);
+}
+
+await db.doc(`users/${account.uid}`).set({
+  uid: account.uid,
+  email: account.email,
+  role: ROLES.ADMIN,
+  permissions: [],
+  status: USER_STATUS.ACTIVE,
+  updatedAt: FieldValue.serverTimestamp()
+}, { merge: true });
+console.log(`${email} is now an administrator.`);
+
+if (domains.length > 0) {
+  await db.doc(`${SETTINGS_COLLECTION}/${ACCESS_SETTINGS_ID}`).set({ adminDomains: domains }, { merge: true });
+  console.log(`Admin domains: ${domains.join(", ")}`);
+}
@@ -0,0 +1,10 @@
+// scripts/generate-firestore-rules.js
+// Writes firestore.rules from src/utils/permissions.js.
+// Run with `npm run rules:generate` (vite-node resolves the extensionless src imports).
+import { writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { RULES_FILE, generateFirestoreRules } from "../src/utils/firestoreRules";
+
+const target = resolve(process.cwd(), RULES_FILE);
+writeFileSync(target, generateFirestoreRules());
+console.log(`Wrote ${target}`);
@@ -0,0 +1,61 @@
+// server/app.js
+import express from "express";
+import cors from "cors";
+import { ROLES } from "../src/utils/permissions";
+import { createAuthenticate, requireRole } from "./middleware/auth";
+import { errorHandler, notFound } from "./middleware/errors";
+import { createImportJobRunner } from "./importJobs";
+import { createRetrainingScheduler } from "./retraining";
+import { createAdminRouter } from "./routes/admin";
+import { createDataRouter } from "./routes/data";
+import { createExportRouter } from "./routes/export";
+import { createForecastsRouter } from "./routes/forecasts";
+import { createPublicApiRouter } from "./routes/publicApi";
+
+/**
+ * Build the API (route guards as in SIMPLIFIED_DATA_FLOW.md):
+ *
+ *   /admin/*   admins only
+ *   /export/*  any role with the export permissions
+ *   /data/*    any role; each route checks the permission it needs
+ *   /forecasts/*  any role; retraining needs train_ml_models
+ *   /api/v1/*  public read-only API, authenticated by API key
+ *
+ * @param {Object} options
+ * @param {Object} options.auth - firebase-admin Auth instance
+ * @param {string|string[]} [options.corsOrigin] - allowed browser origin(s)
+ *   for the app routes; the public API is open to every origin
+ * @param {Object} [options.limiter] - public API rate limiter (createRateLimiter)
+ * @param {Object} [options.importJobs] - CSV import job runner (createImportJobRunner)
+ * @param {Object} [options.retraining] - forecast retraining scheduler (createRetrainingScheduler)
+ * @returns {Object} Express app
+ */
+export const createApp = ({
+  auth,
+  corsOrigin = true,
+  limiter,
+  importJobs = createImportJobRunner(),
+  retraining = createRetrainingScheduler()
+}) => {
+  const app = express();
+  const authenticate = createAuthenticate(auth);
+  const anyRole = requireRole(...Object.values(ROLES));
+
+  app.use("/api/v1", cors(), createPublicApiRouter({ limiter }));
+
+  app.use(cors({ origin: corsOrigin }));
+  app.use(express.json({ limit: "5mb" }));
+
+  app.get("/health", (req, res) => res.json({ ok: true }));
+
+  app.use("/admin", authenticate, requireRole(ROLES.ADMIN), createAdminRouter(auth));
+  app.use("/export", authenticate, anyRole, createExportRouter());
+  app.use("/data", authenticate, anyRole, createDataRouter({ importJobs }));
+  app.use("/forecasts", authenticate, anyRole, createForecastsRouter(retraining));
+
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+export default createApp;
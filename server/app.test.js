@@ -0,0 +1,410 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { setStorage } from '../src/services/storage';
+import { createMemoryAdapter } from '../src/services/storage/memoryAdapter';
+import { setAuditUserProvider } from '../src/services/auditService';
+import { createApiKey } from '../src/services/apiKeyService';
+import {
+  FORECAST_CONFIGS_COLLECTION,
+  FORECAST_MODELS_COLLECTION,
+  createForecastConfig
+} from '../src/services/forecastModelService';
+import { getRequestUser } from './middleware/auth';
+import { createImportJobRunner } from './importJobs';
+import { createRetrainingScheduler } from './retraining';
+import { createRateLimiter } from './middleware/rateLimit';
+import { createRecycleBinSweep } from './recycleBinSweep';
+import { createApp } from './app';
+
+// Tokens are "<uid>" or "<uid>:<auth_time in seconds>"
+const fakeAuth = {
+  revoked: [],
+  async verifyIdToken(token) {
+    const [uid, authTime] = token.split(':');
+    if (uid === 'bad') throw Object.assign(new Error('invalid'), { code: 'auth/argument-error' });
+    return { uid, email: `${uid}@example.edu`, auth_time: Number(authTime) || Math.floor(Date.now() / 1000) };
+  },
+  async revokeRefreshTokens(uid) {
+    this.revoked.push(uid);
+  },
+  async getUser(uid) {
+    return { uid, email: `${uid}@example.edu` };
+  },
+  async generatePasswordResetLink(email) {
+    return `https://example.test/reset?email=${email}`;
+  }
+};
+
+let server;
+let baseUrl;
+let storage;
+let importDir;
+let importJobs;
+let retraining;
+
+const call = (path, { token, method = 'GET', body, type = 'application/json' } = {}) =>
+  fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': type } : {})
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+beforeAll(async () => {
+  setAuditUserProvider(getRequestUser);
+  importDir = await mkdtemp(path.join(os.tmpdir(), 'imports-'));
+  importJobs = createImportJobRunner({ directory: importDir });
+  retraining = createRetrainingScheduler();
+  server = createApp({ auth: fakeAuth, importJobs, retraining }).listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  setAuditUserProvider(null);
+  await new Promise((resolve) => server.close(resolve));
+  await rm(importDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  storage = setStorage(createMemoryAdapter());
+  await storage.setDocument('users', 'admin', { email: 'admin@example.edu', role: 'admin', permissions: [] });
+  await storage.setDocument('users', 'viewer', { email: 'viewer@example.edu', role: 'user', permissions: [] });
+  await storage.setDocument('users', 'gone', { email: 'gone@example.edu', role: 'editor', status: 'suspended' });
+});
+
+describe('authentication', () => {
+  it('rejects missing, invalid and day-old tokens and suspended accounts', async () => {
+    const dayAgo = Math.floor(Date.now() / 1000) - 25 * 60 * 60;
+    expect((await call('/data/collections')).status).toBe(401);
+    expect((await call('/data/collections', { token: 'bad' })).status).toBe(401);
+    expect((await call('/data/collections', { token: `viewer:${dayAgo}` })).status).toBe(401);
+    expect((await call('/data/collections', { token: 'gone' })).status).toBe(403);
+    expect((await call('/data/collections', { token: 'viewer' })).status).toBe(200);
+  });
+
+  it('keeps /admin to administrators', async () => {
+    expect((await call('/admin/users', { token: 'viewer' })).status).toBe(403);
+    const res = await call('/admin/users', { token: 'admin' });
+    expect(res.status).toBe(200);
+    expect((await res.json()).map(({ id }) => id)).toEqual(['admin', 'gone', 'viewer']);
+  });
+});
+
+describe('/data and /export', () => {
+  it('imports a CSV as the admin and lets a viewer read and export it', async () => {
+    const csv = 'Year,Emigrants\n1990,100\n1991,120\nabc,5\n';
+    expect((await call('/data/collections/survey/import', { token: 'viewer', method: 'POST', body: csv, type: 'text/csv' })).status).toBe(403);
+
+    const queued = await call('/data/collections/survey/import?fileName=survey.csv', {
+      token: 'admin', method: 'POST', body: csv, type: 'text/csv'
+    });
+    expect(queued.status).toBe(202);
+    const { id } = await queued.json();
+    await importJobs.whenIdle();
+    expect(await (await call(`/data/imports/${id}`, { token: 'admin' })).json()).toMatchObject({
+      status: 'complete',
+      collection: 'survey',
+      rowCount: 2,
+      invalidRowCount: 1,
+      invalidRows: [{ index: 4 }]
+    });
+
+    const records = await (await call('/data/collections/survey', { token: 'viewer' })).json();
+    expect(records.map(({ year, emigrants }) => [year, emigrants])).toEqual([[1990, 100], [1991, 120]]);
+
+    const exported = await call('/export/collections/survey', { token: 'viewer' });
+    expect(exported.headers.get('content-disposition')).toContain('survey.csv');
+    expect((await exported.text()).split(/\r?\n/)).toEqual(['year,emigrants', '1990,100', '1991,120']);
+
+    const entries = (await storage.getDocuments('audit_log')).map(({ data }) => data);
+    expect(entries.find(({ collection }) => collection === 'survey').user).toEqual({ uid: 'admin', email: 'admin@example.edu' });
+  });
+
+  it('never serves access-controlled collections as CSV collections', async () => {
+    expect((await call('/data/collections/users', { token: 'admin' })).status).toBe(403);
+    expect((await call('/export/collections/audit_log', { token: 'admin' })).status).toBe(403);
+  });
+
+  it('reports service validation errors as 400', async () => {
+    const res = await call('/data/collections/survey/records', { token: 'admin', method: 'POST', body: { emigrants: 5 } });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toContain('missing a valid year');
+  });
+});
+
+describe('/data/imports', () => {
+  const csv = 'Year,Emigrants\n1990,100\n1991,120\n';
+  const upload = async (name) =>
+    (await call(`/data/collections/${name}/import`, { token: 'admin', method: 'POST', body: csv, type: 'text/csv' })).json();
+
+  it('streams progress events until the job finishes', async () => {
+    const job = await upload('survey');
+    const stream = await call(`/data/imports/${job.id}/events`, { token: 'admin' });
+    expect(stream.headers.get('content-type')).toContain('text/event-stream');
+
+    const events = (await stream.text())
+      .split('\n\n')
+      .filter((block) => block.startsWith('event: progress'))
+      .map((block) => JSON.parse(block.split('data: ')[1]));
+    expect(events.map(({ phase }) => phase)).toContain('staging');
+    expect(events[events.length - 1]).toMatchObject({ status: 'complete', rowCount: 2 });
+  });
+
+  it('cancels a queued job and resumes it later', async () => {
+    // Hold the first job in its first batch so the second stays queued
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const original = storage.commitBatch.bind(storage);
+    storage.commitBatch = async (operations) => {
+      await gate;
+      return original(operations);
+    };
+
+    const first = await upload('first');
+    const second = await upload('second');
+    const cancelled = await call(`/data/imports/${second.id}/cancel`, { token: 'admin', method: 'POST' });
+    expect(await cancelled.json()).toMatchObject({ status: 'cancelled' });
+    release();
+    await importJobs.whenIdle();
+    storage.commitBatch = original;
+    expect(await importJobs.getJob(first.id)).toMatchObject({ status: 'complete' });
+    expect(await storage.getDocuments('second')).toEqual([]);
+
+    expect((await call(`/data/imports/${first.id}/resume`, { token: 'admin', method: 'POST' })).status).toBe(409);
+    await call(`/data/imports/${second.id}/resume`, { token: 'admin', method: 'POST' });
+    await importJobs.whenIdle();
+    expect(await importJobs.getJob(second.id)).toMatchObject({ status: 'complete', attempts: 1 });
+    expect((await storage.getDocuments('second')).map(({ id }) => id)).toEqual(['1990', '1991']);
+  });
+
+  it('keeps the previous contents when a running job is cancelled', async () => {
+    await storage.setDocument('survey', '1985', { emigrants: 1 });
+    const original = storage.commitBatch.bind(storage);
+    storage.commitBatch = async (operations) => {
+      const [running] = await importJobs.listJobs();
+      await importJobs.cancelJob(running.id);
+      return original(operations);
+    };
+    const job = await upload('survey');
+    await importJobs.whenIdle();
+    storage.commitBatch = original;
+
+    expect(await importJobs.getJob(job.id)).toMatchObject({ status: 'cancelled' });
+    expect((await storage.getDocuments('survey')).map(({ id }) => id)).toEqual(['1985']);
+  });
+
+  it('maps the columns with the chosen import profile', async () => {
+    const body = 'YEAR,MALE,FEMALE\n1990,40,60\n1991,-5,70\n';
+    const queued = await call('/data/collections/by_sex/import?profile=sex', { token: 'admin', method: 'POST', body, type: 'text/csv' });
+    const job = await queued.json();
+    await importJobs.whenIdle();
+
+    expect(await importJobs.getJob(job.id)).toMatchObject({ status: 'complete', profileId: 'sex', rowCount: 1, invalidRowCount: 1 });
+    expect(await storage.getDocuments('by_sex')).toEqual([{ id: '1990', data: { male: 40, female: 60 } }]);
+  });
+
+  it('reshapes crosstab uploads and reports totals that do not add up', async () => {
+    const body = 'SEX,1990,1991 1/,TOTAL\nMALE,40,50,90\nFEMALE,60,70,131\nTOTAL,100,120,220\n';
+    const queued = await call('/data/collections/by_sex/import?profile=sex', { token: 'admin', method: 'POST', body, type: 'text/csv' });
+    const job = await queued.json();
+    await importJobs.whenIdle();
+
+    expect((await importJobs.getJob(job.id)).reshape).toEqual({
+      orientation: 'years-as-columns',
+      totalRows: ['TOTAL'],
+      mismatches: [{ row: 'FEMALE', column: 'TOTAL', expected: 130, actual: 131 }]
+    });
+    expect(await storage.getDocuments('by_sex')).toEqual([
+      { id: '1990', data: { male: 40, female: 60 } },
+      { id: '1991', data: { male: 50, female: 70 } }
+    ]);
+  });
+
+  it('merges into the collection with the chosen strategies when appending', async () => {
+    await storage.setDocument('survey', '1990', { emigrants: 100, source: 'cfo' });
+    const body = 'year,emigrants,source\n1990,5,psa\n1991,7,psa\n';
+    const queued = await call('/data/collections/survey/import?append=true&strategy=keep&strategies={"emigrants":"sum"}', {
+      token: 'admin', method: 'POST', body, type: 'text/csv'
+    });
+    const job = await queued.json();
+    await importJobs.whenIdle();
+
+    expect((await importJobs.getJob(job.id)).mergeSummary).toMatchObject({ added: 1, changed: 1, unchanged: 0 });
+    expect(await storage.getDocuments('survey')).toEqual([
+      { id: '1990', data: { emigrants: 105, source: 'cfo' } },
+      { id: '1991', data: { emigrants: 7, source: 'psa' } }
+    ]);
+    const rejected = await call('/data/collections/survey/import?append=true&strategy=max', {
+      token: 'admin', method: 'POST', body, type: 'text/csv'
+    });
+    expect(rejected.status).toBe(400);
+  });
+
+  it('needs the upload permission', async () => {
+    expect((await call('/data/imports', { token: 'viewer' })).status).toBe(403);
+  });
+});
+
+describe('/forecasts', () => {
+  const seedEmigrants = (offset = 0) =>
+    Promise.all(Array.from({ length: 8 }, (_, index) =>
+      storage.setDocument('emigrants', String(1981 + index), { emigrants: 100 + index * 10 + offset })));
+
+  const registerForecast = () => createForecastConfig({
+    name: 'Emigrants',
+    collection: 'emigrants',
+    modelType: 'MLP',
+    target: 'emigrants',
+    features: ['emigrants'],
+    hyperparameters: { lookback: 2, hiddenUnits: [4], epochs: 2 },
+    scheduleHours: 24
+  });
+
+  const storedConfig = async (id) => (await storage.getDocument(FORECAST_CONFIGS_COLLECTION, id)).data;
+
+  it('trains new configurations and retrains them when their data changes', async () => {
+    await seedEmigrants();
+    const { id } = await registerForecast();
+
+    await retraining.checkNow();
+    const first = await storedConfig(id);
+    expect(first).toMatchObject({ status: 'idle', lastReason: 'first-training', lastError: null });
+    const model = (await storage.getDocument(FORECAST_MODELS_COLLECTION, id)).data;
+    expect(model).toMatchObject({ configId: id, modelType: 'MLP', dataHash: first.lastDataHash });
+    expect(JSON.parse(model.metadata)).toMatchObject({ lookback: 2, target: 'emigrants', lastYear: 1988 });
+
+    await retraining.checkNow();
+    expect((await storedConfig(id)).lastTrainedAt).toBe(first.lastTrainedAt);
+
+    await seedEmigrants(5);
+    await retraining.checkNow();
+    const second = await storedConfig(id);
+    expect(second.lastReason).toBe('data-changed');
+    expect(second.lastDataHash).not.toBe(first.lastDataHash);
+  });
+
+  it('records failed trainings', async () => {
+    await storage.setDocument('emigrants', '1981', { emigrants: 100 });
+    const { id } = await registerForecast();
+
+    await retraining.checkNow();
+    expect(await storedConfig(id)).toMatchObject({ status: 'failed', lastError: expect.stringContaining('Not enough') });
+  });
+
+  it('lists forecasts and queues retraining for analysts', async () => {
+    await seedEmigrants();
+    const { id } = await registerForecast();
+    await storage.setDocument('users', 'analyst', { email: 'analyst@example.edu', role: 'analyst', permissions: [] });
+
+    const list = await call('/forecasts', { token: 'viewer' });
+    expect(list.status).toBe(200);
+    expect((await list.json()).map((config) => config.id)).toEqual([id]);
+
+    expect((await call(`/forecasts/${id}/retrain`, { token: 'viewer', method: 'POST' })).status).toBe(403);
+    expect((await call('/forecasts/missing/retrain', { token: 'analyst', method: 'POST' })).status).toBe(404);
+    expect((await call(`/forecasts/${id}/retrain`, { token: 'analyst', method: 'POST' })).status).toBe(202);
+    await retraining.whenIdle();
+    expect((await storedConfig(id)).lastReason).toBe('manual');
+  });
+});
+
+describe('/admin', () => {
+  it('suspends a user, revoking their tokens and open sessions', async () => {
+    await storage.setDocument('sessions', 's1', { uid: 'viewer', endedAt: null });
+    const res = await call('/admin/users/viewer', { token: 'admin', method: 'PATCH', body: { status: 'suspended' } });
+    expect(res.status).toBe(204);
+    expect(fakeAuth.revoked).toEqual(['viewer']);
+    expect((await storage.getDocument('sessions', 's1')).data).toMatchObject({
+      endReason: 'revoked',
+      endedBy: { uid: 'admin', email: 'admin@example.edu' }
+    });
+    expect((await call('/data/collections', { token: 'viewer' })).status).toBe(403);
+  });
+
+  it('refuses to let admins change their own account', async () => {
+    const res = await call('/admin/users/admin', { token: 'admin', method: 'PATCH', body: { role: 'viewer' } });
+    expect(res.status).toBe(400);
+    expect((await storage.getDocument('users', 'admin')).data.role).toBe('admin');
+  });
+
+  it('invites new emails and skips registered ones', async () => {
+    const res = await call('/admin/invitations', {
+      token: 'admin', method: 'POST', body: { emails: 'new@example.edu, viewer@example.edu, nope@', role: 'analyst' }
+    });
+    expect(await res.json()).toEqual({ invited: ['new@example.edu'], skipped: ['viewer@example.edu'], invalid: ['nope@'] });
+    expect((await storage.getDocument('user_invitations', 'new@example.edu')).data.role).toBe('analyst');
+  });
+});
+
+describe('/api/v1', () => {
+  beforeEach(async () => {
+    await storage.setDocument('emigrant_majorCountry', '1990', { countries: { USA: 10, CANADA: 4 } });
+    await storage.setDocument('emigrant_majorCountry', '1995', { countries: { USA: 12, CANADA: 5 } });
+  });
+
+  const get = (path, key, headers = {}) =>
+    fetch(`${baseUrl}/api/v1${path}`, { headers: { ...(key ? { 'X-API-Key': key } : {}), ...headers } });
+
+  it('describes every registry dataset without a key', async () => {
+    const spec = await (await get('/openapi.json')).json();
+    expect(spec.paths['/datasets/{id}'].get.parameters[0].schema.enum).toContain('major-countries');
+  });
+
+  it('serves filtered observations as JSON or CSV to valid keys only', async () => {
+    const { key } = await createApiKey({ name: 'Researcher' });
+    expect((await get('/datasets/major-countries')).status).toBe(401);
+    expect((await get('/datasets/major-countries', 'fem_nope')).status).toBe(401);
+    expect((await get('/datasets/nope', key)).status).toBe(404);
+    expect((await get('/datasets/major-countries?from=90', key)).status).toBe(400);
+
+    const json = await (await get('/datasets/major-countries?from=1991&categories=USA', key)).json();
+    expect(json.dataset.id).toBe('major-countries');
+    expect(json.data).toEqual([{ dataset: 'major-countries', year: 1995, dimension: 'country', category: 'USA', value: 12 }]);
+
+    const csv = await (await get('/datasets/major-countries?to=1990', key, { Accept: 'text/csv' })).text();
+    expect(csv.split(/\r?\n/)).toEqual([
+      'dataset,year,dimension,category,value',
+      'major-countries,1990,country,CANADA,4',
+      'major-countries,1990,country,USA,10'
+    ]);
+  });
+
+  it('limits each key to its requests per minute', async () => {
+    const { key } = await createApiKey({ name: 'Busy', rateLimit: 2 });
+    expect((await get('/datasets', key)).headers.get('x-ratelimit-remaining')).toBe('1');
+    expect((await get('/datasets', key)).status).toBe(200);
+    const limited = await get('/datasets', key);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+
+  it('forgets callers whose window has expired', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, now: () => time });
+    ['a', 'b', 'c'].forEach((id) => limiter.consume(id, 5));
+    expect(limiter.size()).toBe(3);
+
+    time = 1500;
+    expect(limiter.consume('a', 5).remaining).toBe(4);
+    expect(limiter.size()).toBe(1);
+  });
+});
+
+describe('recycle bin sweep', () => {
+  it('purges the entries past their retention period', async () => {
+    await storage.setDocument('recycle_bin', 'old', { dataset: 'age', expiresAt: '2020-01-31T00:00:00.000Z' });
+    await storage.setDocument('recycle_bin', 'restored', {
+      dataset: 'age', expiresAt: '2020-02-15T00:00:00.000Z', restoredAt: '2020-01-20T00:00:00.000Z'
+    });
+    await storage.setDocument('recycle_bin', 'recent', { dataset: 'age', expiresAt: '2020-03-31T00:00:00.000Z' });
+
+    const sweep = createRecycleBinSweep({ now: () => Date.parse('2020-03-01T00:00:00.000Z') });
+    expect(await sweep.sweepNow()).toBe(2);
+    expect((await storage.getDocuments('recycle_bin')).map(({ id }) => id)).toEqual(['recent']);
+  });
+});
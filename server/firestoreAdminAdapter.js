@@ -0,0 +1,94 @@
+// server/firestoreAdminAdapter.js
+import { FieldPath } from "firebase-admin/firestore";
+
+const toEntry = (snapshot) => ({ id: snapshot.id, data: snapshot.data() });
+
+/**
+ * Storage adapter backed by the Firebase Admin SDK, so the services in
+ * src/services run unchanged on the server (see src/services/storage/index.js
+ * for the interface and storage/firestoreAdapter.js for the browser twin).
+ * The Admin SDK bypasses firestore.rules; routes check permissions instead.
+ *
+ * @param {Object} db - Firestore instance from firebase-admin/firestore
+ * @returns {Object} storage adapter
+ */
+export const createFirestoreAdminAdapter = (db) => {
+  const applyQuery = (source, { where = [], orderBy = null, limit = null } = {}) => {
+    let query = where.reduce((current, [field, op, value]) => current.where(field, op, value), source);
+    query = query.orderBy(orderBy || FieldPath.documentId());
+    return limit ? query.limit(limit) : query;
+  };
+
+  return {
+    name: "firestore-admin",
+
+    async getDocuments(collectionName) {
+      const querySnapshot = await db.collection(collectionName).get();
+      return querySnapshot.docs.map(toEntry);
+    },
+
+    async getDocument(collectionName, id) {
+      const docSnap = await db.collection(collectionName).doc(id).get();
+      return docSnap.exists ? toEntry(docSnap) : null;
+    },
+
+    async setDocument(collectionName, id, data, { merge = false } = {}) {
+      await db.collection(collectionName).doc(id).set(data, { merge });
+    },
+
+    async updateDocument(collectionName, id, partial) {
+      await db.collection(collectionName).doc(id).update(partial);
+    },
+
+    async deleteDocument(collectionName, id) {
+      await db.collection(collectionName).doc(id).delete();
+    },
+
+    async addDocument(collectionName, data) {
+      const docRef = await db.collection(collectionName).add(data);
+      return docRef.id;
+    },
+
+    // Operations: [{ type: "set" | "delete", collection, id, data }], at most 500 per call
+    async commitBatch(operations = []) {
+      const batch = db.batch();
+      operations.forEach(({ type, collection: collectionName, id, data }) => {
+        const ref = db.collection(collectionName).doc(id);
+        if (type === "delete") batch.delete(ref);
+        else batch.set(ref, data);
+      });
+      await batch.commit();
+    },
+
+    // Server-side filter/order/page; the cursor is the last document ID of the previous page
+    async queryDocuments(collectionName, { where = [], orderBy = null, limit = null, startAfter = null } = {}) {
+      const source = db.collection(collectionName);
+      let query = applyQuery(source, { where, orderBy });
+
+      if (startAfter) {
+        const cursorSnap = await source.doc(startAfter).get();
+        if (cursorSnap.exists) query = query.startAfter(cursorSnap);
+      }
+      // Fetch one extra document to know whether another page exists
+      if (limit) query = query.limit(limit + 1);
+
+      const querySnapshot = await query.get();
+      const entries = querySnapshot.docs.map(toEntry);
+      const documents = limit ? entries.slice(0, limit) : entries;
+      const hasMore = limit ? entries.length > limit : false;
+
+      return { documents, nextCursor: hasMore ? documents[documents.length - 1].id : null };
+    },
+
+    // Optional { where, orderBy, limit } narrows the listener to a query
+    subscribe(collectionName, onNext, onError, queryOptions = null) {
+      const source = db.collection(collectionName);
+      return (queryOptions ? applyQuery(source, queryOptions) : source).onSnapshot(
+        (snapshot) => onNext(snapshot.docs.map(toEntry)),
+        onError
+      );
+    }
+  };
+};
+
+export default createFirestoreAdminAdapter;
@@ -0,0 +1,372 @@
+// server/importJobs.js
+import { EventEmitter } from "node:events";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import Papa from "papaparse";
+import { getStorage } from "../src/services/storage";
+import { createVersionId, overwriteCollection, upsertCollection } from "../src/services/firestoreService";
+import { processCsvRows } from "../src/utils/validators";
+import { applyImportProfile, matchProfileColumns } from "../src/utils/importProfiles";
+import { reshapeImportTable } from "../src/utils/crosstab";
+import { normalizeMergeOptions } from "../src/utils/mergeImport";
+import { getImportProfile } from "../src/services/importProfileService";
+import {
+  IMPORT_JOBS_COLLECTION,
+  IMPORT_JOB_STATUS,
+  isFinishedJob,
+  isResumableJob
+} from "../src/utils/importJobs";
+import { httpError } from "./middleware/errors";
+import { runAsUser } from "./middleware/auth";
+
+/**
+ * ============================================
+ * CSV IMPORT JOBS
+ * ============================================
+ *
+ * Uploads are handed to the server as import jobs, so closing the browser
+ * tab no longer interrupts them. Each job is a document in "import_jobs":
+ *
+ *   {
+ *     collection, sourceFileName,
+ *     append,           // merge into the collection instead of replacing it
+ *     strategies, defaultStrategy,    // merge strategies (src/utils/mergeImport.js)
+ *     profileId,        // import profile the rows are mapped with (utils/importProfiles.js)
+ *     status,           // one of IMPORT_JOB_STATUS (src/utils/importJobs.js)
+ *     phase,            // "parsing", then the overwriteCollection phases
+ *     completed, total, // progress within the phase
+ *     rowCount,         // rows written, once complete
+ *     mergeSummary,     // { added, changed, unchanged, rows } of a merge (first 50 rows)
+ *     reshape,          // { orientation, totalRows, mismatches } when the upload was a
+ *                       // crosstab or had totals (src/utils/crosstab.js)
+ *     invalidRowCount, invalidRows,   // rows skipped by validation (first 50)
+ *     error,            // message when failed
+ *     versionId,        // staging version, reused when the job is resumed
+ *     attempts, createdBy, createdAt, updatedAt, startedAt, finishedAt
+ *   }
+ *
+ * The CSV itself is kept on disk until the job completes. Jobs run one at a
+ * time. Progress is pushed to subscribers (the SSE route) on every batch and
+ * persisted at most once a second. Cancelling aborts the replace, which
+ * leaves the collection's previous contents in place; failed, cancelled and
+ * interrupted jobs can be resumed from the stored file.
+ */
+
+const MAX_REPORTED_INVALID_ROWS = 50;
+const MAX_REPORTED_MERGE_ROWS = 50;
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+// Storable summary of an upsertCollection merge (storage rejects undefined)
+const toMergeSummary = ({ summary, rows }) => ({
+  ...summary,
+  rows: rows.slice(0, MAX_REPORTED_MERGE_ROWS).map(({ year, status, changes }) => ({
+    year,
+    status,
+    changes: changes.map(({ column, before, after }) => ({ column, before: before ?? null, after }))
+  }))
+});
+
+// Storable summary of what reshapeImportTable did; null when nothing
+const toReshapeSummary = ({ reshaped, orientation, totalRows, mismatches }) => (reshaped ? {
+  orientation,
+  totalRows,
+  mismatches: mismatches.slice(0, MAX_REPORTED_INVALID_ROWS)
+} : null);
+
+/**
+ * Parse and validate CSV text the same way CsvUploader does: crosstabs are
+ * reshaped and totals left out first (src/utils/crosstab.js).
+ * @param {string} text
+ * @param {Object} [profile] - import profile; without one the rows are typed
+ *   by processCsvRows
+ * @returns {{ rows: Array<Object>, invalidRows: Array<Object>, reshape: Object }}
+ *   reshape is the reshapeImportTable report
+ */
+export const parseCsvText = (text, profile = null) => {
+  const { data, errors, meta } = Papa.parse(String(text || ""), {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+    transformHeader: (header) => header
+  });
+  if (errors.length > 0) throw httpError(400, `CSV parsing error: ${errors[0].message}`);
+  const { headers, rows, report } = reshapeImportTable({ headers: meta.fields || [], rows: data });
+  if (!profile) return { ...processCsvRows(rows), reshape: report };
+
+  const { mapping, missing } = matchProfileColumns(headers, profile);
+  if (missing.length > 0) {
+    throw httpError(400, `The CSV does not match the "${profile.name}" profile: missing ${missing.join(", ")}`);
+  }
+  return { ...applyImportProfile(rows, profile, mapping), reshape: report };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.directory] - where uploaded CSVs wait (IMPORT_DIR)
+ * @returns {Object} job runner
+ */
+export const createImportJobRunner = ({
+  directory = process.env.IMPORT_DIR || path.join(os.tmpdir(), "emigrant-imports")
+} = {}) => {
+  const events = new EventEmitter();
+  const active = new Map();        // id → latest state of a queued or running job
+  const controllers = new Map();   // id → AbortController of the running job
+  const writes = new Map();        // id → last pending write, so writes land in order
+  const queue = [];
+  let draining = null;
+
+  events.setMaxListeners(0);
+  const filePath = (id) => path.join(directory, `${id}.csv`);
+
+  const getJob = async (id) => {
+    if (active.has(id)) return active.get(id);
+    const stored = await getStorage().getDocument(IMPORT_JOBS_COLLECTION, id);
+    return stored ? { ...stored.data, id: stored.id } : null;
+  };
+
+  const persistJob = ({ id, ...data }) => {
+    const write = (writes.get(id) || Promise.resolve())
+      .catch(() => {})
+      .then(() => getStorage().setDocument(IMPORT_JOBS_COLLECTION, id, data));
+    writes.set(id, write);
+    write.finally(() => {
+      if (writes.get(id) === write) writes.delete(id);
+    }).catch(() => {});
+    return write;
+  };
+
+  // Apply changes, notify subscribers and (unless skipped) persist them
+  const update = async (id, changes, { persist = true } = {}) => {
+    const current = active.get(id) || await getJob(id);
+    const job = { ...current, ...changes, updatedAt: new Date().toISOString() };
+    if (isFinishedJob(job)) active.delete(id);
+    else active.set(id, job);
+    events.emit(id, job);
+
+    if (persist) await persistJob(job);
+    return job;
+  };
+
+  const run = async (id) => {
+    const job = await getJob(id);
+    if (job?.status !== IMPORT_JOB_STATUS.QUEUED) return;
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    let lastWrite = 0;
+    let lastPhase = null;
+
+    await runAsUser(job.createdBy, async () => {
+      try {
+        await update(id, {
+          status: IMPORT_JOB_STATUS.RUNNING,
+          phase: "parsing",
+          completed: 0,
+          total: 0,
+          error: null,
+          attempts: (job.attempts || 0) + 1,
+          startedAt: new Date().toISOString()
+        });
+
+        const profile = job.profileId ? await getImportProfile(job.profileId) : null;
+        if (job.profileId && !profile) throw new Error(`Import profile ${job.profileId} no longer exists`);
+
+        const { rows, invalidRows, reshape } = parseCsvText(await readFile(filePath(id), "utf8"), profile);
+        if (rows.length === 0) throw new Error("No valid data rows found");
+        await update(id, {
+          invalidRowCount: invalidRows.length,
+          invalidRows: invalidRows.slice(0, MAX_REPORTED_INVALID_ROWS),
+          reshape: toReshapeSummary(reshape)
+        });
+
+        const options = {
+          sourceFileName: job.sourceFileName,
+          createdBy: job.createdBy,
+          versionId: job.versionId,
+          signal: controller.signal,
+          onProgress: ({ phase, completed, total }) => {
+            const now = Date.now();
+            const persist = phase !== lastPhase || now - lastWrite >= PROGRESS_WRITE_INTERVAL_MS;
+            if (persist) {
+              lastPhase = phase;
+              lastWrite = now;
+            }
+            update(id, { phase, completed, total }, { persist }).catch((error) =>
+              console.error(`Error saving progress of import ${id}:`, error));
+          }
+        };
+
+        let records;
+        let mergeSummary = null;
+        if (job.append) {
+          const result = await upsertCollection(rows, job.collection, {
+            ...options,
+            ...normalizeMergeOptions({ strategies: job.strategies, defaultStrategy: job.defaultStrategy })
+          });
+          records = result.records;
+          mergeSummary = toMergeSummary(result.merge);
+        } else {
+          records = await overwriteCollection(rows, true, job.collection, options);
+        }
+
+        await update(id, {
+          status: IMPORT_JOB_STATUS.COMPLETE,
+          phase: "complete",
+          rowCount: records.length,
+          mergeSummary,
+          finishedAt: new Date().toISOString()
+        });
+        await rm(filePath(id), { force: true });
+      } catch (error) {
+        const cancelled = controller.signal.aborted;
+        if (!cancelled) console.error(`Import ${id} failed:`, error);
+        await update(id, {
+          status: cancelled ? IMPORT_JOB_STATUS.CANCELLED : IMPORT_JOB_STATUS.FAILED,
+          error: cancelled ? null : error.message,
+          finishedAt: new Date().toISOString()
+        });
+      } finally {
+        controllers.delete(id);
+      }
+    });
+  };
+
+  const drain = () => {
+    if (!draining) {
+      draining = (async () => {
+        while (queue.length > 0) await run(queue.shift());
+        draining = null;
+      })();
+    }
+    return draining;
+  };
+
+  const enqueue = (id) => {
+    queue.push(id);
+    drain();
+  };
+
+  return {
+    getJob,
+
+    /**
+     * Store an upload and queue its import.
+     * @param {Object} details - { csvText, collection, sourceFileName, append,
+     *   strategies, defaultStrategy, profileId, createdBy }
+     * @returns {Promise<Object>} the queued job
+     */
+    async createJob({
+      csvText,
+      collection,
+      sourceFileName = null,
+      append = false,
+      strategies = {},
+      defaultStrategy,
+      profileId = null,
+      createdBy = null
+    }) {
+      let merge;
+      try {
+        merge = normalizeMergeOptions({ strategies, defaultStrategy });
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        collection,
+        sourceFileName,
+        append,
+        ...merge,
+        profileId,
+        status: IMPORT_JOB_STATUS.QUEUED,
+        phase: null,
+        completed: 0,
+        total: 0,
+        rowCount: null,
+        mergeSummary: null,
+        reshape: null,
+        invalidRowCount: 0,
+        invalidRows: [],
+        error: null,
+        versionId: createVersionId(),
+        attempts: 0,
+        createdBy,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+      };
+
+      const id = await getStorage().addDocument(IMPORT_JOBS_COLLECTION, job);
+      await mkdir(directory, { recursive: true });
+      await writeFile(filePath(id), csvText, "utf8");
+      active.set(id, { ...job, id });
+      enqueue(id);
+      return { ...job, id };
+    },
+
+    // Most recent jobs first
+    async listJobs({ limit = 20 } = {}) {
+      const documents = await getStorage().getDocuments(IMPORT_JOBS_COLLECTION);
+      return documents
+        .map(({ id, data }) => active.get(id) || { ...data, id })
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .slice(0, limit);
+    },
+
+    async cancelJob(id) {
+      const job = await getJob(id);
+      if (!job) throw httpError(404, `No import job ${id}`);
+      if (isFinishedJob(job)) throw httpError(409, `Import job is already ${job.status}`);
+
+      if (controllers.has(id)) {
+        controllers.get(id).abort();
+        return job;
+      }
+      if (queue.includes(id)) queue.splice(queue.indexOf(id), 1);
+      return update(id, { status: IMPORT_JOB_STATUS.CANCELLED, finishedAt: new Date().toISOString() });
+    },
+
+    async resumeJob(id) {
+      const job = await getJob(id);
+      if (!job) throw httpError(404, `No import job ${id}`);
+      if (!isResumableJob(job)) throw httpError(409, `A ${job.status} import job cannot be resumed`);
+
+      const queued = await update(id, { status: IMPORT_JOB_STATUS.QUEUED, error: null, finishedAt: null });
+      enqueue(id);
+      return queued;
+    },
+
+    // Called with the job on every change; returns an unsubscribe function
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    /**
+     * After a restart: queued jobs are queued again and jobs that were
+     * running are marked failed, ready to be resumed.
+     */
+    async recover() {
+      const documents = await getStorage().getDocuments(IMPORT_JOBS_COLLECTION);
+      for (const { id, data } of documents) {
+        if (data.status === IMPORT_JOB_STATUS.RUNNING) {
+          await update(id, {
+            status: IMPORT_JOB_STATUS.FAILED,
+            error: "Interrupted by a server restart",
+            finishedAt: new Date().toISOString()
+          });
+        } else if (data.status === IMPORT_JOB_STATUS.QUEUED) {
+          enqueue(id);
+        }
+      }
+    },
+
+    // Resolves once no job is queued or running
+    whenIdle: () => draining || Promise.resolve()
+  };
+};
+
+export default createImportJobRunner;
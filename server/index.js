@@ -0,0 +1,47 @@
+// server/index.js
+// API server for privileged writes and heavy operations (CSV import,
+// exports, user management):
+//
+//   npm run server
+//
+// Uses the Admin SDK with application default credentials
+// (GOOGLE_APPLICATION_CREDENTIALS). PORT (default 3001), CORS_ORIGIN
+// (comma separated, default http://localhost:5173), IMPORT_DIR (where
+// uploaded CSVs wait for their import job), RETRAIN_CHECK_MINUTES (how
+// often forecasts are checked for retraining, default 15) and
+// RECYCLE_BIN_SWEEP_MINUTES (how often expired recycle bin entries are
+// purged, default 60) may also come from .env.
+import "dotenv/config";
+import { initializeApp, applicationDefault } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+import { setStorage } from "../src/services/storage";
+import { setAuditUserProvider } from "../src/services/auditService";
+import { createFirestoreAdminAdapter } from "./firestoreAdminAdapter";
+import { getRequestUser } from "./middleware/auth";
+import { createImportJobRunner } from "./importJobs";
+import { createRetrainingScheduler } from "./retraining";
+import { createRecycleBinSweep } from "./recycleBinSweep";
+import { createApp } from "./app";
+
+const port = Number(process.env.PORT) || 3001;
+const corsOrigin = String(process.env.CORS_ORIGIN || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+initializeApp({ credential: applicationDefault() });
+setStorage(createFirestoreAdminAdapter(getFirestore()));
+setAuditUserProvider(getRequestUser);
+
+const importJobs = createImportJobRunner();
+await importJobs.recover();
+
+const retraining = createRetrainingScheduler();
+retraining.start();
+
+createRecycleBinSweep().start();
+
+createApp({ auth: getAuth(), corsOrigin, importJobs, retraining }).listen(port, () => {
+  console.log(`API server listening on http://localhost:${port}`);
+});
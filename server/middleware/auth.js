@@ -0,0 +1,88 @@
+// server/middleware/auth.js
+import { AsyncLocalStorage } from "node:async_hooks";
+import { getStorage } from "../../src/services/storage";
+import { SESSION_MAX_AGE_MS } from "../../src/services/sessionService";
+import { DEFAULT_ROLE, USER_STATUS, hasPermission, normalizeRole } from "../../src/utils/permissions";
+import { httpError } from "./errors";
+
+/**
+ * ============================================
+ * AUTHENTICATION & ROUTE GUARDS
+ * ============================================
+ *
+ * The browser signs in with Firebase Auth and sends its ID token (a JWT)
+ * as `Authorization: Bearer <token>`. authenticate verifies it with the
+ * Admin SDK, rejects sign-ins older than 24h (SIMPLIFIED_DATA_FLOW.md) and
+ * suspended accounts, and sets req.user from the users/{uid} profile:
+ *
+ *   { uid, email, role, permissions }
+ *
+ * requireRole / requirePermission then guard individual routers and routes.
+ * The user is also kept in an AsyncLocalStorage for the duration of the
+ * request, so recordAudit attributes server-side writes to the caller.
+ */
+
+const requestContext = new AsyncLocalStorage();
+
+// The authenticated user of the request being handled, or null
+export const getRequestUser = () => requestContext.getStore() || null;
+
+// Run work outside a request (e.g. a queued import) on behalf of a user
+export const runAsUser = (user, work) => requestContext.run(user, work);
+
+const bearerToken = (req) => {
+  const [scheme, token] = String(req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * @param {Object} auth - firebase-admin Auth instance (anything with verifyIdToken)
+ * @returns {Function} Express middleware
+ */
+export const createAuthenticate = (auth) => async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) throw httpError(401, "Missing bearer token");
+
+  let decoded;
+  try {
+    // checkRevoked: suspended users have their refresh tokens revoked
+    decoded = await auth.verifyIdToken(token, true);
+  } catch (error) {
+    console.error("Rejected ID token:", error.code || error.message);
+    throw httpError(401, "Invalid or expired token");
+  }
+
+  if (Date.now() - decoded.auth_time * 1000 > SESSION_MAX_AGE_MS) {
+    throw httpError(401, "Session expired, please sign in again");
+  }
+
+  const profile = await getStorage().getDocument("users", decoded.uid);
+  if (!profile) throw httpError(403, "No user profile for this account");
+  if (profile.data.status === USER_STATUS.SUSPENDED) throw httpError(403, "Account suspended");
+
+  req.user = {
+    uid: decoded.uid,
+    email: decoded.email || profile.data.email || null,
+    role: normalizeRole(profile.data.role) || DEFAULT_ROLE,
+    permissions: profile.data.permissions || []
+  };
+  requestContext.run(req.user, next);
+};
+
+// Allow only the listed roles (older names such as "user" are normalized)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) throw httpError(401, "Not signed in");
+  if (!roles.map(normalizeRole).includes(normalizeRole(req.user.role))) {
+    throw httpError(403, "Your role does not allow this");
+  }
+  next();
+};
+
+// Allow anyone whose role or extra grants include the permission
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) throw httpError(401, "Not signed in");
+  if (!hasPermission(req.user, permission)) {
+    throw httpError(403, `Missing permission: ${permission}`);
+  }
+  next();
+};
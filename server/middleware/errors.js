@@ -0,0 +1,27 @@
+// server/middleware/errors.js
+
+// Error carrying the HTTP status the error handler should answer with
+export const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const notFound = (req, res) => {
+  res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+};
+
+// Services reject bad input with a plain Error ("Year 1990 not found");
+// anything else without a status (Firestore errors carry a code, bugs
+// throw TypeError and friends) is a 500
+const statusOf = (error) => {
+  if (error.status) return error.status;
+  return error.constructor === Error && !error.code ? 400 : 500;
+};
+
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = statusOf(error);
+  if (status >= 500) console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+  res.status(status).json({ error: status >= 500 ? "Internal server error" : error.message });
+};
@@ -0,0 +1,48 @@
+// server/middleware/rateLimit.js
+
+/**
+ * Fixed-window request counter per caller id, kept in memory. Enough for a
+ * single server process; counts reset when the server restarts. Expired
+ * windows are dropped at most once per window, so callers that stop calling
+ * (revoked keys, one-off scripts) do not stay in memory.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowMs=60000]
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {{ consume: Function, size: Function }} consume(id, limit) →
+ *   { allowed, limit, remaining, resetAt }; size() → callers with an open window
+ */
+export const createRateLimiter = ({ windowMs = 60 * 1000, now = Date.now } = {}) => {
+  const windows = new Map();
+  let nextSweep = now() + windowMs;
+
+  const sweep = (time) => {
+    windows.forEach((window, id) => {
+      if (window.resetAt <= time) windows.delete(id);
+    });
+    nextSweep = time + windowMs;
+  };
+
+  const consume = (id, limit) => {
+    const time = now();
+    if (time >= nextSweep) sweep(time);
+
+    let window = windows.get(id);
+    if (!window || window.resetAt <= time) {
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(id, window);
+    }
+
+    window.count += 1;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.resetAt
+    };
+  };
+
+  return { consume, size: () => windows.size };
+};
+
+export default createRateLimiter;
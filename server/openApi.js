@@ -0,0 +1,140 @@
+// server/openApi.js
+import { DATASET_REGISTRY } from "../src/utils/datasetRegistry";
+import { API_KEY_PREFIX } from "../src/services/apiKeyService";
+
+/**
+ * OpenAPI 3 description of the public dataset API (routes/publicApi.js),
+ * generated from the dataset registry so new datasets are documented as
+ * soon as they are registered.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl="/api/v1"] - base URL of the API
+ * @returns {Object} OpenAPI document
+ */
+export const buildOpenApiSpec = ({ serverUrl = "/api/v1" } = {}) => {
+  const datasets = Object.values(DATASET_REGISTRY);
+  const datasetList = datasets
+    .map(({ key, displayName, categoryLabelPlural, description }) =>
+      `- \`${key}\` — ${displayName}: ${description} (categories: ${categoryLabelPlural.toLowerCase()})`)
+    .join("\n");
+
+  const csvOrJson = (schema) => ({
+    "application/json": { schema },
+    "text/csv": { schema: { type: "string" } }
+  });
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+  });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Filipino Emigrants Data API",
+      version: "1.0.0",
+      description: "Read-only access to the published emigrant datasets. " +
+        `Send your key (it starts with \`${API_KEY_PREFIX}\`) in the \`X-API-Key\` header.\n\n${datasetList}`
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ apiKey: [] }],
+    paths: {
+      "/datasets": {
+        get: {
+          summary: "List datasets",
+          operationId: "listDatasets",
+          responses: {
+            200: {
+              description: "Every published dataset",
+              content: {
+                "application/json": {
+                  schema: { type: "array", items: { $ref: "#/components/schemas/Dataset" } }
+                }
+              }
+            },
+            401: errorResponse("Missing or invalid API key"),
+            429: errorResponse("Rate limit exceeded")
+          }
+        }
+      },
+      "/datasets/{id}": {
+        get: {
+          summary: "Observations of one dataset",
+          operationId: "getDataset",
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "string", enum: datasets.map(({ key }) => key) }
+            },
+            { name: "from", in: "query", description: "First year (inclusive)", schema: { type: "integer" } },
+            { name: "to", in: "query", description: "Last year (inclusive)", schema: { type: "integer" } },
+            {
+              name: "categories",
+              in: "query",
+              description: "Comma-separated categories to keep, e.g. USA,CANADA",
+              schema: { type: "string" }
+            },
+            {
+              name: "format",
+              in: "query",
+              description: "Response format; an Accept: text/csv header also selects CSV",
+              schema: { type: "string", enum: ["json", "csv"], default: "json" }
+            }
+          ],
+          responses: {
+            200: {
+              description: "One row per category and year",
+              content: csvOrJson({ $ref: "#/components/schemas/DatasetObservations" })
+            },
+            400: errorResponse("Invalid filter"),
+            401: errorResponse("Missing or invalid API key"),
+            404: errorResponse("Unknown dataset"),
+            429: errorResponse("Rate limit exceeded")
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" }
+      },
+      schemas: {
+        Dataset: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            description: { type: "string" },
+            dimension: { type: "string", description: "What the categories are, e.g. ageGroup" },
+            categoryLabel: { type: "string" }
+          }
+        },
+        Observation: {
+          type: "object",
+          properties: {
+            dataset: { type: "string" },
+            year: { type: "integer" },
+            dimension: { type: "string" },
+            category: { type: "string" },
+            value: { type: "number" }
+          }
+        },
+        DatasetObservations: {
+          type: "object",
+          properties: {
+            dataset: { $ref: "#/components/schemas/Dataset" },
+            count: { type: "integer" },
+            data: { type: "array", items: { $ref: "#/components/schemas/Observation" } }
+          }
+        },
+        Error: {
+          type: "object",
+          properties: { error: { type: "string" } }
+        }
+      }
+    }
+  };
+};
+
+export default buildOpenApiSpec;
@@ -0,0 +1,66 @@
+// server/recycleBinSweep.js
+import { purgeExpiredRecycleBin } from "../src/services/datasetRepository";
+
+/**
+ * ============================================
+ * RECYCLE BIN EXPIRY
+ * ============================================
+ *
+ * Permanently deletes recycle bin entries past their retention period (see
+ * src/services/datasetRepository.js) every `intervalMs`
+ * (RECYCLE_BIN_SWEEP_MINUTES, default 60). Purging is reserved for admins
+ * in the Firestore rules, so it runs here with the Admin SDK rather than in
+ * the dashboard; expired entries are already hidden from the recycle bin
+ * until then.
+ */
+
+const DEFAULT_SWEEP_MINUTES = 60;
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - how often the bin is swept
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {{ sweepNow: Function, start: Function, stop: Function }}
+ */
+export const createRecycleBinSweep = ({
+  intervalMs = (Number(process.env.RECYCLE_BIN_SWEEP_MINUTES) || DEFAULT_SWEEP_MINUTES) * 60 * 1000,
+  now = () => Date.now()
+} = {}) => {
+  let timer = null;
+  let sweeping = null;
+
+  // Resolves with the number of entries purged (0 when the sweep failed)
+  const sweepNow = () => {
+    if (sweeping) return sweeping;
+
+    sweeping = purgeExpiredRecycleBin(new Date(now()))
+      .then((purged) => {
+        if (purged > 0) console.log(`Purged ${purged} expired recycle bin entries`);
+        return purged;
+      })
+      .catch((error) => {
+        console.error("Error sweeping the recycle bin:", error);
+        return 0;
+      })
+      .finally(() => {
+        sweeping = null;
+      });
+    return sweeping;
+  };
+
+  const start = () => {
+    if (timer) return;
+    sweepNow();
+    timer = setInterval(sweepNow, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { sweepNow, start, stop };
+};
+
+export default createRecycleBinSweep;
@@ -0,0 +1,188 @@
+// server/retraining.js
+import { fetchAllRecords } from "../src/services/firestoreService";
+import { hashDocuments } from "../src/services/versionService";
+import {
+  FORECAST_STATUS,
+  RETRAIN_REASONS,
+  forecastPreparation,
+  getForecastConfig,
+  getRetrainReason,
+  listForecastConfigs,
+  saveForecastModel,
+  updateForecastStatus
+} from "../src/services/forecastModelService";
+import {
+  buildForecastMetadata,
+  prepareForecastDataset,
+  trainForecastModel
+} from "../src/utils/sharedTrainingPipeline";
+import { httpError } from "./middleware/errors";
+
+/**
+ * ============================================
+ * SCHEDULED FORECAST RETRAINING
+ * ============================================
+ *
+ * Retrains the configurations in "forecast_configs" (see
+ * src/services/forecastModelService.js) and stores each new model in
+ * "forecast_models" for every user's ForecastPanel.
+ *
+ * Every `intervalMs` (RETRAIN_CHECK_MINUTES, default 15) each configuration
+ * is checked against its collection: it is retrained when it was never
+ * trained, when the collection's contents changed since the last training,
+ * or when its schedule is due. Trainings run one at a time, including ones
+ * requested through POST /forecasts/:id/retrain.
+ *
+ * Uses the native TensorFlow backend from @tensorflow/tfjs-node when its
+ * binary is installed, otherwise the slower pure JavaScript CPU backend.
+ */
+
+const DEFAULT_CHECK_MINUTES = 15;
+
+// Load the native backend once; the models share @tensorflow/tfjs's engine
+let backendReady = null;
+const loadNativeBackend = () => {
+  if (!backendReady) {
+    backendReady = import("@tensorflow/tfjs-node").then(
+      () => "tensorflow",
+      (error) => {
+        console.warn(`@tensorflow/tfjs-node unavailable, training on the CPU backend: ${error.message}`);
+        return "cpu";
+      }
+    );
+  }
+  return backendReady;
+};
+
+// Collection rows in ForecastPanel's shape, and a hash of them
+const readTrainingData = async (collection) => {
+  const records = await fetchAllRecords(collection);
+  const dataHash = await hashDocuments(records.map(({ id, ...data }) => ({ id, data })));
+  return { records, dataHash };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - how often configurations are checked
+ * @param {Function} [options.now] - clock, for tests
+ * @returns {Object} scheduler
+ */
+export const createRetrainingScheduler = ({
+  intervalMs = (Number(process.env.RETRAIN_CHECK_MINUTES) || DEFAULT_CHECK_MINUTES) * 60 * 1000,
+  now = () => Date.now()
+} = {}) => {
+  let timer = null;
+  let checking = null;
+  let pending = Promise.resolve();
+  const queued = new Set();
+
+  const retrain = async (config, reason, { records, dataHash }) => {
+    await updateForecastStatus(config.id, { status: FORECAST_STATUS.TRAINING, lastError: null });
+    let model = null;
+
+    try {
+      await loadNativeBackend();
+      const preparation = forecastPreparation(config);
+      const hyperparameters = {
+        epochs: 100,
+        validationSplit: 0.2,
+        ...config.hyperparameters,
+        modelType: config.modelType
+      };
+
+      const dataset = prepareForecastDataset(records, preparation, hyperparameters.lookback);
+      const result = await trainForecastModel(dataset, preparation, hyperparameters);
+      model = result.model;
+      const metadata = buildForecastMetadata(result, preparation);
+
+      await saveForecastModel(config, model, metadata, dataHash);
+
+      await updateForecastStatus(config.id, {
+        status: FORECAST_STATUS.IDLE,
+        lastTrainedAt: metadata.trainedAt,
+        lastReason: reason,
+        lastDataHash: dataHash
+      });
+      console.log(`Retrained forecast ${config.name} (${reason}): MAE ${metadata.metrics.mae}`);
+    } catch (error) {
+      console.error(`Error retraining forecast ${config.id}:`, error);
+      await updateForecastStatus(config.id, {
+        status: FORECAST_STATUS.FAILED,
+        lastError: error.message
+      });
+    } finally {
+      model?.dispose();
+    }
+  };
+
+  // Run one training after the ones already waiting
+  const enqueue = (id, work) => {
+    queued.add(id);
+    pending = pending
+      .then(work)
+      .catch((error) => console.error(`Error retraining forecast ${id}:`, error))
+      .finally(() => queued.delete(id));
+    return pending;
+  };
+
+  /**
+   * Check every configuration and retrain those that are due.
+   * @returns {Promise<void>} resolves once the due trainings ran
+   */
+  const checkNow = () => {
+    if (checking) return checking;
+
+    checking = (async () => {
+      const configs = await listForecastConfigs();
+      for (const config of configs) {
+        if (queued.has(config.id)) continue;
+        const data = await readTrainingData(config.collection);
+        const reason = getRetrainReason(config, { dataHash: data.dataHash, now: now() });
+        if (reason) await enqueue(config.id, () => retrain(config, reason, data));
+      }
+    })()
+      .catch((error) => console.error("Error checking forecasts for retraining:", error))
+      .finally(() => {
+        checking = null;
+      });
+    return checking;
+  };
+
+  /**
+   * Queue a training now, whatever the schedule says.
+   * @param {string} id - configuration ID
+   * @returns {Promise<Object>} the configuration
+   */
+  const requestRetrain = async (id) => {
+    const config = await getForecastConfig(id);
+    if (!config) throw httpError(404, `Forecast ${id} not found`);
+    if (queued.has(id)) throw httpError(409, "This forecast is already being retrained");
+
+    enqueue(id, async () => retrain(config, RETRAIN_REASONS.MANUAL, await readTrainingData(config.collection)));
+    return config;
+  };
+
+  const start = () => {
+    if (timer) return;
+    checkNow();
+    timer = setInterval(checkNow, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Resolves once no check or training is waiting (for tests and shutdown)
+  const whenIdle = async () => {
+    while (checking || queued.size > 0) {
+      await checking;
+      await pending;
+    }
+  };
+
+  return { checkNow, requestRetrain, start, stop, whenIdle };
+};
+
+export default createRetrainingScheduler;
@@ -0,0 +1,108 @@
+// server/routes/admin.js
+import { Router } from "express";
+import { fetchAuditLog, toAuditCsvRows } from "../../src/services/auditService";
+import {
+  approveAdminRequest,
+  getPendingAdminRequests,
+  rejectAdminRequest
+} from "../../src/services/adminAccessService";
+import { parseInviteEmails } from "../../src/utils/validators";
+import { httpError } from "../middleware/errors";
+import { sendCsv } from "./export";
+import {
+  inviteUsers,
+  listInvitations,
+  listUsers,
+  revokeInvitation,
+  setUserRole,
+  setUserStatus
+} from "../userAdmin";
+
+/**
+ * ============================================
+ * /admin ROUTES
+ * ============================================
+ *
+ *   GET    /admin/users
+ *   PATCH  /admin/users/:uid                  { role?, status? }
+ *   POST   /admin/users/:uid/password-reset   → { link } to pass on to the user
+ *   GET    /admin/invitations
+ *   POST   /admin/invitations                 { emails: [] | "csv text", role }
+ *   DELETE /admin/invitations/:email
+ *   GET    /admin/admin-requests              pending requests
+ *   POST   /admin/admin-requests/:uid/approve
+ *   POST   /admin/admin-requests/:uid/reject
+ *   GET    /admin/audit?user=&dataset=&from=&to=&format=csv
+ *
+ * Mounted behind requireRole("admin"). Admins cannot change their own role
+ * or status, so the last admin cannot lock everyone out.
+ *
+ * @param {Object} auth - firebase-admin Auth instance
+ */
+export const createAdminRouter = (auth) => {
+  const router = Router();
+  const actor = (req) => ({ uid: req.user.uid, email: req.user.email });
+
+  // ========== USERS ==========
+  router.get("/users", async (req, res) => {
+    res.json(await listUsers());
+  });
+
+  router.patch("/users/:uid", async (req, res) => {
+    const { role, status } = req.body || {};
+    if (req.params.uid === req.user.uid) throw httpError(400, "You cannot change your own role or status");
+    if (role === undefined && status === undefined) throw httpError(400, "Nothing to update");
+
+    if (role !== undefined) await setUserRole(req.params.uid, role);
+    if (status !== undefined) await setUserStatus(req.params.uid, status, { auth, decidedBy: actor(req) });
+    res.status(204).end();
+  });
+
+  router.post("/users/:uid/password-reset", async (req, res) => {
+    const account = await auth.getUser(req.params.uid);
+    res.json({ email: account.email, link: await auth.generatePasswordResetLink(account.email) });
+  });
+
+  // ========== INVITATIONS ==========
+  router.get("/invitations", async (req, res) => {
+    res.json(await listInvitations());
+  });
+
+  router.post("/invitations", async (req, res) => {
+    const { emails = [], role } = req.body || {};
+    const parsed = parseInviteEmails(Array.isArray(emails) ? emails.join("\n") : emails);
+    if (parsed.emails.length === 0) throw httpError(400, "No valid email addresses found");
+    const result = await inviteUsers(parsed.emails, role, actor(req));
+    res.status(201).json({ ...result, invalid: parsed.invalid });
+  });
+
+  router.delete("/invitations/:email", async (req, res) => {
+    await revokeInvitation(req.params.email);
+    res.status(204).end();
+  });
+
+  // ========== ADMIN REQUESTS ==========
+  router.get("/admin-requests", async (req, res) => {
+    res.json(await getPendingAdminRequests());
+  });
+
+  router.post("/admin-requests/:uid/approve", async (req, res) => {
+    res.json(await approveAdminRequest(req.params.uid, actor(req)));
+  });
+
+  router.post("/admin-requests/:uid/reject", async (req, res) => {
+    res.json(await rejectAdminRequest(req.params.uid, actor(req)));
+  });
+
+  // ========== AUDIT LOG ==========
+  router.get("/audit", async (req, res) => {
+    const { user, dataset, from, to, format } = req.query;
+    const entries = await fetchAuditLog({ user, dataset, from, to });
+    if (format === "csv") return sendCsv(res, "audit-log.csv", toAuditCsvRows(entries));
+    res.json(entries);
+  });
+
+  return router;
+};
+
+export default createAdminRouter;
@@ -0,0 +1,194 @@
+// server/routes/data.js
+import express, { Router } from "express";
+import {
+  addRecord,
+  deleteCollection,
+  deleteRecord,
+  fetchAllRecords,
+  updateRecord
+} from "../../src/services/firestoreService";
+import { listCollections, normalizeCollectionName } from "../../src/services/collectionRegistry";
+import {
+  addDatasetValue,
+  deleteDatasetValue,
+  fetchDataset,
+  updateDatasetValue
+} from "../../src/services/datasetRepository";
+import { getDatasetConfig } from "../../src/utils/datasetRegistry";
+import {
+  COLLECTION_ACCESS,
+  PERMISSIONS,
+  UPLOADED_COLLECTION_ACCESS,
+  hasPermission
+} from "../../src/utils/permissions";
+import { httpError } from "../middleware/errors";
+import { requirePermission } from "../middleware/auth";
+import { createImportsRouter } from "./imports";
+
+/**
+ * ============================================
+ * /data ROUTES
+ * ============================================
+ *
+ *   GET    /data/collections                     registered CSV collections
+ *   GET    /data/collections/:name               every record of a collection
+ *   POST   /data/collections/:name/records       add a record
+ *   PUT    /data/collections/:name/records/:id   replace a record
+ *   DELETE /data/collections/:name/records/:id
+ *   POST   /data/collections/:name/import        CSV body (text/csv); queues an
+ *                                                import job that replaces the
+ *                                                collection unless ?append=true,
+ *                                                which merges with ?strategy= (default)
+ *                                                and ?strategies= (JSON, field → strategy);
+ *                                                ?profile=<id> maps the columns
+ *                                                with an import profile
+ *   /data/imports/*                              import jobs (routes/imports.js)
+ *   DELETE /data/collections/:name               delete (kept as a version)
+ *   GET    /data/datasets/:key                   category dataset rows
+ *   POST   /data/datasets/:key/values            { category, year, count }
+ *   PUT    /data/datasets/:key/values            { category, year, count }
+ *   DELETE /data/datasets/:key/values?category=&year=
+ *
+ * Each operation needs the permission firestore.rules would ask for
+ * (COLLECTION_ACCESS / UPLOADED_COLLECTION_ACCESS in utils/permissions.js).
+ * Collections with their own access rules (users, audit_log, ...) are never
+ * reachable as CSV collections.
+ */
+
+const MAX_CSV_SIZE = "20mb";
+
+const canAccess = (user, grant) =>
+  [].concat(grant).some((permission) => hasPermission(user, permission));
+
+// Resolve :name to an uploaded collection the caller may use for `operation`
+const uploadedCollection = (operation) => (req, res, next) => {
+  const name = normalizeCollectionName(req.params.name);
+  if (COLLECTION_ACCESS[name]) throw httpError(403, `${name} is not a CSV collection`);
+  if (!canAccess(req.user, UPLOADED_COLLECTION_ACCESS[operation])) {
+    throw httpError(403, `Your role does not allow this (${operation} ${name})`);
+  }
+  req.collectionName = name;
+  next();
+};
+
+// Resolve :key to a registry dataset the caller may use for `operation`
+const categoryDataset = (operation) => (req, res, next) => {
+  let config;
+  try {
+    config = getDatasetConfig(req.params.key);
+  } catch (error) {
+    throw httpError(404, error.message);
+  }
+  if (!canAccess(req.user, COLLECTION_ACCESS[config.collection][operation])) {
+    throw httpError(403, `Your role does not allow this (${operation} ${config.key})`);
+  }
+  req.dataset = config;
+  next();
+};
+
+// { category, year, count } from a JSON body or the query string
+const cellFrom = ({ category, year, count } = {}, { withCount = true } = {}) => {
+  if (category === undefined || category === null || category === "") throw httpError(400, "category is required");
+  if (withCount && !Number.isFinite(Number(count))) throw httpError(400, "count must be a number");
+  return {
+    category: String(category),
+    year: year === undefined || year === null || year === "" ? null : Number(year),
+    count: Number(count)
+  };
+};
+
+// Per-field merge strategies from ?strategies={"emigrants":"sum"}
+const parseStrategies = (text) => {
+  if (!text) return {};
+  try {
+    const strategies = JSON.parse(text);
+    if (strategies && typeof strategies === "object" && !Array.isArray(strategies)) return strategies;
+  } catch {
+    // reported below
+  }
+  throw httpError(400, "strategies must be a JSON object of field → strategy");
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.importJobs - from createImportJobRunner
+ * @returns {Object} Express router
+ */
+export const createDataRouter = ({ importJobs }) => {
+  const router = Router();
+
+  // ========== UPLOADED CSV COLLECTIONS ==========
+  router.get("/collections", requirePermission(PERMISSIONS.VIEW_DATA), async (req, res) => {
+    res.json(await listCollections());
+  });
+
+  router.get("/collections/:name", uploadedCollection("read"), async (req, res) => {
+    res.json(await fetchAllRecords(req.collectionName));
+  });
+
+  router.post("/collections/:name/records", uploadedCollection("create"), async (req, res) => {
+    res.status(201).json(await addRecord(req.body, req.collectionName));
+  });
+
+  router.put("/collections/:name/records/:id", uploadedCollection("update"), async (req, res) => {
+    res.json(await updateRecord(req.params.id, req.body, req.collectionName));
+  });
+
+  router.delete("/collections/:name/records/:id", uploadedCollection("delete"), async (req, res) => {
+    await deleteRecord(req.params.id, req.collectionName);
+    res.status(204).end();
+  });
+
+  router.post(
+    "/collections/:name/import",
+    express.text({ type: ["text/csv", "text/plain"], limit: MAX_CSV_SIZE }),
+    uploadedCollection("create"),
+    async (req, res) => {
+      if (typeof req.body !== "string" || !req.body.trim()) throw httpError(400, "Send the CSV as a text/csv body");
+      const job = await importJobs.createJob({
+        csvText: req.body,
+        collection: req.collectionName,
+        sourceFileName: req.query.fileName || null,
+        append: req.query.append === "true",
+        strategies: parseStrategies(req.query.strategies),
+        defaultStrategy: req.query.strategy || undefined,
+        profileId: req.query.profile || null,
+        createdBy: { uid: req.user.uid, email: req.user.email }
+      });
+      res.status(202).json(job);
+    }
+  );
+
+  router.use("/imports", requirePermission(PERMISSIONS.UPLOAD_DATA), createImportsRouter(importJobs));
+
+  router.delete("/collections/:name", requirePermission(PERMISSIONS.CLEAR_ALL_DATA), uploadedCollection("delete"), async (req, res) => {
+    const versionId = await deleteCollection(req.collectionName, {
+      createdBy: { uid: req.user.uid, email: req.user.email }
+    });
+    res.json({ collection: req.collectionName, versionId });
+  });
+
+  // ========== CATEGORY DATASETS ==========
+  router.get("/datasets/:key", categoryDataset("read"), async (req, res) => {
+    res.json(await fetchDataset(req.dataset.key));
+  });
+
+  router.post("/datasets/:key/values", categoryDataset("create"), async (req, res) => {
+    const { category, year, count } = cellFrom(req.body);
+    res.status(201).json(await addDatasetValue(req.dataset.key, category, year, count));
+  });
+
+  router.put("/datasets/:key/values", categoryDataset("update"), async (req, res) => {
+    const { category, year, count } = cellFrom(req.body);
+    res.json(await updateDatasetValue(req.dataset.key, category, year, count));
+  });
+
+  router.delete("/datasets/:key/values", categoryDataset("delete"), async (req, res) => {
+    const { category, year } = cellFrom(req.query, { withCount: false });
+    res.json(await deleteDatasetValue(req.dataset.key, category, year));
+  });
+
+  return router;
+};
+
+export default createDataRouter;
@@ -0,0 +1,57 @@
+// server/routes/export.js
+import { Router } from "express";
+import Papa from "papaparse";
+import { fetchAllRecords } from "../../src/services/firestoreService";
+import { fetchTidyDataset } from "../../src/services/datasetRepository";
+import { normalizeCollectionName } from "../../src/services/collectionRegistry";
+import { DATASET_REGISTRY } from "../../src/utils/datasetRegistry";
+import { COLLECTION_ACCESS, PERMISSIONS } from "../../src/utils/permissions";
+import { httpError } from "../middleware/errors";
+import { requirePermission } from "../middleware/auth";
+
+/**
+ * ============================================
+ * /export ROUTES
+ * ============================================
+ *
+ *   GET /export/collections/:name   uploaded collection as CSV (year first)
+ *   GET /export/datasets/:key       category dataset as tidy CSV
+ *                                   (dataset, year, dimension, category, value)
+ *
+ * Both need export_table and view_data, like the table export in the UI.
+ */
+
+// Send rows as a CSV attachment
+export const sendCsv = (res, fileName, rows, columns) => {
+  res.attachment(fileName);
+  res.type("text/csv");
+  res.send(Papa.unparse(rows, { columns }));
+};
+
+const recordColumns = (records) => {
+  const columns = new Set();
+  records.forEach(({ id, year, ...fields }) => Object.keys(fields).forEach((key) => columns.add(key)));
+  return ["year", ...Array.from(columns).sort()];
+};
+
+export const createExportRouter = () => {
+  const router = Router();
+  router.use(requirePermission(PERMISSIONS.VIEW_DATA), requirePermission(PERMISSIONS.EXPORT_TABLE));
+
+  router.get("/collections/:name", async (req, res) => {
+    const name = normalizeCollectionName(req.params.name);
+    if (COLLECTION_ACCESS[name]) throw httpError(403, `${name} is not a CSV collection`);
+    const records = await fetchAllRecords(name);
+    sendCsv(res, `${name}.csv`, records, recordColumns(records));
+  });
+
+  router.get("/datasets/:key", async (req, res) => {
+    if (!DATASET_REGISTRY[req.params.key]) throw httpError(404, `Unknown dataset: ${req.params.key}`);
+    const rows = await fetchTidyDataset(req.params.key);
+    sendCsv(res, `${req.params.key}.csv`, rows, ["dataset", "year", "dimension", "category", "value"]);
+  });
+
+  return router;
+};
+
+export default createExportRouter;
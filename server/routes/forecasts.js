@@ -0,0 +1,37 @@
+// server/routes/forecasts.js
+import { Router } from "express";
+import { PERMISSIONS } from "../../src/utils/permissions";
+import { listForecastConfigs } from "../../src/services/forecastModelService";
+import { requirePermission } from "../middleware/auth";
+
+/**
+ * ============================================
+ * /forecasts ROUTES
+ * ============================================
+ *
+ *   GET  /forecasts               registered forecast configurations
+ *   POST /forecasts/:id/retrain   queue a training now (train_ml_models)
+ *
+ * Configurations are created from ForecastPanel and trained models are read
+ * from "forecast_models" directly (see src/services/forecastModelService.js).
+ */
+
+/**
+ * @param {Object} retraining - from createRetrainingScheduler
+ * @returns {Object} Express router
+ */
+export const createForecastsRouter = (retraining) => {
+  const router = Router();
+
+  router.get("/", requirePermission(PERMISSIONS.VIEW_DATA), async (req, res) => {
+    res.json(await listForecastConfigs());
+  });
+
+  router.post("/:id/retrain", requirePermission(PERMISSIONS.TRAIN_ML_MODELS), async (req, res) => {
+    res.status(202).json(await retraining.requestRetrain(req.params.id));
+  });
+
+  return router;
+};
+
+export default createForecastsRouter;
@@ -0,0 +1,95 @@
+// server/routes/imports.js
+import { Router } from "express";
+import { httpError } from "../middleware/errors";
+import { isFinishedJob } from "../../src/utils/importJobs";
+
+/**
+ * ============================================
+ * /data/imports ROUTES
+ * ============================================
+ *
+ *   GET  /data/imports              recent import jobs
+ *   GET  /data/imports/:id          one job
+ *   GET  /data/imports/:id/events   Server-Sent Events: a "progress" event
+ *                                   with the job on every change; the stream
+ *                                   ends once the job has finished
+ *   POST /data/imports/:id/cancel
+ *   POST /data/imports/:id/resume
+ *
+ * Jobs are created by POST /data/collections/:name/import (routes/data.js).
+ */
+
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * @param {Object} importJobs - from createImportJobRunner
+ * @returns {Object} Express router
+ */
+export const createImportsRouter = (importJobs) => {
+  const router = Router();
+
+  const findJob = async (id) => {
+    const job = await importJobs.getJob(id);
+    if (!job) throw httpError(404, `No import job ${id}`);
+    return job;
+  };
+
+  router.get("/", async (req, res) => {
+    res.json(await importJobs.listJobs());
+  });
+
+  router.get("/:id", async (req, res) => {
+    res.json(await findJob(req.params.id));
+  });
+
+  router.get("/:id/events", async (req, res) => {
+    const { id } = req.params;
+    // Subscribe before reading, so no change between the two is missed
+    const pending = [];
+    let send = (job) => pending.push(job);
+    const unsubscribe = importJobs.subscribe(id, (job) => send(job));
+
+    let job;
+    try {
+      job = await findJob(id);
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    send = (next) => {
+      res.write(`event: progress\ndata: ${JSON.stringify(next)}\n\n`);
+      if (isFinishedJob(next)) {
+        close();
+        res.end();
+      }
+    };
+    req.on("close", close);
+
+    send(pending.length > 0 ? pending[pending.length - 1] : job);
+  });
+
+  router.post("/:id/cancel", async (req, res) => {
+    res.json(await importJobs.cancelJob(req.params.id));
+  });
+
+  router.post("/:id/resume", async (req, res) => {
+    res.json(await importJobs.resumeJob(req.params.id));
+  });
+
+  return router;
+};
+
+export default createImportsRouter;
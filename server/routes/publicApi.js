@@ -0,0 +1,109 @@
+// server/routes/publicApi.js
+import { Router } from "express";
+import { fetchTidyDataset } from "../../src/services/datasetRepository";
+import { findApiKey, touchApiKey } from "../../src/services/apiKeyService";
+import { DATASET_REGISTRY } from "../../src/utils/datasetRegistry";
+import { filterTidy } from "../../src/utils/tidyData";
+import { httpError } from "../middleware/errors";
+import { createRateLimiter } from "../middleware/rateLimit";
+import { buildOpenApiSpec } from "../openApi";
+import { sendCsv } from "./export";
+
+/**
+ * ============================================
+ * PUBLIC DATASET API (/api/v1)
+ * ============================================
+ *
+ *   GET /api/v1/openapi.json      OpenAPI description (no key needed)
+ *   GET /api/v1/datasets          published datasets
+ *   GET /api/v1/datasets/:id?from=1990&to=2020&categories=USA,CANADA&format=csv
+ *
+ * Read-only and open to any origin. Every other request needs an API key
+ * (X-API-Key header or ?api_key=) created in the admin console; each key
+ * has its own requests-per-minute limit.
+ */
+
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const describeDataset = ({ key, displayName, description, categoryKey, categoryLabel }) => ({
+  id: key,
+  name: displayName,
+  description,
+  dimension: categoryKey,
+  categoryLabel
+});
+
+const optionalYear = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  if (!/^\d{4}$/.test(String(value))) throw httpError(400, `${name} must be a 4-digit year`);
+  return Number(value);
+};
+
+const wantsCsv = (req) => req.query.format === "csv" || (!req.query.format && req.accepts(["json", "csv"]) === "csv");
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.limiter] - from createRateLimiter; one per process
+ * @returns {Object} Express router
+ */
+export const createPublicApiRouter = ({ limiter = createRateLimiter() } = {}) => {
+  const router = Router();
+  const lastTouched = new Map();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiSpec({ serverUrl: `${req.protocol}://${req.get("host")}${req.baseUrl}` }));
+  });
+
+  // ========== API KEY & RATE LIMIT ==========
+  router.use(async (req, res, next) => {
+    const key = req.get("X-API-Key") || req.query.api_key;
+    if (!key) throw httpError(401, "Missing API key");
+
+    const apiKey = await findApiKey(key);
+    if (!apiKey) throw httpError(401, "Invalid or revoked API key");
+
+    const { allowed, limit, remaining, resetAt } = limiter.consume(apiKey.id, apiKey.rateLimit);
+    res.set({
+      "X-RateLimit-Limit": String(limit),
+      "X-RateLimit-Remaining": String(remaining),
+      "X-RateLimit-Reset": String(Math.ceil(resetAt / 1000))
+    });
+    if (!allowed) {
+      res.set("Retry-After", String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+      throw httpError(429, `Rate limit of ${limit} requests per minute exceeded`);
+    }
+
+    if (Date.now() - (lastTouched.get(apiKey.id) || 0) > TOUCH_INTERVAL_MS) {
+      lastTouched.set(apiKey.id, Date.now());
+      touchApiKey(apiKey.id);
+    }
+    next();
+  });
+
+  // ========== DATASETS ==========
+  router.get("/datasets", (req, res) => {
+    res.json(Object.values(DATASET_REGISTRY).map(describeDataset));
+  });
+
+  router.get("/datasets/:id", async (req, res) => {
+    const config = DATASET_REGISTRY[req.params.id];
+    if (!config) throw httpError(404, `Unknown dataset: ${req.params.id}`);
+
+    const minYear = optionalYear(req.query.from, "from");
+    const maxYear = optionalYear(req.query.to, "to");
+    const categories = String(req.query.categories || "")
+      .split(",")
+      .map((category) => category.trim())
+      .filter(Boolean);
+    const rows = filterTidy(await fetchTidyDataset(config.key), { categories, minYear, maxYear });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, `${config.key}.csv`, rows, ["dataset", "year", "dimension", "category", "value"]);
+    }
+    res.json({ dataset: describeDataset(config), count: rows.length, data: rows });
+  });
+
+  return router;
+};
+
+export default createPublicApiRouter;
@@ -0,0 +1,135 @@
+// server/userAdmin.js
+import { getStorage } from "../src/services/storage";
+import { recordAudit, AUDIT_OPERATIONS } from "../src/services/auditService";
+import { SESSIONS_COLLECTION, revokeSession } from "../src/services/sessionService";
+import { USER_STATUS, normalizeRole } from "../src/utils/permissions";
+import { httpError } from "./middleware/errors";
+
+/**
+ * ============================================
+ * USER ADMINISTRATION (server side)
+ * ============================================
+ *
+ * The Users tab actions of AuthService, run with the Admin SDK through the
+ * storage adapter. Suspending a user also revokes their Firebase refresh
+ * tokens and ends their open sessions, which the browser cannot do.
+ */
+
+const USERS_COLLECTION = "users";
+const INVITATIONS_COLLECTION = "user_invitations";
+
+const toActor = (user) => (user ? { uid: user.uid || null, email: user.email || null } : null);
+
+const getProfile = async (uid) => {
+  const profile = await getStorage().getDocument(USERS_COLLECTION, uid);
+  if (!profile) throw httpError(404, `No user ${uid}`);
+  return profile.data;
+};
+
+export const listUsers = async () => {
+  const documents = await getStorage().getDocuments(USERS_COLLECTION);
+  return documents
+    .map(({ id, data }) => ({ id, ...data }))
+    .sort((a, b) => String(a.email).localeCompare(String(b.email)));
+};
+
+// Change a user's role; extra grants from the old role are dropped
+export const setUserRole = async (uid, newRole) => {
+  const role = normalizeRole(newRole);
+  if (!role) throw httpError(400, `Unknown role: ${newRole}`);
+
+  const previous = await getProfile(uid);
+  await getStorage().updateDocument(USERS_COLLECTION, uid, {
+    role,
+    permissions: [],
+    updatedAt: new Date().toISOString()
+  });
+  await recordAudit({
+    collection: USERS_COLLECTION,
+    documentId: uid,
+    operation: AUDIT_OPERATIONS.CHANGE_ROLE,
+    before: { role: previous.role || null },
+    after: { role }
+  });
+};
+
+/**
+ * Suspend or reactivate a user.
+ * @param {string} uid
+ * @param {string} status - one of USER_STATUS
+ * @param {Object} options
+ * @param {Object} options.auth - firebase-admin Auth, to revoke refresh tokens
+ * @param {Object} [options.decidedBy] - { uid, email } of the admin
+ */
+export const setUserStatus = async (uid, status, { auth, decidedBy = null }) => {
+  if (!Object.values(USER_STATUS).includes(status)) throw httpError(400, `Unknown status: ${status}`);
+
+  await getProfile(uid);
+  await getStorage().updateDocument(USERS_COLLECTION, uid, {
+    status,
+    updatedAt: new Date().toISOString()
+  });
+  await recordAudit({
+    collection: USERS_COLLECTION,
+    documentId: uid,
+    operation: status === USER_STATUS.SUSPENDED ? AUDIT_OPERATIONS.SUSPEND_USER : AUDIT_OPERATIONS.REACTIVATE_USER,
+    after: { status }
+  });
+
+  if (status === USER_STATUS.SUSPENDED) {
+    await auth.revokeRefreshTokens(uid);
+    const { documents } = await getStorage().queryDocuments(SESSIONS_COLLECTION, {
+      where: [["uid", "==", uid], ["endedAt", "==", null]]
+    });
+    await Promise.all(documents.map(({ id }) => revokeSession(id, toActor(decidedBy))));
+  }
+};
+
+// ========== INVITATIONS ==========
+
+export const listInvitations = async () => {
+  const documents = await getStorage().getDocuments(INVITATIONS_COLLECTION);
+  return documents
+    .map(({ id, data }) => ({ id, ...data }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Invite users by email; emails that already have an account are skipped.
+ * @returns {Promise<{ invited: string[], skipped: string[] }>}
+ */
+export const inviteUsers = async (emails = [], role, invitedBy = null) => {
+  const invitedRole = normalizeRole(role);
+  if (!invitedRole) throw httpError(400, `Unknown role: ${role}`);
+
+  const storage = getStorage();
+  const invited = [];
+  const skipped = [];
+  for (const address of emails) {
+    const email = String(address).trim().toLowerCase();
+    const { documents } = await storage.queryDocuments(USERS_COLLECTION, { where: [["email", "==", email]], limit: 1 });
+    if (documents.length > 0) {
+      skipped.push(email);
+      continue;
+    }
+    await storage.setDocument(INVITATIONS_COLLECTION, email, {
+      email,
+      role: invitedRole,
+      invitedBy: toActor(invitedBy),
+      invitedAt: new Date().toISOString()
+    });
+    invited.push(email);
+  }
+
+  if (invited.length > 0) {
+    await recordAudit({
+      collection: INVITATIONS_COLLECTION,
+      operation: AUDIT_OPERATIONS.INVITE_USERS,
+      after: { emails: invited, role: invitedRole }
+    });
+  }
+  return { invited, skipped };
+};
+
+export const revokeInvitation = (email) =>
+  getStorage().deleteDocument(INVITATIONS_COLLECTION, String(email).toLowerCase());
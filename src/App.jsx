@@ -9,53 +9,48 @@ import { useAgeData } from './hooks/useAgeData';
 import { useCountriesData } from './hooks/useCountriesData';
 import { useMajorCountriesData } from './hooks/useMajorCountriesData';
 import { useOccupationData } from './hooks/useOccupationData';
-import { useDatasetData } from './hooks/useDatasetData';
+import { useCategoryDataset } from './hooks/useCategoryDataset';
+import { usePermission } from './hooks/usePermission';
+import { useSession } from './hooks/useSession';
 import AgeDataTable from "./components/AgeDataTable";
 import AllCountriesTable from "./components/AllCountriesTable";
 import MajorCountriesTable from "./components/MajorCountriesTable";
 import OccupationTable from "./components/OccupationTable";
+import CategoryDataTable from "./components/CategoryDataTable";
 import DataTable from "./components/DataTable";
 import ForecastPanel from "./components/ForecastPanel"; 
 import TabNavigation from "./components/TabNavigation";
-import DatasetNavigation from "./components/DatasetNavigation";
+import DatasetNavigation, { VERSIONS_TAB } from "./components/DatasetNavigation";
+import VersionHistory from "./components/VersionHistory";
+import AuditLogViewer from "./components/AuditLogViewer";
+import UserManagement from "./components/UserManagement";
+import ActiveSessions from "./components/ActiveSessions";
+import SessionTimeoutDialog from "./components/SessionTimeoutDialog";
+import SyncConflictNotice from "./components/SyncConflictNotice";
+import OfflineSyncStatus from "./components/OfflineSyncStatus";
+import CollectionPicker from "./components/CollectionPicker";
+import CollectionComparison from "./components/CollectionComparison";
 import useDynamicSchema from "./hooks/useDynamicSchema";
 import ExportPanel from "./components/ExportPanel";
 import { cleanData, DEFAULT_PREPARATION_OPTIONS } from "./utils/dataPreparation";
+import { DATASET_REGISTRY } from "./utils/datasetRegistry";
+import { IMPORT_MODES } from "./utils/importJobs";
+import { normalizeCollectionName } from "./services/collectionRegistry";
+import { PERMISSIONS, ROLES, ROLE_LABELS, ROLE_DESCRIPTIONS } from "./utils/permissions";
+import { setCurrentUser } from "./services/currentUser";
+import { SESSION_END_REASONS } from "./services/sessionService";
 
 import { 
   BarChart3, Database, AlertCircle, CheckCircle2, Loader2, 
   FileSpreadsheet, TrendingUp, Upload, Download, 
-  Brain, LogOut, Shield, FileText, Lock 
+  Brain, LogOut, Shield, FileText, Lock, Tags 
 } from "lucide-react";
 
-// ========== PERMISSION CONFIGURATION ==========
-const PERMISSIONS = {
-  ADMIN: [
-    'upload_data',
-    'manage_data',
-    'delete_data',
-    'clear_all_data',
-    'view_dashboard',
-    'export_data',
-    'train_ml_models',
-    'manage_users'
-  ]
-};
-
-// ========== HELPER FUNCTIONS ==========
-const hasPermission = (role, permission) => {
-  return PERMISSIONS[role?.toUpperCase()]?.includes(permission) || false;
-};
-
-const normalizeCollectionName = (rawName = "") => {
-  if (!rawName) return "emigrants";
-  return rawName
-    .trim()
-    .replace(/\.[^/.]+$/, "")
-    .replace(/[^a-zA-Z0-9]+/g, "_")
-    .replace(/_{2,}/g, "_")
-    .replace(/^_+|_+$/g, "")
-    .toLowerCase() || "emigrants";
+// Shown on the login form after an automatic logout
+const SESSION_END_MESSAGES = {
+  [SESSION_END_REASONS.IDLE]: 'You were logged out after a period of inactivity.',
+  [SESSION_END_REASONS.EXPIRED]: 'Your session expired after 24 hours. Please log in again.',
+  [SESSION_END_REASONS.REVOKED]: 'This session was revoked. Please log in again.'
 };
 
 const App = () => {
@@ -67,11 +62,13 @@ const App = () => {
   const [csvData, setCsvData] = useState([]);
   const [activeCollection, setActiveCollection] = useState("emigrants");
   const [uploadStatus, setUploadStatus] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isForecastOpen, setIsForecastOpen] = useState(false);
   const [minYear, setMinYear] = useState(null);
   const [maxYear, setMaxYear] = useState(null);
   const [showExportPanel, setShowExportPanel] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [activeDataset, setActiveDataset] = useState('age');
   const fileInputRef = useRef(null);
@@ -84,32 +81,39 @@ const App = () => {
   const countriesData = useCountriesData();
   const majorCountriesData = useMajorCountriesData();
   const occupationData = useOccupationData();
-  const allCountriesData = useDatasetData('all-countries');
-  const majorCountriesDataOld = useDatasetData('major-countries');
-  const occupationDataOld = useDatasetData('occupation');
-  const sexData = useDatasetData('sex');
-  const civilStatusData = useDatasetData('civil-status');
-  const educationData = useDatasetData('education');
-  const placeOfOriginData = useDatasetData('place-of-origin');
+  const sexData = useCategoryDataset('sex');
+  const civilStatusData = useCategoryDataset('civil-status');
+  const educationData = useCategoryDataset('education');
+  const placeOfOriginData = useCategoryDataset('place-of-origin');
   
   // ========== USER STATE ==========
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [userRole, setUserRole] = useState(null);
   const [userEmail, setUserEmail] = useState('');
+  const [userId, setUserId] = useState(null);
+
+  // Role and permissions of the signed-in user (see utils/permissions.js)
+  const { user: sessionUser, role: userRole, can } = usePermission();
+
+  // This device's session: idle timeout, 24h expiry and remote revocation
+  const { warningSeconds, stayActive, endCurrentSession } = useSession(
+    isAuthenticated ? sessionUser : null,
+    (reason) => handleLogout(reason)
+  );
   
   // Check authentication on mount
   useEffect(() => {
     const unsubscribe = AuthService.onAuthStateChanged((user) => {
       if (user) {
         setIsAuthenticated(true);
-        setUserRole(user.role);
+        setCurrentUser(user);
         setUserEmail(user.email);
-        localStorage.setItem('role', user.role);
+        setUserId(user.uid || null);
         localStorage.setItem('email', user.email);
       } else {
         setIsAuthenticated(false);
-        setUserRole(null);
+        setCurrentUser(null);
         setUserEmail('');
+        setUserId(null);
       }
     });
     return () => unsubscribe();
@@ -124,10 +128,10 @@ const App = () => {
       const user = await AuthService.login(email, password);
       
       setIsAuthenticated(true);
-      setUserRole(user.role);
+      setCurrentUser(user);
       setUserEmail(user.email);
+      setUserId(user.uid || null);
       
-      localStorage.setItem('role', user.role);
       localStorage.setItem('email', user.email);
       
     } catch (err) {
@@ -139,21 +143,27 @@ const App = () => {
   };
 
   // ========== REGISTRATION HANDLER ==========
-  const handleRegister = async (email, password, name, role) => {
+  const handleRegister = async (email, password, name, role, adminReason) => {
     setAuthLoading(true);
     setAuthError('');
     
     try {
-      const user = await AuthService.register(email, password, name, role);
+      const user = await AuthService.register(email, password, name, role, adminReason);
       
       setIsAuthenticated(true);
-      setUserRole(user.role);
+      setCurrentUser(user);
       setUserEmail(user.email);
+      setUserId(user.uid || null);
       
-      localStorage.setItem('role', user.role);
       localStorage.setItem('email', user.email);
       
-      alert(`Account created successfully! Welcome, ${name}!`);
+      if (user.adminRequest?.error) {
+        alert(`Account created successfully! Welcome, ${name}! ${user.adminRequest.error}`);
+      } else if (user.adminRequest) {
+        alert(`Account created successfully! Welcome, ${name}! Your administrator access request is awaiting approval.`);
+      } else {
+        alert(`Account created successfully! Welcome, ${name}!`);
+      }
       
     } catch (err) {
       console.error('Registration error:', err.message);
@@ -164,15 +174,18 @@ const App = () => {
   };
 
   // ========== LOGOUT HANDLER ==========
-  const handleLogout = async () => {
+  const handleLogout = async (reason = SESSION_END_REASONS.LOGOUT) => {
     try {
+      await endCurrentSession(reason);
       await AuthService.logout();
       
       setIsAuthenticated(false);
-      setUserRole(null);
+      setCurrentUser(null);
       setUserEmail('');
+      setUserId(null);
       setCsvData([]);
       setActiveCollection("emigrants");
+      setAuthError(SESSION_END_MESSAGES[reason] || '');
       
       console.log('✅ User logged out successfully');
     } catch (error) {
@@ -181,9 +194,17 @@ const App = () => {
     }
   };
 
+  // ========== COLLECTION SWITCH HANDLER ==========
+  const handleSelectCollection = (collectionName) => {
+    setCsvData([]);
+    setMinYear(null);
+    setMaxYear(null);
+    setActiveCollection(collectionName);
+  };
+
   // ========== CLEAR DATA HANDLER ==========
   const handleClearData = async () => {
-    if (!hasPermission(userRole, 'clear_all_data')) {
+    if (!can(PERMISSIONS.CLEAR_ALL_DATA)) {
       alert('Permission denied: Only administrators can clear data.');
       return;
     }
@@ -201,9 +222,38 @@ const App = () => {
     }
   };
 
+  // ========== RECORD TAG MIGRATION HANDLER ==========
+  const handleMigrateRecordTags = async () => {
+    if (!can(PERMISSIONS.MANAGE_DATA)) {
+      alert('Permission denied: Only administrators can migrate data.');
+      return;
+    }
+
+    try {
+      const { migrateDatasetRecordTags } = await import('./services/firestoreService');
+      const preview = await migrateDatasetRecordTags({ dryRun: true });
+      if (preview.retagged.length === 0) {
+        alert(`No records need re-tagging (${preview.unchanged} already tagged, ${preview.unresolved.length} unresolved).`);
+        return;
+      }
+
+      const confirmed = window.confirm(
+        `Re-tag ${preview.retagged.length} record(s) with exact dataset keys?\n` +
+        `${preview.unresolved.length} record(s) could not be matched and will be left unchanged.`
+      );
+      if (!confirmed) return;
+
+      const report = await migrateDatasetRecordTags();
+      alert(`Re-tagged ${report.retagged.length} record(s).`);
+    } catch (err) {
+      console.error("Failed to migrate record tags:", err);
+      alert('Failed to re-tag records. Please try again.');
+    }
+  };
+
   // ========== CSV UPLOAD HANDLER ==========
   const handleCsvUpload = async (rows, info = {}) => {
-    if (!hasPermission(userRole, 'upload_data')) {
+    if (!can(PERMISSIONS.UPLOAD_DATA)) {
       alert('Permission denied: Only administrators can upload data.');
       return;
     }
@@ -229,19 +279,36 @@ const App = () => {
       setActiveCollection(targetCollection);
       setCsvData(processedRows);
 
-      const { overwriteCollection } = await import('./services/firestoreService');
-      await overwriteCollection(processedRows, true, targetCollection);
+      const { overwriteCollection, upsertCollection } = await import('./services/firestoreService');
+      const writeOptions = {
+        onProgress: setUploadProgress,
+        createdBy: { uid: userId, email: userEmail },
+        sourceFileName: info.originalFileName || null
+      };
+
+      // Merging keeps the stored years the file does not contain
+      let merge = null;
+      if (info.mode === IMPORT_MODES.MERGE) {
+        ({ merge } = await upsertCollection(processedRows, targetCollection, { ...writeOptions, ...info.merge }));
+      } else {
+        await overwriteCollection(processedRows, true, targetCollection, writeOptions);
+      }
       setUploadStatus("success");
 
       setTimeout(() => {
         setCsvData([]);
         setUploadStatus(null);
+        setUploadProgress(null);
       }, 3000);
+      return merge;
 
     } catch (err) {
       console.error("Failed to upload CSV:", err);
       setUploadStatus("error");
-      setTimeout(() => setUploadStatus(null), 5000);
+      setTimeout(() => {
+        setUploadStatus(null);
+        setUploadProgress(null);
+      }, 5000);
     }
   };
 
@@ -299,26 +366,15 @@ const App = () => {
     };
   }, [preparedData, schema]);
 
-  const roleLabel = useMemo(() => {
-    switch (userRole) {
-      case 'super-admin':
-        return '👑 Super Admin';
-      case 'admin':
-        return '👑 Administrator';
-      case 'user':
-        return '👤 Regular User';
-      default:
-        return '👤 Guest';
-    }
-  }, [userRole]);
+  const roleLabel = userRole
+    ? `${userRole === ROLES.ADMIN ? '👑' : '👤'} ${ROLE_LABELS[userRole]}`
+    : '👤 Guest';
 
-  const roleChipClass = useMemo(() => {
-    if (userRole === 'super-admin') return 'role-chip role-chip--super';
-    if (userRole === 'admin') return 'role-chip role-chip--admin';
-    return 'role-chip';
-  }, [userRole]);
+  const roleChipClass = userRole === ROLES.ADMIN ? 'role-chip role-chip--admin' : 'role-chip';
 
-  const isPrivileged = userRole === 'super-admin' || userRole === 'admin';
+  const canUpload = can(PERMISSIONS.UPLOAD_DATA);
+  const canTrain = can(PERMISSIONS.TRAIN_ML_MODELS);
+  const canExport = can(PERMISSIONS.EXPORT_CHARTS) || can(PERMISSIONS.EXPORT_TABLE);
   const hasData = preparedData && preparedData.length > 0;
 
   const greetingName = userEmail || 'Explorer';
@@ -412,6 +468,11 @@ const App = () => {
   // ========== RENDER DASHBOARD ==========
   return (
     <div className="dashboard-shell">
+      <SessionTimeoutDialog
+        secondsLeft={warningSeconds}
+        onStay={stayActive}
+        onLogout={() => handleLogout()}
+      />
       <div className="dashboard-grid">
         {!loading && !hasData ? (
           <section className="section-block section-block--hero">
@@ -420,9 +481,9 @@ const App = () => {
                 <span className="section-kicker">Dashboard Overview</span>
                 <h1 className="section-title">Welcome back, {greetingName}.</h1>
                 <p className="section-description">
-                  {userRole === 'super-admin'
+                  {userRole === ROLES.ADMIN
                     ? 'You have full access to manage datasets, train models, and configure the platform.'
-                    : userRole === 'admin'
+                    : canUpload
                     ? 'Upload CSV data, manage records, and keep insights fresh for your team.'
                     : 'Browse the latest emigration insights and export what you need.'}
                 </p>
@@ -448,10 +509,10 @@ const App = () => {
                 <div className="stat-card">
                   <span className="stat-card__label">First step</span>
                   <span className="stat-card__value">
-                    {isPrivileged ? 'Upload data' : 'Stay informed'}
+                    {canUpload ? 'Upload data' : 'Stay informed'}
                   </span>
                   <p className="stat-card__meta">
-                    {isPrivileged
+                    {canUpload
                       ? 'Bring a CSV file with a 4-digit year column to populate the dashboard.'
                       : 'An administrator will upload data soon—check back for insights.'}
                   </p>
@@ -462,17 +523,18 @@ const App = () => {
                     {roleLabel.replace('👑 ', '').replace('👤 ', '')}
                   </span>
                   <p className="stat-card__meta">
-                    {userRole === 'super-admin'
-                      ? 'Full system controls, including ML training and data resets.'
-                      : userRole === 'admin'
-                      ? 'Upload, edit, and manage datasets for your organization.'
-                      : 'Read-only access with export permissions.'}
+                    {ROLE_DESCRIPTIONS[userRole] || 'No access has been granted to this account yet.'}
                   </p>
                 </div>
               </div>
 
               <div className="section-toolbar">
-                {isPrivileged ? (
+                <CollectionPicker
+                  activeCollection={activeCollection}
+                  onSelect={handleSelectCollection}
+                  currentUser={{ uid: userId, email: userEmail }}
+                />
+                {canUpload ? (
                   <button
                     className="button button--primary"
                     onClick={() => fileInputRef.current?.click()}
@@ -493,7 +555,7 @@ const App = () => {
                 )}
               </div>
 
-              {isPrivileged && (
+              {canUpload && (
                 <input
                   ref={fileInputRef}
                   type="file"
@@ -533,10 +595,15 @@ const App = () => {
             <TabNavigation 
               activeTab={activeTab} 
               setActiveTab={setActiveTab} 
-              userRole={userRole}
               hasData={hasData}
             />
 
+            {/* Remote edits that replaced unsaved local changes */}
+            <SyncConflictNotice />
+
+            {/* Edits queued while offline */}
+            <OfflineSyncStatus />
+
             {/* Dashboard Tab Content */}
             {activeTab === 'dashboard' && (
               <section className="section-block section-block--hero tab-content">
@@ -549,28 +616,34 @@ const App = () => {
                     </p>
                   </div>
                   <div className="section-toolbar">
+                    <CollectionPicker
+                      activeCollection={activeCollection}
+                      onSelect={handleSelectCollection}
+                      onCompare={() => setShowComparison(!showComparison)}
+                      currentUser={{ uid: userId, email: userEmail }}
+                    />
                     <span className={roleChipClass}>{roleLabel}</span>
-                    {hasData && isPrivileged && (
-                      <>
-                        <button
-                          className="button button--subtle"
-                          onClick={() => setIsForecastOpen(true)}
-                        >
-                          <Brain size={18} />
-                          Train ML Model
-                        </button>
-                        <button
-                          className="button button--ghost"
-                          onClick={() => setShowExportPanel(true)}
-                        >
-                          <Download size={18} />
-                          Export Data
-                        </button>
-                      </>
+                    {hasData && canTrain && (
+                      <button
+                        className="button button--subtle"
+                        onClick={() => setIsForecastOpen(true)}
+                      >
+                        <Brain size={18} />
+                        Train ML Model
+                      </button>
+                    )}
+                    {hasData && canExport && (
+                      <button
+                        className="button button--ghost"
+                        onClick={() => setShowExportPanel(true)}
+                      >
+                        <Download size={18} />
+                        Export Data
+                      </button>
                     )}
                     <button
                       className="button button--ghost"
-                      onClick={handleLogout}
+                      onClick={() => handleLogout()}
                       title={`Logout ${userEmail} (${userRole})`}
                     >
                       <LogOut size={18} />
@@ -579,6 +652,13 @@ const App = () => {
                   </div>
                 </div>
 
+                {showComparison && (
+                  <CollectionComparison
+                    activeCollection={activeCollection}
+                    onClose={() => setShowComparison(false)}
+                  />
+                )}
+
                 <div className="stat-grid">
                   <div className="stat-card">
                     <span className="stat-card__label">Total records</span>
@@ -591,6 +671,12 @@ const App = () => {
                     <p className="stat-card__meta">Dynamic fields detected from the latest CSV uploads.</p>
                   </div>
                 </div>
+
+                <DataTable
+                  data={data}
+                  setData={setData}
+                  datasetName={datasetName}
+                />
               </section>
             )}
 
@@ -606,8 +692,34 @@ const App = () => {
                         Browse and manage emigrant data from 1981-2020 across various demographic categories.
                       </p>
                     </div>
+                    {can(PERMISSIONS.MANAGE_DATA) && (
+                      <div className="section-toolbar">
+                        <button
+                          className="button button--ghost"
+                          onClick={handleMigrateRecordTags}
+                          title="Tag legacy records with exact dataset keys"
+                        >
+                          <Tags size={16} />
+                          Re-tag Records
+                        </button>
+                      </div>
+                    )}
                   </div>
 
+                  {/* CSV Import (replaces the active collection) */}
+                  {canUpload && (
+                    <div style={{ marginBottom: '1.5rem' }}>
+                      <CsvUploader
+                        onCsvData={handleCsvUpload}
+                        onClearData={handleClearData}
+                        isAuthenticated={isAuthenticated}
+                        uploadStatus={uploadStatus}
+                        uploadProgress={uploadProgress}
+                        onImportStarted={setActiveCollection}
+                      />
+                    </div>
+                  )}
+
                   {/* Dataset Sub-Navigation */}
                   <DatasetNavigation 
                     activeDataset={activeDataset} 
@@ -629,7 +741,6 @@ const App = () => {
                         data={ageData.data}
                         loading={ageData.loading}
                         error={ageData.error}
-                        userRole={userRole}
                         onAdd={ageData.addRecord}
                         onUpdate={ageData.updateRecord}
                         onDelete={ageData.removeRecord}
@@ -652,7 +763,6 @@ const App = () => {
                         data={countriesData.data}
                         loading={countriesData.loading}
                         error={countriesData.error}
-                        userRole={userRole}
                         onAdd={countriesData.addRecord}
                         onUpdate={countriesData.updateRecord}
                         onDelete={countriesData.deleteRecord}
@@ -675,7 +785,6 @@ const App = () => {
                         data={majorCountriesData.data}
                         loading={majorCountriesData.loading}
                         error={majorCountriesData.error}
-                        userRole={userRole}
                         onAdd={majorCountriesData.addRecord}
                         onUpdate={majorCountriesData.updateRecord}
                         onDelete={majorCountriesData.deleteRecord}
@@ -709,14 +818,14 @@ const App = () => {
                         </div>
                         <span className="role-chip">Emigrant-1981-2020-Sex.csv</span>
                       </div>
-                      <DataTable
+                      <CategoryDataTable
+                        dataset={DATASET_REGISTRY['sex']}
                         data={sexData.data}
-                        setData={sexData.setData}
-                        schema={schema}
-                        types={types}
-                        userRole={userRole}
                         loading={sexData.loading}
                         error={sexData.error}
+                        onAdd={sexData.addRecord}
+                        onUpdate={sexData.updateRecord}
+                        onDelete={sexData.deleteRecord}
                       />
                     </div>
                   )}
@@ -732,14 +841,14 @@ const App = () => {
                         </div>
                         <span className="role-chip">Emigrant-1988-2020-CivilStatus.csv</span>
                       </div>
-                      <DataTable
+                      <CategoryDataTable
+                        dataset={DATASET_REGISTRY['civil-status']}
                         data={civilStatusData.data}
-                        setData={civilStatusData.setData}
-                        schema={schema}
-                        types={types}
-                        userRole={userRole}
                         loading={civilStatusData.loading}
                         error={civilStatusData.error}
+                        onAdd={civilStatusData.addRecord}
+                        onUpdate={civilStatusData.updateRecord}
+                        onDelete={civilStatusData.deleteRecord}
                       />
                     </div>
                   )}
@@ -755,14 +864,14 @@ const App = () => {
                         </div>
                         <span className="role-chip">Emigrant-1988-2020-Educ.csv</span>
                       </div>
-                      <DataTable
+                      <CategoryDataTable
+                        dataset={DATASET_REGISTRY['education']}
                         data={educationData.data}
-                        setData={educationData.setData}
-                        schema={schema}
-                        types={types}
-                        userRole={userRole}
                         loading={educationData.loading}
                         error={educationData.error}
+                        onAdd={educationData.addRecord}
+                        onUpdate={educationData.updateRecord}
+                        onDelete={educationData.deleteRecord}
                       />
                     </div>
                   )}
@@ -778,14 +887,31 @@ const App = () => {
                         </div>
                         <span className="role-chip">Emigrant-1988-2020-PlaceOfOrigin.csv</span>
                       </div>
-                      <DataTable
+                      <CategoryDataTable
+                        dataset={DATASET_REGISTRY['place-of-origin']}
                         data={placeOfOriginData.data}
-                        setData={placeOfOriginData.setData}
-                        schema={schema}
-                        types={types}
-                        userRole={userRole}
                         loading={placeOfOriginData.loading}
                         error={placeOfOriginData.error}
+                        onAdd={placeOfOriginData.addRecord}
+                        onUpdate={placeOfOriginData.updateRecord}
+                        onDelete={placeOfOriginData.deleteRecord}
+                      />
+                    </div>
+                  )}
+
+                  {activeDataset === VERSIONS_TAB && (
+                    <div className="dataset-content">
+                      <div className="section-header" style={{ padding: 0, marginBottom: '1rem' }}>
+                        <div>
+                          <h3 className="section-title--sm">Version History</h3>
+                          <p className="section-description">
+                            Snapshots of "{activeCollection}" saved before each upload
+                          </p>
+                        </div>
+                      </div>
+                      <VersionHistory
+                        collectionName={activeCollection}
+                        currentUser={{ uid: userId, email: userEmail }}
                       />
                     </div>
                   )}
@@ -794,8 +920,63 @@ const App = () => {
               </div>
             )}
 
+            {/* Audit Log Tab Content */}
+            {activeTab === 'audit-log' && can(PERMISSIONS.MANAGE_USERS) && (
+              <div className="tab-content">
+                <section className="section-block tab-section">
+                  <div className="section-header">
+                    <div>
+                      <span className="section-kicker">Administration</span>
+                      <h2 className="section-title">Audit Log</h2>
+                      <p className="section-description">
+                        Append-only record of every change to the emigrant datasets.
+                      </p>
+                    </div>
+                  </div>
+                  <AuditLogViewer />
+                </section>
+              </div>
+            )}
+
+            {/* Users Tab Content */}
+            {activeTab === 'users' && can(PERMISSIONS.MANAGE_USERS) && (
+              <div className="tab-content">
+                <section className="section-block tab-section">
+                  <div className="section-header">
+                    <div>
+                      <span className="section-kicker">Administration</span>
+                      <h2 className="section-title">Users</h2>
+                      <p className="section-description">
+                        Roles, account status and invitations for everyone who can sign in.
+                      </p>
+                    </div>
+                  </div>
+                  <UserManagement />
+                  <ActiveSessions allUsers />
+                </section>
+              </div>
+            )}
+
+            {/* Account Tab Content */}
+            {activeTab === 'account' && (
+              <div className="tab-content">
+                <section className="section-block tab-section">
+                  <div className="section-header">
+                    <div>
+                      <span className="section-kicker">Account</span>
+                      <h2 className="section-title">Sessions</h2>
+                      <p className="section-description">
+                        Devices signed in as {userEmail}. Revoke any you don't recognize.
+                      </p>
+                    </div>
+                  </div>
+                  <ActiveSessions />
+                </section>
+              </div>
+            )}
+
             {/* AI Model Tab Content */}
-            {activeTab === 'ai-model' && isPrivileged && (
+            {activeTab === 'ai-model' && canTrain && (
               <div className="tab-content">
                 <section className="section-block tab-section">
                   <div className="section-header">
@@ -860,7 +1041,7 @@ const App = () => {
               </div>
               <h3 className="empty-state__title">No data available yet</h3>
               <p className="empty-state__subtitle">
-                {isPrivileged
+                {canUpload
                   ? 'Upload a CSV file to populate the dashboard with records and visualizations.'
                   : 'No data has been uploaded yet. Please check back later or contact the administrator.'}
               </p>
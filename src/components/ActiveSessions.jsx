@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * ACTIVE SESSIONS COMPONENT
+ * ============================================
+ *
+ * Session records (see services/sessionService.js) with the device, sign-in
+ * time, last activity and expiry of each, and a button to revoke the ones
+ * still open. A revoked device is signed out within seconds.
+ *
+ * @param {Boolean} [allUsers=false] - Everyone's sessions (admins) instead of
+ *   the signed-in user's own
+ *
+ * @component
+ */
+import React, { useState } from 'react';
+import { LogOut, MonitorSmartphone } from 'lucide-react';
+import { useSessions } from '../hooks/useSessions';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../utils/permissions';
+import { SESSION_STATES, getStoredSessionId } from '../services/sessionService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const STATE_LABELS = {
+  [SESSION_STATES.ACTIVE]: 'Active',
+  [SESSION_STATES.EXPIRED]: 'Expired',
+  [SESSION_STATES.ENDED]: 'Ended'
+};
+
+const ActiveSessions = ({ allUsers = false }) => {
+  const { user, can } = usePermission();
+  const showAll = allUsers && can(PERMISSIONS.MANAGE_USERS);
+  const { sessions, loading, error, revoke } = useSessions(showAll ? null : user?.uid || null, {
+    enabled: Boolean(user?.uid)
+  });
+  const [busyId, setBusyId] = useState(null);
+  const [showClosed, setShowClosed] = useState(false);
+
+  const currentSessionId = getStoredSessionId();
+  const visible = showClosed ? sessions : sessions.filter(({ state }) => state === SESSION_STATES.ACTIVE);
+
+  const handleRevoke = async (session) => {
+    const question = session.id === currentSessionId
+      ? 'Revoke this session? You will be logged out.'
+      : `Revoke the session on ${session.device}${showAll ? ` for ${session.email}` : ''}?`;
+    if (!window.confirm(question)) return;
+
+    setBusyId(session.id);
+    try {
+      await revoke(session.id, user);
+    } catch (err) {
+      alert('Error revoking session: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="table-container" style={{ marginTop: '1.5rem' }}>
+      <div className="table-summary-header">
+        <h3>
+          <MonitorSmartphone size={18} /> {showAll ? 'All Sessions' : 'Your Sessions'}
+        </h3>
+        <p>Sessions end after 24 hours, after a period of inactivity, or when revoked.</p>
+        <label>
+          <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+          {' '}Show ended sessions
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="data-table__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading sessions...</p>
+        </div>
+      ) : error ? (
+        <div className="data-table__error">
+          <p>Error loading sessions: {error}</p>
+        </div>
+      ) : (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              {showAll && <th>User</th>}
+              <th>Device</th>
+              <th>Signed In</th>
+              <th>Last Active</th>
+              <th>Expires</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.length === 0 ? (
+              <tr>
+                <td colSpan={showAll ? 7 : 6} className="no-data">No sessions</td>
+              </tr>
+            ) : (
+              visible.map((session) => (
+                <tr key={session.id}>
+                  {showAll && <td>{session.email}</td>}
+                  <td>
+                    {session.device}
+                    {session.id === currentSessionId && ' (this device)'}
+                  </td>
+                  <td>{formatDate(session.createdAt)}</td>
+                  <td>{formatDate(session.lastActiveAt)}</td>
+                  <td>{formatDate(session.expiresAt)}</td>
+                  <td>
+                    {STATE_LABELS[session.state]}
+                    {session.endReason && ` (${session.endReason})`}
+                  </td>
+                  <td>
+                    {session.state === SESSION_STATES.ACTIVE && (
+                      <button
+                        onClick={() => handleRevoke(session)}
+                        className="button button--sm button--danger"
+                        title="Revoke session"
+                        disabled={busyId !== null}
+                      >
+                        <LogOut size={14} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,160 @@
+/**
+ * ============================================
+ * ADMIN REQUESTS PANEL COMPONENT
+ * ============================================
+ *
+ * Admin-only queue of pending requests for administrator access, and the
+ * editor for the domains allowed to file them (services/adminAccessService.js).
+ *
+ * Features:
+ * - Approve (requester becomes an admin) or reject each pending request
+ * - Edit the admin domain allowlist stored in settings/access
+ *
+ * @param {Function} [onApproved] - Called after a request is approved
+ *
+ * @component
+ */
+import React, { useEffect, useState } from "react";
+import { Globe, Save, ShieldCheck, ShieldX } from "lucide-react";
+import { useAdminRequests } from "../hooks/useAdminRequests";
+import { usePermission } from "../hooks/usePermission";
+import { PERMISSIONS } from "../utils/permissions";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const AdminRequestsPanel = ({ onApproved }) => {
+  const { user: currentUser, can } = usePermission();
+  const canManage = can(PERMISSIONS.MANAGE_USERS);
+  const { requests, domains, loading, error, approve, reject, saveDomains } = useAdminRequests({ enabled: canManage });
+
+  // ========== STATE MANAGEMENT ==========
+  const [busyId, setBusyId] = useState(null);
+  const [domainText, setDomainText] = useState("");
+  const [savingDomains, setSavingDomains] = useState(false);
+
+  useEffect(() => {
+    setDomainText(domains.join("\n"));
+  }, [domains]);
+
+  if (!canManage) return null;
+
+  // ========== REQUEST ACTIONS ==========
+  const handleDecision = async (request, approved) => {
+    const question = approved
+      ? `Make ${request.email} an administrator?`
+      : `Reject the administrator request from ${request.email}?`;
+    if (!window.confirm(question)) return;
+
+    setBusyId(request.uid);
+    try {
+      await (approved ? approve : reject)(request.uid, currentUser);
+      if (approved) onApproved?.();
+    } catch (err) {
+      alert(`Error ${approved ? "approving" : "rejecting"} request: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSaveDomains = async () => {
+    setSavingDomains(true);
+    try {
+      await saveDomains(domainText.split(/[\s,;]+/));
+    } catch (err) {
+      alert("Error saving admin domains: " + err.message);
+    } finally {
+      setSavingDomains(false);
+    }
+  };
+
+  // ========== RENDER ==========
+  return (
+    <div className="table-container" style={{ marginTop: "1.5rem" }}>
+      <div className="table-summary-header">
+        <h3>
+          <ShieldCheck size={18} /> Pending Administrator Requests ({requests.length})
+        </h3>
+      </div>
+
+      {loading ? (
+        <div className="data-table__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading requests...</p>
+        </div>
+      ) : error ? (
+        <div className="data-table__error">
+          <p>Error loading requests: {error}</p>
+        </div>
+      ) : (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Name</th>
+              <th>Reason</th>
+              <th>Requested</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requests.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="no-data">No pending requests</td>
+              </tr>
+            ) : (
+              requests.map((request) => (
+                <tr key={request.uid}>
+                  <td>{request.email}</td>
+                  <td>{request.name || "—"}</td>
+                  <td>{request.reason || "—"}</td>
+                  <td>{formatDate(request.requestedAt)}</td>
+                  <td>
+                    <div className="action-buttons">
+                      <button
+                        onClick={() => handleDecision(request, true)}
+                        className="button button--sm button--primary"
+                        title="Approve"
+                        disabled={busyId !== null}
+                      >
+                        <ShieldCheck size={14} />
+                      </button>
+                      <button
+                        onClick={() => handleDecision(request, false)}
+                        className="button button--sm button--danger"
+                        title="Reject"
+                        disabled={busyId !== null}
+                      >
+                        <ShieldX size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+
+      <div className="table-summary-header" style={{ marginTop: "1.5rem" }}>
+        <h3>
+          <Globe size={18} /> Admin Domains
+        </h3>
+        <p>Only emails from these domains (or their subdomains) can request administrator access. One per line.</p>
+      </div>
+      <textarea
+        value={domainText}
+        onChange={(e) => setDomainText(e.target.value)}
+        placeholder="example.edu"
+        rows={4}
+        style={{ width: "100%" }}
+      />
+      <div className="action-buttons">
+        <button onClick={handleSaveDomains} className="button button--primary" disabled={savingDomains}>
+          <Save size={16} /> {savingDomains ? "Saving..." : "Save Domains"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AdminRequestsPanel;
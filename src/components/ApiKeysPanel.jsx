@@ -0,0 +1,182 @@
+/**
+ * ============================================
+ * API KEYS PANEL COMPONENT
+ * ============================================
+ *
+ * Admin-only management of keys for the public dataset API
+ * (server/routes/publicApi.js, services/apiKeyService.js).
+ *
+ * Features:
+ * - Create a key with a name and a requests-per-minute limit; the key is
+ *   shown once, right after it is created
+ * - Lists keys with their prefix, limit, creation and last use
+ * - Revoke a key (it stays listed, marked revoked)
+ * - Links the OpenAPI description when VITE_API_URL is set
+ *
+ * @component
+ */
+import React, { useState } from "react";
+import { Ban, Copy, ExternalLink, KeySquare, Plus } from "lucide-react";
+import { useApiKeys } from "../hooks/useApiKeys";
+import { usePermission } from "../hooks/usePermission";
+import { API_URL, isApiConfigured } from "../services/apiClient";
+import { DEFAULT_RATE_LIMIT } from "../services/apiKeyService";
+import { PERMISSIONS } from "../utils/permissions";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const ApiKeysPanel = () => {
+  const { user: currentUser, can } = usePermission();
+  const canManage = can(PERMISSIONS.MANAGE_USERS);
+  const { apiKeys, loading, error, create, revoke } = useApiKeys({ enabled: canManage });
+
+  // ========== STATE MANAGEMENT ==========
+  const [name, setName] = useState("");
+  const [rateLimit, setRateLimit] = useState(DEFAULT_RATE_LIMIT);
+  const [creating, setCreating] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+
+  if (!canManage) return null;
+
+  // ========== KEY ACTIONS ==========
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const { key, apiKey } = await create({ name, rateLimit: Number(rateLimit) }, currentUser);
+      setNewKey({ key, name: apiKey.name });
+      setName("");
+    } catch (err) {
+      alert("Error creating API key: " + err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke the key for ${apiKey.name}? Requests using it will be refused.`)) return;
+    try {
+      await revoke(apiKey.id, currentUser);
+    } catch (err) {
+      alert("Error revoking API key: " + err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+    } catch (err) {
+      console.error("Error copying API key:", err);
+    }
+  };
+
+  // ========== RENDER ==========
+  return (
+    <div className="table-container" style={{ marginTop: "1.5rem" }}>
+      <div className="table-summary-header">
+        <h3>
+          <KeySquare size={18} /> Public API Keys ({apiKeys.filter((apiKey) => !apiKey.revokedAt).length} active)
+        </h3>
+        <p>
+          Keys give read-only access to the datasets at <code>/api/v1/datasets</code>.
+          {isApiConfigured() && (
+            <>
+              {" "}
+              <a href={`${API_URL}/api/v1/openapi.json`} target="_blank" rel="noreferrer">
+                OpenAPI description <ExternalLink size={12} />
+              </a>
+            </>
+          )}
+        </p>
+      </div>
+
+      <div className="action-buttons">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Who is this key for?"
+        />
+        <label>
+          Requests / minute{" "}
+          <input
+            type="number"
+            min={1}
+            value={rateLimit}
+            onChange={(e) => setRateLimit(e.target.value)}
+            style={{ width: "6rem" }}
+          />
+        </label>
+        <button onClick={handleCreate} className="button button--primary" disabled={creating || !name.trim()}>
+          <Plus size={16} /> {creating ? "Creating..." : "Create Key"}
+        </button>
+      </div>
+
+      {newKey && (
+        <div className="summary-stats">
+          <span>
+            Key for <strong>{newKey.name}</strong> (copy it now, it will not be shown again):{" "}
+            <code>{newKey.key}</code>
+          </span>
+          <button onClick={handleCopy} className="button button--sm button--ghost" title="Copy key">
+            <Copy size={14} />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="data-table__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading API keys...</p>
+        </div>
+      ) : error ? (
+        <div className="data-table__error">
+          <p>Error loading API keys: {error}</p>
+        </div>
+      ) : (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Limit</th>
+              <th>Created</th>
+              <th>Last Used</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {apiKeys.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="no-data">No API keys yet</td>
+              </tr>
+            ) : (
+              apiKeys.map((apiKey) => (
+                <tr key={apiKey.id}>
+                  <td>{apiKey.name}</td>
+                  <td><code>{apiKey.prefix}…</code></td>
+                  <td>{apiKey.rateLimit}/min</td>
+                  <td>{formatDate(apiKey.createdAt)}</td>
+                  <td>{formatDate(apiKey.lastUsedAt)}</td>
+                  <td>{apiKey.revokedAt ? `Revoked ${formatDate(apiKey.revokedAt)}` : "Active"}</td>
+                  <td>
+                    <button
+                      onClick={() => handleRevoke(apiKey)}
+                      className="button button--sm button--danger"
+                      title="Revoke key"
+                      disabled={Boolean(apiKey.revokedAt)}
+                    >
+                      <Ban size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeysPanel;
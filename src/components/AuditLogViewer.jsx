@@ -0,0 +1,252 @@
+/**
+ * ============================================
+ * AUDIT LOG VIEWER COMPONENT
+ * ============================================
+ *
+ * Admin-only view of the append-only audit trail written by auditService.
+ *
+ * Features:
+ * - Filter by user (email or uid), dataset and date range
+ * - Shows before/after values of every change
+ * - Exports the filtered entries to CSV
+ *
+ * @component
+ */
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Search, Filter, Download, RefreshCw, ChevronLeft, ChevronRight, Lock } from "lucide-react";
+import { fetchAuditLog, listAuditDatasets, toAuditCsvRows } from "../services/auditService";
+import ExportService from "../services/ExportService";
+import { usePermission } from "../hooks/usePermission";
+import { PERMISSIONS } from "../utils/permissions";
+
+const PAGE_SIZE = 25;
+
+const CSV_COLUMNS = [
+  "timestamp", "uid", "email", "dataset", "collection", "documentId", "operation", "before", "after"
+];
+
+const EMPTY_FILTERS = { user: "", dataset: "", from: "", to: "" };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+const AuditLogViewer = () => {
+  // ========== STATE MANAGEMENT ==========
+  const [entries, setEntries] = useState([]);
+  const [datasets, setDatasets] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const { can } = usePermission();
+  const canView = can(PERMISSIONS.MANAGE_USERS);
+
+  const loadEntries = useCallback(async (activeFilters) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchAuditLog(activeFilters);
+      setEntries(result);
+      setCurrentPage(1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Dataset options come from the whole log, not the filtered view
+  useEffect(() => {
+    if (!canView) return;
+    fetchAuditLog()
+      .then((all) => setDatasets(listAuditDatasets(all)))
+      .catch(() => setDatasets([]));
+    loadEntries(EMPTY_FILTERS);
+  }, [canView, loadEntries]);
+
+  const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  const pageEntries = useMemo(
+    () => entries.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE),
+    [entries, currentPage]
+  );
+
+  // ========== EXPORT HANDLER ==========
+  const handleExport = () => {
+    try {
+      const stamp = new Date().toISOString().slice(0, 10);
+      ExportService.exportTableToCsv({
+        data: toAuditCsvRows(entries),
+        schema: CSV_COLUMNS,
+        fileName: `audit-log-${stamp}.csv`
+      });
+    } catch (err) {
+      alert("Error exporting audit log: " + err.message);
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters((previous) => ({ ...previous, [key]: value }));
+
+  if (!canView) {
+    return (
+      <div className="p-6 text-center bg-gray-50 rounded-xl border-2 border-dashed border-gray-300">
+        <Lock className="mx-auto mb-3 text-gray-400" size={32} />
+        <p className="text-gray-600 font-medium">Only administrators can view the audit log</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="data-table">
+      {/* Filters */}
+      <div className="data-table__controls">
+        <div className="data-table__search">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Filter by user email or uid..."
+            value={filters.user}
+            onChange={(e) => updateFilter("user", e.target.value)}
+            className="search-input"
+          />
+        </div>
+
+        <div className="data-table__year-filter">
+          <Filter size={20} />
+          <select
+            value={filters.dataset}
+            onChange={(e) => updateFilter("dataset", e.target.value)}
+            className="year-filter-select"
+          >
+            <option value="">All Datasets</option>
+            {datasets.map((dataset) => (
+              <option key={dataset} value={dataset}>{dataset}</option>
+            ))}
+          </select>
+        </div>
+
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter("from", e.target.value)}
+          className="form-input"
+          title="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter("to", e.target.value)}
+          className="form-input"
+          title="To date"
+        />
+
+        <button onClick={() => loadEntries(filters)} className="button button--primary">
+          <RefreshCw size={16} />
+          Apply
+        </button>
+        <button
+          onClick={() => {
+            setFilters(EMPTY_FILTERS);
+            loadEntries(EMPTY_FILTERS);
+          }}
+          className="button button--ghost"
+        >
+          Reset
+        </button>
+        <button onClick={handleExport} className="button button--ghost" disabled={entries.length === 0}>
+          <Download size={16} />
+          Export CSV
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="data-table__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading audit log...</p>
+        </div>
+      ) : error ? (
+        <div className="data-table__error">
+          <p>Error loading audit log: {error}</p>
+          <button onClick={() => loadEntries(filters)} className="button button--primary">
+            Retry
+          </button>
+        </div>
+      ) : (
+        <div className="table-container">
+          <div className="table-summary-header">
+            <h3>Audit Trail</h3>
+            <div className="summary-stats">
+              <span className="stat-item">
+                <strong>{entries.length}</strong> Entries
+              </span>
+            </div>
+            <p>Every add, edit, delete, upload and restore is recorded here and cannot be changed.</p>
+          </div>
+
+          <table className="data-table__table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>User</th>
+                <th>Dataset</th>
+                <th>Document</th>
+                <th>Operation</th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageEntries.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="no-data">No audit entries match these filters</td>
+                </tr>
+              ) : (
+                pageEntries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td title={entry.user?.uid || ""}>{entry.user?.email || "Unknown"}</td>
+                    <td>{entry.dataset}</td>
+                    <td>{entry.documentId || "—"}</td>
+                    <td>{entry.operation}</td>
+                    <td><code>{formatValue(entry.before)}</code></td>
+                    <td><code>{formatValue(entry.after)}</code></td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+
+          {totalPages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                disabled={currentPage === 1}
+                className="button button--ghost"
+              >
+                <ChevronLeft size={16} />
+                Previous
+              </button>
+
+              <span className="pagination-info">
+                Page {currentPage} of {totalPages} ({entries.length} entries)
+              </span>
+
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                disabled={currentPage === totalPages}
+                className="button button--ghost"
+              >
+                Next
+                <ChevronRight size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
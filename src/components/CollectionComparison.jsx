@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * COLLECTION COMPARISON COMPONENT
+ * ============================================
+ *
+ * Puts two or more uploaded collections side by side for the years they
+ * all cover: the per-year total of each collection, and every numeric
+ * column the collections have in common.
+ *
+ * @param {String} activeCollection - Preselected collection
+ * @param {Function} onClose - Hides the panel
+ *
+ * @component
+ */
+import React, { useState } from 'react';
+import { GitCompare, X } from 'lucide-react';
+import { useCollectionRegistry } from '../hooks/useCollectionRegistry';
+import { compareCollectionYears } from '../services/collectionRegistry';
+import { fetchAllRecords } from '../services/firestoreService';
+
+const formatNumber = (value) => (value === null || value === undefined ? '—' : Number(value).toLocaleString());
+
+const CollectionComparison = ({ activeCollection, onClose }) => {
+  const { collections } = useCollectionRegistry();
+  const [selected, setSelected] = useState([activeCollection]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+
+  const names = Array.from(new Set([activeCollection, ...collections.map(({ name }) => name)]));
+
+  const toggle = (name) => {
+    setSelected(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  const handleCompare = async () => {
+    if (selected.length < 2) {
+      alert('Please choose at least two collections to compare.');
+      return;
+    }
+
+    setComparing(true);
+    try {
+      const datasets = await Promise.all(
+        selected.map(async (name) => ({ name, records: await fetchAllRecords(name) }))
+      );
+      setComparison({ collections: selected, ...compareCollectionYears(datasets) });
+    } catch (err) {
+      alert('Error comparing collections: ' + err.message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  return (
+    <div className="table-container">
+      <div className="table-summary-header">
+        <h3>
+          <GitCompare size={18} /> Compare Collections
+        </h3>
+        <p>Only years present in every selected collection are compared.</p>
+        <div className="action-buttons">
+          {names.map((name) => (
+            <label key={name}>
+              <input
+                type="checkbox"
+                checked={selected.includes(name)}
+                onChange={() => toggle(name)}
+              />
+              {' '}{name}
+            </label>
+          ))}
+          <button onClick={handleCompare} className="button button--primary" disabled={comparing}>
+            {comparing ? 'Comparing...' : 'Compare'}
+          </button>
+          <button onClick={onClose} className="button button--ghost" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      {comparison && (
+        comparison.years.length === 0 ? (
+          <p className="no-data">The selected collections have no years in common.</p>
+        ) : (
+          <>
+            <div className="summary-stats">
+              <span className="stat-item">
+                <strong>{comparison.years[0]}–{comparison.years[comparison.years.length - 1]}</strong> Shared Range
+              </span>
+              <span className="stat-item"><strong>{comparison.years.length}</strong> Shared Years</span>
+              <span className="stat-item"><strong>{comparison.columns.length}</strong> Shared Columns</span>
+            </div>
+
+            <table className="data-table__table">
+              <thead>
+                <tr>
+                  <th>Year</th>
+                  {comparison.collections.map((name) => (
+                    <th key={`total_${name}`}>{name} (total)</th>
+                  ))}
+                  {comparison.columns.flatMap((column) => comparison.collections.map((name) => (
+                    <th key={`${column}_${name}`}>{column} ({name})</th>
+                  )))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.rows.map(({ year, values, totals }) => (
+                  <tr key={year}>
+                    <td>{year}</td>
+                    {comparison.collections.map((name) => (
+                      <td key={`total_${name}`}>{formatNumber(totals[name])}</td>
+                    ))}
+                    {comparison.columns.flatMap((column) => comparison.collections.map((name) => (
+                      <td key={`${column}_${name}`}>{formatNumber(values[name][column])}</td>
+                    )))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default CollectionComparison;
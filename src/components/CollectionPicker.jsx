@@ -0,0 +1,117 @@
+/**
+ * ============================================
+ * COLLECTION PICKER COMPONENT
+ * ============================================
+ *
+ * Dashboard header control for the collection registry:
+ * - Switch the dashboard to any uploaded collection
+ * - Rename (manage_data) or delete (clear_all_data) a collection; a deleted
+ *   collection is kept as a version and can be restored from Version History
+ * - Toggle the cross-collection comparison
+ *
+ * @param {String} activeCollection - Collection the dashboard shows
+ * @param {Function} onSelect - Called with a collection name to switch to
+ * @param {Function} onCompare - Toggles the comparison panel
+ * @param {Object} currentUser - { uid, email } recorded on the saved version
+ *
+ * @component
+ */
+import React, { useState } from 'react';
+import { FolderOpen, Pencil, Trash2, GitCompare } from 'lucide-react';
+import { useCollectionRegistry } from '../hooks/useCollectionRegistry';
+import { DEFAULT_COLLECTION_NAME } from '../services/collectionRegistry';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../utils/permissions';
+
+const CollectionPicker = ({ activeCollection, onSelect, onCompare, currentUser }) => {
+  const { collections, loading, rename, remove } = useCollectionRegistry();
+  const [busy, setBusy] = useState(false);
+
+  const { can } = usePermission();
+  const canRename = can(PERMISSIONS.MANAGE_DATA);
+  const canDelete = can(PERMISSIONS.CLEAR_ALL_DATA);
+
+  // Collections uploaded before the registry existed still need to be selectable
+  const options = collections.some(({ name }) => name === activeCollection)
+    ? collections
+    : [{ name: activeCollection, rowCount: null }, ...collections];
+
+  const handleRename = async () => {
+    const newName = window.prompt(`Rename collection "${activeCollection}" to:`, activeCollection);
+    if (!newName || newName.trim() === activeCollection) return;
+
+    setBusy(true);
+    try {
+      const renamed = await rename(activeCollection, newName);
+      onSelect(renamed);
+    } catch (err) {
+      alert('Error renaming collection: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const confirmed = window.confirm(
+      `Delete collection "${activeCollection}"?\n\n` +
+      'Its data is saved as a version first and can be restored from Version History.'
+    );
+    if (!confirmed) return;
+
+    setBusy(true);
+    try {
+      await remove(activeCollection, { createdBy: currentUser || null });
+      const next = collections.find(({ name }) => name !== activeCollection);
+      onSelect(next ? next.name : DEFAULT_COLLECTION_NAME);
+    } catch (err) {
+      alert('Error deleting collection: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="data-table__year-filter" title="Collection shown on the dashboard">
+      <FolderOpen size={20} />
+      <select
+        value={activeCollection}
+        onChange={(e) => onSelect(e.target.value)}
+        className="year-filter-select"
+        disabled={loading || busy}
+      >
+        {options.map(({ name, rowCount, uploadedAt }) => (
+          <option key={name} value={name}>
+            {name}
+            {rowCount !== null && rowCount !== undefined ? ` (${rowCount} rows)` : ''}
+            {uploadedAt ? ` – ${new Date(uploadedAt).toLocaleDateString()}` : ''}
+          </option>
+        ))}
+      </select>
+
+      {onCompare && (
+        <button
+          onClick={onCompare}
+          className="button button--ghost"
+          disabled={options.length < 2}
+          title="Compare collections over their shared years"
+        >
+          <GitCompare size={16} />
+          Compare
+        </button>
+      )}
+
+      {canRename && (
+        <button onClick={handleRename} className="button button--ghost" disabled={busy} title="Rename collection">
+          <Pencil size={16} />
+        </button>
+      )}
+      {canDelete && (
+        <button onClick={handleDelete} className="button button--ghost" disabled={busy} title="Delete collection">
+          <Trash2 size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CollectionPicker;
@@ -6,27 +6,68 @@
  * Handles CSV file upload, parsing, and validation.
  * 
  * Features:
- * - Validates file type (.csv only)
+ * - Validates file type (.csv, or .xlsx/.xls/.ods workbooks)
+ * - Lists the sheets of a workbook (WorkbookSheetPicker) and imports each
+ *   sheet's table like a CSV file, with the import profile picked per sheet
+ * - Reshapes crosstabs (years as columns) to one row per year and leaves out
+ *   total rows and footnote markers, checking the totals (utils/crosstab.js)
+ * - Detects the import profile from the header row (utils/importProfiles.js)
+ *   and renames, types and range-checks the columns with it
+ * - Opens the mapping editor (ImportMappingEditor) when no profile fits;
+ *   the mapping can be saved as a profile for the next file
+ * - Previews the rows, their problems and the diff against the stored
+ *   collection (ImportPreview) before anything is written, and lets the
+ *   uploader replace or merge with per-field strategies (keep, take, sum);
+ *   CFO tables can be merged into their dataset by category and year
  * - Validates Year column (4-digit, 1900-2100)
- * - Auto-converts numeric values
  * - Provides helpful error messages
  * - Supports re-uploading files with reset functionality
+ * - With the API server configured, uploads run as server import jobs
+ *   (server/importJobs.js) that can be followed, cancelled and resumed
  * 
  * To modify:
- * - Change validation rules in handleFileUpload
+ * - Change validation rules in the import profiles
  * - Adjust data processing logic
  * - Update error messages
  * 
- * @param {Function} onCsvData - Callback when CSV is successfully parsed
+ * @param {Function} onCsvData - Callback when the previewed CSV is confirmed, with
+ *   (rows, { collectionName, originalFileName, mode, merge }); mode is one of
+ *   IMPORT_MODES, merge the { strategies, defaultStrategy } for merging. May
+ *   resolve to the mergeDocuments result, which is then summarized
  * @param {Function} onClearData - Callback when Clear button is clicked to clear all data
- * @param {String} userRole - User role ('admin', 'super-admin')
+ *   (only called for users with the clear_all_data permission)
  * @param {Boolean} isAuthenticated - Authentication status
+ * @param {String} uploadStatus - 'uploading' | 'success' | 'error' | null
+ * @param {Object} uploadProgress - { phase, completed, total } from overwriteCollection
+ * @param {Function} [onImportStarted] - Called with the collection name once a
+ *   server import job is queued
  * 
  * @component
  */
 import React, { useState, useRef } from "react";
 import Papa from "papaparse";
-import { Upload, FileSpreadsheet, AlertCircle, CheckCircle2, X, Lock } from "lucide-react";
+import { Upload, FileSpreadsheet, AlertCircle, CheckCircle2, X, Lock, RotateCcw } from "lucide-react";
+import { usePermission } from "../hooks/usePermission";
+import { useImportJob } from "../hooks/useImportJob";
+import { isApiConfigured } from "../services/apiClient";
+import { PERMISSIONS } from "../utils/permissions";
+import { IMPORT_JOB_STATUS, IMPORT_MODES, isFinishedJob, isResumableJob } from "../utils/importJobs";
+import { validateCsvData } from "../utils/validators";
+import { normalizeCollectionName } from "../services/collectionRegistry";
+import { previewDatasetMerge, upsertDatasetValues } from "../services/datasetRepository";
+import { DATASET_REGISTRY } from "../utils/datasetRegistry";
+import { DEFAULT_MERGE_STRATEGY, describeMerge, yearRowsToCells } from "../utils/mergeImport";
+import { describeTotalMismatch, reshapeImportTable } from "../utils/crosstab";
+import { applyImportProfile, detectImportProfile, matchProfileColumns } from "../utils/importProfiles";
+import { useImportProfiles } from "../hooks/useImportProfiles";
+import ImportMappingEditor from "./ImportMappingEditor";
+import ImportPreview from "./ImportPreview";
+import WorkbookSheetPicker from "./WorkbookSheetPicker";
+
+// Sample rows shown in the mapping editor
+const MAPPING_SAMPLE_ROWS = 5;
+// Changed years listed after a merge
+const MERGE_SUMMARY_LINES = 20;
 
 const deriveCollectionNameFromFile = (fileName = "") => {
   if (!fileName) return "";
@@ -34,15 +75,45 @@ const deriveCollectionNameFromFile = (fileName = "") => {
   return withoutExtension.trim().replace(/\s+/g, "_");
 };
 
-const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
+const PROGRESS_LABELS = {
+  queued: "Waiting in queue",
+  parsing: "Validating rows",
+  staging: "Staging rows",
+  swapping: "Replacing collection",
+  merging: "Merging into the dataset",
+  "rolling-back": "Upload failed — restoring previous data",
+  cleanup: "Cleaning up",
+  complete: "Upload complete",
+  failed: "Upload failed",
+  cancelled: "Upload cancelled"
+};
+
+const CsvUploader = ({ onCsvData, onClearData, isAuthenticated, uploadStatus, uploadProgress, onImportStarted }) => {
   // ========== STATE MANAGEMENT ==========
   const [fileName, setFileName] = useState("");
   const [error, setError] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
+  const [matchedProfile, setMatchedProfile] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null); // upload waiting for the mapping editor
+  const [savingProfile, setSavingProfile] = useState(false);
+  const [preview, setPreview] = useState(null); // dry run waiting for confirmation
+  const [mergeResult, setMergeResult] = useState(null); // { target, merge } of the last merge
+  const [datasetProgress, setDatasetProgress] = useState(null); // upsertDatasetValues progress
+  const [workbook, setWorkbook] = useState(null); // { file, sheets, assignments, imported } of an Excel upload
   const fileInputRef = useRef(null);
+  const useServer = isApiConfigured();
+  const importJob = useImportJob();
+  const jobRunning = Boolean(importJob.job) && !isFinishedJob(importJob.job);
 
-  // ========== SIMPLIFIED: All authenticated users can upload ==========
-  const canUpload = isAuthenticated;
+  // ========== PERMISSION GATES (see utils/permissions.js) ==========
+  const { user, can } = usePermission();
+  const canUpload = isAuthenticated && can(PERMISSIONS.UPLOAD_DATA);
+  const importProfiles = useImportProfiles({ enabled: canUpload });
+  const canClearData = isAuthenticated && can(PERMISSIONS.CLEAR_ALL_DATA);
+  const canManageData = isAuthenticated && can(PERMISSIONS.MANAGE_DATA);
+  const deniedMessage = isAuthenticated
+    ? "❌ Your role does not allow uploading data"
+    : "❌ Please login to upload CSV files";
 
   /**
    * ========== CLEAR FILE HANDLER ==========
@@ -51,18 +122,22 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
    */
   const clearFile = async () => {
     if (!canUpload) {
-      setError("❌ Please login to clear data");
+      setError(deniedMessage);
       return;
     }
 
     setFileName("");
     setError(null);
     setIsUploading(false);
+    setMatchedProfile(null);
+    setPendingImport(null);
+    setPreview(null);
+    setWorkbook(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = null;
     }
     // Call parent handler to clear Firestore data
-    if (onClearData) {
+    if (onClearData && canClearData) {
       try {
         await onClearData();
       } catch (err) {
@@ -79,7 +154,7 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
    */
   const replaceFile = () => {
     if (!canUpload) {
-      setError("❌ Please login to replace files");
+      setError(deniedMessage);
       return;
     }
 
@@ -88,21 +163,245 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
     }
   };
 
+  /**
+   * ========== PREVIEW (DRY RUN) ==========
+   * Maps the parsed rows with an import profile (see utils/importProfiles.js),
+   * validates them and compares them with the stored collection. Nothing is
+   * written until the preview is confirmed.
+   */
+  const openPreview = async (upload, profile, mapping = null) => {
+    setMatchedProfile(profile);
+    const { rows: processedRows, invalidRows } = applyImportProfile(upload.rows, profile, mapping);
+
+    if (processedRows.length === 0) {
+      const invalidSummary = invalidRows.map(r => `Row ${r.index}: ${r.reason}`).join("\n");
+      setError(`❌ No valid data rows found.\n\nInvalid rows:\n${invalidSummary}`);
+      return;
+    }
+
+    const targetCollection = normalizeCollectionName(upload.collectionName || "emigrants");
+    const datasetTarget = canManageData ? DATASET_REGISTRY[profile.dataset] || null : null;
+    const mergeOptions = { strategies: {}, defaultStrategy: DEFAULT_MERGE_STRATEGY };
+    const next = {
+      upload,
+      profile,
+      mapping,
+      processedRows,
+      targetCollection,
+      datasetTarget,
+      fields: [...new Set(processedRows.flatMap((row) => Object.keys(row)))].filter((field) => field !== "year"),
+      validation: validateCsvData(upload.rows, profile),
+      mode: IMPORT_MODES.REPLACE,
+      intoDataset: false,
+      mergeOptions,
+      diffs: null,
+      diffError: null
+    };
+    setPreview(next);
+    await loadDiffs(next, mergeOptions);
+  };
+
+  // Diffs for replacing, merging and (for CFO tables) merging into the dataset
+  const loadDiffs = async ({ upload, processedRows, targetCollection, datasetTarget }, mergeOptions) => {
+    const isCurrent = (current) => current?.upload === upload && current.mergeOptions === mergeOptions;
+    try {
+      const { previewCollectionImport } = await import("../services/firestoreService");
+      const diffs = await previewCollectionImport(processedRows, targetCollection, mergeOptions);
+      if (datasetTarget) {
+        diffs.dataset = await previewDatasetMerge(datasetTarget.key, yearRowsToCells(processedRows), mergeOptions);
+      }
+      setPreview((current) => (isCurrent(current) ? { ...current, diffs, diffError: null } : current));
+    } catch (err) {
+      setPreview((current) => (isCurrent(current) ? { ...current, diffError: err.message } : current));
+    }
+  };
+
+  const changeMergeOptions = (mergeOptions) => {
+    setPreview((current) => ({ ...current, mergeOptions, diffs: null }));
+    loadDiffs(preview, mergeOptions);
+  };
+
+  const cancelPreview = () => {
+    setPreview(null);
+    setMatchedProfile(null);
+    if (!workbook) setFileName("");
+  };
+
+  // Back to the sheet list with the sheet ticked off
+  const markSheetImported = (sheetName) => {
+    if (!sheetName) return;
+    setWorkbook((current) => current && { ...current, imported: [...current.imported, sheetName] });
+  };
+
+  /**
+   * ========== CONFIRMED IMPORT ==========
+   * Hands the previewed rows on, replacing or merging. With the API server
+   * the file is uploaded instead and mapped there with the same profile, so
+   * the profile must be saved or built in. Merges into a CFO table's dataset
+   * always run here (services/datasetRepository.js).
+   */
+  const confirmImport = async () => {
+    const { upload: { file, collectionName, sheetName }, profile, processedRows, mode, intoDataset, datasetTarget, mergeOptions } = preview;
+    const merging = mode === IMPORT_MODES.MERGE;
+    setIsUploading(true);
+
+    try {
+      if (intoDataset) {
+        const merge = await upsertDatasetValues(datasetTarget.key, yearRowsToCells(processedRows), {
+          ...mergeOptions,
+          sourceFileName: file.name,
+          onProgress: setDatasetProgress
+        });
+        setPreview(null);
+        setMergeResult({ target: datasetTarget.displayName, merge });
+        markSheetImported(sheetName);
+        return;
+      }
+
+      // The server validates and writes the rows (see server/importJobs.js)
+      if (useServer) {
+        const job = await importJob.start(file, {
+          collectionName: collectionName || "emigrants",
+          profileId: profile.id,
+          append: merging,
+          ...(merging ? mergeOptions : {})
+        });
+        setPreview(null);
+        markSheetImported(sheetName);
+        onImportStarted?.(job.collection);
+        return;
+      }
+
+      setPreview(null);
+      if (onCsvData) {
+        const merge = await onCsvData(processedRows, {
+          collectionName: collectionName || null,
+          originalFileName: file.name,
+          mode,
+          merge: mergeOptions
+        });
+        if (merge) setMergeResult({ target: preview.targetCollection, merge });
+      }
+      markSheetImported(sheetName);
+    } catch (err) {
+      console.error("Error uploading CSV:", err);
+      setError(`Upload failed: ${err.message}`);
+    } finally {
+      setIsUploading(false);
+      setDatasetProgress(null);
+    }
+  };
+
+  // Mapping editor submitted: save the profile unless importing once
+  const handleMappingSaved = async (profile, { save }) => {
+    const upload = pendingImport;
+    setSavingProfile(true);
+    try {
+      const stored = save ? await importProfiles.save(profile, user) : profile;
+      if (save && upload.sheetName) {
+        setWorkbook((current) => current && {
+          ...current,
+          assignments: { ...current.assignments, [upload.sheetName]: stored.id }
+        });
+      }
+      setPendingImport(null);
+      await openPreview(upload, stored);
+    } catch (err) {
+      setError(`Could not save the import profile: ${err.message}`);
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const cancelMapping = () => {
+    setPendingImport(null);
+    if (!workbook) setFileName("");
+  };
+
+  /**
+   * ========== WORKBOOKS ==========
+   * .xlsx, .xls and .ods files are read here (utils/workbookImport.js, loaded
+   * on demand). Each sheet's table gets the profile that fits its headers,
+   * and goes through the same mapping editor, preview and import as a CSV
+   * file; server imports receive the sheet as CSV.
+   */
+  const openWorkbook = async (file) => {
+    try {
+      const { isWorkbookFile, readWorkbook } = await import("../utils/workbookImport");
+      if (!isWorkbookFile(file.name)) {
+        setError("❌ Please upload a CSV file (.csv) or an Excel workbook (.xlsx, .xls, .ods)");
+        setFileName("");
+        return;
+      }
+
+      const sheets = readWorkbook(await file.arrayBuffer()).map((sheet) => {
+        const { headers, rows, report } = reshapeImportTable(sheet);
+        return { ...sheet, headers, rows, reshape: report };
+      });
+      if (!sheets.some((sheet) => sheet.rows.length > 0)) {
+        setError("❌ No table found on any sheet of this workbook");
+        return;
+      }
+      setWorkbook({
+        file,
+        sheets,
+        assignments: Object.fromEntries(sheets.map((sheet) => [
+          sheet.name,
+          detectImportProfile(sheet.headers, importProfiles.profiles)?.profile.id || ""
+        ])),
+        imported: []
+      });
+    } catch (err) {
+      console.error("Workbook parsing error:", err);
+      setError(`Failed to read the workbook: ${err.message}`);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const importSheet = async (sheet) => {
+    const { sheetToCsv } = await import("../utils/workbookImport");
+    const upload = {
+      file: new File([sheetToCsv(sheet)], `${workbook.file.name} [${sheet.name}]`, { type: "text/csv" }),
+      rows: sheet.rows,
+      reshape: sheet.reshape,
+      footnotes: sheet.footnotes,
+      collectionName: `${deriveCollectionNameFromFile(workbook.file.name)}_${sheet.name.trim().replace(/\s+/g, "_")}`,
+      sheetName: sheet.name
+    };
+    setError(null);
+    setMergeResult(null);
+
+    const profile = importProfiles.profiles.find(({ id }) => id === workbook.assignments[sheet.name]);
+    if (!profile) {
+      setPendingImport({ ...upload, headers: sheet.headers });
+      return;
+    }
+    const { mapping, missing } = matchProfileColumns(sheet.headers, profile);
+    if (missing.length > 0) {
+      setError(`❌ Sheet "${sheet.name}" has no ${missing.join(", ")} column for “${profile.name}”. Pick another table or map the columns.`);
+      return;
+    }
+    await openPreview(upload, profile, mapping);
+  };
+
   /**
    * ========== FILE UPLOAD HANDLER ==========
    * Processes CSV file upload with validation
    * 
    * Validation Steps:
-   * 1. Check file type (.csv)
+   * 1. Check file type (.csv; workbooks continue in openWorkbook)
    * 2. Check user authentication
-   * 3. Parse CSV with headers
-   * 4. Validate Year column (4-digit)
-   * 5. Convert numeric values
-   * 6. Filter invalid rows
+   * 3. Parse CSV with headers, reshape crosstabs and leave out totals
+   * 4. Detect the import profile from the header row, or open the
+   *    mapping editor when none fits
+   * 5. Rename, type and range-check the columns with the profile
+   * 6. Preview the rows, their problems and the diff against the stored
+   *    data; nothing is written until the preview is confirmed
    */
   const handleFileUpload = (e) => {
     if (!canUpload) {
-      setError("❌ Please login to upload CSV files");
+      setError(deniedMessage);
       e.target.value = null;
       return;
     }
@@ -110,108 +409,51 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
     const file = e.target.files[0];
     if (!file) return;
 
-    // Step 1: Validate file type
-    if (!file.name.endsWith('.csv')) {
-      setError("❌ Please upload a CSV file (.csv extension required)");
-      e.target.value = null;
-      return;
-    }
-
     setFileName(file.name);
     const derivedCollectionName = deriveCollectionNameFromFile(file.name);
 
     setError(null);
+    setMatchedProfile(null);
+    setPendingImport(null);
+    setPreview(null);
+    setMergeResult(null);
+    setWorkbook(null);
     setIsUploading(true);
 
+    // Step 1: Validate file type
+    if (!file.name.endsWith('.csv')) {
+      e.target.value = null;
+      openWorkbook(file);
+      return;
+    }
+
     Papa.parse(file, {
       header: true,
       skipEmptyLines: true,
       dynamicTyping: false,
       transformHeader: (header) => header, // Preserve original header formatting exactly
       complete: (results) => {
+        e.target.value = null;
+
         if (results.errors && results.errors.length > 0) {
           console.error("CSV parsing errors:", results.errors);
           setError(`CSV parsing error: ${results.errors[0].message}`);
           setIsUploading(false);
-          e.target.value = null;
           return;
         }
 
-        const csvData = results.data;
-
-        // Process CSV data
-        const invalidRows = [];
-        const processedData = csvData.map((row, index) => {
-          const processedRow = {};
-          const keys = Object.keys(row);
-          
-          // Find Year column
-          const getYearColumnName = (columns) => {
-            return columns.find(col => col.toLowerCase().trim() === 'year') || null;
-          };
-
-          const yearColumnKey = getYearColumnName(keys) || keys[0];
-          
-          // Process Year column
-          const yearValue = row[yearColumnKey];
-          if (yearValue) {
-            const yearStr = String(yearValue).trim();
-            if (/^\d{4}$/.test(yearStr)) {
-              const yearNum = Number(yearStr);
-              if (yearNum >= 1900 && yearNum <= 2100) {
-                processedRow.year = yearNum;
-              } else {
-                invalidRows.push({ index: index + 2, reason: `Year ${yearNum} out of range (1900-2100)` });
-                processedRow.year = null;
-              }
-            } else {
-              invalidRows.push({ index: index + 2, reason: `Invalid year format: "${yearValue}" (must be 4 digits)` });
-              processedRow.year = null;
-            }
-          } else {
-            invalidRows.push({ index: index + 2, reason: "Year column is empty" });
-            processedRow.year = null;
-          }
-          
-          // Process other columns
-          keys.forEach(key => {
-            if (key !== yearColumnKey) {
-              const value = row[key];
-              if (value !== null && value !== undefined && value !== "") {
-                const valueStr = String(value).trim();
-                if (!isNaN(valueStr) && valueStr !== "") {
-                  processedRow[key] = Number(valueStr);
-                } else {
-                  processedRow[key] = valueStr;
-                }
-              }
-            }
-          });
-          
-          return processedRow;
-        }).filter(row => row.year !== null);
-
-        if (processedData.length === 0) {
-          const invalidSummary = invalidRows.map(r => `Row ${r.index}: ${r.reason}`).join("\n");
-          setError(`❌ No valid data rows found.\n\nInvalid rows:\n${invalidSummary}`);
+        const { headers, rows, report } = reshapeImportTable({ headers: results.meta.fields || [], rows: results.data });
+        const upload = { file, rows, reshape: report, collectionName: derivedCollectionName };
+        const detected = detectImportProfile(headers, importProfiles.profiles);
+
+        if (!detected) {
+          setPendingImport({ ...upload, headers });
           setIsUploading(false);
-          e.target.value = null;
           return;
         }
 
-        if (invalidRows.length > 0) {
-          console.warn(`Skipped ${invalidRows.length} invalid rows:`, invalidRows);
-        }
-
-        if (onCsvData) {
-          onCsvData(processedData, {
-            collectionName: derivedCollectionName || null,
-            originalFileName: file.name
-          });
-        }
-
-        e.target.value = null;
         setIsUploading(false);
+        openPreview(upload, detected.profile, detected.mapping);
       },
       error: (error) => {
         console.error("CSV parsing error:", error);
@@ -224,11 +466,15 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
 
   // Render upload area
   const renderUploadArea = () => {
-    if (!isAuthenticated) {
+    if (!canUpload) {
       return (
         <div className="p-6 text-center bg-gray-50 rounded-xl border-2 border-dashed border-gray-300">
           <Lock className="mx-auto mb-3 text-gray-400" size={32} />
-          <p className="text-gray-600 font-medium">Please login to access CSV upload</p>
+          <p className="text-gray-600 font-medium">
+            {isAuthenticated
+              ? "Your role does not include CSV upload. Ask an administrator for access."
+              : "Please login to access CSV upload"}
+          </p>
         </div>
       );
     }
@@ -244,18 +490,18 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
           </div>
           <div className="flex-1">
             <span className="font-bold text-lg text-gray-800 block mb-1">
-              {fileName || "📁 Click to Choose CSV File"}
+              {fileName || "📁 Click to Choose CSV or Excel File"}
             </span>
           </div>
         </label>
         <input
           id="csv-upload"
           type="file"
-          accept=".csv"
+          accept=".csv,.xlsx,.xls,.ods"
           onChange={handleFileUpload}
           ref={fileInputRef}
           className="hidden"
-          disabled={!canUpload || isUploading}
+          disabled={!canUpload || isUploading || jobRunning}
         />
         {fileName && (
           <div className="mt-4 flex items-center justify-between gap-3 p-4 bg-green-50 rounded-lg border border-green-200">
@@ -264,6 +510,9 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
               <div>
                 <span className="font-semibold text-green-800 text-base block">File Ready</span>
                 <span className="text-sm text-green-600">{fileName}</span>
+                {matchedProfile && (
+                  <span className="text-sm text-gray-600 block">Columns mapped with “{matchedProfile.name}”</span>
+                )}
               </div>
             </div>
             <div className="flex items-center gap-2">
@@ -292,10 +541,205 @@ const CsvUploader = ({ onCsvData, onClearData, userRole, isAuthenticated }) => {
     );
   };
 
+  // Render write progress reported by overwriteCollection or upsertDatasetValues
+  const renderProgress = (progress) => {
+    if (!progress) return null;
+
+    const { phase, completed, total } = progress;
+    const percent = total > 0 ? Math.round((completed / total) * 100) : 100;
+    const isError = uploadStatus === "error" || phase === "rolling-back";
+
+    return (
+      <div className={`p-4 rounded-lg border ${isError ? "bg-red-50 border-red-200" : "bg-blue-50 border-blue-200"}`}>
+        <div className="flex items-center justify-between mb-2 text-sm font-semibold">
+          <span className={isError ? "text-red-700" : "text-blue-700"}>
+            {PROGRESS_LABELS[phase] || phase}
+          </span>
+          <span className="text-gray-600">{completed} / {total}</span>
+        </div>
+        <div className="w-full h-2 bg-white rounded-full overflow-hidden">
+          <div
+            className={`h-2 ${isError ? "bg-red-500" : "bg-primary-500"} transition-all`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      </div>
+    );
+  };
+
+  // ========== IMPORT JOB ACTIONS ==========
+  const runJobAction = async (action, failureMessage) => {
+    try {
+      await action();
+    } catch (err) {
+      setError(`${failureMessage}: ${err.message}`);
+    }
+  };
+
+  // What a merge changed: counts, then one line per changed year
+  const renderMergeSummary = (title, merge, onDismiss) => {
+    const [counts, ...lines] = describeMerge(merge);
+    return (
+      <div className="p-4 rounded-lg border bg-green-50 border-green-200 text-sm">
+        <strong className="text-green-800 block">{title}: {counts}</strong>
+        {lines.length > 0 && (
+          <ul className="mt-2 space-y-1 text-gray-700">
+            {lines.slice(0, MERGE_SUMMARY_LINES).map((line) => <li key={line}>{line}</li>)}
+            {lines.length > MERGE_SUMMARY_LINES && <li>…and {lines.length - MERGE_SUMMARY_LINES} more years</li>}
+          </ul>
+        )}
+        {onDismiss && (
+          <button onClick={onDismiss} className="mt-2 px-3 py-1 text-gray-600 rounded-lg font-semibold hover:bg-gray-100">
+            Dismiss
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  // Render the server import job this device started
+  const renderJob = () => {
+    const { job } = importJob;
+    if (!job) return null;
+
+    const phase = job.status === IMPORT_JOB_STATUS.RUNNING ? job.phase : job.status;
+    const { completed = 0, total = 0 } = job;
+    const percent = total > 0 ? Math.round((completed / total) * 100) : job.status === IMPORT_JOB_STATUS.COMPLETE ? 100 : 0;
+    const isError = job.status === IMPORT_JOB_STATUS.FAILED || phase === "rolling-back";
+
+    return (
+      <div className={`p-4 rounded-lg border ${isError ? "bg-red-50 border-red-200" : "bg-blue-50 border-blue-200"}`}>
+        <div className="flex items-center justify-between mb-2 text-sm font-semibold">
+          <span className={isError ? "text-red-700" : "text-blue-700"}>
+            {PROGRESS_LABELS[phase] || phase} — {job.sourceFileName || job.collection}
+          </span>
+          <span className="text-gray-600">{completed} / {total}</span>
+        </div>
+        <div className="w-full h-2 bg-white rounded-full overflow-hidden">
+          <div
+            className={`h-2 ${isError ? "bg-red-500" : "bg-primary-500"} transition-all`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        {job.mergeSummary && (
+          <div className="mt-2">
+            {renderMergeSummary("Merged", { summary: job.mergeSummary, rows: job.mergeSummary.rows || [] })}
+          </div>
+        )}
+        {job.invalidRowCount > 0 && (
+          <p className="mt-2 text-sm text-gray-600">Skipped {job.invalidRowCount} invalid rows</p>
+        )}
+        {job.reshape?.mismatches.length > 0 && (
+          <ul className="mt-2 text-sm text-amber-700">
+            {job.reshape.mismatches.map((mismatch) => (
+              <li key={`${mismatch.row}:${mismatch.column}`}>{describeTotalMismatch(mismatch)}</li>
+            ))}
+          </ul>
+        )}
+        {(job.error || importJob.error) && (
+          <p className="mt-2 text-sm text-red-700">{job.error || importJob.error}</p>
+        )}
+        <div className="mt-3 flex items-center gap-2">
+          {jobRunning && (
+            <button
+              onClick={() => runJobAction(importJob.cancel, "Error cancelling upload")}
+              className="flex items-center gap-2 px-3 py-1 bg-white border border-red-300 text-red-700 rounded-lg text-sm font-semibold hover:bg-red-50"
+            >
+              <X size={14} /> Cancel
+            </button>
+          )}
+          {isResumableJob(job) && (
+            <button
+              onClick={() => runJobAction(importJob.resume, "Error resuming upload")}
+              className="flex items-center gap-2 px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded-lg text-sm font-semibold hover:bg-blue-50"
+            >
+              <RotateCcw size={14} /> Resume
+            </button>
+          )}
+          {isFinishedJob(job) && (
+            <button
+              onClick={importJob.dismiss}
+              className="flex items-center gap-2 px-3 py-1 text-gray-600 rounded-lg text-sm font-semibold hover:bg-gray-100"
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-6">
       {renderUploadArea()}
 
+      {pendingImport && (
+        <ImportMappingEditor
+          key={`${pendingImport.file.name}-${pendingImport.file.lastModified}`}
+          headers={pendingImport.headers}
+          sampleRows={pendingImport.rows.slice(0, MAPPING_SAMPLE_ROWS)}
+          defaultName={pendingImport.sheetName || deriveCollectionNameFromFile(pendingImport.file.name)}
+          onSave={handleMappingSaved}
+          onCancel={cancelMapping}
+          allowImportOnce={!useServer}
+          busy={savingProfile}
+        />
+      )}
+
+      {workbook && !pendingImport && !preview && (
+        <WorkbookSheetPicker
+          fileName={workbook.file.name}
+          sheets={workbook.sheets}
+          profiles={importProfiles.profiles}
+          assignments={workbook.assignments}
+          onAssign={(sheetName, profileId) => setWorkbook((current) => ({
+            ...current,
+            assignments: { ...current.assignments, [sheetName]: profileId }
+          }))}
+          imported={workbook.imported}
+          onImport={importSheet}
+          onClose={() => {
+            setWorkbook(null);
+            setMatchedProfile(null);
+            setFileName("");
+          }}
+          busy={isUploading || jobRunning}
+        />
+      )}
+
+      {preview && (
+        <ImportPreview
+          fileName={preview.upload.file.name}
+          collectionName={preview.targetCollection}
+          profile={preview.profile}
+          rows={preview.upload.rows}
+          reshape={preview.upload.reshape}
+          footnotes={preview.upload.footnotes}
+          validation={preview.validation}
+          diffs={preview.diffs}
+          diffError={preview.diffError}
+          mode={preview.mode}
+          onModeChange={(mode) => setPreview((current) => ({ ...current, mode }))}
+          datasetTarget={preview.datasetTarget}
+          intoDataset={preview.intoDataset}
+          onIntoDatasetChange={(intoDataset) => setPreview((current) => ({
+            ...current,
+            intoDataset,
+            mode: intoDataset ? IMPORT_MODES.MERGE : current.mode
+          }))}
+          fields={preview.fields}
+          mergeOptions={preview.mergeOptions}
+          onMergeOptionsChange={changeMergeOptions}
+          onConfirm={confirmImport}
+          onCancel={cancelPreview}
+          busy={isUploading}
+        />
+      )}
+
+      {datasetProgress ? renderProgress(datasetProgress) : useServer ? renderJob() : renderProgress(uploadProgress)}
+
+      {mergeResult && renderMergeSummary(`Merged into ${mergeResult.target}`, mergeResult.merge, () => setMergeResult(null))}
+
       {error && (
         <div className="alert alert-error p-5 flex items-start gap-3">
           <AlertCircle size={24} className="flex-shrink-0 mt-0.5" />
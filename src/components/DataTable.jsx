@@ -1,5 +1,8 @@
 import React, { useEffect, useMemo, useState, useCallback, useRef } from "react";
-import { addRecord, updateRecord, deleteRecord, clearCollection } from "../services/firestoreService";
+import { clearCollection } from "../services/firestoreService";
+import { performMutation } from "../services/offlineQueue";
+import { usePermission } from "../hooks/usePermission";
+import { PERMISSIONS } from "../utils/permissions";
 import { getColumnsWithYearFirst, getYearColumnData } from "../utils/yearUtils";
 import { AlertCircle, CheckCircle2, RotateCcw, ChevronLeft, ChevronRight, Pencil, Trash2, X } from "lucide-react";
 
@@ -224,9 +227,12 @@ const getYearColor = (year) => {
 };
 
 // Main DataTable Component
-const DataTable = ({ data = [], setData = () => {}, userRole = 'user', datasetName = "emigrants" }) => {
-  // Safety check for userRole
-  const safeUserRole = userRole || 'user';
+const DataTable = ({ data = [], setData = () => {}, datasetName = "emigrants" }) => {
+  // Permission gates (see utils/permissions.js)
+  const { can } = usePermission();
+  const canEdit = can(PERMISSIONS.MANAGE_DATA);
+  const canDelete = can(PERMISSIONS.DELETE_DATA);
+  const canReset = can(PERMISSIONS.CLEAR_ALL_DATA);
   
   //Memoized columns with Year first
   const { allColumns, yearColumn } = useMemo(() => {
@@ -402,7 +408,7 @@ const handleSaveEdit = async (index) => {
     
     console.log("Saving to Firestore:", dataToSave);
     
-    await updateRecord(row.id, dataToSave, datasetName);
+    const result = await performMutation("record.update", row.id, dataToSave, datasetName);
     
     // Update local state - find by ID in original data
     const originalIndex = data.findIndex(d => d.id === row.id);
@@ -415,7 +421,9 @@ const handleSaveEdit = async (index) => {
     setEditRowIndex(null);
     setEditingField(null);
     setErrors({});
-    setOperationMessage(" Record updated successfully!");
+    setOperationMessage(result?.queued
+      ? " Saved offline - will sync when the connection returns"
+      : " Record updated successfully!");
     
     setTimeout(() => setOperationMessage(""), 2000);
     
@@ -440,13 +448,15 @@ const handleDelete = async (index) => {
   try {
     setDeletingRowId(row.id);
     
-    await deleteRecord(row.id, datasetName);
+    const result = await performMutation("record.delete", row.id, datasetName);
     
     // Remove from original data by ID
     const updated = data.filter(d => d.id !== row.id);
     setData(updated);
     
-    setOperationMessage(" Record deleted successfully!");
+    setOperationMessage(result?.queued
+      ? " Deletion saved offline - will sync when the connection returns"
+      : " Record deleted successfully!");
     setTimeout(() => setOperationMessage(""), 2000);
     
   } catch (error) {
@@ -539,7 +549,7 @@ const handleAdd = async () => {
     
     // Add to Firestore
     console.log(" Calling addRecord...");
-    const addedRecord = await addRecord(dataToSave, datasetName);
+    const addedRecord = await performMutation("record.add", dataToSave, datasetName);
     console.log(" addRecord returned:", addedRecord);
     
     if (!addedRecord?.id) {
@@ -563,7 +573,9 @@ const handleAdd = async () => {
     setErrors({});
     
     console.log("✅ Setting success message...");
-    setOperationMessage("✅ Record added successfully!");
+    setOperationMessage(addedRecord.queued
+      ? "✅ Record saved offline - will sync when the connection returns"
+      : "✅ Record added successfully!");
     
     // Update pagination
     const totalRecords = data.length + 1;
@@ -760,7 +772,7 @@ const handleCellChange = (rowIndex, field, value, isNewRow = false) => {
           </div>
 
           <div className="data-table__actions">
-            {data.length > 0 && safeUserRole === 'admin' && (
+            {data.length > 0 && canReset && (
               <button
                 onClick={handleReset}
                 disabled={isResetting}
@@ -806,7 +818,7 @@ const handleCellChange = (rowIndex, field, value, isNewRow = false) => {
                     )}
                   </th>
                 ))}
-                <th className="text-base font-bold">Actions</th>
+                {(canEdit || canDelete) && <th className="text-base font-bold">Actions</th>}
               </tr>
             </thead>
             <tbody>
@@ -880,39 +892,43 @@ const handleCellChange = (rowIndex, field, value, isNewRow = false) => {
                     );
                   })}
                   
-                  <td>
-                    <div className="table-actions">
-                      {editRowIndex === startIndex + rowIndex ? (
-                        <button 
-                          className="btn btn-success" 
-                          onClick={() => handleSaveEdit(rowIndex)}
-                          disabled={savingRowId === row.id}
-                        >
-                          {savingRowId === row.id ? "Saving..." : "💾 Save"}
-                        </button>
-                      ) : (
-                        <button 
-                          className="btn btn-primary" 
-                          onClick={() => handleEdit(rowIndex)}
-                          disabled={editRowIndex !== null}
-                        >
-                          ✏️ Edit
-                        </button>
-                      )}
-                      <button 
-                        className="btn btn-danger" 
-                        onClick={() => handleDelete(rowIndex)}
-                        disabled={deletingRowId === row.id || editRowIndex === startIndex + rowIndex}
-                      >
-                        {deletingRowId === row.id ? "Deleting..." : "🗑️ Delete"}
-                      </button>
-                    </div>
-                  </td>
+                  {(canEdit || canDelete) && (
+                    <td>
+                      <div className="table-actions">
+                        {canEdit && (editRowIndex === startIndex + rowIndex ? (
+                          <button 
+                            className="btn btn-success" 
+                            onClick={() => handleSaveEdit(rowIndex)}
+                            disabled={savingRowId === row.id}
+                          >
+                            {savingRowId === row.id ? "Saving..." : "💾 Save"}
+                          </button>
+                        ) : (
+                          <button 
+                            className="btn btn-primary" 
+                            onClick={() => handleEdit(rowIndex)}
+                            disabled={editRowIndex !== null}
+                          >
+                            ✏️ Edit
+                          </button>
+                        ))}
+                        {canDelete && (
+                          <button 
+                            className="btn btn-danger" 
+                            onClick={() => handleDelete(rowIndex)}
+                            disabled={deletingRowId === row.id || editRowIndex === startIndex + rowIndex}
+                          >
+                            {deletingRowId === row.id ? "Deleting..." : "🗑️ Delete"}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))}
               
               {/* Add New Row */}
-              {safeUserRole === 'admin' && (
+              {canEdit && (
                 <tr className="data-table__new-row">
                   {allColumns.map((col) => {
                     const fieldType = getFieldType(col);
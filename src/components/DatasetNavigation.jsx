@@ -1,57 +1,37 @@
 import React from 'react';
 import { 
-  Users, Globe, MapPin, Briefcase, UserCheck, Heart, GraduationCap, Home 
+  Users, Globe, MapPin, Briefcase, UserCheck, Heart, GraduationCap, Home, History 
 } from 'lucide-react';
+import { DATASET_KEYS, DATASET_REGISTRY } from '../utils/datasetRegistry';
+
+// Tabs are generated from the dataset registry; only the icons live here
+const DATASET_ICONS = {
+  age: Users,
+  'all-countries': Globe,
+  'major-countries': MapPin,
+  occupation: Briefcase,
+  sex: UserCheck,
+  'civil-status': Heart,
+  education: GraduationCap,
+  'place-of-origin': Home
+};
+
+// Non-dataset view listing upload snapshots of the active collection
+export const VERSIONS_TAB = 'versions';
 
 const DatasetNavigation = ({ activeDataset, setActiveDataset }) => {
   const datasets = [
-    {
-      id: 'age',
-      label: 'Age',
-      icon: Users,
-      description: 'Age distribution data'
-    },
-    {
-      id: 'all-countries',
-      label: 'All Countries',
-      icon: Globe,
-      description: 'Complete country data'
-    },
-    {
-      id: 'major-countries',
-      label: 'Major Countries',
-      icon: MapPin,
-      description: 'Major destination countries'
-    },
-    {
-      id: 'occupation',
-      label: 'Occupation',
-      icon: Briefcase,
-      description: 'Occupation categories'
-    },
-    {
-      id: 'sex',
-      label: 'Sex',
-      icon: UserCheck,
-      description: 'Gender distribution'
-    },
-    {
-      id: 'civil-status',
-      label: 'Civil Status',
-      icon: Heart,
-      description: 'Marital status data'
-    },
-    {
-      id: 'education',
-      label: 'Education',
-      icon: GraduationCap,
-      description: 'Educational attainment'
-    },
-    {
-      id: 'place-of-origin',
-      label: 'Place of Origin',
-      icon: Home,
-      description: 'Geographic origins'
+    ...DATASET_KEYS.map((key) => ({
+      id: key,
+      label: DATASET_REGISTRY[key].navLabel,
+      icon: DATASET_ICONS[key] || Users,
+      description: DATASET_REGISTRY[key].description
+    })),
+    {
+      id: VERSIONS_TAB,
+      label: 'Versions',
+      icon: History,
+      description: 'Upload history, version comparison and restore'
     }
   ];
 
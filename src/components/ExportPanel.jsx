@@ -2,11 +2,17 @@ import React, { useEffect, useMemo, useState } from 'react';
 
 import { X, Download, FileText, PieChart, BarChart3, Table } from 'lucide-react';
 import ExportService from '../services/ExportService';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../utils/permissions';
 
 const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
+  const { can } = usePermission();
+  const canExportCharts = can(PERMISSIONS.EXPORT_CHARTS);
+  const canExportTable = can(PERMISSIONS.EXPORT_TABLE);
+
   const [exportFormat, setExportFormat] = useState('docx');
-  const [includeCharts, setIncludeCharts] = useState(true);
-  const [includeTable, setIncludeTable] = useState(true);
+  const [includeCharts, setIncludeCharts] = useState(canExportCharts);
+  const [includeTable, setIncludeTable] = useState(canExportTable);
   const [isExporting, setIsExporting] = useState(false);
 
   const availableRecords = data?.length ?? 0;
@@ -43,11 +49,11 @@ const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
     setIsExporting(true);
 
     try {
-      if (includeTable) {
+      if (includeTable && canExportTable) {
         await ExportService.exportTableToCsv({ data, schema });
       }
 
-      if (includeCharts && exportFormat === 'docx') {
+      if (includeCharts && canExportCharts && exportFormat === 'docx') {
         await ExportService.exportChartsToDocx({ chartsData, schema, records: data });
       }
 
@@ -135,6 +141,7 @@ const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
                   <input
                     type="checkbox"
                     checked={includeCharts}
+                    disabled={!canExportCharts}
                     onChange={(event) => setIncludeCharts(event.target.checked)}
                   />
                   <div className="export-toggle__icon export-toggle__icon--purple">
@@ -143,7 +150,9 @@ const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
                 </div>
                 <div className="export-toggle__details">
                   <span className="export-toggle__title">Charts & visualizations</span>
-                  <span className="export-toggle__meta">Attach the dashboard visuals and filters.</span>
+                  <span className="export-toggle__meta">
+                    {canExportCharts ? 'Attach the dashboard visuals and filters.' : 'Your role cannot export charts.'}
+                  </span>
                 </div>
               </label>
 
@@ -152,6 +161,7 @@ const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
                   <input
                     type="checkbox"
                     checked={includeTable}
+                    disabled={!canExportTable}
                     onChange={(event) => setIncludeTable(event.target.checked)}
                   />
                   <div className="export-toggle__icon export-toggle__icon--green">
@@ -160,7 +170,9 @@ const ExportPanel = ({ isOpen, onClose, data, chartsData, schema }) => {
                 </div>
                 <div className="export-toggle__details">
                   <span className="export-toggle__title">Structured data table</span>
-                  <span className="export-toggle__meta">Download every record with its columns.</span>
+                  <span className="export-toggle__meta">
+                    {canExportTable ? 'Download every record with its columns.' : 'Your role cannot export data tables.'}
+                  </span>
                 </div>
               </label>
             </div>
@@ -2,11 +2,16 @@ import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Title } from 'chart.js';
 import { Line as ChartLine } from 'react-chartjs-2';
 import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend as RechartsLegend } from 'recharts';
-import { cleanData, sortData, normalizeData, denormalize, createSequences, calculateMetrics, DEFAULT_PREPARATION_OPTIONS } from '../utils/dataPreparation';
-import { buildLSTMModel, trainLSTMModel, predictLSTM, saveLSTMModel, loadLSTMModel, deleteLSTMModel, downloadLSTMModel } from '../models/lstmModel';
-import { buildMLPModel, trainMLPModel, predictMLP, saveMLPModel, loadMLPModel, deleteMLPModel, downloadMLPModel } from '../models/mlpModel';
+import { denormalize, DEFAULT_PREPARATION_OPTIONS } from '../utils/dataPreparation';
+import { prepareForecastDataset, trainForecastModel, buildForecastMetadata } from '../utils/sharedTrainingPipeline';
+import { predictLSTM, saveLSTMModel, loadLSTMModel, deleteLSTMModel, downloadLSTMModel } from '../models/lstmModel';
+import { predictMLP, saveMLPModel, loadMLPModel, deleteMLPModel, downloadMLPModel } from '../models/mlpModel';
 import ForecastChart from './ForecastChart';
 import ForecastModal from './ForecastModal';
+import { usePermission } from '../hooks/usePermission';
+import { useForecastModels } from '../hooks/useForecastModels';
+import { FORECAST_STATUS } from '../services/forecastModelService';
+import { PERMISSIONS } from '../utils/permissions';
 import './ForecastPanel.css';
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend, Title);
@@ -301,7 +306,20 @@ const summariseHyperparameters = (config) => {
   return pieces.join(' • ');
 };
 
-export default function ForecastPanel({ data, onForecastUpdate }) {
+// Retraining intervals offered when sharing a model (see server/retraining.js)
+const SHARED_SCHEDULES = [
+  { hours: 24, label: 'Daily' },
+  { hours: 168, label: 'Weekly' },
+  { hours: 0, label: 'Only when the data changes' }
+];
+
+export default function ForecastPanel({ data, onForecastUpdate, collectionName }) {
+  const { user, can } = usePermission();
+  const canTrain = can(PERMISSIONS.TRAIN_ML_MODELS);
+  const sharedModels = useForecastModels({ enabled: can(PERMISSIONS.VIEW_DATA) });
+  const [shareName, setShareName] = useState('');
+  const [shareScheduleHours, setShareScheduleHours] = useState(SHARED_SCHEDULES[0].hours);
+  const [sharedBusyId, setSharedBusyId] = useState(null);
   const [modelType, setModelType] = useState('LSTM');
   const [isTraining, setIsTraining] = useState(false);
   const [trainingProgress, setTrainingProgress] = useState(null);
@@ -582,40 +600,13 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
 
   const createTrainingDataset = useCallback((lookbackValue, workingDataset) => {
     const normalizedLookback = clampLookback(lookbackValue ?? lookback);
-    const workingData = workingDataset ?? data;
-
-    const { rows: cleanedRows, issues, discardedCount } = cleanData(workingData, preparationOptions);
-    setPrepIssues(issues);
-    if (issues.length) {
-      console.warn('Forecast preparation issues detected:', issues);
+    const dataset = prepareForecastDataset(workingDataset ?? data, preparationOptions, normalizedLookback);
+    setPrepIssues(dataset.issues);
+    if (dataset.issues.length) {
+      console.warn('Forecast preparation issues detected:', dataset.issues);
     }
-
-    if (cleanedRows.length <= normalizedLookback) {
-      throw new Error('Not enough valid rows after cleaning to train the model.');
-    }
-
-    const sortedData = sortData(cleanedRows, YEAR_KEY);
-    const aggregatedSeries = sortedData.map((row) => ({
-      year: row[YEAR_KEY],
-      value: row[TARGET]
-    }));
-
-    const { normalized, mins, maxs } = normalizeData(sortedData, FEATURES);
-    const { X, y } = createSequences(normalized, normalizedLookback, FEATURES, TARGET);
-
-    return {
-      normalizedLookback,
-      workingData,
-      issues,
-      discardedCount,
-      sortedData,
-      aggregatedSeries,
-      mins,
-      maxs,
-      X,
-      y
-    };
-  }, [FEATURES, TARGET, YEAR_KEY, data, lookback, preparationOptions]);
+    return dataset;
+  }, [data, lookback, preparationOptions]);
 
   const conductTraining = useCallback(async (config, { onEpoch, datasetOverride } = {}) => {
     const baseConfig = config ?? getDefaultHyperparameters(modelType, lookback);
@@ -628,90 +619,8 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
     };
 
     const dataset = createTrainingDataset(normalizedConfig.lookback, datasetOverride);
-    const {
-      normalizedLookback,
-      workingData,
-      issues,
-      discardedCount,
-      aggregatedSeries,
-      sortedData,
-      mins,
-      maxs,
-      X,
-      y
-    } = dataset;
-
-    const featureCount = FEATURES.length;
-    const buildOptions = normalizedConfig.modelType === 'LSTM'
-      ? {
-          layerUnits: normalizedConfig.layerUnits,
-          dropout: normalizedConfig.dropout,
-          learningRate: normalizedConfig.learningRate
-        }
-      : {
-          hiddenUnits: normalizedConfig.hiddenUnits,
-          dropout: normalizedConfig.dropout,
-          activation: normalizedConfig.activation,
-          learningRate: normalizedConfig.learningRate
-        };
-
-    const newModel = normalizedConfig.modelType === 'LSTM'
-      ? buildLSTMModel(normalizedLookback, featureCount, buildOptions)
-      : buildMLPModel(normalizedLookback, featureCount, buildOptions);
-
-    const trainFn = normalizedConfig.modelType === 'LSTM' ? trainLSTMModel : trainMLPModel;
-    const predictFn = normalizedConfig.modelType === 'LSTM' ? predictLSTM : predictMLP;
-
-    const epochLogs = [];
-    const epochHandler = (epoch, logs) => {
-      const entry = {
-        epoch: epoch + 1,
-        loss: typeof logs.loss === 'number' ? logs.loss : Number.parseFloat(logs.loss ?? 'NaN'),
-        mae: typeof logs.mae === 'number' ? logs.mae : Number.parseFloat(logs.mae ?? 'NaN'),
-        val_loss: typeof logs.val_loss === 'number' ? logs.val_loss : logs.val_loss != null ? Number.parseFloat(logs.val_loss) : undefined,
-        val_mae: typeof logs.val_mae === 'number' ? logs.val_mae : logs.val_mae != null ? Number.parseFloat(logs.val_mae) : undefined
-      };
-      epochLogs.push(entry);
-      if (onEpoch) {
-        onEpoch({
-          epoch: entry.epoch,
-          totalEpochs: normalizedConfig.epochs,
-          logs: entry,
-          config: normalizedConfig
-        });
-      }
-    };
-
-    await trainFn(newModel, X, y, epochHandler, normalizedConfig.epochs, normalizedConfig.validationSplit);
-
-    const normalizedPredictions = await predictFn(newModel, X);
-    const predictions = normalizedPredictions.map((pred) => denormalize(pred, mins[TARGET], maxs[TARGET]));
-    const actualValues = y.map((val) => denormalize(val, mins[TARGET], maxs[TARGET]));
-
-    const trainingYears = sortedData.slice(normalizedLookback).map((row) => row[YEAR_KEY]);
-    const trainingSeries = trainingYears.map((year, index) => ({
-      year,
-      actual: actualValues[index],
-      fitted: predictions[index]
-    }));
-
-    const metricsResult = calculateMetrics(actualValues, predictions);
-
-    return {
-      config: normalizedConfig,
-      model: newModel,
-      epochLogs,
-      metrics: metricsResult,
-      aggregatedSeries,
-      trainingSeries,
-      mins,
-      maxs,
-      sortedData,
-      issues,
-      discardedCount,
-      workingData
-    };
-  }, [FEATURES.length, TARGET, YEAR_KEY, createTrainingDataset, lookback, modelType]);
+    return trainForecastModel(dataset, preparationOptions, normalizedConfig, onEpoch);
+  }, [createTrainingDataset, lookback, modelType, preparationOptions]);
 
   const humanize = (text) => {
     if (!text) return '';
@@ -1014,6 +923,11 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
   };
 
   const handleTrain = async () => {
+    if (!canTrain) {
+      alert('Permission denied: your role cannot train models.');
+      return;
+    }
+
     if (distributionData && !selectedCategory) {
       alert('Please select a category to forecast first!');
       return;
@@ -1075,28 +989,7 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
       });
 
       const calculatedMetrics = result.metrics;
-      const newMetadata = {
-        modelType: result.config.modelType,
-        lookback: result.config.lookback,
-        features: FEATURES,
-        target: TARGET,
-        mins: result.mins,
-        maxs: result.maxs,
-        lastYear: result.sortedData[result.sortedData.length - 1][YEAR_KEY],
-        lastData: result.sortedData.slice(-result.config.lookback),
-        metrics: calculatedMetrics,
-        trainedAt: new Date().toISOString(),
-        preparation: {
-          ...preparationOptions,
-          issueCount: result.issues.length,
-          discardedCount: result.discardedCount,
-          totalRows: result.workingData.length
-        },
-        historicalSeries: result.aggregatedSeries,
-        fittedSeries: result.trainingSeries,
-        trainingHistory: result.epochLogs,
-        hyperparameters: result.config
-      };
+      const newMetadata = buildForecastMetadata(result, preparationOptions);
 
       const saveFn = result.config.modelType === 'LSTM' ? saveLSTMModel : saveMLPModel;
       await saveFn(result.model, newMetadata);
@@ -1139,24 +1032,28 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
     }
   };
 
+  const applyLoadedModel = (result) => {
+    setModel(result.model);
+    setMetadata(result.metadata);
+    setMetrics(result.metadata.metrics);
+    setTrainingHistory(result.metadata.trainingHistory ?? []);
+    setHistoricalSeries(result.metadata.historicalSeries ?? []);
+    setFittedSeries(result.metadata.fittedSeries ?? []);
+    if (result.metadata.preparation) {
+      const { issueCount = 0, discardedCount = 0, totalRows } = result.metadata.preparation;
+      setPrepSummary({ issueCount, discardedCount, totalRows });
+    } else {
+      setPrepSummary(null);
+    }
+  };
+
   const handleLoadModel = async () => {
     try {
       const loadFn = modelType === 'LSTM' ? loadLSTMModel : loadMLPModel;
       const result = await loadFn();
 
       if (result) {
-        setModel(result.model);
-        setMetadata(result.metadata);
-        setMetrics(result.metadata.metrics);
-        setTrainingHistory(result.metadata.trainingHistory ?? []);
-        setHistoricalSeries(result.metadata.historicalSeries ?? []);
-        setFittedSeries(result.metadata.fittedSeries ?? []);
-        if (result.metadata.preparation) {
-          const { issueCount = 0, discardedCount = 0, totalRows } = result.metadata.preparation;
-          setPrepSummary({ issueCount, discardedCount, totalRows });
-        } else {
-          setPrepSummary(null);
-        }
+        applyLoadedModel(result);
         alert(`${modelType} model loaded successfully!`);
       } else {
         alert('No saved model found. Please train a model first.');
@@ -1167,6 +1064,66 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
     }
   };
 
+  // ========== SHARED MODELS (retrained by the server) ==========
+  const handleShareModel = async () => {
+    if (!collectionName) {
+      alert('Open a collection first to share a forecast for it.');
+      return;
+    }
+
+    try {
+      await sharedModels.register({
+        name: shareName || `${collectionName} ${humanize(TARGET)} (${modelType})`,
+        collection: collectionName,
+        modelType,
+        yearKey: YEAR_KEY,
+        target: TARGET,
+        features: FEATURES,
+        hyperparameters: { ...selectedHyperparams, lookback },
+        scheduleHours: shareScheduleHours,
+        retrainOnDataChange: true
+      }, user);
+      setShareName('');
+      alert('Forecast shared. The server trains it within a few minutes.');
+    } catch (error) {
+      alert('Error sharing forecast: ' + error.message);
+    }
+  };
+
+  const runSharedAction = async (config, action, failureMessage) => {
+    setSharedBusyId(config.id);
+    try {
+      await action();
+    } catch (error) {
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setSharedBusyId(null);
+    }
+  };
+
+  const handleUseSharedModel = (config) => runSharedAction(config, async () => {
+    const result = await sharedModels.load(config.id);
+    if (!result) {
+      alert('This forecast has not been trained yet.');
+      return;
+    }
+    setModelType(result.metadata.modelType);
+    setLookback(result.metadata.lookback);
+    setForecasts(null);
+    applyLoadedModel(result);
+  }, 'Error loading shared model');
+
+  const handleRetrainSharedModel = (config) => runSharedAction(
+    config,
+    () => sharedModels.retrain(config.id),
+    'Error retraining shared model'
+  );
+
+  const handleRemoveSharedModel = (config) => {
+    if (!confirm(`Stop retraining and delete the shared forecast "${config.name}"?`)) return;
+    runSharedAction(config, () => sharedModels.remove(config.id), 'Error deleting shared forecast');
+  };
+
   const handleDeleteModel = async () => {
     if (!confirm('Are you sure you want to delete the saved model?')) return;
 
@@ -1475,8 +1432,9 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
         <div className="model-actions__primary">
           <button 
             onClick={handleTrain} 
-            disabled={isTraining} 
+            disabled={isTraining || !canTrain} 
             className={`model-actions__train ${modelType === 'MLP' ? 'mlp-train' : 'lstm-train'}`}
+            title={canTrain ? undefined : 'Your role cannot train models'}
           >
             {isTraining ? `Training ${modelType} Model...` : `Train ${modelType} Model`}
           </button>
@@ -1498,7 +1456,7 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
           </button>
           <button 
             onClick={handleDeleteModel} 
-            disabled={isTraining || !model} 
+            disabled={isTraining || !model || !canTrain} 
             className={`model-actions__delete ${modelType === 'MLP' ? 'mlp' : ''}`}
           >
             Delete Model
@@ -1513,6 +1471,87 @@ export default function ForecastPanel({ data, onForecastUpdate }) {
         </div>
       </section>
 
+      <section className="shared-models">
+        <header className="section-block__header">
+          <h3>Shared models</h3>
+          <span className="model-summary__badge">Retrained by the server</span>
+        </header>
+        {sharedModels.error && <p className="shared-models__empty">{sharedModels.error}</p>}
+        {!sharedModels.loading && sharedModels.configs.length === 0 ? (
+          <p className="shared-models__empty">No shared forecasts yet.</p>
+        ) : (
+          <ul className="shared-models__list">
+            {sharedModels.configs.map((config) => (
+              <li key={config.id} className="shared-models__item">
+                <div>
+                  <strong>{config.name}</strong>
+                  <span>
+                    {config.collection} • {config.modelType} • {humanize(config.target)}
+                    {' • '}
+                    {config.status === FORECAST_STATUS.TRAINING
+                      ? 'Training…'
+                      : config.lastTrainedAt
+                        ? `Trained ${new Date(config.lastTrainedAt).toLocaleString()}`
+                        : 'Waiting for first training'}
+                  </span>
+                  {config.status === FORECAST_STATUS.FAILED && (
+                    <span className="shared-models__error">Last training failed: {config.lastError}</span>
+                  )}
+                </div>
+                <div className="model-actions__secondary">
+                  <button
+                    onClick={() => handleUseSharedModel(config)}
+                    disabled={isTraining || sharedBusyId !== null || !config.lastTrainedAt}
+                  >
+                    Use
+                  </button>
+                  {canTrain && (
+                    <>
+                      <button
+                        onClick={() => handleRetrainSharedModel(config)}
+                        disabled={sharedBusyId !== null || config.status === FORECAST_STATUS.TRAINING}
+                      >
+                        Retrain now
+                      </button>
+                      <button
+                        onClick={() => handleRemoveSharedModel(config)}
+                        disabled={sharedBusyId !== null}
+                        className="danger"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        {canTrain && collectionName && (
+          <div className="shared-models__share">
+            <input
+              type="text"
+              value={shareName}
+              onChange={(event) => setShareName(event.target.value)}
+              placeholder={`${collectionName} ${humanize(TARGET)} (${modelType})`}
+            />
+            <select
+              value={shareScheduleHours}
+              onChange={(event) => setShareScheduleHours(Number(event.target.value))}
+            >
+              {SHARED_SCHEDULES.map((schedule) => (
+                <option key={schedule.hours} value={schedule.hours}>{schedule.label}</option>
+              ))}
+            </select>
+            <div className="model-actions__secondary">
+              <button onClick={handleShareModel} disabled={isTraining}>
+                Share current settings
+              </button>
+            </div>
+          </div>
+        )}
+      </section>
+
       {isTraining && trainingProgress && (
         <div className="training-progress">
           <header className="training-progress__header">
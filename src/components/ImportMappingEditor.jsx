@@ -0,0 +1,183 @@
+/**
+ * ============================================
+ * IMPORT MAPPING EDITOR COMPONENT
+ * ============================================
+ *
+ * Shown by CsvUploader when a file's header row fits no import profile
+ * (see utils/importProfiles.js). Each column of the file is mapped to a
+ * field with a type, a required flag and an optional range, or left out.
+ * The mapping is saved as a named profile, so the next file with the same
+ * headers is detected and imported without the editor.
+ *
+ * @param {Array<string>} headers - the file's header row
+ * @param {Array<Object>} sampleRows - first rows of the file, keyed by header
+ * @param {String} defaultName - suggested profile name
+ * @param {Function} onSave - Called with the profile and { save }; save is
+ *   false for "Import once"
+ * @param {Function} onCancel
+ * @param {Boolean} [allowImportOnce=true] - offer importing without saving
+ * @param {Boolean} [busy]
+ *
+ * @component
+ */
+import React, { useState } from "react";
+import { Save, Upload, X } from "lucide-react";
+import { DATASET_REGISTRY } from "../utils/datasetRegistry";
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS, buildImportProfile, suggestProfileColumns } from "../utils/importProfiles";
+
+const RANGE_TYPES = [COLUMN_TYPES.YEAR, COLUMN_TYPES.INTEGER, COLUMN_TYPES.NUMBER];
+
+const ImportMappingEditor = ({ headers, sampleRows, defaultName, onSave, onCancel, allowImportOnce = true, busy }) => {
+  // ========== STATE MANAGEMENT ==========
+  const [name, setName] = useState(defaultName || "");
+  const [dataset, setDataset] = useState("");
+  const [columns, setColumns] = useState(() => suggestProfileColumns(headers, sampleRows));
+  const [error, setError] = useState(null);
+
+  const updateColumn = (index, changes) => {
+    setColumns((current) => current.map((column, position) => (position === index ? { ...column, ...changes } : column)));
+  };
+
+  const handleSubmit = (save) => {
+    try {
+      const profile = buildImportProfile({ name, dataset, columns });
+      setError(null);
+      onSave(profile, { save });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // ========== RENDER ==========
+  return (
+    <div className="p-4 rounded-lg border border-amber-200 bg-amber-50 space-y-4">
+      <div>
+        <strong className="font-bold text-base block">Map the columns of this file</strong>
+        <span className="text-sm text-gray-600">
+          Its headers do not match any saved import profile. Choose what each column holds and save the mapping as a profile.
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="text-sm font-semibold">
+          Profile name{" "}
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} className="ml-1 px-2 py-1 border rounded" />
+        </label>
+        <label className="text-sm font-semibold">
+          CFO table{" "}
+          <select value={dataset} onChange={(e) => setDataset(e.target.value)} className="ml-1 px-2 py-1 border rounded">
+            <option value="">None (year-keyed collection)</option>
+            {Object.values(DATASET_REGISTRY).map(({ key, displayName }) => (
+              <option key={key} value={key}>{displayName}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Import</th>
+              <th>Column in file</th>
+              <th>Sample</th>
+              <th>Field</th>
+              <th>Type</th>
+              <th>Required</th>
+              <th>Min</th>
+              <th>Max</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column, index) => {
+              const disabled = !column.include;
+              const hasRange = RANGE_TYPES.includes(column.type);
+              return (
+                <tr key={column.header}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={column.include}
+                      onChange={(e) => updateColumn(index, { include: e.target.checked })}
+                    />
+                  </td>
+                  <td>{column.header}</td>
+                  <td className="text-gray-500">{sampleRows[0]?.[column.header] ?? ""}</td>
+                  <td>
+                    <input
+                      type="text"
+                      value={column.field}
+                      onChange={(e) => updateColumn(index, { field: e.target.value })}
+                      disabled={disabled}
+                      className="px-2 py-1 border rounded"
+                    />
+                  </td>
+                  <td>
+                    <select
+                      value={column.type}
+                      onChange={(e) => updateColumn(index, { type: e.target.value })}
+                      disabled={disabled}
+                    >
+                      {Object.values(COLUMN_TYPES).map((type) => (
+                        <option key={type} value={type}>{COLUMN_TYPE_LABELS[type]}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={column.required}
+                      onChange={(e) => updateColumn(index, { required: e.target.checked })}
+                      disabled={disabled}
+                    />
+                  </td>
+                  {["min", "max"].map((bound) => (
+                    <td key={bound}>
+                      <input
+                        type="number"
+                        value={hasRange ? column[bound] : ""}
+                        onChange={(e) => updateColumn(index, { [bound]: e.target.value })}
+                        disabled={disabled || !hasRange}
+                        className="w-20 px-2 py-1 border rounded"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => handleSubmit(true)}
+          disabled={busy}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg font-semibold hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Save size={16} /> Save profile and import
+        </button>
+        {allowImportOnce && (
+          <button
+            onClick={() => handleSubmit(false)}
+            disabled={busy}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-blue-300 text-blue-700 rounded-lg font-semibold hover:bg-blue-50 disabled:opacity-50"
+          >
+            <Upload size={16} /> Import once
+          </button>
+        )}
+        <button
+          onClick={onCancel}
+          disabled={busy}
+          className="flex items-center gap-2 px-4 py-2 text-gray-600 rounded-lg font-semibold hover:bg-gray-100"
+        >
+          <X size={16} /> Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportMappingEditor;
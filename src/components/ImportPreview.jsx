@@ -0,0 +1,338 @@
+/**
+ * ============================================
+ * IMPORT PREVIEW COMPONENT
+ * ============================================
+ *
+ * Dry run shown by CsvUploader before anything is written:
+ * - The parsed table, with the cells and rows validateCsvData flags
+ *   highlighted (errors red, warnings amber; hover for the reason)
+ * - The file-level errors and warnings
+ * - How the table was reshaped (crosstab turned, totals and footnote markers
+ *   left out, see utils/crosstab.js), totals that do not add up, and the
+ *   sheet's footnotes
+ * - A diff against the stored collection (previewCollectionImport in
+ *   services/firestoreService.js): years added, removed and changed, with
+ *   the change of every numeric value
+ * - Replace or merge, then confirm or cancel. Merging takes a strategy per
+ *   field (keep existing, take incoming or sum, see utils/mergeImport.js);
+ *   files of a CFO table can instead be merged into that table's dataset,
+ *   by category and year
+ *
+ * @param {String} fileName
+ * @param {String} collectionName - collection the rows go to
+ * @param {Object} profile - import profile the columns are mapped with
+ * @param {Array<Object>} rows - parsed rows, keyed by the file's headers
+ * @param {Object} validation - validateCsvData result
+ * @param {Object} [reshape] - reshapeImportTable report
+ * @param {Array<String>} [footnotes] - footnote rows of a workbook sheet
+ * @param {Object} [diffs] - { replace, merge, dataset } diffs; null while loading
+ * @param {String} [diffError] - why the diff could not be computed
+ * @param {String} mode - one of IMPORT_MODES
+ * @param {Function} onModeChange
+ * @param {Object} [datasetTarget] - registry entry of the profile's CFO table,
+ *   when the uploader may merge into it
+ * @param {Boolean} intoDataset - merge into datasetTarget instead of the collection
+ * @param {Function} onIntoDatasetChange
+ * @param {Array<String>} fields - uploaded fields (categories for a dataset)
+ * @param {Object} mergeOptions - { strategies, defaultStrategy }
+ * @param {Function} onMergeOptionsChange
+ * @param {Function} onConfirm
+ * @param {Function} onCancel
+ * @param {Boolean} [busy]
+ *
+ * @component
+ */
+import React from "react";
+import { AlertTriangle, CheckCircle2, Info, X } from "lucide-react";
+import { IMPORT_MODES } from "../utils/importJobs";
+import { MERGE_STRATEGIES, MERGE_STRATEGY_LABELS } from "../utils/mergeImport";
+import { describeReshape, describeTotalMismatch } from "../utils/crosstab";
+
+// Rows of the file and of the diff shown before "and N more"
+const PREVIEW_ROW_LIMIT = 50;
+const ISSUE_LIMIT = 20;
+
+const STATUS_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  changed: "Changed"
+};
+
+const STATUS_CLASSES = {
+  added: "text-green-700",
+  removed: "text-red-700",
+  changed: "text-blue-700"
+};
+
+const formatValue = (value) => (value === undefined || value === null ? "—" : String(value));
+
+const formatChange = ({ column, before, after }) => {
+  const delta = typeof before === "number" && typeof after === "number" ? after - before : null;
+  const sign = delta > 0 ? "+" : "";
+  return `${column}: ${formatValue(before)} → ${formatValue(after)}${delta !== null ? ` (${sign}${delta.toLocaleString()})` : ""}`;
+};
+
+const ImportPreview = ({
+  fileName,
+  collectionName,
+  profile,
+  rows,
+  validation,
+  reshape,
+  footnotes = [],
+  diffs,
+  diffError,
+  mode,
+  onModeChange,
+  datasetTarget,
+  intoDataset,
+  onIntoDatasetChange,
+  fields,
+  mergeOptions,
+  onMergeOptionsChange,
+  onConfirm,
+  onCancel,
+  busy
+}) => {
+  const headers = Object.keys(rows[0] || {});
+  const merging = intoDataset || mode === IMPORT_MODES.MERGE;
+  const diff = intoDataset ? diffs?.dataset : diffs?.[mode];
+  const issues = validation.issues || [];
+  const errorCount = issues.filter((issue) => issue.severity === "error").length;
+  const warningCount = issues.length - errorCount;
+  const reshapeNotes = describeReshape(reshape);
+  const mismatches = reshape?.mismatches || [];
+
+  // row → column (null for the whole row) → issues
+  const issuesByCell = issues.reduce((map, issue) => {
+    const key = `${issue.row}:${issue.column ?? ""}`;
+    map.set(key, [...(map.get(key) || []), issue]);
+    return map;
+  }, new Map());
+
+  const cellIssues = (line, column) => issuesByCell.get(`${line}:${column ?? ""}`) || [];
+
+  const issueClass = (found) => {
+    if (found.some((issue) => issue.severity === "error")) return "bg-red-100";
+    return found.length > 0 ? "bg-amber-100" : "";
+  };
+
+  // ========== RENDER ==========
+  return (
+    <div className="p-4 rounded-lg border border-blue-200 bg-blue-50 space-y-4">
+      <div>
+        <strong className="font-bold text-base block">Preview of {fileName}</strong>
+        <span className="text-sm text-gray-600">
+          {rows.length} rows mapped with “{profile.name}” into <code>{collectionName}</code>. Nothing is written until you confirm.
+        </span>
+      </div>
+
+      <div className="summary-stats">
+        <span className="stat-item"><strong>{errorCount}</strong> Cell errors{errorCount > 0 && " (rows skipped)"}</span>
+        <span className="stat-item"><strong>{warningCount}</strong> Warnings</span>
+        {diff && (
+          <>
+            <span className="stat-item"><strong>{diff.summary.added}</strong> Years added</span>
+            <span className="stat-item"><strong>{diff.summary.removed}</strong> Years removed</span>
+            <span className="stat-item"><strong>{diff.summary.changed}</strong> Years changed</span>
+            <span className="stat-item"><strong>{diff.summary.unchanged}</strong> Unchanged</span>
+          </>
+        )}
+      </div>
+
+      {(validation.errors.length > 0 || validation.warnings.length > 0) && (
+        <ul className="text-sm space-y-1">
+          {validation.errors.map((message) => (
+            <li key={message} className="text-red-700 flex items-center gap-2"><AlertTriangle size={14} /> {message}</li>
+          ))}
+          {validation.warnings.map((message) => (
+            <li key={message} className="text-amber-700 flex items-center gap-2"><AlertTriangle size={14} /> {message}</li>
+          ))}
+        </ul>
+      )}
+
+      {(reshapeNotes.length > 0 || mismatches.length > 0 || footnotes.length > 0) && (
+        <ul className="text-sm space-y-1">
+          {reshapeNotes.map((line) => (
+            <li key={line} className="text-gray-700 flex items-center gap-2"><Info size={14} /> {line}</li>
+          ))}
+          {mismatches.slice(0, ISSUE_LIMIT).map((mismatch) => (
+            <li key={`${mismatch.row}:${mismatch.column}`} className="text-amber-700 flex items-center gap-2">
+              <AlertTriangle size={14} /> {describeTotalMismatch(mismatch)}
+            </li>
+          ))}
+          {mismatches.length > ISSUE_LIMIT && <li className="text-gray-600">…and {mismatches.length - ISSUE_LIMIT} more totals</li>}
+          {footnotes.map((footnote) => (
+            <li key={footnote} className="text-gray-600 italic">{footnote}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="overflow-x-auto max-h-80">
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Row</th>
+              {headers.map((header) => <th key={header}>{header}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROW_LIMIT).map((row, index) => {
+              const line = index + 2;
+              const rowIssues = cellIssues(line, null);
+              return (
+                <tr key={line} className={issueClass(rowIssues)} title={rowIssues.map((issue) => issue.message).join("\n")}>
+                  <td>{line}</td>
+                  {headers.map((header) => {
+                    const found = cellIssues(line, header);
+                    return (
+                      <td key={header} className={issueClass(found)} title={found.map((issue) => issue.message).join("\n")}>
+                        {formatValue(row[header])}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {rows.length > PREVIEW_ROW_LIMIT && (
+          <p className="text-sm text-gray-600">…and {rows.length - PREVIEW_ROW_LIMIT} more rows</p>
+        )}
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="text-sm space-y-1">
+          {issues.slice(0, ISSUE_LIMIT).map((issue, index) => (
+            <li key={index} className={issue.severity === "error" ? "text-red-700" : "text-amber-700"}>
+              Row {issue.row}{issue.column ? `, ${issue.column}` : ""}: {issue.message}
+            </li>
+          ))}
+          {issues.length > ISSUE_LIMIT && <li className="text-gray-600">…and {issues.length - ISSUE_LIMIT} more</li>}
+        </ul>
+      )}
+
+      {datasetTarget && (
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="import-target" checked={!intoDataset} onChange={() => onIntoDatasetChange(false)} />
+            Import into <code>{collectionName}</code>
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="import-target" checked={intoDataset} onChange={() => onIntoDatasetChange(true)} />
+            Merge into {datasetTarget.displayName} (<code>{datasetTarget.collection}</code>) by category and year
+          </label>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="import-mode"
+            checked={!merging}
+            onChange={() => onModeChange(IMPORT_MODES.REPLACE)}
+            disabled={intoDataset}
+          />
+          Replace the collection (years not in the file are removed)
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="radio"
+            name="import-mode"
+            checked={merging}
+            onChange={() => onModeChange(IMPORT_MODES.MERGE)}
+          />
+          Merge (years in the file are updated field by field, the others kept)
+        </label>
+      </div>
+
+      {merging && (
+        <div className="text-sm space-y-2">
+          <label className="flex items-center gap-2 font-semibold">
+            When a {intoDataset ? "category" : "field"} already has a value:
+            <select
+              value={mergeOptions.defaultStrategy}
+              onChange={(e) => onMergeOptionsChange({ ...mergeOptions, defaultStrategy: e.target.value })}
+            >
+              {Object.values(MERGE_STRATEGIES).map((strategy) => (
+                <option key={strategy} value={strategy}>{MERGE_STRATEGY_LABELS[strategy]}</option>
+              ))}
+            </select>
+          </label>
+          <div className="flex flex-wrap gap-3">
+            {fields.map((field) => (
+              <label key={field} className="flex items-center gap-1">
+                {field}
+                <select
+                  value={mergeOptions.strategies[field] || ""}
+                  onChange={(e) => {
+                    const { [field]: _, ...strategies } = mergeOptions.strategies;
+                    if (e.target.value) strategies[field] = e.target.value;
+                    onMergeOptionsChange({ ...mergeOptions, strategies });
+                  }}
+                >
+                  <option value="">Default</option>
+                  {Object.values(MERGE_STRATEGIES).map((strategy) => (
+                    <option key={strategy} value={strategy}>{MERGE_STRATEGY_LABELS[strategy]}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {diffError ? (
+        <p className="text-sm text-red-700">Could not compare with the stored data: {diffError}</p>
+      ) : !diff ? (
+        <p className="text-sm text-gray-600">Comparing with the stored data…</p>
+      ) : diff.rows.length === 0 ? (
+        <p className="text-sm text-gray-600">The stored data already matches this file.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-80">
+          <table className="data-table__table">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Change</th>
+                <th>Values</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.rows.slice(0, PREVIEW_ROW_LIMIT).map(({ year, status, changes }) => (
+                <tr key={year}>
+                  <td>{year}</td>
+                  <td className={STATUS_CLASSES[status]}>{STATUS_LABELS[status]}</td>
+                  <td>{status === "changed" ? changes.map(formatChange).join("; ") : `${changes.length} values`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {diff.rows.length > PREVIEW_ROW_LIMIT && (
+            <p className="text-sm text-gray-600">…and {diff.rows.length - PREVIEW_ROW_LIMIT} more years</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onConfirm}
+          disabled={busy}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg font-semibold hover:bg-primary-700 disabled:opacity-50"
+        >
+          <CheckCircle2 size={16} /> {intoDataset ? `Merge into ${datasetTarget.displayName}` : merging ? "Merge into collection" : "Replace collection"}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={busy}
+          className="flex items-center gap-2 px-4 py-2 text-gray-600 rounded-lg font-semibold hover:bg-gray-100"
+        >
+          <X size={16} /> Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPreview;
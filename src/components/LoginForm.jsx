@@ -1,6 +1,7 @@
 // src/components/LoginForm.jsx
 import React, { useState } from 'react';
 import { Loader2, Mail, Lock, User, Shield, Eye, EyeOff, CheckCircle, XCircle, UserPlus, LogIn } from 'lucide-react';
+import { DEFAULT_ROLE, ROLES } from '../utils/permissions';
 
 const LoginForm = ({ onLogin, onRegister, loading, error }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -16,7 +17,9 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'admin'  // Default to admin since we only have admin role now
+    // Asking for admin files a request that an existing admin must approve
+    requestAdmin: false,
+    adminReason: ''
   });
 
   const [validations, setValidations] = useState({
@@ -27,17 +30,6 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
   });
 
 
-  const isEmailEligibleForAdmin = (email) => {
-  if (!email || !email.includes('@')) return false;
-  
-  const allowedDomains = ['gmail.com', 'outlook.com', 'yahoo.com', 'hotmail.com'];
-  const domain = email.split('@')[1];
-  
-  return allowedDomains.some(allowed => 
-    domain === allowed || domain.endsWith(`.${allowed}`)
-  );
-};
-
   const handleSubmit = (e) => {
     e.preventDefault();
     onLogin(formData.email, formData.password);
@@ -67,12 +59,12 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
       return;
     }
     
-    // Always register as admin
     onRegister(
       registerData.email,
       registerData.password,
       registerData.name,
-      'admin'
+      registerData.requestAdmin ? ROLES.ADMIN : DEFAULT_ROLE,
+      registerData.adminReason
     );
   };
 
@@ -148,8 +140,8 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
             </div>
             <p className="auth-card__subtitle">
               {isLogin
-                ? 'Enter your administrator credentials to continue.'
-                : 'Create an administrator account to seed the dashboard.'}
+                ? 'Enter your credentials to continue.'
+                : 'Create an account. Administrator access is granted after approval.'}
             </p>
           </div>
 
@@ -365,6 +357,35 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
                   )}
                 </div>
 
+                <div className="form-field">
+                  <label className="form-label" htmlFor="register-request-admin">
+                    <input
+                      id="register-request-admin"
+                      type="checkbox"
+                      checked={registerData.requestAdmin}
+                      onChange={(e) => setRegisterData({ ...registerData, requestAdmin: e.target.checked })}
+                      disabled={loading}
+                    />
+                    <Shield size={16} />
+                    <span>Request administrator access</span>
+                  </label>
+                  {registerData.requestAdmin && (
+                    <>
+                      <textarea
+                        className="input-field"
+                        value={registerData.adminReason}
+                        onChange={(e) => setRegisterData({ ...registerData, adminReason: e.target.value })}
+                        placeholder="Why do you need administrator access? (optional)"
+                        rows={2}
+                        disabled={loading}
+                      />
+                      <p className="form-helper">
+                        You can use the dashboard right away; an existing administrator reviews the request.
+                      </p>
+                    </>
+                  )}
+                </div>
+
                 <button
                   type="submit"
                   className="button button--accent button--block auth-submit"
@@ -378,7 +399,7 @@ const LoginForm = ({ onLogin, onRegister, loading, error }) => {
                   ) : (
                     <>
                       <UserPlus size={18} />
-                      <span>Create admin account</span>
+                      <span>Create account</span>
                     </>
                   )}
                 </button>
@@ -1,5 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { useOccupationData } from '../hooks/useOccupationData';
+import { DATASET_REGISTRY } from '../utils/datasetRegistry';
+import RecycleBin from './RecycleBin';
 
 const OccupationTable = () => {
   const { data, loading, error, addRecord, updateRecord, deleteRecord, removeOccupationGroup } = useOccupationData();
@@ -113,7 +115,7 @@ const OccupationTable = () => {
 
   const handleDelete = async (occupation) => {
     if (selectedYear === 'all') {
-      if (window.confirm(`Are you sure you want to delete all data for ${occupation} across all years?`)) {
+      if (window.confirm(`Move all data for ${occupation} across all years to the recycle bin?`)) {
         try {
           await removeOccupationGroup(occupation);
         } catch (error) {
@@ -122,7 +124,7 @@ const OccupationTable = () => {
         }
       }
     } else {
-      if (window.confirm(`Are you sure you want to delete ${occupation} data for year ${selectedYear}?`)) {
+      if (window.confirm(`Move ${occupation} data for year ${selectedYear} to the recycle bin?`)) {
         try {
           await deleteRecord(occupation, parseInt(selectedYear));
         } catch (error) {
@@ -761,6 +763,8 @@ const OccupationTable = () => {
           </button>
         </div>
       )}
+
+      <RecycleBin dataset={DATASET_REGISTRY.occupation} />
     </div>
   );
 };
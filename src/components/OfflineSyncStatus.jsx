@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * OFFLINE SYNC STATUS COMPONENT
+ * ============================================
+ *
+ * Shows edits waiting in the offline mutation queue (see offlineQueue.js):
+ * - Offline / pending-changes indicator with a "Sync now" button
+ * - List of queued edits
+ * - Resolve table for edits whose value was changed on the server while
+ *   offline (keep mine / use theirs), and for replays that failed
+ *
+ * Renders nothing while online with an empty queue.
+ *
+ * @component
+ */
+import React, { useState } from 'react';
+import { WifiOff, CloudUpload, RefreshCw, Check, Undo2, ChevronDown, ChevronUp } from 'lucide-react';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { CONFLICT_RESOLUTIONS, MUTATION_STATUS } from '../services/offlineQueue';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'Deleted';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const OfflineSyncStatus = () => {
+  const { mutations, pending, unresolved, online, syncing, syncNow, resolve } = useOfflineQueue();
+  const [showPending, setShowPending] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  if (online && mutations.length === 0) return null;
+
+  const handleSync = async () => {
+    try {
+      const { conflicts, failed } = await syncNow();
+      if (conflicts + failed > 0) {
+        alert(`${conflicts + failed} change(s) need your review before they can be saved.`);
+      }
+    } catch (err) {
+      alert('Error syncing changes: ' + err.message);
+    }
+  };
+
+  const handleResolve = async (mutation, resolution) => {
+    setBusyId(mutation.id);
+    try {
+      await resolve(mutation.id, resolution);
+    } catch (err) {
+      alert('Error resolving change: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="table-container">
+      <div className="table-summary-header">
+        <h3>
+          {online ? <CloudUpload size={18} /> : <WifiOff size={18} />}
+          {online ? ' Unsynced changes' : ' You are offline'}
+        </h3>
+        <div className="summary-stats">
+          <span className="stat-item"><strong>{pending.length}</strong> Pending</span>
+          <span className="stat-item"><strong>{unresolved.length}</strong> Need review</span>
+        </div>
+        <p>
+          {online
+            ? 'Changes made while offline are being sent to the server.'
+            : 'Your changes are saved on this device and will sync automatically when the connection returns.'}
+        </p>
+        <div className="action-buttons">
+          <button
+            onClick={handleSync}
+            className="button button--primary"
+            disabled={!online || syncing || pending.length === 0}
+          >
+            <RefreshCw size={16} />
+            {syncing ? 'Syncing...' : 'Sync now'}
+          </button>
+          {pending.length > 0 && (
+            <button onClick={() => setShowPending(!showPending)} className="button button--ghost">
+              {showPending ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+              {showPending ? 'Hide' : 'Show'} pending changes
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showPending && pending.length > 0 && (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>Queued</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pending.map((mutation) => (
+              <tr key={mutation.id}>
+                <td>{mutation.description}</td>
+                <td>{formatTime(mutation.createdAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {unresolved.length > 0 && (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>Your Value</th>
+              <th>Server Value</th>
+              <th>Queued</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {unresolved.map((mutation) => (
+              <tr key={mutation.id}>
+                <td>
+                  {mutation.description}
+                  {mutation.status === MUTATION_STATUS.FAILED && (
+                    <div className="text-red-600">Failed: {mutation.error}</div>
+                  )}
+                </td>
+                <td><code>{formatValue(mutation.proposed)}</code></td>
+                <td>
+                  <code>{mutation.status === MUTATION_STATUS.CONFLICT ? formatValue(mutation.remote) : '—'}</code>
+                </td>
+                <td>{formatTime(mutation.createdAt)}</td>
+                <td>
+                  <div className="action-buttons">
+                    <button
+                      onClick={() => handleResolve(mutation, CONFLICT_RESOLUTIONS.KEEP_MINE)}
+                      className="button button--sm button--primary"
+                      title="Save your value over the server's"
+                      disabled={!online || busyId !== null}
+                    >
+                      <Check size={14} /> Keep mine
+                    </button>
+                    <button
+                      onClick={() => handleResolve(mutation, CONFLICT_RESOLUTIONS.TAKE_THEIRS)}
+                      className="button button--sm button--ghost"
+                      title="Discard your change"
+                      disabled={busyId !== null}
+                    >
+                      <Undo2 size={14} /> Use theirs
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default OfflineSyncStatus;
@@ -1,12 +1,13 @@
 // src/components/ProtectedRoute.jsx
 import React from 'react';
+import { usePermission } from '../hooks/usePermission';
+import { normalizeRole } from '../utils/permissions';
 
 const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
-  const token = localStorage.getItem('token');
-  const userRole = localStorage.getItem('role');
+  const { user, role: userRole, can } = usePermission();
   
   // Check if authenticated
-  if (!token) {
+  if (!user) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="text-center">
@@ -18,7 +19,7 @@ const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
   }
   
   // Check role requirement
-  if (requiredRole && userRole !== requiredRole) {
+  if (requiredRole && userRole !== normalizeRole(requiredRole)) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="text-center">
@@ -32,13 +33,7 @@ const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
   
   // Check permission requirement
   if (requiredPermission) {
-    const permissions = {
-      admin: ['upload_data', 'manage_data', 'delete_data', 'clear_all_data', 'view_dashboard', 'export_data', 'train_ml_models', 'manage_users'],
-      user: ['view_dashboard', 'export_charts', 'export_table', 'view_data']
-    };
-    
-    const userPermissions = permissions[userRole] || [];
-    if (!userPermissions.includes(requiredPermission)) {
+    if (!can(requiredPermission)) {
       return (
         <div className="flex items-center justify-center min-h-screen">
           <div className="text-center">
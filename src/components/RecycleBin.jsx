@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { Trash2, RotateCcw, ChevronDown, ChevronUp } from 'lucide-react';
+import { useRecycleBin } from '../hooks/useRecycleBin';
+import { RECYCLE_BIN_RETENTION_DAYS } from '../services/datasetRepository';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../utils/permissions';
+
+const formatCategory = (value = '') => String(value).replace(/__/g, ' ');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const totalCount = (cells = []) =>
+  cells.reduce((sum, { values }) =>
+    sum + Object.values(values || {}).reduce((acc, count) => acc + (Number(count) || 0), 0), 0);
+
+/**
+ * Collapsible recycle bin for a registered category dataset. Deleted rows
+ * and groups stay here for RECYCLE_BIN_RETENTION_DAYS and can be restored
+ * by users with the delete_data permission (the only ones it is rendered
+ * for); permanent purges are reserved for admins (clear_all_data).
+ *
+ * @param {Object} dataset - Entry from utils/datasetRegistry.js
+ *
+ * @component
+ */
+const RecycleBin = ({ dataset }) => {
+  const { can } = usePermission();
+  const canRestore = can(PERMISSIONS.DELETE_DATA);
+  const canPurge = can(PERMISSIONS.CLEAR_ALL_DATA);
+  const { entries, loading, error, restore, purge } = useRecycleBin(dataset.key, { enabled: canRestore });
+  const [isOpen, setIsOpen] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  if (!canRestore) return null;
+
+  const describe = (entry) =>
+    entry.year === null
+      ? `${formatCategory(entry.category)} (all years)`
+      : `${formatCategory(entry.category)} in ${entry.year}`;
+
+  const handleRestore = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      const { skipped } = await restore(entry.id);
+      if (skipped > 0) {
+        alert(`Restored ${describe(entry)}. ${skipped} value(s) were kept because they were re-entered after the deletion.`);
+      }
+    } catch (err) {
+      alert('Error restoring record: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (entry) => {
+    if (!window.confirm(`Permanently delete ${describe(entry)}? This cannot be undone.`)) return;
+    setBusyId(entry.id);
+    try {
+      await purge(entry.id);
+    } catch (err) {
+      alert('Error purging record: ' + err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="table-container" style={{ marginTop: '1.5rem' }}>
+      <div className="table-summary-header">
+        <button onClick={() => setIsOpen(!isOpen)} className="button button--ghost">
+          <Trash2 size={16} />
+          Recycle Bin ({entries.length})
+          {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        </button>
+        {isOpen && (
+          <p>Deleted {dataset.categoryLabelPlural.toLowerCase()} are kept for {RECYCLE_BIN_RETENTION_DAYS} days before being removed permanently.</p>
+        )}
+      </div>
+
+      {isOpen && (
+        loading ? (
+          <div className="data-table__loading">
+            <div className="loading-spinner"></div>
+            <p>Loading recycle bin...</p>
+          </div>
+        ) : error ? (
+          <div className="data-table__error">
+            <p>Error loading recycle bin: {error}</p>
+          </div>
+        ) : (
+          <table className="data-table__table">
+            <thead>
+              <tr>
+                <th>{dataset.categoryLabel}</th>
+                <th>Count</th>
+                <th>Deleted</th>
+                <th>By</th>
+                <th>Expires</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 ? (
+                <tr>
+                  <td colSpan={6} className="no-data">The recycle bin is empty</td>
+                </tr>
+              ) : (
+                entries.map((entry) => (
+                  <tr key={entry.id}>
+                    <td>{describe(entry)}</td>
+                    <td>{totalCount(entry.cells).toLocaleString()}</td>
+                    <td>{formatDate(entry.deletedAt)}</td>
+                    <td>{entry.deletedBy?.email || 'Unknown'}</td>
+                    <td>{formatDate(entry.expiresAt)}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          onClick={() => handleRestore(entry)}
+                          className="button button--sm button--primary"
+                          title="Restore"
+                          disabled={busyId !== null}
+                        >
+                          <RotateCcw size={14} />
+                        </button>
+                        {canPurge && (
+                          <button
+                            onClick={() => handlePurge(entry)}
+                            className="button button--sm button--danger"
+                            title="Delete permanently"
+                            disabled={busyId !== null}
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * SESSION TIMEOUT DIALOG COMPONENT
+ * ============================================
+ *
+ * Shown by App during the last IDLE_WARNING_MS of the idle timeout (see
+ * hooks/useSession.js). Counts down to the automatic logout and lets the
+ * user stay signed in or log out right away.
+ *
+ * @param {Number|null} secondsLeft - Seconds until logout; null hides the dialog
+ * @param {Function} onStay - Restarts the idle timer
+ * @param {Function} onLogout - Logs out immediately
+ *
+ * @component
+ */
+import React from 'react';
+import { Clock, LogOut } from 'lucide-react';
+import './ForecastModal.css';
+
+const SessionTimeoutDialog = ({ secondsLeft, onStay, onLogout }) => {
+  if (secondsLeft === null || secondsLeft === undefined) return null;
+
+  return (
+    <div className="forecast-modal" role="presentation">
+      <div className="forecast-modal__backdrop" aria-hidden />
+      <div
+        className="forecast-modal__dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="session-timeout-title"
+        style={{ width: 'min(440px, 100%)' }}
+      >
+        <div className="forecast-modal__content">
+          <h3 id="session-timeout-title">
+            <Clock size={18} /> Are you still there?
+          </h3>
+          <p>
+            You will be logged out in <strong>{secondsLeft}</strong> second{secondsLeft === 1 ? '' : 's'} because
+            of inactivity.
+          </p>
+          <div className="action-buttons">
+            <button onClick={onStay} className="button button--primary" autoFocus>
+              Stay signed in
+            </button>
+            <button onClick={onLogout} className="button button--ghost">
+              <LogOut size={16} /> Log out
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionTimeoutDialog;
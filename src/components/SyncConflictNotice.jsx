@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * SYNC CONFLICT NOTICE COMPONENT
+ * ============================================
+ *
+ * Warns when another user's edit replaced a change made here before it was
+ * saved. The table already shows the other user's value; the notice says
+ * which record was affected so the change can be re-applied if needed.
+ *
+ * @component
+ */
+import React from 'react';
+import { AlertTriangle, X } from 'lucide-react';
+import { useSyncConflicts } from '../hooks/useSyncConflicts';
+import { DATASET_KEYS, DATASET_REGISTRY } from '../utils/datasetRegistry';
+
+const describeCollection = (collectionName) => {
+  const key = DATASET_KEYS.find((datasetKey) => DATASET_REGISTRY[datasetKey].collection === collectionName);
+  return key ? DATASET_REGISTRY[key].displayName : collectionName;
+};
+
+const SyncConflictNotice = () => {
+  const { conflicts, dismiss, dismissAll } = useSyncConflicts();
+
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div className="alert alert-warning p-5 flex items-start gap-3" role="alert">
+      <AlertTriangle size={24} className="flex-shrink-0 mt-0.5" />
+      <div style={{ flex: 1 }}>
+        <strong className="font-bold text-base block mb-1">
+          {conflicts.length === 1 ? 'Your change was overwritten' : `${conflicts.length} of your changes were overwritten`}
+        </strong>
+        <ul>
+          {conflicts.map((conflict) => (
+            <li key={conflict.id}>
+              {describeCollection(conflict.collection)} / {conflict.documentId}: another user saved a different
+              value at {new Date(conflict.detectedAt).toLocaleTimeString()}. Their value is shown now.
+              <button onClick={() => dismiss(conflict.id)} className="button button--ghost button--sm" title="Dismiss">
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+      {conflicts.length > 1 && (
+        <button onClick={dismissAll} className="button button--ghost button--sm">
+          Dismiss all
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SyncConflictNotice;
@@ -7,15 +7,20 @@
  * - Dashboard: Charts and visualizations
  * - Data Management: CSV upload, data table, export
  * - AI Train Model: ML model training and forecasting
+ * - Audit Log: history of every data change (admins only)
+ * - Users: accounts, roles and invitations (admins only)
+ * - Account: the signed-in user's sessions
  */
 import React from 'react';
 import { 
   BarChart3, Database, Brain, Users, Globe, MapPin, Briefcase, 
-  UserCheck, Heart, GraduationCap, Home 
+  UserCheck, Heart, GraduationCap, Home, ScrollText, UserCog, CircleUser 
 } from 'lucide-react';
+import { usePermission } from '../hooks/usePermission';
+import { PERMISSIONS } from '../utils/permissions';
 
-const TabNavigation = ({ activeTab, setActiveTab, userRole, hasData }) => {
-  const isPrivileged = userRole === 'super-admin' || userRole === 'admin';
+const TabNavigation = ({ activeTab, setActiveTab, hasData }) => {
+  const { can } = usePermission();
 
   const tabs = [
     {
@@ -37,7 +42,28 @@ const TabNavigation = ({ activeTab, setActiveTab, userRole, hasData }) => {
       label: 'AI Train Model',
       icon: Brain,
       description: 'Train ML models and forecast',
-      alwaysVisible: isPrivileged
+      alwaysVisible: can(PERMISSIONS.TRAIN_ML_MODELS)
+    },
+    {
+      id: 'audit-log',
+      label: 'Audit Log',
+      icon: ScrollText,
+      description: 'Review who changed which data and when',
+      alwaysVisible: can(PERMISSIONS.MANAGE_USERS)
+    },
+    {
+      id: 'users',
+      label: 'Users',
+      icon: UserCog,
+      description: 'Manage accounts, roles and invitations',
+      alwaysVisible: can(PERMISSIONS.MANAGE_USERS)
+    },
+    {
+      id: 'account',
+      label: 'Account',
+      icon: CircleUser,
+      description: 'See and revoke your active sessions',
+      alwaysVisible: true
     }
   ];
 
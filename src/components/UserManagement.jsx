@@ -0,0 +1,319 @@
+/**
+ * ============================================
+ * USER MANAGEMENT COMPONENT
+ * ============================================
+ *
+ * Admin-only console for the accounts in the "users" collection.
+ *
+ * Features:
+ * - Lists every user with role, status, creation date and last login
+ * - Change a user's role, suspend or reactivate them
+ * - Send a password reset email
+ * - Bulk-invite by a CSV (or pasted list) of emails; invitees get the
+ *   chosen role when they register
+ * - Pending administrator requests and the admin domain allowlist
+ * - Keys for the public dataset API
+ *
+ * Admins cannot change their own role or suspend themselves, so the last
+ * admin cannot lock everyone out.
+ *
+ * @component
+ */
+import React, { useState } from "react";
+import { Ban, KeyRound, Lock, Mail, RefreshCw, Upload, UserCheck, UserPlus, X } from "lucide-react";
+import AdminRequestsPanel from "./AdminRequestsPanel";
+import ApiKeysPanel from "./ApiKeysPanel";
+import { useUserManagement } from "../hooks/useUserManagement";
+import { usePermission } from "../hooks/usePermission";
+import {
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLES,
+  ROLE_LABELS,
+  USER_STATUS,
+  normalizeRole
+} from "../utils/permissions";
+import { parseInviteEmails } from "../utils/validators";
+
+// Firestore Timestamps, ISO strings and missing values
+const formatDate = (value) => {
+  if (!value) return "—";
+  const date = typeof value.toDate === "function" ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? "—" : date.toLocaleString();
+};
+
+const UserManagement = () => {
+  const { user: currentUser, can } = usePermission();
+  const canManage = can(PERMISSIONS.MANAGE_USERS);
+  const {
+    users,
+    invitations,
+    loading,
+    error,
+    refresh,
+    changeRole,
+    setStatus,
+    resetPassword,
+    invite,
+    revokeInvitation
+  } = useUserManagement({ enabled: canManage });
+
+  // ========== STATE MANAGEMENT ==========
+  const [busyId, setBusyId] = useState(null);
+  const [inviteText, setInviteText] = useState("");
+  const [inviteRole, setInviteRole] = useState(DEFAULT_ROLE);
+  const [inviteResult, setInviteResult] = useState(null);
+  const [inviting, setInviting] = useState(false);
+
+  if (!canManage) {
+    return (
+      <div className="data-table__error">
+        <Lock size={16} /> Only administrators can manage users.
+      </div>
+    );
+  }
+
+  const isSelf = (user) => user.id === currentUser?.uid;
+
+  const runAction = async (user, action, failureMessage) => {
+    setBusyId(user.id);
+    try {
+      await action();
+    } catch (err) {
+      alert(`${failureMessage}: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // ========== USER ACTIONS ==========
+  const handleRoleChange = (user, role) => {
+    if (!window.confirm(`Change ${user.email} to ${ROLE_LABELS[role]}?`)) return;
+    runAction(user, () => changeRole(user.id, role), "Error changing role");
+  };
+
+  const handleToggleStatus = (user) => {
+    const suspending = user.status !== USER_STATUS.SUSPENDED;
+    const question = suspending
+      ? `Suspend ${user.email}? They will be signed out and unable to log in.`
+      : `Reactivate ${user.email}?`;
+    if (!window.confirm(question)) return;
+    runAction(
+      user,
+      () => setStatus(user.id, suspending ? USER_STATUS.SUSPENDED : USER_STATUS.ACTIVE),
+      "Error updating status"
+    );
+  };
+
+  const handleResetPassword = (user) => {
+    runAction(user, async () => {
+      await resetPassword(user.email);
+      alert(`Password reset email sent to ${user.email}.`);
+    }, "Error sending password reset");
+  };
+
+  // ========== INVITATIONS ==========
+  const handleInviteFile = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    setInviteText(await file.text());
+    event.target.value = "";
+  };
+
+  const handleInvite = async () => {
+    const { emails, invalid } = parseInviteEmails(inviteText);
+    if (emails.length === 0) {
+      alert("No valid email addresses found.");
+      return;
+    }
+
+    setInviting(true);
+    try {
+      const { invited, skipped } = await invite(emails, inviteRole, currentUser);
+      setInviteResult({ invited, skipped, invalid });
+      setInviteText("");
+    } catch (err) {
+      alert("Error inviting users: " + err.message);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevoke = async (email) => {
+    if (!window.confirm(`Revoke the invitation for ${email}?`)) return;
+    try {
+      await revokeInvitation(email);
+    } catch (err) {
+      alert("Error revoking invitation: " + err.message);
+    }
+  };
+
+  // ========== RENDER ==========
+  return (
+    <div className="table-container">
+      <div className="table-summary-header">
+        <h3>Users ({users.length})</h3>
+        <div className="action-buttons">
+          <button onClick={refresh} className="button button--ghost" disabled={loading} title="Reload">
+            <RefreshCw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="data-table__loading">
+          <div className="loading-spinner"></div>
+          <p>Loading users...</p>
+        </div>
+      ) : error ? (
+        <div className="data-table__error">
+          <p>Error loading users: {error}</p>
+        </div>
+      ) : (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Email</th>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Created</th>
+              <th>Last Login</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="no-data">No users found</td>
+              </tr>
+            ) : (
+              users.map((user) => {
+                const role = normalizeRole(user.role) || DEFAULT_ROLE;
+                const suspended = user.status === USER_STATUS.SUSPENDED;
+                const disabled = busyId !== null || isSelf(user);
+
+                return (
+                  <tr key={user.id}>
+                    <td>{user.email}{isSelf(user) && " (you)"}</td>
+                    <td>{user.displayName || user.name || "—"}</td>
+                    <td>
+                      <select
+                        value={role}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        disabled={disabled}
+                      >
+                        {Object.values(ROLES).map((option) => (
+                          <option key={option} value={option}>{ROLE_LABELS[option]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>{suspended ? "Suspended" : "Active"}</td>
+                    <td>{formatDate(user.createdAt)}</td>
+                    <td>{formatDate(user.lastLogin)}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          onClick={() => handleToggleStatus(user)}
+                          className={`button button--sm ${suspended ? "button--primary" : "button--danger"}`}
+                          title={suspended ? "Reactivate" : "Suspend"}
+                          disabled={disabled}
+                        >
+                          {suspended ? <UserCheck size={14} /> : <Ban size={14} />}
+                        </button>
+                        <button
+                          onClick={() => handleResetPassword(user)}
+                          className="button button--sm button--ghost"
+                          title="Send password reset email"
+                          disabled={busyId !== null}
+                        >
+                          <KeyRound size={14} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      )}
+
+      <div className="table-summary-header" style={{ marginTop: "1.5rem" }}>
+        <h3>
+          <UserPlus size={18} /> Invite Users
+        </h3>
+        <p>Upload a CSV or paste emails. Invitees get the chosen role when they register.</p>
+      </div>
+
+      <div className="action-buttons">
+        <label className="button button--ghost">
+          <Upload size={16} /> Choose CSV
+          <input type="file" accept=".csv,.txt" onChange={handleInviteFile} hidden />
+        </label>
+        <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+          {Object.values(ROLES).map((option) => (
+            <option key={option} value={option}>{ROLE_LABELS[option]}</option>
+          ))}
+        </select>
+        <button onClick={handleInvite} className="button button--primary" disabled={inviting || !inviteText.trim()}>
+          <Mail size={16} /> {inviting ? "Inviting..." : "Send Invitations"}
+        </button>
+      </div>
+      <textarea
+        value={inviteText}
+        onChange={(e) => setInviteText(e.target.value)}
+        placeholder="one@example.com, two@example.com"
+        rows={4}
+        style={{ width: "100%", marginTop: "0.75rem" }}
+      />
+
+      {inviteResult && (
+        <div className="summary-stats">
+          <span className="stat-item"><strong>{inviteResult.invited.length}</strong> Invited</span>
+          <span className="stat-item"><strong>{inviteResult.skipped.length}</strong> Already Registered</span>
+          <span className="stat-item"><strong>{inviteResult.invalid.length}</strong> Invalid</span>
+          {inviteResult.invalid.length > 0 && <span>Invalid: {inviteResult.invalid.join(", ")}</span>}
+        </div>
+      )}
+
+      {invitations.length > 0 && (
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Invited Email</th>
+              <th>Role</th>
+              <th>Invited By</th>
+              <th>Invited</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invitations.map((invitation) => (
+              <tr key={invitation.id}>
+                <td>{invitation.email}</td>
+                <td>{ROLE_LABELS[normalizeRole(invitation.role)] || invitation.role}</td>
+                <td>{invitation.invitedBy?.email || "Unknown"}</td>
+                <td>{formatDate(invitation.invitedAt)}</td>
+                <td>
+                  <button
+                    onClick={() => handleRevoke(invitation.email)}
+                    className="button button--sm button--danger"
+                    title="Revoke invitation"
+                  >
+                    <X size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <AdminRequestsPanel onApproved={refresh} />
+      <ApiKeysPanel />
+    </div>
+  );
+};
+
+export default UserManagement;
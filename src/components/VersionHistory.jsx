@@ -0,0 +1,288 @@
+/**
+ * ============================================
+ * VERSION HISTORY COMPONENT
+ * ============================================
+ *
+ * Lists the snapshots overwriteCollection saves before each CSV upload,
+ * compares any two of them (or a version and the live data) by year and
+ * column, and restores a version with one click.
+ *
+ * @param {String} collectionName - Collection whose history is shown
+ * @param {Object} currentUser - { uid, email } recorded when restoring
+ * @param {Function} onRestored - Called after a successful restore
+ *
+ * @component
+ */
+import React, { useCallback, useEffect, useState } from "react";
+import { History, RotateCcw, GitCompare, RefreshCw } from "lucide-react";
+import {
+  CURRENT_VERSION_ID,
+  listVersions,
+  getVersionDocuments,
+  diffVersions
+} from "../services/versionService";
+import { restoreCollectionVersion } from "../services/firestoreService";
+import { usePermission } from "../hooks/usePermission";
+import { PERMISSIONS } from "../utils/permissions";
+
+const STATUS_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  changed: "Changed"
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+const formatValue = (value) => (value === undefined || value === null ? "—" : String(value));
+
+const VersionHistory = ({ collectionName, currentUser, onRestored }) => {
+  // ========== STATE MANAGEMENT ==========
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [compareFrom, setCompareFrom] = useState("");
+  const [compareTo, setCompareTo] = useState(CURRENT_VERSION_ID);
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const { can } = usePermission();
+  const canRestore = can(PERMISSIONS.MANAGE_DATA);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const list = await listVersions(collectionName);
+      setVersions(list);
+      setCompareFrom((previous) => previous || list[0]?.id || "");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [collectionName]);
+
+  useEffect(() => {
+    setDiff(null);
+    setCompareFrom("");
+    loadVersions();
+  }, [loadVersions]);
+
+  // ========== COMPARE HANDLER ==========
+  const handleCompare = async () => {
+    if (!compareFrom || !compareTo || compareFrom === compareTo) {
+      alert("Please choose two different versions to compare.");
+      return;
+    }
+
+    setComparing(true);
+    try {
+      const [fromDocuments, toDocuments] = await Promise.all([
+        getVersionDocuments(compareFrom, collectionName),
+        getVersionDocuments(compareTo, collectionName)
+      ]);
+      setDiff(diffVersions(fromDocuments, toDocuments));
+    } catch (err) {
+      alert("Error comparing versions: " + err.message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  // ========== RESTORE HANDLER ==========
+  const handleRestore = async (version) => {
+    const confirmed = window.confirm(
+      `Restore "${collectionName}" to the version saved ${formatDate(version.createdAt)} ` +
+      `(${version.rowCount} rows)?\n\nThe current data will be saved as a new version first.`
+    );
+    if (!confirmed) return;
+
+    setRestoringId(version.id);
+    try {
+      await restoreCollectionVersion(version.id, { createdBy: currentUser || null });
+      setDiff(null);
+      await loadVersions();
+      onRestored?.(version);
+      alert("Version restored successfully!");
+    } catch (err) {
+      alert("Error restoring version: " + err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const versionLabel = (id) => {
+    if (id === CURRENT_VERSION_ID) return "Current data";
+    const version = versions.find((item) => item.id === id);
+    return version ? `${formatDate(version.createdAt)} (${version.rowCount} rows)` : id;
+  };
+
+  if (loading) {
+    return (
+      <div className="data-table__loading">
+        <div className="loading-spinner"></div>
+        <p>Loading version history...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="data-table__error">
+        <p>Error loading version history: {error}</p>
+        <button onClick={loadVersions} className="button button--primary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="data-table">
+      {/* Compare Controls */}
+      <div className="data-table__controls">
+        <div className="data-table__year-filter">
+          <GitCompare size={20} />
+          <select
+            value={compareFrom}
+            onChange={(e) => setCompareFrom(e.target.value)}
+            className="year-filter-select"
+          >
+            <option value="">Compare from…</option>
+            {versions.map((version) => (
+              <option key={version.id} value={version.id}>{versionLabel(version.id)}</option>
+            ))}
+          </select>
+          <select
+            value={compareTo}
+            onChange={(e) => setCompareTo(e.target.value)}
+            className="year-filter-select"
+          >
+            <option value={CURRENT_VERSION_ID}>{versionLabel(CURRENT_VERSION_ID)}</option>
+            {versions.map((version) => (
+              <option key={version.id} value={version.id}>{versionLabel(version.id)}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleCompare}
+          className="button button--primary"
+          disabled={comparing || versions.length === 0}
+        >
+          <GitCompare size={16} />
+          {comparing ? "Comparing..." : "Compare"}
+        </button>
+        <button onClick={loadVersions} className="button button--ghost">
+          <RefreshCw size={16} />
+          Refresh
+        </button>
+      </div>
+
+      {/* Version List */}
+      <div className="table-container">
+        <div className="table-summary-header">
+          <h3>
+            <History size={18} /> Versions of "{collectionName}"
+          </h3>
+          <p>A snapshot is saved automatically before every CSV upload or restore.</p>
+        </div>
+
+        <table className="data-table__table">
+          <thead>
+            <tr>
+              <th>Saved</th>
+              <th>By</th>
+              <th>Replaced By Upload</th>
+              <th>Rows</th>
+              <th>Hash</th>
+              {canRestore && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {versions.length === 0 ? (
+              <tr>
+                <td colSpan={canRestore ? 6 : 5} className="no-data">
+                  No versions yet. A version is created the next time this collection is replaced.
+                </td>
+              </tr>
+            ) : (
+              versions.map((version) => (
+                <tr key={version.id}>
+                  <td>{formatDate(version.createdAt)}</td>
+                  <td>{version.createdBy?.email || "Unknown"}</td>
+                  <td>{version.sourceFileName || "—"}</td>
+                  <td>{version.rowCount}</td>
+                  <td title={version.hash}><code>{version.hash?.slice(0, 12)}</code></td>
+                  {canRestore && (
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          onClick={() => handleRestore(version)}
+                          className="button button--sm button--primary"
+                          title="Restore this version"
+                          disabled={restoringId !== null}
+                        >
+                          <RotateCcw size={14} />
+                          {restoringId === version.id ? " Restoring..." : " Restore"}
+                        </button>
+                      </div>
+                    </td>
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Diff Result */}
+      {diff && (
+        <div className="table-container">
+          <div className="table-summary-header">
+            <h3>{versionLabel(compareFrom)} → {versionLabel(compareTo)}</h3>
+            <div className="summary-stats">
+              <span className="stat-item"><strong>{diff.summary.added}</strong> Added</span>
+              <span className="stat-item"><strong>{diff.summary.removed}</strong> Removed</span>
+              <span className="stat-item"><strong>{diff.summary.changed}</strong> Changed</span>
+              <span className="stat-item"><strong>{diff.summary.unchanged}</strong> Unchanged</span>
+            </div>
+          </div>
+
+          <table className="data-table__table">
+            <thead>
+              <tr>
+                <th>Year</th>
+                <th>Status</th>
+                <th>Column</th>
+                <th>Before</th>
+                <th>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.rows.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="no-data">The two versions are identical</td>
+                </tr>
+              ) : (
+                diff.rows.flatMap(({ year, status, changes }) =>
+                  changes.map((change, index) => (
+                    <tr key={`${year}_${change.column}`}>
+                      <td>{index === 0 ? year : ""}</td>
+                      <td>{index === 0 ? STATUS_LABELS[status] : ""}</td>
+                      <td>{change.column}</td>
+                      <td>{formatValue(change.before)}</td>
+                      <td>{formatValue(change.after)}</td>
+                    </tr>
+                  ))
+                )
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
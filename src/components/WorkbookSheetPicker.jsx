@@ -0,0 +1,122 @@
+/**
+ * ============================================
+ * WORKBOOK SHEET PICKER COMPONENT
+ * ============================================
+ *
+ * Shown by CsvUploader for .xlsx, .xls and .ods files: lists the tables
+ * found on each sheet (utils/workbookImport.js) and the import profile each
+ * is mapped with, which also decides its dataset (age, sex, occupation,
+ * major countries...). Sheets are imported one at a time through the usual
+ * preview; sheets without a fitting profile open the mapping editor.
+ *
+ * @param {String} fileName
+ * @param {Array<Object>} sheets - readWorkbook result
+ * @param {Array<Object>} profiles - saved and built-in import profiles
+ * @param {Object} assignments - sheet name → profile ID ("" to map the columns)
+ * @param {Function} onAssign - Called with (sheetName, profileId)
+ * @param {Array<String>} imported - sheets already imported
+ * @param {Function} onImport - Called with the sheet to preview
+ * @param {Function} onClose
+ * @param {Boolean} [busy]
+ *
+ * @component
+ */
+import React from "react";
+import { CheckCircle2, FileSpreadsheet, X } from "lucide-react";
+import { DATASET_REGISTRY } from "../utils/datasetRegistry";
+
+// Headers listed per sheet before "…"
+const HEADER_LIMIT = 6;
+
+const profileLabel = ({ name, dataset }) =>
+  DATASET_REGISTRY[dataset] ? `${name} → ${DATASET_REGISTRY[dataset].displayName}` : name;
+
+const WorkbookSheetPicker = ({ fileName, sheets, profiles, assignments, onAssign, imported, onImport, onClose, busy }) => (
+  <div className="p-4 rounded-lg border border-blue-200 bg-blue-50 space-y-4">
+    <div>
+      <strong className="font-bold text-base flex items-center gap-2">
+        <FileSpreadsheet size={18} /> Sheets in {fileName}
+      </strong>
+      <span className="text-sm text-gray-600">
+        Pick the table each sheet holds, then preview and import the sheets one at a time.
+      </span>
+    </div>
+
+    <div className="overflow-x-auto">
+      <table className="data-table__table">
+        <thead>
+          <tr>
+            <th>Sheet</th>
+            <th>Rows</th>
+            <th>Columns</th>
+            <th>Table</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sheets.map((sheet) => {
+            const done = imported.includes(sheet.name);
+            const hasTable = sheet.rows.length > 0;
+            return (
+              <tr key={sheet.name}>
+                <td>
+                  <span className="font-semibold block">{sheet.name}</span>
+                  {sheet.title.length > 0 && <span className="text-xs text-gray-600 block">{sheet.title.join(" · ")}</span>}
+                  {sheet.footnotes.length > 0 && (
+                    <span className="text-xs text-gray-500 block" title={sheet.footnotes.join("\n")}>
+                      {sheet.footnotes.length} footnote rows left out
+                    </span>
+                  )}
+                </td>
+                <td>{sheet.rows.length}</td>
+                <td className="text-sm">
+                  {hasTable
+                    ? `${sheet.headers.slice(0, HEADER_LIMIT).join(", ")}${sheet.headers.length > HEADER_LIMIT ? ", …" : ""}`
+                    : "No table found"}
+                </td>
+                <td>
+                  <select
+                    value={assignments[sheet.name] || ""}
+                    onChange={(e) => onAssign(sheet.name, e.target.value)}
+                    disabled={!hasTable || busy}
+                    className="px-2 py-1 border rounded"
+                  >
+                    <option value="">Map the columns…</option>
+                    {profiles.map((profile) => (
+                      <option key={profile.id} value={profile.id}>{profileLabel(profile)}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  {done ? (
+                    <span className="flex items-center gap-1 text-green-700 text-sm font-semibold">
+                      <CheckCircle2 size={14} /> Imported
+                    </span>
+                  ) : (
+                    <button
+                      onClick={() => onImport(sheet)}
+                      disabled={!hasTable || busy}
+                      className="px-3 py-1 bg-primary-600 text-white rounded-lg text-sm font-semibold hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      Preview
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+
+    <button
+      onClick={onClose}
+      disabled={busy}
+      className="flex items-center gap-2 px-4 py-2 text-gray-600 rounded-lg font-semibold hover:bg-gray-100"
+    >
+      <X size={16} /> {imported.length > 0 ? "Done" : "Cancel"}
+    </button>
+  </div>
+);
+
+export default WorkbookSheetPicker;
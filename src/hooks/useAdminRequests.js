@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribeToAdminRequests,
+  approveAdminRequest,
+  rejectAdminRequest,
+  getAdminDomains,
+  setAdminDomains
+} from '../services/adminAccessService';
+
+/**
+ * Real-time queue of pending admin requests plus the admin domain
+ * allowlist (see services/adminAccessService.js), with the actions to
+ * decide requests and save the allowlist.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener (e.g. for non-admins)
+ */
+export const useAdminRequests = ({ enabled = true } = {}) => {
+  const [requests, setRequests] = useState([]);
+  const [domains, setDomains] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setRequests([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    getAdminDomains()
+      .then(setDomains)
+      .catch((err) => setError(err.message || 'Failed to load admin domains'));
+
+    const unsubscribe = subscribeToAdminRequests((pending) => {
+      setRequests(pending);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error listening to admin requests:', err);
+      setError(err.message || 'Failed to load admin requests');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [enabled]);
+
+  const approve = useCallback(async (uid, decidedBy) => {
+    try {
+      return await approveAdminRequest(uid, decidedBy);
+    } catch (err) {
+      console.error(`Error approving admin request ${uid}:`, err);
+      throw err;
+    }
+  }, []);
+
+  const reject = useCallback(async (uid, decidedBy) => {
+    try {
+      return await rejectAdminRequest(uid, decidedBy);
+    } catch (err) {
+      console.error(`Error rejecting admin request ${uid}:`, err);
+      throw err;
+    }
+  }, []);
+
+  // Resolves to the normalized list that was saved
+  const saveDomains = useCallback(async (nextDomains) => {
+    try {
+      const saved = await setAdminDomains(nextDomains);
+      setDomains(saved);
+      return saved;
+    } catch (err) {
+      console.error('Error saving admin domains:', err);
+      throw err;
+    }
+  }, []);
+
+  return { requests, domains, loading, error, approve, reject, saveDomains };
+};
+
+export default useAdminRequests;
@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createApiKey, revokeApiKey, subscribeToApiKeys } from '../services/apiKeyService';
+
+/**
+ * Real-time list of public API keys (see services/apiKeyService.js) with
+ * the actions to create and revoke them.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener (e.g. for non-admins)
+ */
+export const useApiKeys = ({ enabled = true } = {}) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setApiKeys([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToApiKeys((keys) => {
+      setApiKeys(keys);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error listening to API keys:', err);
+      setError(err.message || 'Failed to load API keys');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [enabled]);
+
+  // Resolves to { key, apiKey }; `key` is never shown again
+  const create = useCallback(async (details, createdBy) => {
+    try {
+      return await createApiKey(details, createdBy);
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      throw err;
+    }
+  }, []);
+
+  const revoke = useCallback(async (id, revokedBy) => {
+    try {
+      await revokeApiKey(id, revokedBy);
+    } catch (err) {
+      console.error(`Error revoking API key ${id}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return { apiKeys, loading, error, create, revoke };
+};
+
+export default useApiKeys;
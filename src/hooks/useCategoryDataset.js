@@ -0,0 +1,107 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchDataset, subscribeToDataset } from '../services/datasetRepository';
+import { performMutation } from '../services/offlineQueue';
+import { categoryRowsToTidy } from '../utils/tidyData';
+
+/**
+ * Real-time rows and CRUD actions for any registered category dataset
+ * (see utils/datasetRegistry.js). Writes made while offline are queued and
+ * resolve to { queued: true, ... } (see services/offlineQueue.js).
+ * `tidy` holds the same rows in long format (see utils/tidyData.js).
+ *
+ * @param {String} datasetKey - Registry key, e.g. 'age' or 'occupation'
+ */
+export const useCategoryDataset = (datasetKey) => {
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Set up real-time listener for the dataset collection
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToDataset(datasetKey, (records) => {
+      setData(records);
+      setLoading(false);
+    }, (err) => {
+      console.error(`Error listening to ${datasetKey} data:`, err);
+      setError(err.message || `Failed to listen to ${datasetKey} data`);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [datasetKey]);
+
+  const tidy = useMemo(() => categoryRowsToTidy(datasetKey, data), [datasetKey, data]);
+
+  // Add a count (creates the category when it doesn't exist yet)
+  const addRecord = useCallback(async (category, year, count) => {
+    try {
+      return await performMutation('dataset.add', datasetKey, category, year, count);
+    } catch (err) {
+      console.error(`Error adding ${datasetKey} record:`, err);
+      throw err;
+    }
+  }, [datasetKey]);
+
+  // Update an existing count
+  const updateRecord = useCallback(async (category, year, count) => {
+    try {
+      return await performMutation('dataset.update', datasetKey, category, year, count);
+    } catch (err) {
+      console.error(`Error updating ${datasetKey} record:`, err);
+      throw err;
+    }
+  }, [datasetKey]);
+
+  // Delete a category across all years
+  const removeGroup = useCallback(async (category) => {
+    try {
+      return await performMutation('dataset.deleteCategory', datasetKey, category);
+    } catch (err) {
+      console.error(`Error deleting ${datasetKey} group:`, err);
+      throw err;
+    }
+  }, [datasetKey]);
+
+  // Delete one year of a category, or the whole category when deleteAll is set
+  const deleteRecord = useCallback(async (category, year, deleteAll = false) => {
+    if (deleteAll) return removeGroup(category);
+    try {
+      return await performMutation('dataset.delete', datasetKey, category, year);
+    } catch (err) {
+      console.error(`Error deleting ${datasetKey} record:`, err);
+      throw err;
+    }
+  }, [datasetKey, removeGroup]);
+
+  // Manual refetch function (fallback)
+  const refetch = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setData(await fetchDataset(datasetKey));
+    } catch (err) {
+      console.error(`Error fetching ${datasetKey} data:`, err);
+      setError(err.message || `Failed to fetch ${datasetKey} data`);
+    } finally {
+      setLoading(false);
+    }
+  }, [datasetKey]);
+
+  return {
+    data,
+    tidy,
+    loading,
+    error,
+    refetch,
+    addRecord,
+    updateRecord,
+    deleteRecord,
+    removeRecord: deleteRecord,
+    removeGroup
+  };
+};
+
+export default useCategoryDataset;
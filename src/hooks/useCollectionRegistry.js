@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToCollections } from '../services/collectionRegistry';
+import { renameCollection, deleteCollection } from '../services/firestoreService';
+
+/**
+ * Real-time list of uploaded collections (see services/collectionRegistry.js)
+ * with rename and delete actions.
+ */
+export const useCollectionRegistry = () => {
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToCollections((entries) => {
+      setCollections(entries);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error listening to collection registry:', err);
+      setError(err.message || 'Failed to load collections');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  // Resolves to the normalized new name
+  const rename = useCallback(async (collectionName, newName) => {
+    try {
+      return await renameCollection(collectionName, newName);
+    } catch (err) {
+      console.error(`Error renaming collection ${collectionName}:`, err);
+      throw err;
+    }
+  }, []);
+
+  // Resolves to the id of the version holding the deleted contents
+  const remove = useCallback(async (collectionName, options) => {
+    try {
+      return await deleteCollection(collectionName, options);
+    } catch (err) {
+      console.error(`Error deleting collection ${collectionName}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return { collections, loading, error, rename, remove };
+};
+
+export default useCollectionRegistry;
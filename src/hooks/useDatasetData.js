@@ -1,32 +1,80 @@
 import { useState, useEffect, useCallback } from 'react';
-import { fetchRecordsByDataset, addRecordWithDataset, updateRecordWithDataset, deleteRecord } from '../services/firestoreService';
+import {
+  DEFAULT_RECORDS_PAGE_SIZE,
+  fetchRecordsByDataset,
+  subscribeToDatasetRecords,
+  addRecordWithDataset,
+  updateRecordWithDataset,
+  deleteRecord
+} from '../services/firestoreService';
 
-export const useDatasetData = (datasetType) => {
+/**
+ * Real-time flat records of one dataset, queried by exact dataset key.
+ * The listener covers the first `pageSize × pages` records; loadMore grows it.
+ *
+ * @param {String} datasetType - Registry key, e.g. 'sex' or 'civil-status'
+ * @param {Object} [options]
+ * @param {Number} [options.pageSize] - Records per page (defaults to the service's)
+ */
+export const useDatasetData = (datasetType, { pageSize = DEFAULT_RECORDS_PAGE_SIZE } = {}) => {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [pages, setPages] = useState(1);
 
-  // Fetch data for specific dataset
-  const fetchData = useCallback(async () => {
+  // Start over from the first page when the dataset changes
+  useEffect(() => {
+    setPages(1);
+  }, [datasetType, pageSize]);
+
+  // Set up real-time listener for the loaded pages
+  useEffect(() => {
+    setError(null);
+
+    const unsubscribe = subscribeToDatasetRecords(datasetType, { limit: pageSize * pages }, ({ records, hasMore: more }) => {
+      setData(records);
+      setHasMore(more);
+      setLoading(false);
+      setLoadingMore(false);
+    }, (err) => {
+      console.error(`Error listening to ${datasetType} data:`, err);
+      setError(err.message || 'Failed to listen to data');
+      setLoading(false);
+      setLoadingMore(false);
+    });
+
+    return () => unsubscribe();
+  }, [datasetType, pageSize, pages]);
+
+  // Extend the listener by one page, if any
+  const loadMore = useCallback(() => {
+    if (!hasMore || loadingMore) return;
+    setLoadingMore(true);
+    setPages(prev => prev + 1);
+  }, [hasMore, loadingMore]);
+
+  // Manual refetch of the loaded pages (fallback)
+  const refetch = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const records = await fetchRecordsByDataset(datasetType);
+      const { records, nextCursor } = await fetchRecordsByDataset(datasetType, { pageSize: pageSize * pages });
       setData(records);
+      setHasMore(nextCursor !== null);
     } catch (err) {
       console.error(`Error fetching ${datasetType} data:`, err);
       setError(err.message || 'Failed to fetch data');
     } finally {
       setLoading(false);
     }
-  }, [datasetType]);
+  }, [datasetType, pageSize, pages]);
 
-  // Add new record
+  // Add new record (shown immediately, confirmed by the listener)
   const addRecord = useCallback(async (recordData) => {
     try {
-      const newRecord = await addRecordWithDataset(recordData, datasetType);
-      setData(prev => [...prev, newRecord]);
-      return newRecord;
+      return await addRecordWithDataset(recordData, datasetType);
     } catch (err) {
       console.error(`Error adding ${datasetType} record:`, err);
       throw err;
@@ -36,11 +84,7 @@ export const useDatasetData = (datasetType) => {
   // Update existing record
   const updateRecord = useCallback(async (id, recordData) => {
     try {
-      const updatedRecord = await updateRecordWithDataset(id, recordData, datasetType);
-      setData(prev => prev.map(record => 
-        record.id === id ? { ...record, ...updatedRecord } : record
-      ));
-      return updatedRecord;
+      return await updateRecordWithDataset(id, recordData, datasetType);
     } catch (err) {
       console.error(`Error updating ${datasetType} record:`, err);
       throw err;
@@ -51,23 +95,20 @@ export const useDatasetData = (datasetType) => {
   const removeRecord = useCallback(async (id) => {
     try {
       await deleteRecord(id);
-      setData(prev => prev.filter(record => record.id !== id));
     } catch (err) {
       console.error(`Error deleting ${datasetType} record:`, err);
       throw err;
     }
   }, [datasetType]);
 
-  // Initial fetch
-  useEffect(() => {
-    fetchData();
-  }, [fetchData]);
-
   return {
     data,
     loading,
+    loadingMore,
     error,
-    refetch: fetchData,
+    hasMore,
+    loadMore,
+    refetch,
     addRecord,
     updateRecord,
     removeRecord
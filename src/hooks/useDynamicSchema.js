@@ -1,7 +1,7 @@
 // src/hooks/useDynamicSchema.js
 import { useCallback, useEffect, useMemo, useState } from "react";
-import { collection, onSnapshot } from "firebase/firestore";
-import { db } from "../firebase";
+import { subscribeCollection } from "../services/subscriptionCache";
+import { wideRecordsToTidy } from "../utils/tidyData";
 
 /**
  * Helpers
@@ -267,18 +267,17 @@ const useDynamicSchema = (initialCsv = [], datasetName = "emigrants") => {
     const targetCollection = datasetName || "emigrants";
     console.log("[useDynamicSchema] Subscribing to collection:", targetCollection);
     
-    const collectionRef = collection(db, targetCollection);
-    const unsub = onSnapshot(
-      collectionRef,
-      (snapshot) => {
+    const unsub = subscribeCollection(
+      targetCollection,
+      (documents) => {
         // Reconstruct year from document ID (year is not stored as a field)
-        const docs = snapshot.docs.map((d) => {
+        const docs = documents.map((d) => {
           const docId = d.id;
           const yearNum = Number(docId);
           return {
             id: docId,
             year: Number.isNaN(yearNum) ? docId : yearNum,
-            ...d.data()
+            ...d.data
           };
         });
         console.log("[useDynamicSchema] Fetched docs:", docs.length, "from", targetCollection);
@@ -306,6 +305,12 @@ const useDynamicSchema = (initialCsv = [], datasetName = "emigrants") => {
   // generate schema & types from merged
   const { columns, types } = useMemo(() => generateSchema(mergedData), [mergedData]);
 
+  // Long-format view of the same rows (see utils/tidyData.js)
+  const tidyData = useMemo(
+    () => wideRecordsToTidy(mergedData, { dataset: datasetName }),
+    [mergedData, datasetName]
+  );
+
   // Helper methods (lightweight)
   const getColumnType = (col) => types[col] || "string";
 
@@ -381,6 +386,7 @@ const useDynamicSchema = (initialCsv = [], datasetName = "emigrants") => {
 
   return {
     data: mergedData,
+    tidyData,
     schema: columns,
     types,
     loading,
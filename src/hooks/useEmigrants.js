@@ -1,13 +1,12 @@
 import { useEffect, useState } from "react";
-import { db } from "../firebase";
-import { collection, onSnapshot } from "firebase/firestore";
+import { subscribeCollection } from "../services/subscriptionCache";
 
 export default function useEmigrants() {
   const [emigrants, setEmigrants] = useState([]);
 
   useEffect(() => {
-    const unsub = onSnapshot(collection(db, "emigrants"), (snap) => {
-      const list = snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const unsub = subscribeCollection("emigrants", (documents) => {
+      const list = documents.map(doc => ({ id: doc.id, ...doc.data }));
       setEmigrants(list);
     });
 
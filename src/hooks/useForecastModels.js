@@ -0,0 +1,89 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  createForecastConfig,
+  deleteForecastConfig,
+  loadForecastModel,
+  subscribeToForecastConfigs
+} from '../services/forecastModelService';
+import { ForecastApi, isApiConfigured } from '../services/apiClient';
+
+/**
+ * Real-time list of forecast configurations retrained by the server (see
+ * services/forecastModelService.js), with the actions to register, remove,
+ * retrain and load them.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener
+ */
+export const useForecastModels = ({ enabled = true } = {}) => {
+  const [configs, setConfigs] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setConfigs([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToForecastConfigs((items) => {
+      setConfigs(items);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error listening to forecast configurations:', err);
+      setError(err.message || 'Failed to load shared forecasts');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [enabled]);
+
+  const register = useCallback(async (input, createdBy) => {
+    try {
+      return await createForecastConfig(input, createdBy);
+    } catch (err) {
+      console.error('Error registering forecast:', err);
+      throw err;
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteForecastConfig(id);
+    } catch (err) {
+      console.error(`Error deleting forecast ${id}:`, err);
+      throw err;
+    }
+  }, []);
+
+  // Needs the API server; otherwise models are only retrained on schedule
+  const retrain = useCallback(async (id) => {
+    if (!isApiConfigured()) {
+      throw new Error('Retraining on demand needs the API server (VITE_API_URL).');
+    }
+    try {
+      return await ForecastApi.retrainForecast(id);
+    } catch (err) {
+      console.error(`Error retraining forecast ${id}:`, err);
+      throw err;
+    }
+  }, []);
+
+  // Resolves to { model, metadata }, or null before the first training
+  const load = useCallback(async (id) => {
+    try {
+      return await loadForecastModel(id);
+    } catch (err) {
+      console.error(`Error loading forecast model ${id}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return { configs, loading, error, register, remove, retrain, load };
+};
+
+export default useForecastModels;
@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ImportApi } from '../services/apiClient';
+import { isFinishedJob } from '../utils/importJobs';
+
+// The job being followed survives a reload of the page
+const IMPORT_JOB_ID_KEY = 'importJobId';
+
+const deviceStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+const storeJobId = (jobId) => {
+  const storage = deviceStorage();
+  if (!storage) return;
+  if (jobId) storage.setItem(IMPORT_JOB_ID_KEY, jobId);
+  else storage.removeItem(IMPORT_JOB_ID_KEY);
+};
+
+/**
+ * The server-side CSV import this device started (see server/importJobs.js).
+ *
+ * Follows the job's progress over SSE until it finishes, and picks the job
+ * up again after a reload. Only used when the API server is configured.
+ *
+ * @returns {Object} { job, error, start(file, options), cancel, resume, dismiss }
+ */
+export const useImportJob = () => {
+  const [jobId, setJobId] = useState(() => deviceStorage()?.getItem(IMPORT_JOB_ID_KEY) || null);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  // Bumped on resume so a finished job is followed again
+  const [attempt, setAttempt] = useState(0);
+
+  // Load the job, then follow its events while it is queued or running
+  useEffect(() => {
+    if (!jobId) {
+      setJob(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    const follow = async () => {
+      try {
+        const current = await ImportApi.getImport(jobId);
+        if (controller.signal.aborted) return;
+        setJob(current);
+        if (isFinishedJob(current)) return;
+        await ImportApi.watchImport(jobId, setJob, { signal: controller.signal });
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error(`Error following import ${jobId}:`, err);
+        if (err.status === 404) {
+          storeJobId(null);
+          setJobId(null);
+          return;
+        }
+        setError(err.message || 'Lost track of the import');
+      }
+    };
+
+    follow();
+    return () => controller.abort();
+  }, [jobId, attempt]);
+
+  /**
+   * Upload a CSV file as a new import job.
+   * @param {File} file
+   * @param {Object} options - { collectionName, append, strategies, defaultStrategy, profileId }
+   */
+  const start = useCallback(async (file, { collectionName, ...options }) => {
+    setError(null);
+    try {
+      const queued = await ImportApi.startImport(collectionName, await file.text(), { fileName: file.name, ...options });
+      storeJobId(queued.id);
+      setJob(queued);
+      setJobId(queued.id);
+      return queued;
+    } catch (err) {
+      console.error('Error starting import:', err);
+      throw err;
+    }
+  }, []);
+
+  const cancel = useCallback(async () => {
+    if (!jobId) return;
+    try {
+      setJob(await ImportApi.cancelImport(jobId));
+    } catch (err) {
+      console.error(`Error cancelling import ${jobId}:`, err);
+      throw err;
+    }
+  }, [jobId]);
+
+  // Restart a failed or cancelled job from its stored upload
+  const resume = useCallback(async () => {
+    if (!jobId) return;
+    setError(null);
+    try {
+      const queued = await ImportApi.resumeImport(jobId);
+      setJob(queued);
+      setAttempt((count) => count + 1);
+    } catch (err) {
+      console.error(`Error resuming import ${jobId}:`, err);
+      throw err;
+    }
+  }, [jobId]);
+
+  // Stop showing a finished job
+  const dismiss = useCallback(() => {
+    storeJobId(null);
+    setJobId(null);
+    setError(null);
+  }, []);
+
+  return { job, error, start, cancel, resume, dismiss };
+};
+
+export default useImportJob;
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import { BUILT_IN_IMPORT_PROFILES } from '../utils/importProfiles';
+import {
+  deleteImportProfile,
+  saveImportProfile,
+  subscribeToImportProfiles
+} from '../services/importProfileService';
+
+/**
+ * Saved and built-in CSV import profiles (see utils/importProfiles.js),
+ * with the actions to save and delete them.
+ *
+ * The built-in profiles are available while the saved ones load, and
+ * when they cannot be read.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener
+ */
+export const useImportProfiles = ({ enabled = true } = {}) => {
+  const [profiles, setProfiles] = useState(BUILT_IN_IMPORT_PROFILES);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setProfiles(BUILT_IN_IMPORT_PROFILES);
+      return undefined;
+    }
+
+    setError(null);
+    const unsubscribe = subscribeToImportProfiles(setProfiles, (err) => {
+      console.error('Error listening to import profiles:', err);
+      setError(err.message || 'Failed to load saved import profiles');
+    });
+
+    return () => unsubscribe();
+  }, [enabled]);
+
+  const save = useCallback(async (input, createdBy) => {
+    try {
+      return await saveImportProfile(input, createdBy);
+    } catch (err) {
+      console.error('Error saving import profile:', err);
+      throw err;
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteImportProfile(id);
+    } catch (err) {
+      console.error(`Error deleting import profile ${id}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return { profiles, error, save, remove };
+};
+
+export default useImportProfiles;
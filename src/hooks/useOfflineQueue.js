@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  MUTATION_STATUS,
+  subscribeToQueue,
+  replayQueue,
+  resolveMutation
+} from '../services/offlineQueue';
+
+/**
+ * State of the offline mutation queue: queued edits, connectivity,
+ * a manual sync trigger and conflict resolution.
+ */
+export const useOfflineQueue = () => {
+  const [state, setState] = useState({ mutations: [], online: true, syncing: false });
+
+  useEffect(() => subscribeToQueue(setState), []);
+
+  const pending = useMemo(
+    () => state.mutations.filter(mutation => mutation.status === MUTATION_STATUS.PENDING),
+    [state.mutations]
+  );
+
+  // Conflicts and failed replays both need a decision from the user
+  const unresolved = useMemo(
+    () => state.mutations.filter(mutation => mutation.status !== MUTATION_STATUS.PENDING),
+    [state.mutations]
+  );
+
+  const syncNow = useCallback(async () => {
+    try {
+      return await replayQueue();
+    } catch (err) {
+      console.error('Error syncing queued changes:', err);
+      throw err;
+    }
+  }, []);
+
+  const resolve = useCallback(async (id, resolution) => {
+    try {
+      await resolveMutation(id, resolution);
+    } catch (err) {
+      console.error('Error resolving queued change:', err);
+      throw err;
+    }
+  }, []);
+
+  return {
+    mutations: state.mutations,
+    pending,
+    unresolved,
+    online: state.online,
+    syncing: state.syncing,
+    syncNow,
+    resolve
+  };
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,21 @@
+import { useCallback, useMemo, useSyncExternalStore } from 'react';
+import { getCurrentUser, subscribeToCurrentUser } from '../services/currentUser';
+import { normalizeRole, resolvePermissions } from '../utils/permissions';
+
+/**
+ * Permissions of the signed-in user, from their role and the extra grants
+ * stored on their user document (see utils/permissions.js).
+ *
+ * @returns {{ user: Object|null, role: string|null, permissions: Set<string>, can: Function }}
+ *   can(permission) is true when the user holds that permission
+ */
+export const usePermission = () => {
+  const user = useSyncExternalStore(subscribeToCurrentUser, getCurrentUser);
+
+  const permissions = useMemo(() => resolvePermissions(user), [user]);
+  const can = useCallback((permission) => permissions.has(permission), [permissions]);
+
+  return { user, role: normalizeRole(user?.role), permissions, can };
+};
+
+export default usePermission;
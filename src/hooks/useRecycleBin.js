@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  subscribeToRecycleBin,
+  restoreFromRecycleBin,
+  purgeRecycleBinEntry
+} from '../services/datasetRepository';
+
+/**
+ * Real-time recycle bin of a registered category dataset, with restore
+ * and permanent purge actions. Expired entries are hidden here and purged
+ * by the API server (server/recycleBinSweep.js).
+ *
+ * @param {String} datasetKey - Registry key, e.g. 'age' or 'occupation'
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener (e.g. for viewers)
+ */
+export const useRecycleBin = (datasetKey, { enabled = true } = {}) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setEntries([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToRecycleBin(datasetKey, (items) => {
+      setEntries(items);
+      setLoading(false);
+    }, (err) => {
+      console.error(`Error listening to ${datasetKey} recycle bin:`, err);
+      setError(err.message || `Failed to listen to ${datasetKey} recycle bin`);
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [datasetKey, enabled]);
+
+  const restore = useCallback(async (binId) => {
+    try {
+      return await restoreFromRecycleBin(binId);
+    } catch (err) {
+      console.error(`Error restoring ${datasetKey} record:`, err);
+      throw err;
+    }
+  }, [datasetKey]);
+
+  const purge = useCallback(async (binId) => {
+    try {
+      return await purgeRecycleBinEntry(binId);
+    } catch (err) {
+      console.error(`Error purging ${datasetKey} record:`, err);
+      throw err;
+    }
+  }, [datasetKey]);
+
+  return { entries, loading, error, restore, purge };
+};
+
+export default useRecycleBin;
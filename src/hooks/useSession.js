@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  IDLE_TIMEOUT_MS,
+  IDLE_WARNING_MS,
+  SESSION_END_REASONS,
+  SESSION_STATES,
+  endSession,
+  getSession,
+  getSessionState,
+  getStoredSessionId,
+  startSession,
+  subscribeToSessions,
+  touchSession
+} from '../services/sessionService';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+
+// lastActiveAt is written at most this often
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * This device's session for the signed-in user (see services/sessionService.js).
+ *
+ * Opens a session record when a user signs in, or resumes the stored one
+ * after a reload. Calls onExpire(reason) once the session is revoked
+ * elsewhere, passes its 24h expiry, or the user has been idle for
+ * IDLE_TIMEOUT_MS; warningSeconds counts down during the last
+ * IDLE_WARNING_MS so the UI can offer to stay signed in.
+ *
+ * @param {Object|null} user - { uid, email } of the signed-in user
+ * @param {Function} onExpire - called with a SESSION_END_REASONS value
+ */
+export const useSession = (user, onExpire) => {
+  const [session, setSession] = useState(null);
+  const [warningSeconds, setWarningSeconds] = useState(null);
+  const lastActivityRef = useRef(Date.now());
+  const lastTouchRef = useRef(0);
+  const warningRef = useRef(false);
+  const expiredRef = useRef(false);
+  const onExpireRef = useRef(onExpire);
+  onExpireRef.current = onExpire;
+
+  const expire = useCallback((reason) => {
+    if (expiredRef.current) return;
+    expiredRef.current = true;
+    setSession(null);
+    setWarningSeconds(null);
+    onExpireRef.current?.(reason);
+  }, []);
+
+  // Open a new session or resume the stored one; profile updates of the
+  // same user keep it
+  useEffect(() => {
+    if (!user?.uid) {
+      setSession(null);
+      setWarningSeconds(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    expiredRef.current = false;
+    lastActivityRef.current = Date.now();
+
+    const open = async () => {
+      try {
+        const stored = await getSession(getStoredSessionId());
+        if (cancelled) return;
+
+        if (stored && stored.uid === user.uid) {
+          const state = getSessionState(stored);
+          if (state === SESSION_STATES.ACTIVE) {
+            setSession(stored);
+          } else {
+            expire(state === SESSION_STATES.EXPIRED ? SESSION_END_REASONS.EXPIRED : stored.endReason || SESSION_END_REASONS.REVOKED);
+          }
+          return;
+        }
+
+        const started = await startSession(user);
+        if (!cancelled) setSession(started);
+      } catch (err) {
+        console.error('Error opening session:', err);
+      }
+    };
+
+    open();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.uid, expire]);
+
+  // Sign out when the session is ended from another device
+  useEffect(() => {
+    if (!session?.id) return undefined;
+
+    const unsubscribe = subscribeToSessions(session.uid, (sessions) => {
+      const current = sessions.find(({ id }) => id === session.id);
+      if (current?.state === SESSION_STATES.ENDED) expire(current.endReason || SESSION_END_REASONS.REVOKED);
+    }, (err) => {
+      console.error('Error listening to session:', err);
+    });
+
+    return () => unsubscribe();
+  }, [session?.id, session?.uid, expire]);
+
+  // Idle timeout, warning countdown and the 24h limit
+  useEffect(() => {
+    if (!session?.id) return undefined;
+
+    const markActive = () => {
+      // Once the warning is up, only "Stay signed in" counts
+      if (warningRef.current) return;
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastTouchRef.current > TOUCH_INTERVAL_MS) {
+        lastTouchRef.current = now;
+        touchSession(session.id);
+      }
+    };
+
+    const check = () => {
+      const now = Date.now();
+      if (getSessionState(session, now) === SESSION_STATES.EXPIRED) {
+        expire(SESSION_END_REASONS.EXPIRED);
+        return;
+      }
+
+      const remaining = IDLE_TIMEOUT_MS - (now - lastActivityRef.current);
+      if (remaining <= 0) {
+        expire(SESSION_END_REASONS.IDLE);
+        return;
+      }
+
+      warningRef.current = remaining <= IDLE_WARNING_MS;
+      setWarningSeconds(warningRef.current ? Math.ceil(remaining / 1000) : null);
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, markActive, { passive: true }));
+    const timer = window.setInterval(check, 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, markActive));
+      window.clearInterval(timer);
+    };
+  }, [session, expire]);
+
+  // Dismiss the idle warning and restart the idle timer
+  const stayActive = useCallback(() => {
+    warningRef.current = false;
+    lastTouchRef.current = 0;
+    setWarningSeconds(null);
+    lastActivityRef.current = Date.now();
+  }, []);
+
+  // Close this device's session, e.g. before logging out
+  const endCurrentSession = useCallback(async (reason = SESSION_END_REASONS.LOGOUT) => {
+    const sessionId = session?.id || getStoredSessionId();
+    expiredRef.current = true;
+    setSession(null);
+    setWarningSeconds(null);
+    try {
+      await endSession(sessionId, reason);
+    } catch (err) {
+      console.error('Error closing session:', err);
+    }
+  }, [session?.id]);
+
+  return { session, warningSeconds, stayActive, endCurrentSession };
+};
+
+export default useSession;
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToSessions, revokeSession } from '../services/sessionService';
+
+/**
+ * Real-time list of session records (see services/sessionService.js) with a
+ * revoke action.
+ *
+ * @param {String|null} uid - One user's sessions, or null for everyone's (admins)
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip the listener
+ */
+export const useSessions = (uid, { enabled = true } = {}) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setSessions([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToSessions(uid, (items) => {
+      setSessions(items);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error listening to sessions:', err);
+      setError(err.message || 'Failed to load sessions');
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [uid, enabled]);
+
+  const revoke = useCallback(async (sessionId, revokedBy) => {
+    try {
+      return await revokeSession(sessionId, revokedBy);
+    } catch (err) {
+      console.error(`Error revoking session ${sessionId}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return { sessions, loading, error, revoke };
+};
+
+export default useSessions;
@@ -0,0 +1,26 @@
+import { useState, useEffect, useCallback } from 'react';
+import { onConflict } from '../services/subscriptionCache';
+
+/**
+ * Conflicts reported by the shared subscription cache: a remote edit
+ * overwrote a local change that had not reached the backend yet.
+ *
+ * @returns {{ conflicts: Array<Object>, dismiss: Function, dismissAll: Function }}
+ */
+export const useSyncConflicts = () => {
+  const [conflicts, setConflicts] = useState([]);
+
+  useEffect(() => onConflict((conflict) => {
+    setConflicts(prev => [...prev, { id: `${conflict.collection}/${conflict.documentId}/${conflict.detectedAt}`, ...conflict }]);
+  }), []);
+
+  const dismiss = useCallback((id) => {
+    setConflicts(prev => prev.filter(conflict => conflict.id !== id));
+  }, []);
+
+  const dismissAll = useCallback(() => setConflicts([]), []);
+
+  return { conflicts, dismiss, dismissAll };
+};
+
+export default useSyncConflicts;
@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import AuthService from '../services/AuthService';
+import { AdminApi, isApiConfigured } from '../services/apiClient';
+
+// Privileged writes go through the API server when one is configured
+const userAdmin = isApiConfigured() ? AdminApi : AuthService;
+
+/**
+ * Users and pending invitations for the admin Users tab, with the actions
+ * the tab offers. Every action reloads the lists once it succeeds.
+ * With VITE_API_URL set the lists and changes go through the API server.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.enabled=true] - Skip loading (e.g. for non-admins)
+ */
+export const useUserManagement = ({ enabled = true } = {}) => {
+  const [users, setUsers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(enabled);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [userList, invitationList] = await Promise.all([
+        userAdmin.getAllUsers(),
+        userAdmin.getInvitations()
+      ]);
+      setUsers(userList.sort((a, b) => String(a.email).localeCompare(String(b.email))));
+      setInvitations(invitationList);
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError(err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) {
+      setLoading(false);
+      return;
+    }
+    refresh();
+  }, [enabled, refresh]);
+
+  // Run a user admin action, then reload the lists
+  const run = useCallback(async (label, action) => {
+    try {
+      const result = await action();
+      await refresh();
+      return result;
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      throw err;
+    }
+  }, [refresh]);
+
+  const changeRole = useCallback((uid, role) =>
+    run('changing role', () => userAdmin.updateUserRole(uid, role)), [run]);
+
+  const setStatus = useCallback((uid, status) =>
+    run('updating status', () => userAdmin.updateUserStatus(uid, status)), [run]);
+
+  // Resolves to { invited, skipped }
+  const invite = useCallback((emails, role, invitedBy) =>
+    run('inviting users', () => userAdmin.inviteUsers(emails, role, invitedBy)), [run]);
+
+  const revokeInvitation = useCallback((email) =>
+    run('revoking invitation', () => userAdmin.revokeInvitation(email)), [run]);
+
+  const resetPassword = useCallback(async (email) => {
+    try {
+      return await AuthService.resetPassword(email);
+    } catch (err) {
+      console.error(`Error sending password reset to ${email}:`, err);
+      throw err;
+    }
+  }, []);
+
+  return {
+    users,
+    invitations,
+    loading,
+    error,
+    refresh,
+    changeRole,
+    setStatus,
+    resetPassword,
+    invite,
+    revokeInvitation
+  };
+};
+
+export default useUserManagement;
@@ -1,10 +1,28 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { initStorage } from './services/storage';
+import { setAuditUserProvider } from './services/auditService';
+import { initOfflineQueue } from './services/offlineQueue';
+import { auth } from './firebase';
 import './styles/style.css'; // Your global styles
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+// Audit entries record the signed-in Firebase user (read directly: AuthService
+// logs every getCurrentUser call)
+setAuditUserProvider(() => auth?.currentUser || null);
+
+// Pick the storage backend (Firestore, IndexedDB or in-memory) before first render
+initStorage().then((storage) => {
+  console.log('[Storage] Using backend:', storage.name);
+
+  // Load edits queued while offline; they replay now if we are back online
+  initOfflineQueue().catch((error) => {
+    console.error('[OfflineQueue] Failed to load queued changes:', error);
+  });
+
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
@@ -15,24 +15,29 @@ import {
   where, 
   getDocs,
   serverTimestamp,
-  updateDoc
+  updateDoc,
+  deleteDoc
 } from 'firebase/firestore';
 import { auth, db } from '../firebase';
+import { DEFAULT_ROLE, ROLES, USER_STATUS, normalizeRole } from '../utils/permissions';
+import { recordAudit, AUDIT_OPERATIONS } from './auditService';
+import { requestAdminAccess } from './adminAccessService';
 
 // ========== ADMIN CONFIGURATION ==========
-// SET YOUR PERSONAL EMAIL HERE (will get admin role)
-const SUPER_ADMIN_EMAIL = 'shuntlyzyth.castillo@g.msuiit.edu.ph'; // personal school account
+// Nobody registers as admin directly: the first admin is created by
+// `npm run admin:bootstrap`, later ones are approved by an existing admin
+// (see services/adminAccessService.js).
 
-// Domains that are allowed to register as admin (if no admin exists yet)
-const ALLOWED_ADMIN_DOMAINS = [
-  'g.msuiit.edu.ph', // Added your school domain
-  'gmail.com',
-  'outlook.com', 
-  'yahoo.com',
-  'hotmail.com'
-];
+// Pending invitations, keyed by lower-cased email (see inviteUsers)
+const INVITATIONS_COLLECTION = 'user_invitations';
 
+const isSuspended = (userData) => userData?.status === USER_STATUS.SUSPENDED;
 
+const suspendedError = () => {
+  const error = new Error('Account suspended');
+  error.code = 'app/account-suspended';
+  return error;
+};
 
 export const AuthService = {
   // ========== LOGIN FUNCTION ==========
@@ -53,23 +58,9 @@ export const AuthService = {
       if (!userDoc.exists()) {
         console.log('📝 Creating missing Firestore document for user:', email);
         
-        // Determine role based on email
-        const isAdminEmail = this.isAdminEmail(email);
-        const adminExists = await this.checkAdminExists();
-        
-        let userRole = 'user';
-        
-        // Auto-admin logic:
-        // - If SUPER_ADMIN_EMAIL and no admin exists → admin
-        // - If email in allowed domains and no admin exists → admin
-        // - Otherwise → user
-        if (email === SUPER_ADMIN_EMAIL && !adminExists) {
-          userRole = 'admin';
-          console.log('👑 Granting admin role to SUPER_ADMIN_EMAIL');
-        } else if (isAdminEmail && !adminExists) {
-          userRole = 'admin';
-          console.log('👑 Granting admin role to first admin from allowed domain');
-        }
+        // Invited users get the role they were invited with
+        const invitation = await this.getInvitation(email);
+        const userRole = normalizeRole(invitation?.role) || DEFAULT_ROLE;
         
         // Create user document in Firestore
         await setDoc(userDocRef, {
@@ -81,12 +72,12 @@ export const AuthService = {
           createdAt: serverTimestamp(),
           lastLogin: serverTimestamp(),
           status: 'active',
-          permissions: userRole === 'admin' 
-            ? ['upload_data', 'delete_data', 'manage_users', 'view_all'] 
-            : ['view_data', 'export_data'],
+          // Extra grants on top of the role (see utils/permissions.js)
+          permissions: [],
           isAutoCreated: true
         });
         
+        if (invitation) await this.consumeInvitation(email);
         console.log(`✅ Created user document with role: ${userRole}`);
         
         return {
@@ -95,13 +86,20 @@ export const AuthService = {
           role: userRole,
           name: email.split('@')[0],
           displayName: email.split('@')[0],
-          isAdmin: userRole === 'admin'
+          isAdmin: userRole === ROLES.ADMIN
         };
       }
       
       // 4. User document exists, return it
       const userData = userDoc.data();
       console.log('📊 Found user data:', userData);
+
+      // Suspended accounts keep their document but may not sign in
+      if (isSuspended(userData)) {
+        console.log('🚫 Suspended account tried to sign in:', email);
+        await signOut(auth);
+        throw suspendedError();
+      }
       
       // Update last login timestamp
       await updateDoc(userDocRef, {
@@ -111,10 +109,10 @@ export const AuthService = {
       return {
         uid: user.uid,
         email: user.email,
-        role: userData.role || 'user',
+        role: userData.role || DEFAULT_ROLE,
         name: userData.name || email.split('@')[0],
         displayName: userData.displayName || email.split('@')[0],
-        isAdmin: (userData.role || 'user') === 'admin',
+        isAdmin: normalizeRole(userData.role) === ROLES.ADMIN,
         ...userData
       };
       
@@ -129,49 +127,24 @@ export const AuthService = {
   },
 
   // ========== REGISTRATION FUNCTION ==========
-  async register(email, password, name, requestedRole) {
+  // Asking for the admin role files an approval request instead of granting it
+  async register(email, password, name, requestedRole, adminReason = '') {
     try {
       console.log('📝 Registration attempt:', { email, name, requestedRole });
       
-      // 1. Check if email is already registered in Firestore
-      const existingUser = await this.getUserByEmail(email);
-      if (existingUser) {
-        console.log('⚠️ Email already registered:', email);
-        throw new Error('Email already registered. Please login instead.');
-      }
-      
-      // 2. Determine final role
-      const adminExists = await this.checkAdminExists();
-      const isAdminEmail = this.isAdminEmail(email);
-      
-      let finalRole = 'user';
-      
-      // ADMIN REGISTRATION LOGIC:
-      if (email === SUPER_ADMIN_EMAIL) {
-        finalRole = 'admin';
-        console.log('👑 SUPER_ADMIN_EMAIL detected, granting admin role');
-      } else if (isAdminEmail && !adminExists) {
-        finalRole = 'admin';
-        console.log('👑 First admin from allowed domain detected');
-      } else if (requestedRole === 'admin' && isAdminEmail) {
-        // Allow admin registration from allowed domains
-        finalRole = 'admin';
-        console.log('👑 Admin requested from allowed domain');
-      }
-      
-      // Block unauthorized admin attempts
-      if (requestedRole === 'admin' && finalRole !== 'admin') {
-        console.log('🚫 Unauthorized admin attempt from:', email);
-        throw new Error('Admin registration is only available for specific email domains.');
-      }
-      
-      // 3. Create Firebase Authentication account
+      // 1. Create Firebase Authentication account; an email that is already
+      // registered fails here with auth/email-already-in-use
       console.log('🔥 Creating Firebase auth user...');
       const userCredential = await createUserWithEmailAndPassword(auth, email, password);
       const user = userCredential.user;
       console.log('✅ Firebase user created, UID:', user.uid);
       
-      // 4. Create Firestore document
+      // 2. Determine final role; invited users get the role they were invited
+      // with. Read as the new user: the rules only show invitees their own
+      const invitation = await this.getInvitation(user.email);
+      const finalRole = normalizeRole(invitation?.role) || DEFAULT_ROLE;
+      
+      // 3. Create Firestore document
       const userData = {
         uid: user.uid,
         email: user.email,
@@ -180,11 +153,9 @@ export const AuthService = {
         displayName: name || email.split('@')[0],
         createdAt: serverTimestamp(),
         lastLogin: serverTimestamp(),
-        isFirstAdmin: finalRole === 'admin' && !adminExists,
         status: 'active',
-        permissions: finalRole === 'admin' 
-          ? ['upload_data', 'delete_data', 'manage_users', 'view_all'] 
-          : ['view_data', 'export_data'],
+        // Extra grants on top of the role (see utils/permissions.js)
+        permissions: [],
         emailVerified: false,
         metadata: {
           registrationMethod: 'web-form',
@@ -192,8 +163,21 @@ export const AuthService = {
         }
       };
       
+      // The invitation is only removed once the invited role is stored
       await setDoc(doc(db, 'users', user.uid), userData);
+      if (invitation) await this.consumeInvitation(user.email);
       console.log(`✅ Firestore document created with role: ${finalRole}`);
+
+      // 4. File the admin request; the account works either way
+      let adminRequest = null;
+      if (requestedRole === ROLES.ADMIN && finalRole !== ROLES.ADMIN) {
+        try {
+          adminRequest = await requestAdminAccess({ uid: user.uid, email: user.email, name: userData.name }, adminReason);
+        } catch (requestError) {
+          console.log('🚫 Admin request not filed:', requestError.message);
+          adminRequest = { status: null, error: requestError.message };
+        }
+      }
       
       return {
         uid: user.uid,
@@ -201,7 +185,8 @@ export const AuthService = {
         role: finalRole,
         name: name || email.split('@')[0],
         displayName: name || email.split('@')[0],
-        isAdmin: finalRole === 'admin'
+        isAdmin: finalRole === ROLES.ADMIN,
+        adminRequest
       };
       
     } catch (error) {
@@ -211,35 +196,13 @@ export const AuthService = {
         email: email
       });
       
-      // Return specific error messages
-      if (error.message.includes('already registered') || 
-          error.message.includes('only available') ||
-          error.code === 'auth/email-already-in-use') {
-        throw error;
-      }
-      
+      // auth/email-already-in-use maps to "Email already registered..."
       throw new Error(this.getErrorMessage(error.code));
     }
   },
 
   // ========== HELPER FUNCTIONS ==========
   
-  // Check if admin exists
-  async checkAdminExists() {
-    try {
-      const usersRef = collection(db, 'users');
-      const q = query(usersRef, where('role', '==', 'admin'));
-      const querySnapshot = await getDocs(q);
-      
-      const exists = !querySnapshot.empty;
-      console.log(`🔍 Admin exists check: ${exists ? 'YES' : 'NO'}`);
-      return exists;
-    } catch (error) {
-      console.error('Error checking admin:', error);
-      return false;
-    }
-  },
-
   // Get user by email
   async getUserByEmail(email) {
     try {
@@ -258,18 +221,6 @@ export const AuthService = {
     }
   },
 
-  // Check if email qualifies for admin
-  isAdminEmail(email) {
-    // Check against SUPER_ADMIN_EMAIL
-    if (email === SUPER_ADMIN_EMAIL) return true;
-    
-    // Check against allowed domains
-    const domain = email.split('@')[1];
-    return ALLOWED_ADMIN_DOMAINS.some(allowedDomain => 
-      domain === allowedDomain || domain.endsWith(`.${allowedDomain}`)
-    );
-  },
-
   // Get all users (admin only)
   async getAllUsers() {
     try {
@@ -286,13 +237,27 @@ export const AuthService = {
     }
   },
 
-  // Update user role (admin only)
+  // Update user role (admin only); extra grants from the old role are dropped
   async updateUserRole(uid, newRole) {
     try {
-      await updateDoc(doc(db, 'users', uid), {
-        role: newRole,
+      const role = normalizeRole(newRole);
+      if (!role) {
+        throw new Error(`Unknown role: ${newRole}`);
+      }
+      const userRef = doc(db, 'users', uid);
+      const previous = await getDoc(userRef);
+      await updateDoc(userRef, {
+        role,
+        permissions: [],
         updatedAt: serverTimestamp()
       });
+      await recordAudit({
+        collection: 'users',
+        documentId: uid,
+        operation: AUDIT_OPERATIONS.CHANGE_ROLE,
+        before: previous.exists() ? { role: previous.data().role || null } : null,
+        after: { role }
+      });
       return true;
     } catch (error) {
       console.error('Error updating user role:', error);
@@ -300,6 +265,119 @@ export const AuthService = {
     }
   },
 
+  // Suspend or reactivate a user (admin only); enforced at login and by the rules
+  async updateUserStatus(uid, status) {
+    try {
+      if (!Object.values(USER_STATUS).includes(status)) {
+        throw new Error(`Unknown status: ${status}`);
+      }
+      await updateDoc(doc(db, 'users', uid), {
+        status,
+        updatedAt: serverTimestamp()
+      });
+      await recordAudit({
+        collection: 'users',
+        documentId: uid,
+        operation: status === USER_STATUS.SUSPENDED
+          ? AUDIT_OPERATIONS.SUSPEND_USER
+          : AUDIT_OPERATIONS.REACTIVATE_USER,
+        after: { status }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error updating user status:', error);
+      throw error;
+    }
+  },
+
+  // ========== INVITATIONS ==========
+
+  // Pending invitation for an email, or null
+  async getInvitation(email) {
+    try {
+      const invitation = await getDoc(doc(db, INVITATIONS_COLLECTION, String(email).toLowerCase()));
+      return invitation.exists() ? invitation.data() : null;
+    } catch (error) {
+      console.error('Error getting invitation:', error);
+      return null;
+    }
+  },
+
+  // Remove an invitation once its user has registered
+  async consumeInvitation(email) {
+    try {
+      await deleteDoc(doc(db, INVITATIONS_COLLECTION, String(email).toLowerCase()));
+    } catch (error) {
+      console.error('Error removing used invitation:', error);
+    }
+  },
+
+  // Pending invitations (admin only), sorted by email
+  async getInvitations() {
+    try {
+      const querySnapshot = await getDocs(collection(db, INVITATIONS_COLLECTION));
+      return querySnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+    } catch (error) {
+      console.error('Error getting invitations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Invite users by email (admin only). Invitees register normally and are
+   * given `role`; emails that already have an account are skipped.
+   * @returns {Promise<{ invited: string[], skipped: string[] }>}
+   */
+  async inviteUsers(emails, role, invitedBy = null) {
+    try {
+      const invitedRole = normalizeRole(role);
+      if (!invitedRole) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+
+      const invited = [];
+      const skipped = [];
+      for (const address of emails) {
+        const email = String(address).trim().toLowerCase();
+        if (await this.getUserByEmail(email)) {
+          skipped.push(email);
+          continue;
+        }
+        await setDoc(doc(db, INVITATIONS_COLLECTION, email), {
+          email,
+          role: invitedRole,
+          invitedBy: invitedBy ? { uid: invitedBy.uid || null, email: invitedBy.email || null } : null,
+          invitedAt: serverTimestamp()
+        });
+        invited.push(email);
+      }
+
+      if (invited.length > 0) {
+        await recordAudit({
+          collection: INVITATIONS_COLLECTION,
+          operation: AUDIT_OPERATIONS.INVITE_USERS,
+          after: { emails: invited, role: invitedRole }
+        });
+      }
+      return { invited, skipped };
+    } catch (error) {
+      console.error('Error inviting users:', error);
+      throw error;
+    }
+  },
+
+  async revokeInvitation(email) {
+    try {
+      await deleteDoc(doc(db, INVITATIONS_COLLECTION, String(email).toLowerCase()));
+      return true;
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      throw error;
+    }
+  },
+
   // Reset password
   async resetPassword(email) {
     try {
@@ -337,9 +415,8 @@ export const AuthService = {
             console.log('📝 Auto-creating Firestore document for existing auth user');
             
             // Auto-create user document
-            const isAdminEmail = this.isAdminEmail(user.email);
-            const adminExists = await this.checkAdminExists();
-            const defaultRole = (isAdminEmail && !adminExists) ? 'admin' : 'user';
+            const invitation = await this.getInvitation(user.email);
+            const defaultRole = normalizeRole(invitation?.role) || DEFAULT_ROLE;
             
             await setDoc(doc(db, 'users', user.uid), {
               uid: user.uid,
@@ -350,8 +427,10 @@ export const AuthService = {
               createdAt: serverTimestamp(),
               lastLogin: serverTimestamp(),
               status: 'active',
+              permissions: [],
               isAutoCreated: true
             });
+            if (invitation) await this.consumeInvitation(user.email);
             
             callback({
               uid: user.uid,
@@ -359,20 +438,27 @@ export const AuthService = {
               role: defaultRole,
               name: user.email.split('@')[0],
               displayName: user.email.split('@')[0],
-              isAdmin: defaultRole === 'admin'
+              isAdmin: defaultRole === ROLES.ADMIN
             });
             return;
           }
           
           const userData = userDoc.data();
+
+          if (isSuspended(userData)) {
+            console.log('🚫 Signing out suspended account:', user.email);
+            await signOut(auth);
+            callback(null);
+            return;
+          }
           
           callback({
             uid: user.uid,
             email: user.email,
-            role: userData.role || 'user',
+            role: userData.role || DEFAULT_ROLE,
             name: userData.name || user.email.split('@')[0],
             displayName: userData.displayName || user.email.split('@')[0],
-            isAdmin: (userData.role || 'user') === 'admin',
+            isAdmin: normalizeRole(userData.role) === ROLES.ADMIN,
             ...userData
           });
           
@@ -409,7 +495,8 @@ export const AuthService = {
       'auth/configuration-not-found': 'Authentication service is not configured',
       'auth/operation-not-allowed': 'Email/password authentication is not enabled',
       'auth/user-token-expired': 'Session expired. Please login again',
-      'auth/requires-recent-login': 'Please login again to perform this action'
+      'auth/requires-recent-login': 'Please login again to perform this action',
+      'app/account-suspended': 'This account has been suspended. Please contact an administrator.'
     };
     return errorMessages[errorCode] || 'An unexpected error occurred. Please try again.';
   }
@@ -0,0 +1,221 @@
+// src/services/adminAccessService.js
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+import { recordAudit, AUDIT_OPERATIONS } from "./auditService";
+import { ADMIN_REQUEST_STATUS, ROLES } from "../utils/permissions";
+
+/**
+ * ============================================
+ * ADMIN ACCESS REQUESTS
+ * ============================================
+ *
+ * Nobody becomes an admin by registering. A user asks for elevation and an
+ * existing admin approves or rejects the request from the Users tab. Each
+ * request is a document in "admin_requests", keyed by the requester's uid:
+ *
+ *   {
+ *     uid, email, name,
+ *     reason,        // free text from the requester
+ *     status,        // one of ADMIN_REQUEST_STATUS
+ *     requestedAt,   // ISO string
+ *     decidedAt,     // ISO string, null while pending
+ *     decidedBy      // { uid, email } of the admin, null while pending
+ *   }
+ *
+ * Only emails whose domain is on the allowlist in settings/access
+ * (`adminDomains`, edited by admins) may file a request; an empty list
+ * closes requests entirely. The first admin is created outside the app by
+ * `npm run admin:bootstrap` (see scripts/bootstrap-admin.js).
+ */
+
+export const ADMIN_REQUESTS_COLLECTION = "admin_requests";
+export const SETTINGS_COLLECTION = "settings";
+export const ACCESS_SETTINGS_ID = "access";
+
+export const normalizeDomain = (domain) =>
+  String(domain || "").trim().toLowerCase().replace(/^@/, "");
+
+// True when the email's domain, or a parent domain of it, is allowed
+export const isAllowedAdminDomain = (email, domains = []) => {
+  const domain = normalizeDomain(String(email || "").split("@")[1]);
+  if (!domain) return false;
+  return domains
+    .map(normalizeDomain)
+    .filter(Boolean)
+    .some((allowed) => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+const toRequests = (documents = []) =>
+  documents
+    .map(({ id, data }) => ({ ...data, uid: id }))
+    .sort((a, b) => String(a.requestedAt).localeCompare(String(b.requestedAt)));
+
+// ========== DOMAIN ALLOWLIST ==========
+
+export const getAdminDomains = async () => {
+  try {
+    const settings = await getStorage().getDocument(SETTINGS_COLLECTION, ACCESS_SETTINGS_ID);
+    return settings?.data?.adminDomains || [];
+  } catch (error) {
+    console.error("Error loading admin domains:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace the admin domain allowlist.
+ * @param {Array<string>} domains - e.g. ["example.edu", "@example.org"]
+ * @returns {Promise<Array<string>>} the normalized, sorted list that was saved
+ */
+export const setAdminDomains = async (domains = []) => {
+  const adminDomains = [...new Set(domains.map(normalizeDomain).filter(Boolean))].sort();
+
+  try {
+    const before = await getAdminDomains();
+    await getStorage().setDocument(
+      SETTINGS_COLLECTION,
+      ACCESS_SETTINGS_ID,
+      { adminDomains, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+    await recordAudit({
+      collection: SETTINGS_COLLECTION,
+      documentId: ACCESS_SETTINGS_ID,
+      operation: AUDIT_OPERATIONS.UPDATE_SETTINGS,
+      before: { adminDomains: before },
+      after: { adminDomains }
+    });
+    return adminDomains;
+  } catch (error) {
+    console.error("Error saving admin domains:", error);
+    throw error;
+  }
+};
+
+// ========== REQUESTS ==========
+
+export const getAdminRequest = async (uid) => {
+  try {
+    const request = await getStorage().getDocument(ADMIN_REQUESTS_COLLECTION, uid);
+    return request ? { ...request.data, uid: request.id } : null;
+  } catch (error) {
+    console.error("Error loading admin request:", error);
+    throw error;
+  }
+};
+
+/**
+ * File (or re-file) a pending admin request for a signed-in user.
+ * @param {Object} user - { uid, email, name }
+ * @param {string} [reason]
+ * @returns {Promise<Object>} the stored request
+ */
+export const requestAdminAccess = async ({ uid, email, name = null }, reason = "") => {
+  const domains = await getAdminDomains();
+  if (!isAllowedAdminDomain(email, domains)) {
+    throw new Error(`Administrator access cannot be requested for ${String(email).split("@")[1] || email} addresses.`);
+  }
+
+  const request = {
+    uid,
+    email,
+    name,
+    reason: String(reason || "").trim(),
+    status: ADMIN_REQUEST_STATUS.PENDING,
+    requestedAt: new Date().toISOString(),
+    decidedAt: null,
+    decidedBy: null
+  };
+
+  try {
+    await getStorage().setDocument(ADMIN_REQUESTS_COLLECTION, uid, request);
+    return request;
+  } catch (error) {
+    console.error("Error filing admin request:", error);
+    throw error;
+  }
+};
+
+// Pending requests, oldest first
+export const getPendingAdminRequests = async () => {
+  try {
+    const { documents } = await getStorage().queryDocuments(ADMIN_REQUESTS_COLLECTION, {
+      where: [["status", "==", ADMIN_REQUEST_STATUS.PENDING]]
+    });
+    return toRequests(documents);
+  } catch (error) {
+    console.error("Error loading admin requests:", error);
+    throw error;
+  }
+};
+
+// Real-time queue of pending requests, oldest first
+export const subscribeToAdminRequests = (onData, onError) =>
+  subscribeCollection(
+    ADMIN_REQUESTS_COLLECTION,
+    (documents) => onData(toRequests(documents)),
+    onError,
+    { where: [["status", "==", ADMIN_REQUEST_STATUS.PENDING]] }
+  );
+
+const pendingRequest = async (uid) => {
+  const request = await getAdminRequest(uid);
+  if (!request || request.status !== ADMIN_REQUEST_STATUS.PENDING) {
+    throw new Error("This request is no longer pending.");
+  }
+  return request;
+};
+
+const recordDecision = async (request, status, decidedBy) => {
+  const decision = {
+    status,
+    decidedAt: new Date().toISOString(),
+    decidedBy: decidedBy ? { uid: decidedBy.uid || null, email: decidedBy.email || null } : null
+  };
+  await getStorage().updateDocument(ADMIN_REQUESTS_COLLECTION, request.uid, decision);
+  return { ...request, ...decision };
+};
+
+/**
+ * Approve a pending request: the requester becomes an admin.
+ * @param {string} uid - requester
+ * @param {Object} decidedBy - { uid, email } of the approving admin
+ * @returns {Promise<Object>} the decided request
+ */
+export const approveAdminRequest = async (uid, decidedBy) => {
+  try {
+    const storage = getStorage();
+    const request = await pendingRequest(uid);
+    const profile = await storage.getDocument("users", uid);
+    if (!profile) {
+      throw new Error("The requesting user no longer exists.");
+    }
+
+    await storage.updateDocument("users", uid, {
+      role: ROLES.ADMIN,
+      permissions: [],
+      updatedAt: new Date().toISOString()
+    });
+    await recordAudit({
+      collection: "users",
+      documentId: uid,
+      operation: AUDIT_OPERATIONS.CHANGE_ROLE,
+      before: { role: profile.data.role || null },
+      after: { role: ROLES.ADMIN }
+    });
+    return await recordDecision(request, ADMIN_REQUEST_STATUS.APPROVED, decidedBy);
+  } catch (error) {
+    console.error("Error approving admin request:", error);
+    throw error;
+  }
+};
+
+export const rejectAdminRequest = async (uid, decidedBy) => {
+  try {
+    const request = await pendingRequest(uid);
+    return await recordDecision(request, ADMIN_REQUEST_STATUS.REJECTED, decidedBy);
+  } catch (error) {
+    console.error("Error rejecting admin request:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  approveAdminRequest,
+  getAdminRequest,
+  isAllowedAdminDomain,
+  rejectAdminRequest,
+  requestAdminAccess,
+  setAdminDomains
+} from './adminAccessService';
+
+const requester = { uid: 'u1', email: 'ana@cs.example.edu', name: 'Ana' };
+const admin = { uid: 'a1', email: 'admin@example.edu' };
+
+let storage;
+
+beforeEach(async () => {
+  storage = setStorage(createMemoryAdapter());
+  await storage.setDocument('users', 'u1', { email: requester.email, role: 'viewer', permissions: [] });
+});
+
+describe('isAllowedAdminDomain', () => {
+  it('matches domains and their subdomains only', () => {
+    expect(isAllowedAdminDomain('a@example.edu', ['@Example.edu'])).toBe(true);
+    expect(isAllowedAdminDomain('a@cs.example.edu', ['example.edu'])).toBe(true);
+    expect(isAllowedAdminDomain('a@badexample.edu', ['example.edu'])).toBe(false);
+    expect(isAllowedAdminDomain('a@example.edu', [])).toBe(false);
+  });
+});
+
+describe('admin requests', () => {
+  it('refuses requests from domains outside the allowlist', async () => {
+    await setAdminDomains(['other.org']);
+    await expect(requestAdminAccess(requester)).rejects.toThrow('cannot be requested');
+    expect(await getAdminRequest('u1')).toBeNull();
+  });
+
+  it('promotes the requester when an admin approves', async () => {
+    expect(await setAdminDomains([' Example.edu ', 'example.edu'])).toEqual(['example.edu']);
+    await requestAdminAccess(requester, 'I maintain the datasets');
+
+    const decided = await approveAdminRequest('u1', admin);
+
+    expect(decided).toMatchObject({ status: 'approved', decidedBy: admin, reason: 'I maintain the datasets' });
+    expect((await storage.getDocument('users', 'u1')).data.role).toBe('admin');
+    await expect(rejectAdminRequest('u1', admin)).rejects.toThrow('no longer pending');
+  });
+
+  it('leaves the role alone when an admin rejects', async () => {
+    await setAdminDomains(['example.edu']);
+    await requestAdminAccess(requester);
+
+    await rejectAdminRequest('u1', admin);
+
+    expect((await getAdminRequest('u1')).status).toBe('rejected');
+    expect((await storage.getDocument('users', 'u1')).data.role).toBe('viewer');
+  });
+});
@@ -0,0 +1,158 @@
+// src/services/apiClient.js
+import { auth } from '../firebase';
+
+/**
+ * ============================================
+ * API CLIENT
+ * ============================================
+ *
+ * Calls the Express server in server/ (`npm run server`) with the signed-in
+ * user's Firebase ID token. The server is optional: set VITE_API_URL (e.g.
+ * http://localhost:3001) to route privileged writes through it; without it
+ * the app keeps writing to Firestore directly under firestore.rules.
+ */
+
+export const API_URL = String(import.meta.env?.VITE_API_URL || '').replace(/\/+$/, '');
+
+export const isApiConfigured = () => Boolean(API_URL);
+
+// fetch with the signed-in user's ID token
+const authorizedFetch = async (path, { headers = {}, ...init } = {}) => {
+  if (!isApiConfigured()) {
+    throw new Error('VITE_API_URL is not set');
+  }
+
+  const token = await auth.currentUser?.getIdToken();
+  const response = await fetch(`${API_URL}${path}`, {
+    ...init,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers }
+  });
+
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    const error = new Error(payload.error || `${init.method || 'GET'} ${path} failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+};
+
+/**
+ * @param {string} path - e.g. "/admin/users"
+ * @param {Object} [options]
+ * @param {string} [options.method="GET"]
+ * @param {*} [options.body] - sent as JSON unless it is a string
+ * @param {string} [options.contentType] - for string bodies, e.g. "text/csv"
+ * @returns {Promise<*>} parsed JSON, text for CSV responses, null for 204
+ */
+export const apiRequest = async (path, { method = 'GET', body, contentType = 'application/json' } = {}) => {
+  const response = await authorizedFetch(path, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': contentType } : {},
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  if (response.status === 204) return null;
+  return (response.headers.get('content-type') || '').includes('application/json')
+    ? response.json()
+    : response.text();
+};
+
+/**
+ * Follow a Server-Sent Events stream. EventSource cannot send the ID token,
+ * so the stream is read through fetch. Resolves when the server ends it.
+ *
+ * @param {string} path
+ * @param {Function} onEvent - ({ event, data }) with data parsed as JSON
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - stops following the stream
+ */
+export const streamEvents = async (path, onEvent, { signal } = {}) => {
+  const response = await authorizedFetch(path, { headers: { Accept: 'text/event-stream' }, signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const lines = buffer.slice(0, boundary).split('\n');
+      buffer = buffer.slice(boundary + 2);
+      const event = lines.find((line) => line.startsWith('event: '))?.slice(7) || 'message';
+      const data = lines.filter((line) => line.startsWith('data: ')).map((line) => line.slice(6)).join('\n');
+      if (data) onEvent({ event, data: JSON.parse(data) });
+    }
+  }
+};
+
+// ========== USER MANAGEMENT ==========
+// Same method names as AuthService, so useUserManagement can use either
+
+export const AdminApi = {
+  getAllUsers: () => apiRequest('/admin/users'),
+
+  getInvitations: () => apiRequest('/admin/invitations'),
+
+  updateUserRole: (uid, role) =>
+    apiRequest(`/admin/users/${encodeURIComponent(uid)}`, { method: 'PATCH', body: { role } }),
+
+  updateUserStatus: (uid, status) =>
+    apiRequest(`/admin/users/${encodeURIComponent(uid)}`, { method: 'PATCH', body: { status } }),
+
+  // The server records the caller as the inviter
+  inviteUsers: (emails, role) =>
+    apiRequest('/admin/invitations', { method: 'POST', body: { emails, role } }),
+
+  revokeInvitation: (email) =>
+    apiRequest(`/admin/invitations/${encodeURIComponent(email)}`, { method: 'DELETE' })
+};
+
+// ========== CSV IMPORT JOBS ==========
+// See server/importJobs.js
+
+export const ImportApi = {
+  // Resolves to the queued job
+  // append merges with { strategies, defaultStrategy } (see utils/mergeImport.js)
+  startImport: (collectionName, csvText, {
+    fileName = '',
+    append = false,
+    strategies = {},
+    defaultStrategy = null,
+    profileId = null
+  } = {}) => {
+    const query = new URLSearchParams({ fileName, append: String(append) });
+    if (profileId) query.set('profile', profileId);
+    if (append && defaultStrategy) query.set('strategy', defaultStrategy);
+    if (append && Object.keys(strategies).length > 0) query.set('strategies', JSON.stringify(strategies));
+    return apiRequest(`/data/collections/${encodeURIComponent(collectionName)}/import?${query}`, {
+      method: 'POST',
+      body: csvText,
+      contentType: 'text/csv'
+    });
+  },
+
+  getImport: (id) => apiRequest(`/data/imports/${encodeURIComponent(id)}`),
+
+  cancelImport: (id) => apiRequest(`/data/imports/${encodeURIComponent(id)}/cancel`, { method: 'POST' }),
+
+  resumeImport: (id) => apiRequest(`/data/imports/${encodeURIComponent(id)}/resume`, { method: 'POST' }),
+
+  // Calls onJob with the job on every change until it finishes
+  watchImport: (id, onJob, options) =>
+    streamEvents(`/data/imports/${encodeURIComponent(id)}/events`, ({ data }) => onJob(data), options)
+};
+
+// ========== FORECAST RETRAINING ==========
+// See server/retraining.js
+
+export const ForecastApi = {
+  getForecasts: () => apiRequest('/forecasts'),
+
+  // Resolves to the configuration once its training is queued
+  retrainForecast: (id) => apiRequest(`/forecasts/${encodeURIComponent(id)}/retrain`, { method: 'POST' })
+};
+
+export default apiRequest;
@@ -0,0 +1,127 @@
+// src/services/apiKeyService.js
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+import { recordAudit, AUDIT_OPERATIONS } from "./auditService";
+
+/**
+ * ============================================
+ * PUBLIC API KEYS
+ * ============================================
+ *
+ * Keys for the read-only dataset API (/api/v1, see server/routes/publicApi.js).
+ * A key is shown once when it is created; only its SHA-256 hash is stored,
+ * as the document ID in "api_keys", so the server can look a key up
+ * without keeping it:
+ *
+ *   {
+ *     name,          // who the key is for, e.g. "UP Population Institute"
+ *     prefix,        // first characters of the key, to recognize it
+ *     rateLimit,     // requests per minute
+ *     createdAt, createdBy,
+ *     lastUsedAt,    // ISO string, refreshed by the server
+ *     revokedAt, revokedBy
+ *   }
+ *
+ * Uses Web Crypto, available in browsers and in Node 20+.
+ */
+
+export const API_KEYS_COLLECTION = "api_keys";
+export const API_KEY_PREFIX = "fem_";
+export const DEFAULT_RATE_LIMIT = 60;
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+export const generateApiKey = () => {
+  const bytes = new Uint8Array(24);
+  globalThis.crypto.getRandomValues(bytes);
+  return `${API_KEY_PREFIX}${toHex(bytes)}`;
+};
+
+export const hashApiKey = async (key) =>
+  toHex(await globalThis.crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(key))));
+
+const toActor = (user) => (user ? { uid: user.uid || null, email: user.email || null } : null);
+
+const toApiKeys = (documents = []) =>
+  documents
+    .map(({ id, data }) => ({ ...data, id }))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+/**
+ * Create a key. The returned `key` is the only copy of the secret.
+ * @param {Object} details - { name, rateLimit }
+ * @param {Object} [createdBy] - { uid, email }
+ * @returns {Promise<{ key: string, apiKey: Object }>}
+ */
+export const createApiKey = async ({ name, rateLimit = DEFAULT_RATE_LIMIT }, createdBy = null) => {
+  const label = String(name || "").trim();
+  const limit = Number(rateLimit);
+  if (!label) throw new Error("Give the key a name.");
+  if (!Number.isInteger(limit) || limit < 1) throw new Error("The rate limit must be a whole number of requests per minute.");
+
+  const key = generateApiKey();
+  const id = await hashApiKey(key);
+  const apiKey = {
+    name: label,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    rateLimit: limit,
+    createdAt: new Date().toISOString(),
+    createdBy: toActor(createdBy),
+    lastUsedAt: null,
+    revokedAt: null,
+    revokedBy: null
+  };
+
+  try {
+    await getStorage().setDocument(API_KEYS_COLLECTION, id, apiKey);
+    await recordAudit({
+      collection: API_KEYS_COLLECTION,
+      documentId: id,
+      operation: AUDIT_OPERATIONS.CREATE_API_KEY,
+      after: { name: label, prefix: apiKey.prefix, rateLimit: limit }
+    });
+    return { key, apiKey: { ...apiKey, id } };
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    throw error;
+  }
+};
+
+export const revokeApiKey = async (id, revokedBy = null) => {
+  try {
+    await getStorage().updateDocument(API_KEYS_COLLECTION, id, {
+      revokedAt: new Date().toISOString(),
+      revokedBy: toActor(revokedBy)
+    });
+    await recordAudit({
+      collection: API_KEYS_COLLECTION,
+      documentId: id,
+      operation: AUDIT_OPERATIONS.REVOKE_API_KEY
+    });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * The active key record for a presented key, or null when it is unknown
+ * or revoked.
+ */
+export const findApiKey = async (key) => {
+  if (!String(key || "").startsWith(API_KEY_PREFIX)) return null;
+  const stored = await getStorage().getDocument(API_KEYS_COLLECTION, await hashApiKey(key));
+  return stored && !stored.data.revokedAt ? { ...stored.data, id: stored.id } : null;
+};
+
+export const touchApiKey = async (id) => {
+  try {
+    await getStorage().updateDocument(API_KEYS_COLLECTION, id, { lastUsedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error recording API key use:", error);
+  }
+};
+
+// Real-time list of keys (admins), newest first
+export const subscribeToApiKeys = (onData, onError) =>
+  subscribeCollection(API_KEYS_COLLECTION, (documents) => onData(toApiKeys(documents)), onError);
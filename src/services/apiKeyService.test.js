@@ -0,0 +1,42 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  API_KEYS_COLLECTION,
+  createApiKey,
+  findApiKey,
+  hashApiKey,
+  revokeApiKey
+} from './apiKeyService';
+
+const admin = { uid: 'a1', email: 'admin@example.edu' };
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter());
+});
+
+describe('api keys', () => {
+  it('stores only the hash of a new key and finds it by the key', async () => {
+    const { key, apiKey } = await createApiKey({ name: ' UP PopInst ', rateLimit: 30 }, admin);
+
+    expect(key).toMatch(/^fem_[0-9a-f]{48}$/);
+    expect(apiKey.id).toBe(await hashApiKey(key));
+    const stored = (await storage.getDocument(API_KEYS_COLLECTION, apiKey.id)).data;
+    expect(JSON.stringify(stored)).not.toContain(key);
+    expect(stored).toMatchObject({ name: 'UP PopInst', prefix: key.slice(0, 10), rateLimit: 30, createdBy: admin });
+
+    expect(await findApiKey(key)).toMatchObject({ id: apiKey.id, rateLimit: 30 });
+    expect(await findApiKey(`${key}0`)).toBeNull();
+  });
+
+  it('refuses revoked keys and invalid limits', async () => {
+    const { key, apiKey } = await createApiKey({ name: 'Temp' });
+    await revokeApiKey(apiKey.id, admin);
+    expect(await findApiKey(key)).toBeNull();
+
+    await expect(createApiKey({ name: 'Bad', rateLimit: 0 })).rejects.toThrow('rate limit');
+    await expect(createApiKey({ name: ' ' })).rejects.toThrow('name');
+  });
+});
@@ -0,0 +1,157 @@
+// src/services/auditService.js
+import { getStorage } from "./storage";
+
+/**
+ * ============================================
+ * AUDIT LOG
+ * ============================================
+ *
+ * Append-only trail of every data mutation. Each entry is a new document in
+ * the "audit_log" collection (entries are never updated or deleted; the
+ * rules only accept entries naming their writer and the current time):
+ *
+ *   {
+ *     timestamp,     // ISO string
+ *     user,          // { uid, email } or null when signed out
+ *     dataset,       // registry key (e.g. "age") or collection name
+ *     collection,    // storage collection that was written
+ *     documentId,    // affected document, null for whole-collection operations
+ *     operation,     // one of AUDIT_OPERATIONS
+ *     before,        // value(s) before the change, null when created
+ *     after          // value(s) after the change, null when deleted
+ *   }
+ *
+ * The signed-in user is looked up through a provider registered at startup
+ * (main.jsx wires Firebase Auth's currentUser), which keeps this module free
+ * of Firebase Auth so it also works with the local storage backends.
+ */
+
+export const AUDIT_COLLECTION = "audit_log";
+
+export const AUDIT_OPERATIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  DELETE_CATEGORY: "delete-category",
+  CLEAR: "clear",
+  REPLACE: "replace",
+  MERGE: "merge",
+  RESTORE: "restore",
+  PURGE: "purge",
+  MIGRATE: "migrate",
+  RENAME_COLLECTION: "rename-collection",
+  DELETE_COLLECTION: "delete-collection",
+  CHANGE_ROLE: "change-role",
+  SUSPEND_USER: "suspend-user",
+  REACTIVATE_USER: "reactivate-user",
+  INVITE_USERS: "invite-users",
+  UPDATE_SETTINGS: "update-settings",
+  CREATE_API_KEY: "create-api-key",
+  REVOKE_API_KEY: "revoke-api-key"
+};
+
+let currentUserProvider = () => null;
+
+// Register a function returning the signed-in Firebase user (or null)
+export const setAuditUserProvider = (provider) => {
+  currentUserProvider = provider || (() => null);
+};
+
+// { uid, email } of the signed-in user, or null
+export const getCurrentAuditUser = () => {
+  try {
+    const user = currentUserProvider();
+    return user ? { uid: user.uid || null, email: user.email || null } : null;
+  } catch (error) {
+    console.error("Error resolving audit user:", error);
+    return null;
+  }
+};
+
+// Storage rejects undefined values, so normalize them to null
+const toStoredValue = (value) => (value === undefined ? null : value);
+
+/**
+ * Append an audit entry. Failures are logged but never thrown, so a
+ * mutation that already succeeded is not reported as failed.
+ */
+export const recordAudit = async ({
+  dataset,
+  collection,
+  documentId = null,
+  operation,
+  before = null,
+  after = null
+}) => {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    user: getCurrentAuditUser(),
+    dataset: dataset || collection,
+    collection: collection || dataset,
+    documentId: documentId === null ? null : String(documentId),
+    operation,
+    before: toStoredValue(before),
+    after: toStoredValue(after)
+  };
+
+  try {
+    await getStorage().addDocument(AUDIT_COLLECTION, entry);
+  } catch (error) {
+    console.error("Error writing audit log entry:", error, entry);
+  }
+  return entry;
+};
+
+/**
+ * Audit entries matching the filters, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.user] - substring of the user's email or exact uid
+ * @param {string} [filters.dataset] - exact dataset key / collection name
+ * @param {string} [filters.from] - inclusive start date (YYYY-MM-DD or ISO)
+ * @param {string} [filters.to] - inclusive end date (YYYY-MM-DD or ISO)
+ * @returns {Promise<Array<Object>>} [{ id, ...entry }]
+ */
+export const fetchAuditLog = async ({ user, dataset, from, to } = {}) => {
+  try {
+    const documents = await getStorage().getDocuments(AUDIT_COLLECTION);
+    const userFilter = String(user || "").trim().toLowerCase();
+    // A bare date as the upper bound covers the whole day
+    const toBound = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+
+    return documents
+      .map(({ id, data }) => ({ id, ...data }))
+      .filter((entry) => {
+        if (userFilter) {
+          const email = String(entry.user?.email || "").toLowerCase();
+          if (!email.includes(userFilter) && entry.user?.uid !== user) return false;
+        }
+        if (dataset && entry.dataset !== dataset) return false;
+        if (from && entry.timestamp < from) return false;
+        if (toBound && entry.timestamp > toBound) return false;
+        return true;
+      })
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    throw error;
+  }
+};
+
+// Distinct datasets present in the log, for the viewer's filter dropdown
+export const listAuditDatasets = (entries = []) =>
+  [...new Set(entries.map((entry) => entry.dataset).filter(Boolean))].sort();
+
+// Flatten entries into rows for ExportService.exportTableToCsv
+export const toAuditCsvRows = (entries = []) =>
+  entries.map((entry) => ({
+    timestamp: entry.timestamp,
+    uid: entry.user?.uid || "",
+    email: entry.user?.email || "",
+    dataset: entry.dataset,
+    collection: entry.collection,
+    documentId: entry.documentId || "",
+    operation: entry.operation,
+    before: entry.before === null ? "" : JSON.stringify(entry.before),
+    after: entry.after === null ? "" : JSON.stringify(entry.after)
+  }));
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  AUDIT_OPERATIONS,
+  recordAudit,
+  fetchAuditLog,
+  setAuditUserProvider,
+  toAuditCsvRows
+} from './auditService';
+import { updateDatasetValue, deleteDatasetCategory } from './datasetRepository';
+import { clearCollection, deleteRecord } from './firestoreService';
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter({
+    initialData: {
+      emigrant_age: { '14_Below': { yearly_data: { 1981: 5, 1982: 7 } } },
+      emigrants: { 1990: { single: 1 }, 1991: { single: 2 } }
+    }
+  }));
+  setAuditUserProvider(() => ({ uid: 'u1', email: 'admin@example.com' }));
+});
+
+afterEach(() => {
+  setAuditUserProvider(null);
+});
+
+describe('audit trail', () => {
+  it('records before and after values of dataset edits', async () => {
+    await updateDatasetValue('age', '14_Below', 1981, 9);
+
+    const [entry] = await fetchAuditLog();
+    expect(entry).toMatchObject({
+      user: { uid: 'u1', email: 'admin@example.com' },
+      dataset: 'age',
+      collection: 'emigrant_age',
+      documentId: '14_Below',
+      operation: AUDIT_OPERATIONS.UPDATE,
+      before: { ageGroup: '14_Below', year: 1981, count: 5 },
+      after: { ageGroup: '14_Below', year: 1981, count: 9 }
+    });
+  });
+
+  it('records deletes and whole-collection operations', async () => {
+    await deleteDatasetCategory('age', '14_Below');
+    await deleteRecord('1990', 'emigrants');
+    await clearCollection('emigrants');
+
+    const entries = await fetchAuditLog();
+    expect(entries.map(({ operation }) => operation).sort()).toEqual(['clear', 'delete', 'delete-category']);
+    expect(entries.find(({ operation }) => operation === 'delete').before).toEqual({ single: 1 });
+    expect(entries.find(({ operation }) => operation === 'clear').before).toEqual({
+      rowCount: 1, documentIds: ['1991']
+    });
+  });
+
+  it('records a null user when nobody is signed in', async () => {
+    setAuditUserProvider(() => null);
+    const entry = await recordAudit({ collection: 'emigrants', operation: AUDIT_OPERATIONS.CLEAR });
+    expect(entry.user).toBeNull();
+    expect(entry.dataset).toBe('emigrants');
+  });
+});
+
+describe('fetchAuditLog filters', () => {
+  beforeEach(async () => {
+    const entries = [
+      { timestamp: '2024-01-10T08:00:00.000Z', user: { uid: 'u1', email: 'ana@example.com' }, dataset: 'age' },
+      { timestamp: '2024-02-15T12:00:00.000Z', user: { uid: 'u2', email: 'ben@example.com' }, dataset: 'sex' },
+      { timestamp: '2024-03-20T23:30:00.000Z', user: { uid: 'u1', email: 'ana@example.com' }, dataset: 'sex' }
+    ];
+    for (const entry of entries) {
+      await storage.addDocument('audit_log', { ...entry, operation: 'update', before: null, after: null });
+    }
+  });
+
+  it('filters by user, dataset and inclusive date range, newest first', async () => {
+    expect((await fetchAuditLog({ user: 'ANA' })).map(({ dataset }) => dataset)).toEqual(['sex', 'age']);
+    expect(await fetchAuditLog({ user: 'u2' })).toHaveLength(1);
+    expect(await fetchAuditLog({ dataset: 'sex' })).toHaveLength(2);
+    expect((await fetchAuditLog({ from: '2024-02-01', to: '2024-03-20' })).map(({ user }) => user.uid))
+      .toEqual(['u1', 'u2']);
+  });
+
+  it('flattens entries for CSV export', async () => {
+    const [row] = toAuditCsvRows([{
+      timestamp: 't', user: { uid: 'u1', email: 'a@b.c' }, dataset: 'age', collection: 'emigrant_age',
+      documentId: null, operation: 'update', before: { count: 1 }, after: null
+    }]);
+    expect(row).toEqual({
+      timestamp: 't', uid: 'u1', email: 'a@b.c', dataset: 'age', collection: 'emigrant_age',
+      documentId: '', operation: 'update', before: '{"count":1}', after: ''
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// src/services/collectionRegistry.js
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+
+/**
+ * ============================================
+ * COLLECTION REGISTRY
+ * ============================================
+ *
+ * One document per uploaded collection in "collection_registry", keyed by
+ * the collection name, so the dashboard can list and switch between them:
+ *
+ *   {
+ *     name,            // storage collection, e.g. "emigrants_by_sex"
+ *     sourceFileName,  // file of the latest upload or restore
+ *     uploadedAt,      // ISO string of the latest upload or restore
+ *     uploadedBy,      // { uid, email } or null
+ *     schema,          // sorted column names, "year" first
+ *     rowCount
+ *   }
+ *
+ * Entries are written by firestoreService when a collection is replaced,
+ * renamed or deleted; this module never touches the collections themselves.
+ */
+
+export const COLLECTION_REGISTRY = "collection_registry";
+export const DEFAULT_COLLECTION_NAME = "emigrants";
+
+// Derive a storage-safe collection name from a file or user-entered name
+export const normalizeCollectionName = (rawName = "") => {
+  if (!rawName) return DEFAULT_COLLECTION_NAME;
+  return rawName
+    .trim()
+    .replace(/\.[^/.]+$/, "")
+    .replace(/[^a-zA-Z0-9]+/g, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase() || DEFAULT_COLLECTION_NAME;
+};
+
+// Column names across stored documents ([{ id, data }]); the ID is the year
+const describeDocuments = (documents = []) => {
+  const columns = new Set();
+  documents.forEach(({ data }) => Object.keys(data || {}).forEach((key) => columns.add(key)));
+  columns.delete("year");
+  return { schema: ["year", ...Array.from(columns).sort()], rowCount: documents.length };
+};
+
+/**
+ * Create or refresh the registry entry of a collection after its contents
+ * were replaced.
+ *
+ * @param {string} collectionName
+ * @param {Object} details
+ * @param {Array<{id, data}>} details.documents - the collection's new contents
+ * @param {string} [details.sourceFileName]
+ * @param {Object} [details.uploadedBy] - { uid, email }
+ */
+export const registerCollection = async (collectionName, {
+  documents = [],
+  sourceFileName = null,
+  uploadedBy = null
+} = {}) => {
+  const entry = {
+    name: collectionName,
+    sourceFileName,
+    uploadedAt: new Date().toISOString(),
+    uploadedBy,
+    ...describeDocuments(documents)
+  };
+
+  try {
+    await getStorage().setDocument(COLLECTION_REGISTRY, collectionName, entry);
+    return entry;
+  } catch (error) {
+    console.error("Error registering collection:", error);
+    throw error;
+  }
+};
+
+export const unregisterCollection = async (collectionName) => {
+  try {
+    await getStorage().deleteDocument(COLLECTION_REGISTRY, collectionName);
+  } catch (error) {
+    console.error("Error unregistering collection:", error);
+    throw error;
+  }
+};
+
+export const getCollectionEntry = async (collectionName) => {
+  const document = await getStorage().getDocument(COLLECTION_REGISTRY, collectionName);
+  return document ? { id: document.id, ...document.data } : null;
+};
+
+// Re-key an entry after its collection was renamed; false when none existed
+export const moveCollectionEntry = async (collectionName, newName) => {
+  const storage = getStorage();
+  try {
+    const existing = await storage.getDocument(COLLECTION_REGISTRY, collectionName);
+    if (!existing) return false;
+    await storage.setDocument(COLLECTION_REGISTRY, newName, { ...existing.data, name: newName });
+    await storage.deleteDocument(COLLECTION_REGISTRY, collectionName);
+    return true;
+  } catch (error) {
+    console.error("Error moving collection registry entry:", error);
+    throw error;
+  }
+};
+
+const toEntries = (documents) =>
+  documents
+    .map(({ id, data }) => ({ id, ...data, name: data.name || id }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+// Every registered collection, by name
+export const listCollections = async () => {
+  try {
+    return toEntries(await getStorage().getDocuments(COLLECTION_REGISTRY));
+  } catch (error) {
+    console.error("Error listing collections:", error);
+    throw error;
+  }
+};
+
+// Real-time listener for the registry; returns an unsubscribe function
+export const subscribeToCollections = (onData, onError) =>
+  subscribeCollection(COLLECTION_REGISTRY, (documents) => onData(toEntries(documents)), onError);
+
+// ========== CROSS-COLLECTION COMPARISON ==========
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const numericColumns = (records) => {
+  const columns = new Set();
+  records.forEach((record) => {
+    Object.entries(record).forEach(([key, value]) => {
+      if (key !== "year" && key !== "id" && isNumber(value)) columns.add(key);
+    });
+  });
+  return columns;
+};
+
+/**
+ * Line collections up on the years they all cover.
+ *
+ * @param {Array<{ name: string, records: Array<Object> }>} datasets - records
+ *   as returned by fetchAllRecords (each with a numeric `year`)
+ * @returns {{
+ *   years: number[],          // years present in every collection, ascending
+ *   columns: string[],        // numeric columns present in every collection
+ *   rows: Array<{ year, values: { [name]: Object }, totals: { [name]: number } }>
+ * }} totals sum every numeric column of the collection for that year
+ */
+export const compareCollectionYears = (datasets = []) => {
+  if (datasets.length === 0) return { years: [], columns: [], rows: [] };
+
+  const byYear = datasets.map(({ records }) =>
+    new Map(records.filter((record) => isNumber(Number(record.year)))
+      .map((record) => [Number(record.year), record])));
+
+  const years = Array.from(byYear[0].keys())
+    .filter((year) => byYear.every((records) => records.has(year)))
+    .sort((a, b) => a - b);
+
+  const columnSets = datasets.map(({ records }) => numericColumns(records));
+  const columns = Array.from(columnSets[0])
+    .filter((column) => columnSets.every((set) => set.has(column)))
+    .sort();
+
+  const rows = years.map((year) => {
+    const values = {};
+    const totals = {};
+    datasets.forEach(({ name }, index) => {
+      const record = byYear[index].get(year);
+      values[name] = Object.fromEntries(columns.map((column) => [column, record[column] ?? null]));
+      totals[name] = Object.entries(record)
+        .filter(([key, value]) => key !== "year" && key !== "id" && isNumber(value))
+        .reduce((sum, [, value]) => sum + value, 0);
+    });
+    return { year, values, totals };
+  });
+
+  return { years, columns, rows };
+};
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import { compareCollectionYears, listCollections, normalizeCollectionName } from './collectionRegistry';
+import { overwriteCollection, renameCollection, deleteCollection, restoreCollectionVersion } from './firestoreService';
+import { listVersions } from './versionService';
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter());
+});
+
+describe('collection registry', () => {
+  it('registers uploads with their schema and row count', async () => {
+    await overwriteCollection(
+      [{ year: 1981, male: 10, female: 12 }, { year: 1982, male: 11, female: 9 }],
+      true,
+      normalizeCollectionName('Emigrants By Sex.csv'),
+      { sourceFileName: 'Emigrants By Sex.csv', createdBy: { uid: 'u1', email: 'admin@example.com' } }
+    );
+
+    const [entry] = await listCollections();
+    expect(entry).toMatchObject({
+      name: 'emigrants_by_sex',
+      sourceFileName: 'Emigrants By Sex.csv',
+      uploadedBy: { uid: 'u1', email: 'admin@example.com' },
+      schema: ['year', 'female', 'male'],
+      rowCount: 2
+    });
+  });
+
+  it('renames a collection together with its versions', async () => {
+    await overwriteCollection([{ year: 1981, total: 5 }], true, 'first_upload');
+    await overwriteCollection([{ year: 1981, total: 6 }], true, 'first_upload');
+
+    const renamed = await renameCollection('first_upload', 'Sex 2020');
+
+    expect(renamed).toBe('sex_2020');
+    expect(await storage.getDocuments('first_upload')).toHaveLength(0);
+    expect(await storage.getDocument('sex_2020', '1981')).toEqual({ id: '1981', data: { total: 6 } });
+    expect((await listCollections()).map(({ name }) => name)).toEqual(['sex_2020']);
+    expect(await listVersions('sex_2020')).toHaveLength(1);
+    await expect(renameCollection('sex_2020', 'sex_2020 ')).resolves.toBe('sex_2020');
+  });
+
+  it('leaves the source untouched when its versions cannot be moved', async () => {
+    const adapter = createMemoryAdapter();
+    storage = setStorage({
+      ...adapter,
+      async updateDocument(collection, id, data) {
+        if (collection === 'dataset_versions') throw new Error('Missing or insufficient permissions');
+        return adapter.updateDocument(collection, id, data);
+      }
+    });
+    await overwriteCollection([{ year: 1981, total: 5 }], true, 'first_upload');
+    await overwriteCollection([{ year: 1981, total: 6 }], true, 'first_upload');
+
+    await expect(renameCollection('first_upload', 'renamed')).rejects.toThrow('insufficient permissions');
+
+    expect(await storage.getDocument('first_upload', '1981')).toEqual({ id: '1981', data: { total: 6 } });
+    expect(await storage.getDocuments('renamed')).toHaveLength(0);
+    expect((await listCollections()).map(({ name }) => name)).toEqual(['first_upload']);
+    expect(await listVersions('first_upload')).toHaveLength(1);
+  });
+
+  it('refuses to rename onto an existing collection', async () => {
+    await overwriteCollection([{ year: 1981, total: 5 }], true, 'a');
+    await overwriteCollection([{ year: 1981, total: 6 }], true, 'b');
+    await expect(renameCollection('a', 'b')).rejects.toThrow('already exists');
+  });
+
+  it('deletes a collection but keeps its contents as a restorable version', async () => {
+    await overwriteCollection([{ year: 1981, total: 5 }], true, 'doomed');
+
+    const versionId = await deleteCollection('doomed');
+
+    expect(await storage.getDocuments('doomed')).toHaveLength(0);
+    expect(await listCollections()).toEqual([]);
+
+    await restoreCollectionVersion(versionId);
+    expect(await storage.getDocument('doomed', '1981')).toEqual({ id: '1981', data: { total: 5 } });
+    expect((await listCollections()).map(({ name }) => name)).toEqual(['doomed']);
+  });
+});
+
+describe('compareCollectionYears', () => {
+  it('lines collections up on their shared years and columns', () => {
+    const result = compareCollectionYears([
+      { name: 'a', records: [{ year: 1981, male: 1, female: 2 }, { year: 1982, male: 3, female: 4 }] },
+      { name: 'b', records: [{ year: 1982, male: 5, total: 9 }, { year: 1983, male: 6, total: 7 }] }
+    ]);
+
+    expect(result.years).toEqual([1982]);
+    expect(result.columns).toEqual(['male']);
+    expect(result.rows).toEqual([{
+      year: 1982,
+      values: { a: { male: 3 }, b: { male: 5 } },
+      totals: { a: 7, b: 14 }
+    }]);
+  });
+});
@@ -0,0 +1,28 @@
+// src/services/currentUser.js
+
+/**
+ * ============================================
+ * CURRENT USER
+ * ============================================
+ *
+ * The signed-in user's profile ({ uid, email, role, permissions, ... } as
+ * returned by AuthService), shared with hooks such as usePermission so
+ * components don't need the role threaded through their props. App sets it
+ * whenever the auth state changes.
+ */
+
+let currentUser = null;
+const listeners = new Set();
+
+export const getCurrentUser = () => currentUser;
+
+export const setCurrentUser = (user) => {
+  currentUser = user || null;
+  listeners.forEach((listener) => listener(currentUser));
+};
+
+// Called with the user (or null) on every change; returns an unsubscribe function
+export const subscribeToCurrentUser = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
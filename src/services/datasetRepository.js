@@ -0,0 +1,618 @@
+// src/services/datasetRepository.js
+import { getStorage } from "./storage";
+import { AUDIT_OPERATIONS, getCurrentAuditUser, recordAudit } from "./auditService";
+import { getCachedDocuments, subscribeCollection, withOptimisticUpdate } from "./subscriptionCache";
+import { DOCUMENT_LAYOUTS, getDatasetConfig } from "../utils/datasetRegistry";
+import { categoryRowsToTidy } from "../utils/tidyData";
+import { mergeDocuments } from "../utils/mergeImport";
+import { commitInChunks } from "./firestoreService";
+
+/**
+ * ============================================
+ * CATEGORY DATASET REPOSITORY
+ * ============================================
+ *
+ * Generic CRUD for the "category × year → count" datasets described in
+ * utils/datasetRegistry.js (age, countries, occupation, sex, ...).
+ *
+ * Rows returned to the UI look like:
+ *   { id, category, [categoryKey]: category, year, count, documentId }
+ *
+ * Stored value fields may be either an object map ({"1981": 10}) or one of
+ * the legacy array shapes ([{"1981": 10}] or [{ year: 1981, count: 10 }]);
+ * both are read, and every write normalizes the field to the object map.
+ * Every write is recorded in the audit log (see auditService.js), and
+ * deletes move counts into a recycle bin from which they can be restored.
+ * Listeners share one subscription per collection and writes show up
+ * optimistically (see subscriptionCache.js). fetchTidyDataset returns the
+ * same data in the long format of utils/tidyData.js.
+ */
+
+const isByYear = (config) => config.layout === DOCUMENT_LAYOUTS.BY_YEAR;
+
+// Field actually present on a stored document, or the default for new ones
+const resolveValueField = (config, documentData = {}) =>
+  config.valueFields.find((field) => documentData[field] !== undefined) || config.valueFields[0];
+
+// Convert any supported value-field shape into a { key: count } map
+export const toValueMap = (field, config) => {
+  if (!field || typeof field !== "object") return {};
+  if (!Array.isArray(field)) return { ...field };
+
+  return field.reduce((acc, entry) => {
+    if (!entry || typeof entry !== "object") return acc;
+
+    if (entry.count !== undefined) {
+      const key = entry.year ?? entry[config.categoryKey] ?? entry.category ?? entry.country;
+      if (key !== undefined) acc[String(key)] = entry.count;
+      return acc;
+    }
+
+    const [key] = Object.keys(entry);
+    if (key !== undefined) acc[key] = entry[key];
+    return acc;
+  }, {});
+};
+
+const buildRow = (config, category, year, count, documentId) => ({
+  id: `${category}_${year}`,
+  category,
+  [config.categoryKey]: category,
+  year: parseInt(year),
+  count,
+  documentId
+});
+
+// Flatten stored documents into rows sorted by year
+export const parseDatasetDocuments = (config, documents = []) => {
+  const excluded = new Set(config.excludedCategories || []);
+  const rows = [];
+
+  documents.forEach(({ id, data = {} }) => {
+    const valueMap = toValueMap(data[resolveValueField(config, data)], config);
+
+    Object.entries(valueMap).forEach(([key, count]) => {
+      const category = isByYear(config) ? key : id;
+      const year = isByYear(config) ? id : key;
+      if (excluded.has(category)) return;
+      rows.push(buildRow(config, category, year, count, id));
+    });
+  });
+
+  return rows.sort((a, b) => a.year - b.year);
+};
+
+// Document ID and map key for one category/year cell
+const locateCell = (config, category, year) =>
+  isByYear(config)
+    ? { documentId: String(year), key: String(category) }
+    : { documentId: String(category), key: String(year) };
+
+// Collection, document and map key of one cell, for code that tracks writes
+// outside this module (see offlineQueue.js); year null addresses the category
+export const locateDatasetCell = (datasetKey, category, year = null) => {
+  const config = getDatasetConfig(datasetKey);
+  if (year === null) {
+    return { collection: config.collection, documentId: isByYear(config) ? null : String(category), key: null };
+  }
+  return { collection: config.collection, ...locateCell(config, category, year) };
+};
+
+// Count stored under `key` in a document's data, or null
+export const readDatasetCell = (datasetKey, documentData, key) => {
+  if (!documentData) return null;
+  const config = getDatasetConfig(datasetKey);
+  if (key === null) return documentData;
+  return toValueMap(documentData[resolveValueField(config, documentData)], config)[key] ?? null;
+};
+
+const notFoundMessage = (config, category, year) =>
+  isByYear(config) ? `Year ${year} not found` : `${config.categoryLabel} ${category} not found`;
+
+// Fetch every row of a dataset
+export const fetchDataset = async (datasetKey) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    const documents = await getStorage().getDocuments(config.collection);
+    return parseDatasetDocuments(config, documents);
+  } catch (error) {
+    console.error(`Error fetching ${datasetKey} data:`, error);
+    throw error;
+  }
+};
+
+// Fetch every row of a dataset as tidy rows ({ dataset, year, dimension, category, value })
+export const fetchTidyDataset = async (datasetKey) =>
+  categoryRowsToTidy(datasetKey, await fetchDataset(datasetKey));
+
+// Real-time listener for a dataset; returns an unsubscribe function
+export const subscribeToDataset = (datasetKey, onData, onError) => {
+  const config = getDatasetConfig(datasetKey);
+  return subscribeCollection(
+    config.collection,
+    (documents) => onData(parseDatasetDocuments(config, documents)),
+    onError
+  );
+};
+
+// Audit entry for one category/year cell
+const auditCell = (config, documentId, operation, category, year, before, after) =>
+  recordAudit({
+    dataset: config.key,
+    collection: config.collection,
+    documentId,
+    operation,
+    before: before === undefined ? null : { [config.categoryKey]: category, year, count: before },
+    after: after === undefined ? null : { [config.categoryKey]: category, year, count: after }
+  });
+
+// Optimistic change setting (or, with count undefined, removing) one cell
+const cellChange = (config, category, year, count) => {
+  const { documentId, key } = locateCell(config, category, year);
+  return {
+    documentId,
+    apply: (data) => {
+      if (!data && count === undefined) return null;
+      const field = resolveValueField(config, data || {});
+      const valueMap = toValueMap(data?.[field], config);
+      if (count === undefined) delete valueMap[key];
+      else valueMap[key] = count;
+      return { ...(data || {}), [field]: valueMap };
+    }
+  };
+};
+
+// Optimistic changes removing a category from every document that has it
+const categoryChanges = (config, category) => {
+  if (!isByYear(config)) return [{ documentId: String(category), apply: () => null }];
+  return (getCachedDocuments(config.collection) || [])
+    .filter(({ data }) => String(category) in toValueMap(data[resolveValueField(config, data)], config))
+    .map(({ id }) => cellChange(config, category, id, undefined));
+};
+
+const writeCell = async (config, category, year, count, { requireExisting }) => {
+  const storage = getStorage();
+  const { documentId, key } = locateCell(config, category, year);
+  const existing = await storage.getDocument(config.collection, documentId);
+
+  if (!existing && requireExisting) {
+    throw new Error(notFoundMessage(config, category, year));
+  }
+
+  if (!existing) {
+    await storage.setDocument(config.collection, documentId, {
+      [config.valueFields[0]]: { [key]: count }
+    });
+    await auditCell(config, documentId, AUDIT_OPERATIONS.CREATE, category, year, undefined, count);
+    return;
+  }
+
+  const field = resolveValueField(config, existing.data);
+  const valueMap = toValueMap(existing.data[field], config);
+  const before = valueMap[key];
+  valueMap[key] = count;
+  await storage.updateDocument(config.collection, documentId, { [field]: valueMap });
+  await auditCell(
+    config,
+    documentId,
+    before === undefined ? AUDIT_OPERATIONS.CREATE : AUDIT_OPERATIONS.UPDATE,
+    category,
+    year,
+    before,
+    count
+  );
+};
+
+// Add a count, creating the category (or year) document when needed
+export const addDatasetValue = async (datasetKey, category, year, count) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    await withOptimisticUpdate(config.collection, [cellChange(config, category, year, count)], () =>
+      writeCell(config, category, year, count, { requireExisting: false }));
+    return { [config.categoryKey]: category, year, count };
+  } catch (error) {
+    console.error(`Error adding ${datasetKey} data:`, error);
+    throw error;
+  }
+};
+
+// Update a count inside an existing document
+export const updateDatasetValue = async (datasetKey, category, year, count) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    await withOptimisticUpdate(config.collection, [cellChange(config, category, year, count)], () =>
+      writeCell(config, category, year, count, { requireExisting: true }));
+    return { [config.categoryKey]: category, year, count };
+  } catch (error) {
+    console.error(`Error updating ${datasetKey} data:`, error);
+    throw error;
+  }
+};
+
+// ========== MERGE IMPORT ==========
+// Uploaded CFO tables are merged into a dataset cell by cell: the cells are
+// pivoted to year documents with one field per category so mergeDocuments
+// (utils/mergeImport.js) can apply the per-category strategies.
+
+// Import profiles name categories as the CFO tables label them ("14 - Below",
+// "15-19") while the stored documents are "14_Below" and "15__19", so the
+// names are compared ignoring case, spaces and punctuation
+const categoryMatchKey = (category) => String(category).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Stored name for an uploaded category: the existing one it matches, or for
+// a new category document its label with punctuation turned into "_"
+const toStoredCategory = (config, stored, category) => {
+  const existing = stored.get(categoryMatchKey(category));
+  if (existing !== undefined) return existing;
+  if (isByYear(config)) return String(category);
+  return String(category).trim().replace(/[^A-Za-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || String(category);
+};
+
+// Cells and strategies renamed to the stored categories of `rows`
+const matchStoredCategories = (config, rows, cells, { strategies = {}, ...options }) => {
+  const stored = new Map(rows.map(({ category }) => [categoryMatchKey(category), category]));
+  const rename = (category) => toStoredCategory(config, stored, category);
+  return {
+    cells: cells.map((cell) => ({ ...cell, category: rename(cell.category) })),
+    options: {
+      ...options,
+      strategies: Object.fromEntries(Object.entries(strategies).map(([category, strategy]) => [rename(category), strategy]))
+    }
+  };
+};
+
+const toYearDocuments = (cells) => {
+  const byYear = new Map();
+  cells.forEach(({ category, year, count }) => {
+    const key = String(year);
+    byYear.set(key, { ...(byYear.get(key) || {}), [category]: count });
+  });
+  return [...byYear].map(([id, data]) => ({ id, data }));
+};
+
+/**
+ * What merging cells into a dataset would change. Nothing is written.
+ * @param {string} datasetKey
+ * @param {Array<{ category, year, count }>} cells
+ * @param {Object} [options] - strategies (category → strategy), defaultStrategy
+ * @returns {Promise<Object>} mergeDocuments result, keyed by year
+ */
+export const previewDatasetMerge = async (datasetKey, cells, options = {}) => {
+  const rows = await fetchDataset(datasetKey);
+  const matched = matchStoredCategories(getDatasetConfig(datasetKey), rows, cells, options);
+  return mergeDocuments(toYearDocuments(rows), toYearDocuments(matched.cells), matched.options);
+};
+
+/**
+ * Merge uploaded cells into a dataset by category and year. The changed
+ * documents are written in batches of BATCH_SIZE (commitInChunks in
+ * firestoreService.js) and the merge is recorded as one audit entry.
+ * @param {string} datasetKey
+ * @param {Array<{ category, year, count }>} cells
+ * @param {Object} [options] - strategies, defaultStrategy, sourceFileName,
+ *   onProgress ({ phase, completed, total }) => void
+ * @returns {Promise<Object>} mergeDocuments result describing the changes
+ */
+export const upsertDatasetValues = async (datasetKey, cells, { sourceFileName = null, onProgress, ...options } = {}) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    const storage = getStorage();
+    const documents = await storage.getDocuments(config.collection);
+    const rows = parseDatasetDocuments(config, documents);
+    const matched = matchStoredCategories(config, rows, cells, options);
+    const merge = mergeDocuments(toYearDocuments(rows), toYearDocuments(matched.cells), matched.options);
+
+    const updated = new Map(documents.map(({ id, data }) => [id, data]));
+    const touched = new Set();
+    merge.rows.forEach(({ year, changes }) => {
+      changes.forEach(({ column: category, after }) => {
+        const { documentId, key } = locateCell(config, category, year);
+        const data = updated.get(documentId) || {};
+        const field = resolveValueField(config, data);
+        updated.set(documentId, { ...data, [field]: { ...toValueMap(data[field], config), [key]: after } });
+        touched.add(documentId);
+      });
+    });
+
+    if (touched.size === 0) return merge;
+    await commitInChunks([...touched].map((id) => ({
+      type: "set",
+      collection: config.collection,
+      id,
+      data: updated.get(id)
+    })), "merging", onProgress);
+    onProgress?.({ phase: "complete", completed: touched.size, total: touched.size });
+    await recordAudit({
+      dataset: config.key,
+      collection: config.collection,
+      operation: AUDIT_OPERATIONS.MERGE,
+      after: { ...merge.summary, sourceFileName }
+    });
+    return merge;
+  } catch (error) {
+    console.error(`Error merging into ${datasetKey} data:`, error);
+    throw error;
+  }
+};
+
+// ========== SOFT DELETE ==========
+// Deleted counts are moved into the recycle bin instead of being destroyed.
+// Each bin entry keeps enough to put the cells back:
+//   { dataset, collection, kind: "value" | "category", category, year,
+//     cells: [{ documentId, field, values: { key: count }, document? }],
+//     deletedAt, deletedBy, expiresAt, restoredAt?, restoredBy? }
+// `document` holds the full document data when the whole document was removed.
+// Restored entries are marked rather than deleted: removing bin entries is a
+// permanent purge, reserved for admins and the server's expiry sweep
+// (server/recycleBinSweep.js).
+
+export const RECYCLE_BIN_COLLECTION = "recycle_bin";
+export const RECYCLE_BIN_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const moveToRecycleBin = async (config, { kind, category, year = null, cells }) => {
+  const deletedAt = new Date();
+  const entry = {
+    dataset: config.key,
+    collection: config.collection,
+    kind,
+    category: String(category),
+    year: year === null ? null : parseInt(year),
+    cells,
+    deletedAt: deletedAt.toISOString(),
+    deletedBy: getCurrentAuditUser(),
+    expiresAt: new Date(deletedAt.getTime() + RECYCLE_BIN_RETENTION_DAYS * DAY_MS).toISOString()
+  };
+  const id = await getStorage().addDocument(RECYCLE_BIN_COLLECTION, entry);
+  return { id, ...entry };
+};
+
+const countsOf = (cells) =>
+  Object.fromEntries(cells.flatMap(({ documentId, values }) =>
+    Object.entries(values).map(([key, count]) => [`${documentId}/${key}`, count])));
+
+const removeCell = async (config, category, year) => {
+  const storage = getStorage();
+  const { documentId, key } = locateCell(config, category, year);
+  const existing = await storage.getDocument(config.collection, documentId);
+
+  if (!existing) {
+    throw new Error(notFoundMessage(config, category, year));
+  }
+
+  const field = resolveValueField(config, existing.data);
+  const valueMap = toValueMap(existing.data[field], config);
+  const before = valueMap[key];
+  delete valueMap[key];
+
+  const binEntry = await moveToRecycleBin(config, {
+    kind: "value",
+    category,
+    year,
+    cells: [{ documentId, field, values: { [key]: before ?? null } }]
+  });
+  await storage.updateDocument(config.collection, documentId, { [field]: valueMap });
+  await auditCell(config, documentId, AUDIT_OPERATIONS.DELETE, category, year, before, undefined);
+
+  return { [config.categoryKey]: category, year, deleted: true, recycleBinId: binEntry.id };
+};
+
+// Move one category/year count to the recycle bin
+export const deleteDatasetValue = async (datasetKey, category, year) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    return await withOptimisticUpdate(config.collection, [cellChange(config, category, year, undefined)], () =>
+      removeCell(config, category, year));
+  } catch (error) {
+    console.error(`Error deleting ${datasetKey} data:`, error);
+    throw error;
+  }
+};
+
+const removeCategory = async (config, category) => {
+  const storage = getStorage();
+
+  if (!isByYear(config)) {
+    const existing = await storage.getDocument(config.collection, String(category));
+    if (!existing) {
+      throw new Error(`${config.categoryLabel} ${category} not found`);
+    }
+    const field = resolveValueField(config, existing.data);
+    const binEntry = await moveToRecycleBin(config, {
+      kind: "category",
+      category,
+      cells: [{
+        documentId: String(category),
+        field,
+        values: toValueMap(existing.data[field], config),
+        document: existing.data
+      }]
+    });
+    await storage.deleteDocument(config.collection, String(category));
+    await recordAudit({
+      dataset: config.key,
+      collection: config.collection,
+      documentId: String(category),
+      operation: AUDIT_OPERATIONS.DELETE_CATEGORY,
+      before: existing.data
+    });
+    return { [config.categoryKey]: category, deleted: true, recycleBinId: binEntry.id };
+  }
+
+  // Year documents: strip the category from every year that has it
+  const documents = await storage.getDocuments(config.collection);
+  const cells = [];
+  const updates = documents
+    .map(({ id, data }) => {
+      const field = resolveValueField(config, data);
+      const valueMap = toValueMap(data[field], config);
+      if (!(category in valueMap)) return null;
+      cells.push({ documentId: id, field, values: { [category]: valueMap[category] } });
+      delete valueMap[category];
+      return () => storage.updateDocument(config.collection, id, { [field]: valueMap });
+    })
+    .filter(Boolean);
+
+  if (cells.length === 0) {
+    throw new Error(`${config.categoryLabel} ${category} not found`);
+  }
+
+  const binEntry = await moveToRecycleBin(config, { kind: "category", category, cells });
+  await Promise.all(updates.map((update) => update()));
+  await recordAudit({
+    dataset: config.key,
+    collection: config.collection,
+    documentId: null,
+    operation: AUDIT_OPERATIONS.DELETE_CATEGORY,
+    before: { [config.categoryKey]: category, counts: countsOf(cells) }
+  });
+  return { [config.categoryKey]: category, deleted: true, recycleBinId: binEntry.id };
+};
+
+// Move a category across all years to the recycle bin
+export const deleteDatasetCategory = async (datasetKey, category) => {
+  const config = getDatasetConfig(datasetKey);
+  try {
+    return await withOptimisticUpdate(config.collection, categoryChanges(config, category), () =>
+      removeCategory(config, category));
+  } catch (error) {
+    console.error(`Error deleting ${datasetKey} category:`, error);
+    throw error;
+  }
+};
+
+// ========== RECYCLE BIN ==========
+
+const isExpired = (entry, now = new Date()) => new Date(entry.expiresAt) <= now;
+
+const isRestored = (entry) => Boolean(entry.restoredAt);
+
+const toBinEntries = (documents, datasetKey) =>
+  documents
+    .map(({ id, data }) => ({ id, ...data }))
+    .filter((entry) => !datasetKey || entry.dataset === datasetKey)
+    .filter((entry) => !isExpired(entry) && !isRestored(entry))
+    .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+
+// Unrestored recycle bin entries of a dataset still within retention, newest first
+export const fetchRecycleBin = async (datasetKey) => {
+  try {
+    return toBinEntries(await getStorage().getDocuments(RECYCLE_BIN_COLLECTION), datasetKey);
+  } catch (error) {
+    console.error(`Error fetching ${datasetKey} recycle bin:`, error);
+    throw error;
+  }
+};
+
+// Real-time listener for a dataset's recycle bin; returns an unsubscribe function
+export const subscribeToRecycleBin = (datasetKey, onData, onError) =>
+  subscribeCollection(
+    RECYCLE_BIN_COLLECTION,
+    (documents) => onData(toBinEntries(documents, datasetKey)),
+    onError
+  );
+
+/**
+ * Put a deleted entry back into its dataset. Counts that were re-entered
+ * after the deletion are kept; the restored values only fill the gaps.
+ *
+ * @returns {Promise<{ restored: number, skipped: number }>}
+ */
+export const restoreFromRecycleBin = async (binId) => {
+  const storage = getStorage();
+  try {
+    const binDocument = await storage.getDocument(RECYCLE_BIN_COLLECTION, binId);
+    if (!binDocument) {
+      throw new Error("Recycle bin entry not found");
+    }
+    if (isRestored(binDocument.data)) {
+      throw new Error("Recycle bin entry was already restored");
+    }
+
+    const entry = binDocument.data;
+    const config = getDatasetConfig(entry.dataset);
+    let restored = 0;
+    let skipped = 0;
+
+    for (const { documentId, field, values, document } of entry.cells) {
+      const existing = await storage.getDocument(config.collection, documentId);
+
+      if (!existing) {
+        await storage.setDocument(config.collection, documentId, document || { [field]: values });
+        restored += Object.keys(values).length;
+        continue;
+      }
+
+      const currentField = resolveValueField(config, existing.data);
+      const valueMap = toValueMap(existing.data[currentField], config);
+      Object.entries(values).forEach(([key, count]) => {
+        if (valueMap[key] === undefined) {
+          valueMap[key] = count;
+          restored += 1;
+        } else {
+          skipped += 1;
+        }
+      });
+      await storage.updateDocument(config.collection, documentId, { [currentField]: valueMap });
+    }
+
+    await storage.updateDocument(RECYCLE_BIN_COLLECTION, binId, {
+      restoredAt: new Date().toISOString(),
+      restoredBy: getCurrentAuditUser()
+    });
+    await recordAudit({
+      dataset: config.key,
+      collection: config.collection,
+      documentId: entry.kind === "category" ? null : entry.cells[0]?.documentId,
+      operation: AUDIT_OPERATIONS.RESTORE,
+      after: { [config.categoryKey]: entry.category, year: entry.year, counts: countsOf(entry.cells) }
+    });
+
+    return { restored, skipped };
+  } catch (error) {
+    console.error("Error restoring from recycle bin:", error);
+    throw error;
+  }
+};
+
+const purgeEntry = async (id, entry) => {
+  await getStorage().deleteDocument(RECYCLE_BIN_COLLECTION, id);
+  await recordAudit({
+    dataset: entry.dataset,
+    collection: RECYCLE_BIN_COLLECTION,
+    documentId: id,
+    operation: AUDIT_OPERATIONS.PURGE,
+    before: entry
+  });
+};
+
+// Permanently delete one recycle bin entry (clear_all_data, i.e. admins)
+export const purgeRecycleBinEntry = async (binId) => {
+  try {
+    const binDocument = await getStorage().getDocument(RECYCLE_BIN_COLLECTION, binId);
+    if (!binDocument) {
+      throw new Error("Recycle bin entry not found");
+    }
+    await purgeEntry(binId, binDocument.data);
+  } catch (error) {
+    console.error("Error purging recycle bin entry:", error);
+    throw error;
+  }
+};
+
+// Permanently delete every entry past its retention period, restored or
+// not; returns the count. Run by the server (server/recycleBinSweep.js).
+export const purgeExpiredRecycleBin = async (now = new Date()) => {
+  try {
+    const documents = await getStorage().getDocuments(RECYCLE_BIN_COLLECTION);
+    const expired = documents.filter(({ data }) => isExpired(data, now));
+    for (const { id, data } of expired) {
+      await purgeEntry(id, data);
+    }
+    return expired.length;
+  } catch (error) {
+    console.error("Error purging expired recycle bin entries:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  fetchDataset,
+  addDatasetValue,
+  updateDatasetValue,
+  deleteDatasetValue,
+  deleteDatasetCategory,
+  previewDatasetMerge,
+  upsertDatasetValues,
+  fetchRecycleBin,
+  restoreFromRecycleBin,
+  purgeRecycleBinEntry,
+  purgeExpiredRecycleBin,
+  RECYCLE_BIN_RETENTION_DAYS
+} from './datasetRepository';
+import { yearRowsToCells } from '../utils/mergeImport';
+import { BATCH_SIZE } from './firestoreService';
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter({
+    initialData: {
+      emigrant_age: {
+        '14_Below': { 'yearly-data': [{ 1981: 5 }, { 1982: 7 }] },
+        '15__19': { yearly_data: { 1981: 3 } },
+        No_Response: { yearly_data: { 1981: 1 } }
+      },
+      emigrant_majorCountry: {
+        1981: { countries: { CANADA: 10, USA: 20 } },
+        1982: { countries: [{ country: 'USA', count: 25 }] }
+      }
+    }
+  }));
+});
+
+describe('fetchDataset', () => {
+  it('reads both array and object value fields for category documents', async () => {
+    const rows = await fetchDataset('age');
+    expect(rows).toHaveLength(3);
+    expect(rows).toContainEqual({
+      id: '14_Below_1982', category: '14_Below', ageGroup: '14_Below', year: 1982, count: 7, documentId: '14_Below'
+    });
+    expect(rows.some((row) => row.category === 'No_Response')).toBe(false);
+  });
+
+  it('reads year documents with categories inside', async () => {
+    const rows = await fetchDataset('major-countries');
+    expect(rows.map((row) => [row.country, row.year, row.count])).toEqual([
+      ['CANADA', 1981, 10], ['USA', 1981, 20], ['USA', 1982, 25]
+    ]);
+  });
+
+  it('rejects unknown dataset keys', async () => {
+    await expect(fetchDataset('unknown')).rejects.toThrow('Unknown dataset');
+  });
+});
+
+describe('writes', () => {
+  it('creates a category document with the default value field', async () => {
+    await addDatasetValue('occupation', 'Students', 1990, 12);
+    expect((await storage.getDocument('emigrant_occupation', 'Students')).data).toEqual({
+      yearlyData: { 1990: 12 }
+    });
+  });
+
+  it('keeps the existing field name and normalizes arrays to maps', async () => {
+    await updateDatasetValue('age', '14_Below', 1983, 9);
+    expect((await storage.getDocument('emigrant_age', '14_Below')).data).toEqual({
+      'yearly-data': { 1981: 5, 1982: 7, 1983: 9 }
+    });
+  });
+
+  it('refuses to update a missing category', async () => {
+    await expect(updateDatasetValue('age', 'Unknown', 1981, 1)).rejects.toThrow('Age Group Unknown not found');
+  });
+
+  it('deletes a single year and whole categories', async () => {
+    await deleteDatasetValue('age', '15__19', 1981);
+    expect((await storage.getDocument('emigrant_age', '15__19')).data).toEqual({ yearly_data: {} });
+
+    await deleteDatasetCategory('major-countries', 'USA');
+    const rows = await fetchDataset('major-countries');
+    expect(rows.map((row) => row.country)).toEqual(['CANADA']);
+  });
+});
+
+describe('merge import', () => {
+  it('previews and merges cells by category and year with the chosen strategies', async () => {
+    const cells = [
+      { category: '14_Below', year: 1982, count: 3 },
+      { category: '15__19', year: 1981, count: 30 },
+      { category: '15__19', year: 1983, count: 4 }
+    ];
+    const options = { strategies: { '14_Below': 'sum' }, defaultStrategy: 'keep' };
+
+    expect((await previewDatasetMerge('age', cells, options)).summary).toEqual({
+      added: 1, removed: 0, changed: 1, unchanged: 1
+    });
+    const merge = await upsertDatasetValues('age', cells, { ...options, sourceFileName: 'age.csv' });
+
+    expect(merge.rows.map(({ year, status }) => [year, status])).toEqual([['1982', 'changed'], ['1983', 'added']]);
+    expect((await storage.getDocument('emigrant_age', '14_Below')).data).toEqual({
+      'yearly-data': { 1981: 5, 1982: 10 }
+    });
+    expect((await storage.getDocument('emigrant_age', '15__19')).data).toEqual({
+      yearly_data: { 1981: 3, 1983: 4 }
+    });
+    const audit = await storage.getDocuments('audit_log');
+    expect(audit.map(({ data }) => data.operation)).toEqual(['merge']);
+  });
+
+  it('writes large merges in batches and reports progress', async () => {
+    const batchSizes = [];
+    const adapter = createMemoryAdapter();
+    storage = setStorage({
+      ...adapter,
+      async commitBatch(operations) {
+        batchSizes.push(operations.length);
+        return adapter.commitBatch(operations);
+      }
+    });
+    const cells = Array.from({ length: BATCH_SIZE + 50 }, (_, index) => ({ category: `COUNTRY_${index}`, year: 1990, count: 1 }));
+    const progress = [];
+
+    await upsertDatasetValues('all-countries', cells, { onProgress: (event) => progress.push(event) });
+
+    expect(batchSizes).toEqual([BATCH_SIZE, 50]);
+    expect(await storage.getDocuments('emigrant_allCountries')).toHaveLength(BATCH_SIZE + 50);
+    expect(progress.map(({ phase }) => phase)).toEqual(['merging', 'merging', 'merging', 'complete']);
+    expect(progress.at(-1)).toEqual({ phase: 'complete', completed: BATCH_SIZE + 50, total: BATCH_SIZE + 50 });
+  });
+
+  it('merges the age profile columns into the stored category documents', async () => {
+    const cells = yearRowsToCells([{ year: 1982, '14 - Below': 3, '15-19': 6, '70-Above': 2 }]);
+    const options = { strategies: { '14 - Below': 'sum' }, defaultStrategy: 'take' };
+
+    expect((await previewDatasetMerge('age', cells, options)).summary).toEqual({
+      added: 0, removed: 0, changed: 1, unchanged: 1
+    });
+    await upsertDatasetValues('age', cells, options);
+
+    const documents = await storage.getDocuments('emigrant_age');
+    expect(documents.map(({ id }) => id).sort()).toEqual(['14_Below', '15__19', '70_Above', 'No_Response']);
+    expect((await storage.getDocument('emigrant_age', '14_Below')).data).toEqual({
+      'yearly-data': { 1981: 5, 1982: 10 }
+    });
+    expect((await storage.getDocument('emigrant_age', '15__19')).data).toEqual({
+      yearly_data: { 1981: 3, 1982: 6 }
+    });
+  });
+});
+
+describe('recycle bin', () => {
+  it('restores a deleted category document with all of its fields', async () => {
+    const { recycleBinId } = await deleteDatasetCategory('age', '14_Below');
+    expect(await storage.getDocument('emigrant_age', '14_Below')).toBeNull();
+
+    const [entry] = await fetchRecycleBin('age');
+    expect(entry).toMatchObject({ id: recycleBinId, kind: 'category', category: '14_Below', year: null });
+
+    expect(await restoreFromRecycleBin(recycleBinId)).toEqual({ restored: 2, skipped: 0 });
+    expect((await storage.getDocument('emigrant_age', '14_Below')).data).toEqual({
+      'yearly-data': [{ 1981: 5 }, { 1982: 7 }]
+    });
+    expect(await fetchRecycleBin('age')).toEqual([]);
+    expect((await storage.getDocument('recycle_bin', recycleBinId)).data.restoredAt).toEqual(expect.any(String));
+    await expect(restoreFromRecycleBin(recycleBinId)).rejects.toThrow('already restored');
+  });
+
+  it('restores a category removed from year documents', async () => {
+    const { recycleBinId } = await deleteDatasetCategory('major-countries', 'USA');
+    await restoreFromRecycleBin(recycleBinId);
+
+    const rows = await fetchDataset('major-countries');
+    expect(rows.map((row) => [row.country, row.year, row.count])).toEqual([
+      ['CANADA', 1981, 10], ['USA', 1981, 20], ['USA', 1982, 25]
+    ]);
+  });
+
+  it('keeps values re-entered after the deletion', async () => {
+    const { recycleBinId } = await deleteDatasetValue('major-countries', 'USA', 1981);
+    await addDatasetValue('major-countries', 'USA', 1981, 99);
+
+    expect(await restoreFromRecycleBin(recycleBinId)).toEqual({ restored: 0, skipped: 1 });
+    expect((await storage.getDocument('emigrant_majorCountry', '1981')).data.countries.USA).toBe(99);
+  });
+
+  it('purges entries on request and after the retention period', async () => {
+    const first = await deleteDatasetValue('age', '15__19', 1981);
+    await deleteDatasetValue('age', '14_Below', 1981);
+
+    await purgeRecycleBinEntry(first.recycleBinId);
+    expect(await fetchRecycleBin('age')).toHaveLength(1);
+    await expect(restoreFromRecycleBin(first.recycleBinId)).rejects.toThrow('not found');
+
+    const later = new Date(Date.now() + (RECYCLE_BIN_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+    expect(await purgeExpiredRecycleBin(later)).toBe(1);
+    expect(await storage.getDocuments('recycle_bin')).toEqual([]);
+  });
+});
@@ -1,14 +1,16 @@
-import { db } from "../firebase";
+import { getStorage } from "./storage";
+import { VERSIONS_COLLECTION, diffVersions, getVersion, saveVersionSnapshot } from "./versionService";
+import { AUDIT_OPERATIONS, recordAudit } from "./auditService";
+import { subscribeCollection, withOptimisticUpdate } from "./subscriptionCache";
 import {
-  collection,
-  getDocs,
-  deleteDoc,
-  doc,
-  setDoc,
-  query,
-  getDoc,
-  updateDoc
-} from "firebase/firestore";
+  getCollectionEntry,
+  moveCollectionEntry,
+  normalizeCollectionName,
+  registerCollection,
+  unregisterCollection
+} from "./collectionRegistry";
+import { DATASET_KEYS, DATASET_REGISTRY, getDatasetConfig } from "../utils/datasetRegistry";
+import { mergeDocuments } from "../utils/mergeImport";
 
 const DEFAULT_COLLECTION = "emigrants"; // fallback collection name
 
@@ -150,29 +152,21 @@ export const prepareDataForFirebase = (data) => {
   return { year, fields: fieldsWithoutYear };
 };
 
-const resolveCollectionName = (name) => {
+export const resolveCollectionName = (name) => {
   const trimmed = typeof name === "string" ? name.trim() : "";
   return trimmed || DEFAULT_COLLECTION;
 };
 
-const getCollectionRef = (collectionName = DEFAULT_COLLECTION) => {
-  return collection(db, resolveCollectionName(collectionName));
-};
-
-const getDocumentRef = (collectionName = DEFAULT_COLLECTION, documentId) => {
-  return doc(db, resolveCollectionName(collectionName), documentId);
-};
-
 // Load all data from Firestore
 export const fetchAllRecords = async (collectionName = DEFAULT_COLLECTION) => {
   const targetCollection = resolveCollectionName(collectionName);
-  const querySnapshot = await getDocs(getCollectionRef(targetCollection));
+  const documents = await getStorage().getDocuments(targetCollection);
 
   // Reconstruct records: document ID is the year, fields are the document data
-  const records = querySnapshot.docs.map((document) => {
+  const records = documents.map((document) => {
     const docId = document.id;
     const yearNum = Number(docId);
-    const data = normalizeRecordSchema(document.data());
+    const data = normalizeRecordSchema(document.data);
 
     return {
       id: docId,
@@ -201,10 +195,20 @@ export const addRecord = async (data, collectionName = DEFAULT_COLLECTION) => {
 
     const targetCollection = resolveCollectionName(collectionName);
     const yearId = String(year);
-    const docRef = getDocumentRef(targetCollection, yearId);
 
-    // Store only fields (year is the document ID)
-    await setDoc(docRef, fields, { merge: false });
+    await withOptimisticUpdate(targetCollection, [{ documentId: yearId, apply: () => fields }], async () => {
+      const existing = await getStorage().getDocument(targetCollection, yearId);
+
+      // Store only fields (year is the document ID)
+      await getStorage().setDocument(targetCollection, yearId, fields, { merge: false });
+      await recordAudit({
+        collection: targetCollection,
+        documentId: yearId,
+        operation: existing ? AUDIT_OPERATIONS.UPDATE : AUDIT_OPERATIONS.CREATE,
+        before: existing?.data,
+        after: fields
+      });
+    });
 
     // Return with year for local state
     return { id: yearId, year, ...fields };
@@ -220,1161 +224,687 @@ export const updateRecord = async (id, newData, collectionName = DEFAULT_COLLECT
   const { year, fields } = prepareDataForFirebase(newData);
   const currentId = String(id);
   const nextId = String(year);
+  const changes = nextId === currentId
+    ? [{ documentId: nextId, apply: () => fields }]
+    : [{ documentId: currentId, apply: () => null }, { documentId: nextId, apply: () => fields }];
 
-  // If year changed, delete old document
-  if (nextId !== currentId) {
-    await deleteDoc(getDocumentRef(targetCollection, currentId));
-  }
+  await withOptimisticUpdate(targetCollection, changes, async () => {
+    const existing = await getStorage().getDocument(targetCollection, currentId);
 
-  // Store only fields (year is the document ID)
-  await setDoc(getDocumentRef(targetCollection, nextId), fields, { merge: false });
+    // If year changed, delete old document
+    if (nextId !== currentId) {
+      await getStorage().deleteDocument(targetCollection, currentId);
+    }
+
+    // Store only fields (year is the document ID)
+    await getStorage().setDocument(targetCollection, nextId, fields, { merge: false });
+    await recordAudit({
+      collection: targetCollection,
+      documentId: currentId,
+      operation: AUDIT_OPERATIONS.UPDATE,
+      before: existing ? { year: currentId, ...existing.data } : null,
+      after: { year, ...fields }
+    });
+  });
   return { id: nextId, year, ...fields }; // Return updated data
 };
 
 // Delete a record
 export const deleteRecord = async (id, collectionName = DEFAULT_COLLECTION) => {
-  const ref = getDocumentRef(collectionName, String(id));
-  await deleteDoc(ref);
+  const targetCollection = resolveCollectionName(collectionName);
+  await withOptimisticUpdate(targetCollection, [{ documentId: String(id), apply: () => null }], async () => {
+    const existing = await getStorage().getDocument(targetCollection, String(id));
+    await getStorage().deleteDocument(targetCollection, String(id));
+    await recordAudit({
+      collection: targetCollection,
+      documentId: String(id),
+      operation: AUDIT_OPERATIONS.DELETE,
+      before: existing?.data
+    });
+  });
 };
 
-// ========== AGE COLLECTION SPECIFIC FUNCTIONS ==========
-
-// Fetch age data from emigrant_age collection
-export const fetchAgeData = async () => {
+// ========== CATEGORY DATASETS ==========
+// Age, countries, occupation and the other "category × year → count"
+// collections are handled generically by datasetRepository.js.
+
+// ========== DATASET-TAGGED RECORDS ==========
+// Flat records in DEFAULT_COLLECTION carry a `dataset` field holding an exact
+// registry key (see utils/datasetRegistry.js) and are queried server-side with
+// where("dataset", "==", key). Older records were tagged loosely through
+// `source` / `dataset` strings; migrateDatasetRecordTags() fixes those.
+
+export const DEFAULT_RECORDS_PAGE_SIZE = 100;
+
+const toRecord = ({ id, data }) => ({ id, ...data });
+
+/**
+ * One page of records for a dataset.
+ *
+ * @param {string} datasetKey - registry key, e.g. "sex"
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=DEFAULT_RECORDS_PAGE_SIZE]
+ * @param {string|null} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{ records: Array<Object>, nextCursor: string|null }>}
+ */
+export const fetchRecordsByDataset = async (datasetKey, {
+  pageSize = DEFAULT_RECORDS_PAGE_SIZE,
+  cursor = null
+} = {}) => {
+  const { key } = getDatasetConfig(datasetKey);
   try {
-    const querySnapshot = await getDocs(collection(db, "emigrant_age"));
-    const ageData = [];
-    
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      const ageGroup = doc.id;
-      
-      // Skip No_Response field
-      if (ageGroup === 'No_Response') return;
-      
-      const yearlyDataField = data.yearly_data || data["yearly-data"];
-      if (yearlyDataField) {
-        console.log(`Fetching ${ageGroup}:`, yearlyDataField);
-        console.log("Field names in document:", Object.keys(data));
-        
-        if (Array.isArray(yearlyDataField)) {
-          // Array format: [{"1981": 0}, {"1982": 1}]
-          yearlyDataField.forEach((yearEntry) => {
-            const year = Object.keys(yearEntry)[0];
-            const count = yearEntry[year];
-            
-            ageData.push({
-              id: `${ageGroup}_${year}`,
-              ageGroup: ageGroup,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        } else if (typeof yearlyDataField === 'object') {
-          // Object format: {"1981": 0, "1982": 1, "1983": 0}
-          Object.entries(yearlyDataField).forEach(([year, count]) => {
-            ageData.push({
-              id: `${ageGroup}_${year}`,
-              ageGroup: ageGroup,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        }
-      }
+    const { documents, nextCursor } = await getStorage().queryDocuments(DEFAULT_COLLECTION, {
+      where: [["dataset", "==", key]],
+      limit: pageSize,
+      startAfter: cursor
     });
-    
-    return ageData.sort((a, b) => a.year - b.year);
+    return { records: documents.map(toRecord), nextCursor };
   } catch (error) {
-    console.error("Error fetching age data:", error);
+    console.error(`Error fetching ${key} records:`, error);
     throw error;
   }
 };
 
-// Add age data record
-export const addAgeData = async (ageGroup, year, count) => {
-  try {
-    const docRef = doc(db, "emigrant_age", ageGroup);
-    const docSnap = await getDoc(docRef);
-    
-    if (docSnap.exists()) {
-      const existingData = docSnap.data();
-      const yearlyDataField = existingData.yearly_data || existingData["yearly-data"] || {};
-      
-      console.log("Adding to existing age group:", ageGroup);
-      console.log("Existing yearlyData:", yearlyDataField);
-      
-      // Create proper copy and update
-      let updatedYearlyData;
-      
-      if (Array.isArray(yearlyDataField)) {
-        // Convert array to object format
-        updatedYearlyData = {};
-        yearlyDataField.forEach(item => {
-          const year = Object.keys(item)[0];
-          updatedYearlyData[year] = item[year];
-        });
-        updatedYearlyData[year.toString()] = count;
-        console.log("Converted array to object and added new year");
-      } else if (typeof yearlyDataField === 'object') {
-        // Object format: {"1981": 0, "1982": 1}
-        updatedYearlyData = { ...yearlyDataField };
-        updatedYearlyData[year.toString()] = count;
-        console.log("Updated object format");
-      } else {
-        // Create new object
-        updatedYearlyData = { [year.toString()]: count };
-        console.log("Created new object");
-      }
-      
-      console.log("Updated yearlyData:", updatedYearlyData);
-      
-      // Determine which field name to use for update
-      const updateField = existingData["yearly-data"] ? "yearly-data" : "yearly_data";
-      console.log("Updating field:", updateField);
-      
-      await updateDoc(docRef, { [updateField]: updatedYearlyData });
-      console.log("Successfully updated existing age group");
-      
-    } else {
-      // Create new document with object format
-      console.log("Creating new age group:", ageGroup);
-      const newYearlyData = { [year.toString()]: count };
-      console.log("New yearlyData:", newYearlyData);
-      
-      await setDoc(docRef, { "yearly-data": newYearlyData });
-      console.log("Successfully created new age group with object format");
-    }
-    
-    return { ageGroup, year, count };
-  } catch (error) {
-    console.error("Error adding age data:", error);
-    throw error;
-  }
+/**
+ * Real-time listener for the first `limit` records of a dataset, through the
+ * shared subscription cache. Growing `limit` is how a live list pages.
+ *
+ * @param {string} datasetKey - registry key, e.g. "sex"
+ * @param {Object} options
+ * @param {number} [options.limit=DEFAULT_RECORDS_PAGE_SIZE]
+ * @param {Function} onData - receives { records, hasMore }
+ * @param {Function} [onError]
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToDatasetRecords = (datasetKey, { limit = DEFAULT_RECORDS_PAGE_SIZE } = {}, onData, onError) => {
+  const { key } = getDatasetConfig(datasetKey);
+  // One extra document tells whether another page exists
+  return subscribeCollection(
+    DEFAULT_COLLECTION,
+    (documents) => onData({
+      records: documents.slice(0, limit).map(toRecord),
+      hasMore: documents.length > limit
+    }),
+    onError,
+    { where: [["dataset", "==", key]], limit: limit + 1 }
+  );
 };
 
-// Update age data record
-export const updateAgeData = async (ageGroup, year, count) => {
+let pendingRecordCounter = 0;
+
+// Add record with dataset type
+export const addRecordWithDataset = async (data, datasetType) => {
   try {
-    const docRef = doc(db, "emigrant_age", ageGroup);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Age group ${ageGroup} not found`);
-    }
-    
-    const existingData = docSnap.data();
-    let yearlyData = existingData.yearly_data || existingData["yearly-data"] || {};
-    
-    // Debug logging
-    console.log("Before update - yearlyData:", yearlyData);
-    console.log("Updating year:", year, "with count:", count);
-    console.log("Field names in document:", Object.keys(existingData));
-    
-    // Handle both object and array formats
-    if (Array.isArray(yearlyData)) {
-      // Array format: [{"1981": 0}, {"1982": 1}]
-      const existingYearIndex = yearlyData.findIndex(item => 
-        Object.keys(item)[0] === year.toString()
-      );
-      
-      if (existingYearIndex >= 0) {
-        yearlyData[existingYearIndex] = { [year]: count };
-        console.log("Updated existing entry in array");
-      } else {
-        yearlyData.push({ [year]: count });
-        console.log("Added new entry to array");
-      }
-    } else if (typeof yearlyData === 'object') {
-      // Object format: {"1981": 0, "1982": 1}
-      yearlyData[year.toString()] = count;
-      console.log("Updated object format");
-    } else {
-      // Create new object if invalid format
-      yearlyData = { [year]: count };
-      console.log("Created new object");
-    }
-    
-    console.log("After update - yearlyData:", yearlyData);
-    
-    // Determine which field name to use for update
-    const updateField = existingData["yearly-data"] ? "yearly-data" : "yearly_data";
-    console.log("Updating field:", updateField);
+    const { key } = getDatasetConfig(datasetType);
+    const { year, fields } = prepareDataForFirebase(data);
+    const preparedData = {
+      year,
+      ...fields,
+      dataset: key,
+      createdAt: new Date().toISOString()
+    };
     
-    await updateDoc(docRef, { [updateField]: yearlyData });
-    console.log("Successfully updated Firestore");
+    console.log(`Adding ${key} record to Firestore:`, preparedData);
+
+    // The real ID is only known after the write, so the overlay uses a placeholder
+    const placeholderId = `pending_${++pendingRecordCounter}`;
+    const id = await withOptimisticUpdate(DEFAULT_COLLECTION, [{ documentId: placeholderId, apply: () => preparedData }], async () => {
+      const newId = await getStorage().addDocument(DEFAULT_COLLECTION, preparedData);
+      await recordAudit({
+        dataset: key,
+        collection: DEFAULT_COLLECTION,
+        documentId: newId,
+        operation: AUDIT_OPERATIONS.CREATE,
+        after: preparedData
+      });
+      return newId;
+    });
     
-    return { ageGroup, year, count };
+    return { id, ...preparedData };
   } catch (error) {
-    console.error("Error updating age data:", error);
+    console.error("Error in addRecordWithDataset:", error);
     throw error;
   }
 };
 
-// Delete age data record (specific year or entire age group)
-export const deleteAgeData = async (ageGroup, year, deleteAll = false) => {
-  try {
-    const docRef = doc(db, "emigrant_age", ageGroup);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Age group ${ageGroup} not found`);
-    }
-    
-    const existingData = docSnap.data();
-    console.log("Before delete - existingData:", existingData);
-    
-    if (deleteAll) {
-      // Delete entire document
-      console.log(`Deleting entire age group: ${ageGroup}`);
-      await deleteDoc(docRef);
-      console.log("Successfully deleted entire age group document");
-      return { ageGroup, deleted: true };
-    } else {
-      // Delete specific year data
-      const yearlyDataField = existingData.yearly_data || existingData["yearly-data"] || {};
-      
-      console.log(`Deleting year ${year} from age group ${ageGroup}`);
-      console.log("Before delete - yearlyData:", yearlyDataField);
-      
-      // Create a proper copy to avoid reference issues
-      let updatedYearlyData;
-      
-      // Handle both object and array formats
-      if (Array.isArray(yearlyDataField)) {
-        // Array format: [{"1981": 0}, {"1982": 1}]
-        updatedYearlyData = yearlyDataField.filter(item => 
-          Object.keys(item)[0] !== year.toString()
-        );
-        console.log("Filtered array format, remaining items:", updatedYearlyData.length);
-      } else if (typeof yearlyDataField === 'object') {
-        // Object format: {"1981": 0, "1982": 1}
-        updatedYearlyData = { ...yearlyDataField };
-        delete updatedYearlyData[year.toString()];
-        console.log("Deleted from object format, remaining keys:", Object.keys(updatedYearlyData));
-      } else {
-        console.log("Invalid yearlyData format, cannot delete");
-        return { ageGroup, year, deleted: false };
-      }
-      
-      console.log("After delete - updatedYearlyData:", updatedYearlyData);
-      
-      // Determine which field name to use for update
-      const updateField = existingData["yearly-data"] ? "yearly-data" : "yearly_data";
-      console.log("Updating field:", updateField);
-      
-      await updateDoc(docRef, { [updateField]: updatedYearlyData });
-      console.log("Successfully deleted year from Firestore");
-      
-      return { ageGroup, year, deleted: true };
-    }
-  } catch (error) {
-    console.error("Error deleting age data:", error);
-    throw error;
-  }
+// Update record with dataset type
+export const updateRecordWithDataset = async (id, newData, datasetType) => {
+  const { key } = getDatasetConfig(datasetType);
+  const { year, fields } = prepareDataForFirebase(newData);
+  const preparedData = {
+    year,
+    ...fields,
+    dataset: key,
+    updatedAt: new Date().toISOString()
+  };
+  const change = { documentId: String(id), apply: (data) => ({ ...(data || {}), ...preparedData }) };
+  await withOptimisticUpdate(DEFAULT_COLLECTION, [change], async () => {
+    const existing = await getStorage().getDocument(DEFAULT_COLLECTION, id);
+    await getStorage().updateDocument(DEFAULT_COLLECTION, id, preparedData);
+    await recordAudit({
+      dataset: key,
+      collection: DEFAULT_COLLECTION,
+      documentId: id,
+      operation: AUDIT_OPERATIONS.UPDATE,
+      before: existing?.data,
+      after: preparedData
+    });
+  });
+  return preparedData;
 };
 
-// Delete entire age group document
-export const deleteAgeGroup = async (ageGroup) => {
-  try {
-    const docRef = doc(db, "emigrant_age", ageGroup);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Age group ${ageGroup} not found`);
-    }
-    
-    console.log(`Deleting entire age group: ${ageGroup}`);
-    await deleteDoc(docRef);
-    console.log("Successfully deleted entire age group document");
-    
-    return { ageGroup, deleted: true };
-  } catch (error) {
-    console.error("Error deleting age group:", error);
-    throw error;
-  }
+// Whole words in a tag string ("Emigrant-1988-2020-CivilStatus.csv" →
+// emigrant, 1988, 2020, civilstatus, csv) plus the whole string squashed
+// ("civil-status" → civilstatus); substrings never match.
+const tagWords = (value) => {
+  const text = String(value || "").toLowerCase();
+  if (!text) return [];
+  return [...text.split(/[^a-z0-9]+/).filter(Boolean), text.replace(/[^a-z0-9]/g, "")];
 };
 
-// ========== COUNTRIES COLLECTION SPECIFIC FUNCTIONS ==========
+/**
+ * Registry keys a legacy record's `dataset` / `source` tags point to.
+ * An exact registry key in `dataset` always wins.
+ */
+export const classifyRecordDataset = (record = {}) => {
+  if (DATASET_KEYS.includes(record.dataset)) return [record.dataset];
 
-// Fetch countries data from emigrant_allCountries collection
-export const fetchCountriesData = async () => {
-  try {
-    const querySnapshot = await getDocs(collection(db, "emigrant_allCountries"));
-    const countriesData = [];
-    
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      const country = doc.id;
-      
-      const dataField = data.data || data["data"];
-      if (dataField) {
-        console.log(`Fetching ${country}:`, dataField);
-        console.log("Field names in document:", Object.keys(data));
-        
-        if (Array.isArray(dataField)) {
-          // Array format: [{"year": 1981, "count": 123}, {"year": 1982, "count": 456}]
-          dataField.forEach((yearEntry) => {
-            const year = yearEntry.year;
-            const count = yearEntry.count;
-            
-            countriesData.push({
-              id: `${country}_${year}`,
-              country: country,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        } else if (typeof dataField === 'object') {
-          // Object format: {"1981": 123, "1982": 456}
-          Object.entries(dataField).forEach(([year, count]) => {
-            countriesData.push({
-              id: `${country}_${year}`,
-              country: country,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        }
-      }
-    });
-    
-    return countriesData.sort((a, b) => a.year - b.year);
-  } catch (error) {
-    console.error("Error fetching countries data:", error);
-    throw error;
-  }
+  const words = new Set([...tagWords(record.dataset), ...tagWords(record.source)]);
+  return DATASET_KEYS.filter((key) => {
+    const { recordAliases = [] } = DATASET_REGISTRY[key];
+    return [key.replace(/[^a-z0-9]/g, ""), ...recordAliases].some((alias) => words.has(alias));
+  });
 };
 
-// Add countries data record
-export const addCountriesData = async (country, year, count) => {
+/**
+ * Re-tag loosely tagged records in DEFAULT_COLLECTION with exact dataset keys.
+ * Records whose tags match no dataset, or more than one, are left untouched
+ * and reported as unresolved. The previous tag is kept in `legacyDataset`.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - report without writing
+ * @returns {Promise<{ scanned, retagged: Array, unchanged: number, unresolved: Array }>}
+ */
+export const migrateDatasetRecordTags = async ({ dryRun = false } = {}) => {
   try {
-    const docRef = doc(db, "emigrant_allCountries", country);
-    const docSnap = await getDoc(docRef);
-    
-    if (docSnap.exists()) {
-      const existingData = docSnap.data();
-      const dataField = existingData.data || existingData["data"] || {};
-      
-      console.log("Adding to existing country:", country);
-      console.log("Existing data:", dataField);
-      
-      // Create proper copy and update
-      let updatedData;
-      
-      if (Array.isArray(dataField)) {
-        // Convert array to object format
-        updatedData = {};
-        dataField.forEach(item => {
-          updatedData[item.year.toString()] = item.count;
-        });
-        updatedData[year.toString()] = count;
-        console.log("Converted array to object and added new year");
-      } else if (typeof dataField === 'object') {
-        // Object format: {"1981": 123, "1982": 456}
-        updatedData = { ...dataField };
-        updatedData[year.toString()] = count;
-        console.log("Updated object format");
-      } else {
-        // Create new object
-        updatedData = { [year.toString()]: count };
-        console.log("Created new object");
+    const documents = await getStorage().getDocuments(DEFAULT_COLLECTION);
+    // Year documents written by overwriteCollection carry no tags at all
+    const tagged = documents.filter(({ data }) => data.dataset !== undefined || data.source !== undefined);
+    const report = { scanned: tagged.length, retagged: [], unchanged: 0, unresolved: [] };
+    const operations = [];
+
+    tagged.forEach(({ id, data }) => {
+      if (DATASET_KEYS.includes(data.dataset)) {
+        report.unchanged += 1;
+        return;
       }
-      
-      console.log("Updated data:", updatedData);
-      
-      // Determine which field name to use for update
-      const updateField = existingData["data"] ? "data" : "data";
-      console.log("Updating field:", updateField);
-      
-      await updateDoc(docRef, { [updateField]: updatedData });
-      console.log("Successfully updated existing country");
-      
-    } else {
-      // Create new document with object format
-      console.log("Creating new country:", country);
-      const newData = { [year.toString()]: count };
-      console.log("New data:", newData);
-      
-      await setDoc(docRef, { "data": newData });
-      console.log("Successfully created new country with object format");
-    }
-    
-    return { country, year, count };
-  } catch (error) {
-    console.error("Error adding countries data:", error);
-    throw error;
-  }
-};
 
-// Update countries data record
-export const updateCountriesData = async (country, year, count) => {
-  try {
-    const docRef = doc(db, "emigrant_allCountries", country);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Country ${country} not found`);
-    }
-    
-    const existingData = docSnap.data();
-    let dataField = existingData.data || existingData["data"] || {};
-    
-    // Debug logging
-    console.log("Before update - dataField:", dataField);
-    console.log("Updating year:", year, "with count:", count);
-    console.log("Field names in document:", Object.keys(existingData));
-    
-    // Handle both object and array formats
-    if (Array.isArray(dataField)) {
-      // Array format: [{"year": 1981, "count": 123}, {"year": 1982, "count": 456}]
-      const existingYearIndex = dataField.findIndex(item => 
-        item.year.toString() === year.toString()
-      );
-      
-      if (existingYearIndex >= 0) {
-        dataField[existingYearIndex] = { year: parseInt(year), count: count };
-        console.log("Updated existing entry in array");
-      } else {
-        dataField.push({ year: parseInt(year), count: count });
-        console.log("Added new entry to array");
+      const candidates = classifyRecordDataset(data);
+      if (candidates.length !== 1) {
+        report.unresolved.push({ id, dataset: data.dataset ?? null, source: data.source ?? null, candidates });
+        return;
       }
-    } else if (typeof dataField === 'object') {
-      // Object format: {"1981": 123, "1982": 456}
-      dataField[year.toString()] = count;
-      console.log("Updated object format");
-    } else {
-      // Create new object if invalid format
-      dataField = { [year]: count };
-      console.log("Created new object");
+
+      const [key] = candidates;
+      report.retagged.push({ id, from: data.dataset ?? null, to: key });
+      operations.push({
+        type: "set",
+        collection: DEFAULT_COLLECTION,
+        id,
+        data: { ...data, dataset: key, legacyDataset: data.dataset ?? null }
+      });
+    });
+
+    if (!dryRun && operations.length > 0) {
+      await commitInChunks(operations, "migrating");
+      await recordAudit({
+        collection: DEFAULT_COLLECTION,
+        operation: AUDIT_OPERATIONS.MIGRATE,
+        before: { records: report.retagged.map(({ id, from }) => ({ id, dataset: from })) },
+        after: { records: report.retagged.map(({ id, to }) => ({ id, dataset: to })) }
+      });
     }
-    
-    console.log("After update - dataField:", dataField);
-    
-    // Determine which field name to use for update
-    const updateField = existingData["data"] ? "data" : "data";
-    console.log("Updating field:", updateField);
-    
-    await updateDoc(docRef, { [updateField]: dataField });
-    console.log("Successfully updated Firestore");
-    
-    return { country, year, count };
+
+    return report;
   } catch (error) {
-    console.error("Error updating countries data:", error);
+    console.error("Error migrating dataset record tags:", error);
     throw error;
   }
 };
 
-// Delete countries data record (specific year or entire country)
-export const deleteCountriesData = async (country, year, deleteAll = false) => {
-  try {
-    const docRef = doc(db, "emigrant_allCountries", country);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Country ${country} not found`);
-    }
-    
-    const existingData = docSnap.data();
-    console.log("Before delete - existingData:", existingData);
-    
-    if (deleteAll) {
-      // Delete entire document
-      console.log(`Deleting entire country: ${country}`);
-      await deleteDoc(docRef);
-      console.log("Successfully deleted entire country document");
-      return { country, deleted: true };
-    } else {
-      // Delete specific year data
-      const dataField = existingData.data || existingData["data"] || {};
-      
-      console.log(`Deleting year ${year} from country ${country}`);
-      console.log("Before delete - dataField:", dataField);
-      
-      // Create a proper copy to avoid reference issues
-      let updatedData;
-      
-      // Handle both object and array formats
-      if (Array.isArray(dataField)) {
-        // Array format: [{"year": 1981, "count": 123}, {"year": 1982, "count": 456}]
-        updatedData = dataField.filter(item => 
-          item.year.toString() !== year.toString()
-        );
-        console.log("Filtered array format, remaining items:", updatedData.length);
-      } else if (typeof dataField === 'object') {
-        // Object format: {"1981": 123, "1982": 456}
-        updatedData = { ...dataField };
-        delete updatedData[year.toString()];
-        console.log("Deleted from object format, remaining keys:", Object.keys(updatedData));
-      } else {
-        console.log("Invalid data format, cannot delete");
-        return { country, year, deleted: false };
-      }
-      
-      console.log("After delete - updatedData:", updatedData);
-      
-      // Determine which field name to use for update
-      const updateField = existingData["data"] ? "data" : "data";
-      console.log("Updating field:", updateField);
-      
-      await updateDoc(docRef, { [updateField]: updatedData });
-      console.log("Successfully deleted year from Firestore");
-      
-      return { country, year, deleted: true };
-    }
-  } catch (error) {
-    console.error("Error deleting countries data:", error);
-    throw error;
+// ========== BATCHED WRITES ==========
+
+// Firestore allows 500 writes per batch; stay below it
+export const BATCH_SIZE = 450;
+
+const chunk = (items, size = BATCH_SIZE) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Commit operations in chunks, reporting progress after each chunk. An
+// aborted signal stops before the next chunk; `done` counts operations
+// committed earlier (e.g. by an interrupted run) toward the progress total.
+export const commitInChunks = async (operations, phase, onProgress, { signal, done = 0 } = {}) => {
+  const storage = getStorage();
+  const total = operations.length + done;
+  let completed = done;
+  onProgress?.({ phase, completed, total });
+  for (const batch of chunk(operations)) {
+    signal?.throwIfAborted();
+    await storage.commitBatch(batch);
+    completed += batch.length;
+    onProgress?.({ phase, completed, total });
   }
 };
 
-// Delete entire country document
-export const deleteCountriesGroup = async (country) => {
-  try {
-    const docRef = doc(db, "emigrant_allCountries", country);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Country ${country} not found`);
-    }
-    
-    console.log(`Deleting entire country: ${country}`);
-    await deleteDoc(docRef);
-    console.log("Successfully deleted entire country document");
-    
-    return { country, deleted: true };
-  } catch (error) {
-    console.error("Error deleting country:", error);
-    throw error;
-  }
+// Clear all data from collection
+export const clearCollection = async (collectionName = DEFAULT_COLLECTION) => {
+  const targetCollection = resolveCollectionName(collectionName);
+  const documents = await getStorage().getDocuments(targetCollection);
+  await commitInChunks(
+    documents.map(({ id }) => ({ type: "delete", collection: targetCollection, id })),
+    "clearing"
+  );
+  await recordAudit({
+    collection: targetCollection,
+    operation: AUDIT_OPERATIONS.CLEAR,
+    before: { rowCount: documents.length, documentIds: documents.map(({ id }) => id) },
+    after: { rowCount: 0 }
+  });
 };
 
-// ========== MAJOR COUNTRIES COLLECTION SPECIFIC FUNCTIONS ==========
+// Sortable timestamp plus a random suffix so back-to-back writes never collide
+export const createVersionId = () =>
+  `${new Date().toISOString().replace(/[-:.TZ]/g, "")}_${Math.random().toString(36).slice(2, 8)}`;
 
-// Fetch major countries data from emigrant_majorCountry collection
-export const fetchMajorCountriesData = async () => {
-  try {
-    const querySnapshot = await getDocs(collection(db, "emigrant_majorCountry"));
-    const majorCountriesData = [];
-    
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      const year = doc.id;
-      
-      const countriesField = data.countries || data["countries"];
-      if (countriesField) {
-        console.log(`Fetching year ${year}:`, countriesField);
-        console.log("Field names in document:", Object.keys(data));
-        
-        if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-          // Object format: {"AUSTRALIA": 2752, "CANADA": 5226, "UNITED_STATES": 12345}
-          Object.entries(countriesField).forEach(([country, count]) => {
-            majorCountriesData.push({
-              id: `${country}_${year}`,
-              country: country,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        } else if (Array.isArray(countriesField)) {
-          // Array format: [{"country": "United States", "count": 123}, {"country": "Canada", "count": 456}]
-          countriesField.forEach((countryEntry) => {
-            const country = countryEntry.country;
-            const count = countryEntry.count;
-            
-            majorCountriesData.push({
-              id: `${country}_${year}`,
-              country: country,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        }
-      }
-    });
-    
-    return majorCountriesData.sort((a, b) => a.year - b.year);
-  } catch (error) {
-    console.error("Error fetching major countries data:", error);
-    throw error;
-  }
-};
+export const getStagingCollectionName = (targetCollection, versionId) =>
+  `${targetCollection}__staging_${versionId}`;
 
-// Add major countries data record
-export const addMajorCountriesData = async (country, year, count) => {
-  try {
-    const docRef = doc(db, "emigrant_majorCountry", year.toString());
-    const docSnap = await getDoc(docRef);
-    
-    if (docSnap.exists()) {
-      const existingData = docSnap.data();
-      const countriesField = existingData.countries || existingData["countries"] || {};
-      
-      console.log("Adding to existing year:", year);
-      console.log("Existing countries:", countriesField);
-      
-      // Create proper copy and update
-      let updatedCountries;
-      
-      if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-        // Object format: {"AUSTRALIA": 2752, "CANADA": 5226, "UNITED_STATES": 12345}
-        updatedCountries = { ...countriesField };
-        updatedCountries[country] = count;
-        console.log("Updated existing country in object");
-      } else if (Array.isArray(countriesField)) {
-        // Convert array to object format
-        updatedCountries = {};
-        countriesField.forEach(item => {
-          updatedCountries[item.country] = item.count;
-        });
-        updatedCountries[country] = count;
-        console.log("Converted array to object and added new country");
-      } else {
-        // Create new object
-        updatedCountries = { [country]: count };
-        console.log("Created new object");
-      }
-      
-      console.log("Updated countries:", updatedCountries);
-      
-      await updateDoc(docRef, { countries: updatedCountries });
-      console.log("Successfully updated existing year");
-      
+// Prepare rows: year becomes the document ID, everything else the fields
+const prepareRowsForOverwrite = (rows) => {
+  const seenYears = new Set();
+  const preparedRows = [];
+
+  rows.forEach(row => {
+    const { year, fields } = prepareDataForFirebase(row);
+    const yearId = String(year);
+
+    // Deduplicate by year (year is the unique key)
+    if (!seenYears.has(yearId)) {
+      seenYears.add(yearId);
+      preparedRows.push({ year, yearId, fields });
     } else {
-      // Create new document with object format
-      console.log("Creating new year:", year);
-      const newCountries = { [country]: count };
-      console.log("New countries:", newCountries);
-      
-      await setDoc(docRef, { countries: newCountries });
-      console.log("Successfully created new year with object format");
+      console.warn("Skipping duplicate year in CSV:", year, row);
     }
-    
-    return { country, year, count };
-  } catch (error) {
-    console.error("Error adding major countries data:", error);
-    throw error;
-  }
-};
+  });
+
+  // Sort by year ascending before storing
+  return preparedRows.sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Replace a collection with the given documents.
+ *
+ * The write is staged so a failure never leaves a half-written collection:
+ *   1. staging   - documents are written to `<collection>__staging_<version>`
+ *   2. snapshot  - the previous contents are saved as a dataset version
+ *   3. swapping  - stale documents are deleted and staged documents copied over
+ *   4. cleanup   - the staging collection is removed
+ * If the swap fails, the previous contents are written back ("rolling-back"),
+ * the version record is discarded and the original error is rethrown. All
+ * writes go through commitBatch in chunks of BATCH_SIZE.
+ *
+ * Aborting `signal` during staging or swapping fails the replace the same
+ * way, so the collection keeps its previous contents. Passing the
+ * `versionId` of a run that was interrupted before its cleanup (e.g. by a
+ * server restart) reuses the documents it already staged.
+ *
+ * @param {string} targetCollection - collection to replace
+ * @param {Array<{id, data}>} documents - new contents
+ * @param {Object} [options]
+ * @param {boolean} [options.clearExisting=true] - delete documents not in `documents`
+ * @param {Function} [options.onProgress] - ({ phase, completed, total }) => void
+ * @param {Object} [options.createdBy] - { uid, email } recorded on the version
+ * @param {string} [options.sourceFileName] - recorded on the version and audit entry
+ * @param {string} [options.operation] - audit operation (REPLACE or RESTORE)
+ * @param {AbortSignal} [options.signal] - cancels the replace
+ * @param {string} [options.versionId] - staging version to resume (see createVersionId)
+ * @returns {Promise<string|null>} id of the saved version (null if the collection was empty)
+ */
+const replaceCollection = async (targetCollection, documents, {
+  clearExisting = true,
+  onProgress,
+  createdBy = null,
+  sourceFileName = null,
+  operation = AUDIT_OPERATIONS.REPLACE,
+  signal,
+  versionId = createVersionId()
+} = {}) => {
+  const storage = getStorage();
+  const stagingCollection = getStagingCollectionName(targetCollection, versionId);
+  const newIds = new Set(documents.map(({ id }) => id));
+  const previousDocuments = await storage.getDocuments(targetCollection);
+  let savedVersionId = null;
 
-// Update major countries data record
-export const updateMajorCountriesData = async (country, year, count) => {
   try {
-    const docRef = doc(db, "emigrant_majorCountry", year.toString());
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Year ${year} not found`);
+    // 1. Stage the new documents, skipping any an interrupted run already staged
+    const alreadyStaged = new Set((await storage.getDocuments(stagingCollection)).map(({ id }) => id));
+    await commitInChunks(
+      documents
+        .filter(({ id }) => !alreadyStaged.has(id))
+        .map(({ id, data }) => ({ type: "set", collection: stagingCollection, id, data })),
+      "staging",
+      onProgress,
+      { signal, done: documents.filter(({ id }) => alreadyStaged.has(id)).length }
+    );
+
+    const staged = await storage.getDocuments(stagingCollection);
+    if (staged.length !== documents.length) {
+      throw new Error(`Staging incomplete: expected ${documents.length} rows, found ${staged.length}`);
     }
-    
-    const existingData = docSnap.data();
-    let countriesField = existingData.countries || existingData["countries"] || {};
-    
-    // Debug logging
-    console.log("Before update - countriesField:", countriesField);
-    console.log("Updating country:", country, "with count:", count);
-    console.log("Field names in document:", Object.keys(existingData));
-    
-    // Handle object format
-    if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-      // Object format: {"AUSTRALIA": 2752, "CANADA": 5226, "UNITED_STATES": 12345}
-      countriesField[country] = count;
-      console.log("Updated object format");
-    } else if (Array.isArray(countriesField)) {
-      // Convert array to object format
-      const newCountriesField = {};
-      countriesField.forEach(item => {
-        newCountriesField[item.country] = item.count;
+
+    // 2. Keep the previous contents as a restorable version
+    if (previousDocuments.length > 0) {
+      savedVersionId = await saveVersionSnapshot(targetCollection, previousDocuments, {
+        versionId: `${targetCollection}_${versionId}`,
+        createdBy,
+        sourceFileName
       });
-      newCountriesField[country] = count;
-      countriesField = newCountriesField;
-      console.log("Converted array to object and updated");
-    } else {
-      // Create new object if invalid format
-      countriesField = { [country]: count };
-      console.log("Created new object");
     }
-    
-    console.log("After update - countriesField:", countriesField);
-    
-    await updateDoc(docRef, { countries: countriesField });
-    console.log("Successfully updated Firestore");
-    
-    return { country, year, count };
-  } catch (error) {
-    console.error("Error updating major countries data:", error);
-    throw error;
-  }
-};
 
-// Delete major countries data record (specific country/year or entire country)
-export const deleteMajorCountriesData = async (country, year, deleteAll = false) => {
-  try {
-    if (deleteAll) {
-      // Delete country from all years
-      console.log(`Deleting country ${country} from all years`);
-      
-      // Get all year documents
-      const querySnapshot = await getDocs(collection(db, "emigrant_majorCountry"));
-      const updatePromises = [];
-      
-      querySnapshot.forEach((doc) => {
-        const docData = doc.data();
-        const countriesField = docData.countries || docData["countries"] || {};
-        
-        if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-          const updatedCountries = { ...countriesField };
-          delete updatedCountries[country];
-          
-          if (Object.keys(updatedCountries).length !== Object.keys(countriesField).length) {
-            console.log(`Removing ${country} from year ${doc.id}`);
-            updatePromises.push(updateDoc(doc.ref, { countries: updatedCountries }));
-          }
-        }
-      });
-      
-      await Promise.all(updatePromises);
-      console.log("Successfully deleted country from all years");
-      return { country, deleted: true };
-    } else {
-      // Delete specific country from specific year
-      const docRef = doc(db, "emigrant_majorCountry", year.toString());
-      const docSnap = await getDoc(docRef);
-      
-      if (!docSnap.exists()) {
-        throw new Error(`Year ${year} not found`);
-      }
-      
-      const existingData = docSnap.data();
-      console.log("Before delete - existingData:", existingData);
-      
-      const countriesField = existingData.countries || existingData["countries"] || {};
-      console.log(`Deleting country ${country} from year ${year}`);
-      console.log("Before delete - countriesField:", countriesField);
-      
-      // Create a proper copy to avoid reference issues
-      let updatedCountries;
-      
-      if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-        // Object format: {"AUSTRALIA": 2752, "CANADA": 5226, "UNITED_STATES": 12345}
-        updatedCountries = { ...countriesField };
-        delete updatedCountries[country];
-        console.log("Deleted from object format, remaining keys:", Object.keys(updatedCountries));
-      } else {
-        console.log("Invalid countries format, cannot delete");
-        return { country, year, deleted: false };
+    // 3. Swap staged documents into the target collection
+    const deletes = clearExisting
+      ? previousDocuments
+        .filter(({ id }) => !newIds.has(id))
+        .map(({ id }) => ({ type: "delete", collection: targetCollection, id }))
+      : [];
+    const sets = staged.map(({ id, data }) => ({ type: "set", collection: targetCollection, id, data }));
+
+    try {
+      await commitInChunks([...deletes, ...sets], "swapping", onProgress, { signal });
+    } catch (error) {
+      console.error("[Firestore] Overwrite failed, restoring previous data:", error);
+      await commitInChunks(
+        [
+          ...Array.from(newIds).map((id) => ({ type: "delete", collection: targetCollection, id })),
+          ...previousDocuments.map(({ id, data }) => ({ type: "set", collection: targetCollection, id, data }))
+        ],
+        "rolling-back",
+        onProgress
+      );
+      if (savedVersionId) {
+        await storage.deleteDocument(VERSIONS_COLLECTION, savedVersionId);
+        savedVersionId = null;
       }
-      
-      console.log("After delete - updatedCountries:", updatedCountries);
-      
-      await updateDoc(docRef, { countries: updatedCountries });
-      console.log("Successfully deleted country from year");
-      
-      return { country, year, deleted: true };
+      throw error;
+    }
+  } finally {
+    // 4. Always remove the staging collection
+    try {
+      const leftovers = await storage.getDocuments(stagingCollection);
+      await commitInChunks(
+        leftovers.map(({ id }) => ({ type: "delete", collection: stagingCollection, id })),
+        "cleanup",
+        onProgress
+      );
+    } catch (cleanupError) {
+      console.error("[Firestore] Failed to remove staging collection:", stagingCollection, cleanupError);
     }
-  } catch (error) {
-    console.error("Error deleting major countries data:", error);
-    throw error;
   }
-};
 
-// Delete entire country from all years
-export const deleteMajorCountriesGroup = async (country) => {
-  try {
-    console.log(`Deleting entire country: ${country}`);
-    
-    // Get all year documents
-    const querySnapshot = await getDocs(collection(db, "emigrant_majorCountry"));
-    const updatePromises = [];
-    
-    querySnapshot.forEach((doc) => {
-      const docData = doc.data();
-      const countriesField = docData.countries || docData["countries"] || {};
-      
-      if (typeof countriesField === 'object' && !Array.isArray(countriesField)) {
-        const updatedCountries = { ...countriesField };
-        delete updatedCountries[country];
-        
-        if (Object.keys(updatedCountries).length !== Object.keys(countriesField).length) {
-          console.log(`Removing ${country} from year ${doc.id}`);
-          updatePromises.push(updateDoc(doc.ref, { countries: updatedCountries }));
-        }
-      }
-    });
-    
-    await Promise.all(updatePromises);
-    console.log("Successfully deleted entire country from all years");
-    
-    return { country, deleted: true };
-  } catch (error) {
-    console.error("Error deleting major country:", error);
-    throw error;
-  }
+  onProgress?.({ phase: "complete", completed: documents.length, total: documents.length });
+  await recordAudit({
+    collection: targetCollection,
+    operation,
+    before: { rowCount: previousDocuments.length, versionId: savedVersionId },
+    after: { rowCount: documents.length, sourceFileName }
+  });
+  return savedVersionId;
+};
+
+/**
+ * Used for bulk CSV import - ALWAYS REPLACES ALL EXISTING DATA.
+ * The previous contents are kept as a dataset version (see versionService.js).
+ *
+ * @param {Array<Object>} rows - parsed CSV rows (must include a year column)
+ * @param {boolean} clearExisting - delete documents not present in the upload
+ * @param {string} collectionName - target collection
+ * @param {Object} [options] - onProgress, createdBy, sourceFileName (see replaceCollection)
+ * @returns {Promise<Array<Object>>} stored records for local state
+ */
+export const overwriteCollection = async (
+  rows,
+  clearExisting = true,
+  collectionName = DEFAULT_COLLECTION,
+  options = {}
+) => {
+  const targetCollection = resolveCollectionName(collectionName);
+  console.log("[Firestore] Uploading to collection:", targetCollection);
+
+  const preparedRows = prepareRowsForOverwrite(rows);
+  const documents = preparedRows.map(({ yearId, fields }) => ({ id: yearId, data: fields }));
+  await replaceCollection(targetCollection, documents, { ...options, clearExisting });
+  await registerCollection(targetCollection, {
+    documents: clearExisting ? documents : await getStorage().getDocuments(targetCollection),
+    sourceFileName: options.sourceFileName || null,
+    uploadedBy: options.createdBy || null
+  });
+
+  // Return full records for local state
+  return preparedRows.map(({ year, yearId, fields }) => ({ id: yearId, year, ...fields }));
 };
 
-// ========== OCCUPATION COLLECTION SPECIFIC FUNCTIONS ==========
+/**
+ * Merge rows into a collection instead of replacing it: years in the upload
+ * are merged field by field (see utils/mergeImport.js), the others kept.
+ * Goes through the same staged write as overwriteCollection, so the previous
+ * contents are kept as a version and a failed write is rolled back.
+ *
+ * @param {Array<Object>} rows - parsed CSV rows (must include a year column)
+ * @param {string} collectionName - target collection
+ * @param {Object} [options] - strategies, defaultStrategy (see mergeDocuments)
+ *   and the options of replaceCollection
+ * @returns {Promise<{ records: Array<Object>, merge: Object }>} the added and
+ *   changed records, and the mergeDocuments result describing the changes
+ */
+export const upsertCollection = async (rows, collectionName = DEFAULT_COLLECTION, {
+  strategies,
+  defaultStrategy,
+  ...options
+} = {}) => {
+  const targetCollection = resolveCollectionName(collectionName);
 
-// Fetch occupation data from emigrant_occupation collection
-export const fetchOccupationData = async () => {
+  const incoming = prepareRowsForOverwrite(rows).map(({ yearId, fields }) => ({ id: yearId, data: fields }));
+  const current = await getStorage().getDocuments(targetCollection);
+  const merge = mergeDocuments(current, incoming, { strategies, defaultStrategy });
+  if (merge.documents.length === 0) return { records: [], merge };
+
+  await replaceCollection(targetCollection, merge.documents, {
+    ...options,
+    clearExisting: false,
+    operation: AUDIT_OPERATIONS.MERGE
+  });
+  await registerCollection(targetCollection, {
+    documents: await getStorage().getDocuments(targetCollection),
+    sourceFileName: options.sourceFileName || null,
+    uploadedBy: options.createdBy || null
+  });
+
+  return {
+    records: merge.documents.map(({ id, data }) => ({ id, year: Number(id), ...data })),
+    merge
+  };
+};
+
+/**
+ * Dry run of overwriteCollection and upsertCollection: what the upload would
+ * change in the collection. Nothing is written.
+ *
+ * @param {Array<Object>} rows - parsed CSV rows, as passed to overwriteCollection
+ * @param {string} collectionName - target collection
+ * @param {Object} [mergeOptions] - strategies, defaultStrategy for the merge
+ * @returns {Promise<{ replace: Object, merge: Object }>} diffVersions result for
+ *   replacing the collection, mergeDocuments result for merging into it
+ */
+export const previewCollectionImport = async (rows, collectionName = DEFAULT_COLLECTION, mergeOptions = {}) => {
   try {
-    const querySnapshot = await getDocs(collection(db, "emigrant_occupation"));
-    const occupationData = [];
-    
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      const occupation = doc.id;
-      
-      const yearlyDataField = data.yearlyData || data["yearlyData"];
-      if (yearlyDataField) {
-        console.log(`Fetching occupation ${occupation}:`, yearlyDataField);
-        console.log("Field names in document:", Object.keys(data));
-        
-        if (typeof yearlyDataField === 'object' && !Array.isArray(yearlyDataField)) {
-          // Object format: {"1981": 2338, "1982": 1894, ...}
-          Object.entries(yearlyDataField).forEach(([year, count]) => {
-            occupationData.push({
-              id: `${occupation}_${year}`,
-              occupation: occupation,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        } else if (Array.isArray(yearlyDataField)) {
-          // Array format: [{"year": 1981, "count": 2338}, {"year": 1982, "count": 1894}]
-          yearlyDataField.forEach((yearEntry) => {
-            const year = yearEntry.year;
-            const count = yearEntry.count;
-            
-            occupationData.push({
-              id: `${occupation}_${year}`,
-              occupation: occupation,
-              year: parseInt(year),
-              count: count,
-              documentId: doc.id
-            });
-          });
-        }
-      }
-    });
-    
-    return occupationData.sort((a, b) => a.year - b.year);
+    const current = await getStorage().getDocuments(resolveCollectionName(collectionName));
+    const incoming = prepareRowsForOverwrite(rows).map(({ yearId, fields }) => ({ id: yearId, data: fields }));
+
+    return {
+      replace: diffVersions(current, incoming),
+      merge: mergeDocuments(current, incoming, mergeOptions)
+    };
   } catch (error) {
-    console.error("Error fetching occupation data:", error);
+    console.error("Error previewing import:", error);
     throw error;
   }
 };
 
-// Add occupation data record
-export const addOccupationData = async (occupation, year, count) => {
+/**
+ * Restore a saved version over its collection. The contents being replaced
+ * are themselves saved as a new version, so a restore can be undone.
+ *
+ * @param {string} versionId - id from listVersions()
+ * @param {Object} [options] - onProgress, createdBy (see replaceCollection)
+ * @returns {Promise<Object>} the restored version summary
+ */
+export const restoreCollectionVersion = async (versionId, options = {}) => {
   try {
-    const docRef = doc(db, "emigrant_occupation", occupation);
-    const docSnap = await getDoc(docRef);
-    
-    if (docSnap.exists()) {
-      const existingData = docSnap.data();
-      const yearlyDataField = existingData.yearlyData || existingData["yearlyData"] || {};
-      
-      console.log("Adding to existing occupation:", occupation);
-      console.log("Existing yearlyData:", yearlyDataField);
-      
-      // Create proper copy and update
-      let updatedYearlyData;
-      
-      if (typeof yearlyDataField === 'object' && !Array.isArray(yearlyDataField)) {
-        // Object format: {"1981": 2338, "1982": 1894, ...}
-        updatedYearlyData = { ...yearlyDataField };
-        updatedYearlyData[year.toString()] = count;
-        console.log("Updated existing year in object");
-      } else if (Array.isArray(yearlyDataField)) {
-        // Convert array to object format
-        updatedYearlyData = {};
-        yearlyDataField.forEach(item => {
-          updatedYearlyData[item.year.toString()] = item.count;
-        });
-        updatedYearlyData[year.toString()] = count;
-        console.log("Converted array to object and added new year");
-      } else {
-        // Create new object
-        updatedYearlyData = { [year.toString()]: count };
-        console.log("Created new object");
-      }
-      
-      console.log("Updated yearlyData:", updatedYearlyData);
-      
-      await updateDoc(docRef, { yearlyData: updatedYearlyData });
-      console.log("Successfully updated existing occupation");
-      
-    } else {
-      // Create new document with object format
-      console.log("Creating new occupation:", occupation);
-      const newYearlyData = { [year.toString()]: count };
-      console.log("New yearlyData:", newYearlyData);
-      
-      await setDoc(docRef, { yearlyData: newYearlyData });
-      console.log("Successfully created new occupation with object format");
-    }
-    
-    return { occupation, year, count };
+    const version = await getVersion(versionId);
+    const sourceFileName = `Restore of version ${versionId}`;
+    await replaceCollection(version.collection, version.documents, {
+      ...options,
+      clearExisting: true,
+      sourceFileName,
+      operation: AUDIT_OPERATIONS.RESTORE
+    });
+    await registerCollection(version.collection, {
+      documents: version.documents,
+      sourceFileName,
+      uploadedBy: options.createdBy || null
+    });
+    return { id: version.id, collection: version.collection, rowCount: version.rowCount };
   } catch (error) {
-    console.error("Error adding occupation data:", error);
+    console.error("Error restoring dataset version:", error);
     throw error;
   }
 };
 
-// Update occupation data record
-export const updateOccupationData = async (occupation, year, count) => {
+// ========== COLLECTION WORKSPACE ==========
+// Uploaded collections are listed in the collection registry (see
+// collectionRegistry.js). Renaming copies the documents to the new name;
+// deleting replaces the collection with nothing, so its last contents are
+// kept as a restorable version like any other overwrite.
+
+/**
+ * Move a collection, its version history and its registry entry to a new name.
+ *
+ * @param {string} collectionName - current name
+ * @param {string} newName - requested name (normalized with normalizeCollectionName)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - ({ phase, completed, total }) => void
+ * @returns {Promise<string>} the normalized new name
+ */
+export const renameCollection = async (collectionName, newName, { onProgress } = {}) => {
+  const storage = getStorage();
+  const source = resolveCollectionName(collectionName);
+  const target = normalizeCollectionName(newName);
+
   try {
-    const docRef = doc(db, "emigrant_occupation", occupation);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Occupation ${occupation} not found`);
+    if (target === source) return target;
+    const [existing, registered] = await Promise.all([
+      storage.getDocuments(target),
+      getCollectionEntry(target)
+    ]);
+    if (existing.length > 0 || registered) {
+      throw new Error(`A collection named "${target}" already exists`);
     }
-    
-    const existingData = docSnap.data();
-    let yearlyDataField = existingData.yearlyData || existingData["yearlyData"] || {};
-    
-    // Debug logging
-    console.log("Before update - yearlyDataField:", yearlyDataField);
-    console.log("Updating year:", year, "with count:", count);
-    console.log("Field names in document:", Object.keys(existingData));
-    
-    // Handle object format
-    if (typeof yearlyDataField === 'object' && !Array.isArray(yearlyDataField)) {
-      // Object format: {"1981": 2338, "1982": 1894, ...}
-      yearlyDataField[year.toString()] = count;
-      console.log("Updated object format");
-    } else if (Array.isArray(yearlyDataField)) {
-      // Convert array to object format
-      const newYearlyDataField = {};
-      yearlyDataField.forEach(item => {
-        newYearlyDataField[item.year.toString()] = item.count;
-      });
-      newYearlyDataField[year.toString()] = count;
-      yearlyDataField = newYearlyDataField;
-      console.log("Converted array to object and updated");
-    } else {
-      // Create new object if invalid format
-      yearlyDataField = { [year.toString()]: count };
-      console.log("Created new object");
+
+    const documents = await storage.getDocuments(source);
+    const removeCopy = async () => {
+      const partial = await storage.getDocuments(target);
+      await commitInChunks(partial.map(({ id }) => ({ type: "delete", collection: target, id })), "rolling-back", onProgress);
+    };
+    try {
+      await commitInChunks(
+        documents.map(({ id, data }) => ({ type: "set", collection: target, id, data })),
+        "copying",
+        onProgress
+      );
+    } catch (error) {
+      await removeCopy();
+      throw error;
     }
-    
-    console.log("After update - yearlyDataField:", yearlyDataField);
-    
-    await updateDoc(docRef, { yearlyData: yearlyDataField });
-    console.log("Successfully updated Firestore");
-    
-    return { occupation, year, count };
-  } catch (error) {
-    console.error("Error updating occupation data:", error);
-    throw error;
-  }
-};
 
-// Delete occupation data record (specific year or entire occupation)
-export const deleteOccupationData = async (occupation, year, deleteAll = false) => {
-  try {
-    if (deleteAll) {
-      // Delete entire occupation document
-      console.log(`Deleting entire occupation: ${occupation}`);
-      const docRef = doc(db, "emigrant_occupation", occupation);
-      await deleteDoc(docRef);
-      console.log("Successfully deleted entire occupation document");
-      return { occupation, deleted: true };
-    } else {
-      // Delete specific year data
-      const docRef = doc(db, "emigrant_occupation", occupation);
-      const docSnap = await getDoc(docRef);
-      
-      if (!docSnap.exists()) {
-        throw new Error(`Occupation ${occupation} not found`);
+    // Versions and the registry entry follow the collection so history and
+    // restore keep working. They move before the source is deleted: if
+    // either move fails, the rename is undone and the source left as it was.
+    const { documents: versions } = await storage.queryDocuments(VERSIONS_COLLECTION, {
+      where: [["collection", "==", source]]
+    });
+    const movedVersions = [];
+    try {
+      for (const { id } of versions) {
+        await storage.updateDocument(VERSIONS_COLLECTION, id, { collection: target });
+        movedVersions.push(id);
       }
-      
-      const existingData = docSnap.data();
-      console.log("Before delete - existingData:", existingData);
-      
-      const yearlyDataField = existingData.yearlyData || existingData["yearlyData"] || {};
-      console.log(`Deleting year ${year} from occupation ${occupation}`);
-      console.log("Before delete - yearlyDataField:", yearlyDataField);
-      
-      // Create a proper copy to avoid reference issues
-      let updatedYearlyData;
-      
-      if (typeof yearlyDataField === 'object' && !Array.isArray(yearlyDataField)) {
-        // Object format: {"1981": 2338, "1982": 1894, ...}
-        updatedYearlyData = { ...yearlyDataField };
-        delete updatedYearlyData[year.toString()];
-        console.log("Deleted from object format, remaining keys:", Object.keys(updatedYearlyData));
-      } else {
-        console.log("Invalid yearlyData format, cannot delete");
-        return { occupation, year, deleted: false };
+      if (!(await moveCollectionEntry(source, target))) {
+        await registerCollection(target, { documents });
       }
-      
-      console.log("After delete - updatedYearlyData:", updatedYearlyData);
-      
-      await updateDoc(docRef, { yearlyData: updatedYearlyData });
-      console.log("Successfully deleted year from Firestore");
-      
-      return { occupation, year, deleted: true };
+    } catch (error) {
+      for (const id of movedVersions) {
+        await storage.updateDocument(VERSIONS_COLLECTION, id, { collection: source });
+      }
+      await removeCopy();
+      throw error;
     }
-  } catch (error) {
-    console.error("Error deleting occupation data:", error);
-    throw error;
-  }
-};
 
-// Delete entire occupation document
-export const deleteOccupationGroup = async (occupation) => {
-  try {
-    const docRef = doc(db, "emigrant_occupation", occupation);
-    const docSnap = await getDoc(docRef);
-    
-    if (!docSnap.exists()) {
-      throw new Error(`Occupation ${occupation} not found`);
-    }
-    
-    console.log(`Deleting entire occupation: ${occupation}`);
-    await deleteDoc(docRef);
-    console.log("Successfully deleted entire occupation document");
-    
-    return { occupation, deleted: true };
+    await commitInChunks(
+      documents.map(({ id }) => ({ type: "delete", collection: source, id })),
+      "cleanup",
+      onProgress
+    );
+
+    onProgress?.({ phase: "complete", completed: documents.length, total: documents.length });
+    await recordAudit({
+      collection: target,
+      operation: AUDIT_OPERATIONS.RENAME_COLLECTION,
+      before: { collection: source },
+      after: { collection: target, rowCount: documents.length }
+    });
+    return target;
   } catch (error) {
-    console.error("Error deleting occupation:", error);
+    console.error("Error renaming collection:", error);
     throw error;
   }
 };
 
-// ========== ORIGINAL COLLECTION FUNCTIONS ==========
-
-export const fetchRecordsByDataset = async (datasetType) => {
-  const querySnapshot = await getDocs(collection(db, COLLECTION));
-  const allRecords = querySnapshot.docs.map(doc => ({
-    id: doc.id,
-    ...doc.data()
-  }));
-  
-  // Filter by dataset type based on source field or content
-  return allRecords.filter(record => {
-    const source = record.source?.toLowerCase() || '';
-    const dataset = record.dataset?.toLowerCase() || '';
-    
-    switch(datasetType) {
-      case 'age':
-        return source.includes('age') || dataset.includes('age');
-      case 'all-countries':
-        return source.includes('allcountries') || dataset.includes('all-countries');
-      case 'major-countries':
-        return source.includes('majorcountry') || dataset.includes('major-countries');
-      case 'occupation':
-        return source.includes('occu') || dataset.includes('occupation');
-      case 'sex':
-        return source.includes('sex') || dataset.includes('sex');
-      case 'civil-status':
-        return source.includes('civilstatus') || dataset.includes('civil-status');
-      case 'education':
-        return source.includes('educ') || dataset.includes('education');
-      case 'place-of-origin':
-        return source.includes('placeoforigin') || dataset.includes('place-of-origin');
-      default:
-        return false;
-    }
-  });
-};
-
-// Add record with dataset type
-export const addRecordWithDataset = async (data, datasetType) => {
+/**
+ * Delete every document of a collection and drop it from the registry.
+ * The contents are saved as a version first, so they can be restored.
+ *
+ * @param {string} collectionName
+ * @param {Object} [options] - onProgress, createdBy (see replaceCollection)
+ * @returns {Promise<string|null>} id of the version holding the deleted contents
+ */
+export const deleteCollection = async (collectionName, options = {}) => {
+  const target = resolveCollectionName(collectionName);
   try {
-    const preparedData = {
-      ...prepareDataForFirebase(data),
-      dataset: datasetType,
-      createdAt: new Date().toISOString()
-    };
-    
-    if (!preparedData || Object.keys(preparedData).length === 0) {
-      throw new Error("No valid data to add");
-    }
-    
-    console.log(`Adding ${datasetType} record to Firestore:`, preparedData);
-    
-    const docRef = await addDoc(collection(db, COLLECTION), preparedData);
-    
-    return { id: docRef.id, ...preparedData };
+    const versionId = await replaceCollection(target, [], {
+      ...options,
+      clearExisting: true,
+      sourceFileName: `Deletion of ${target}`,
+      operation: AUDIT_OPERATIONS.DELETE_COLLECTION
+    });
+    await unregisterCollection(target);
+    return versionId;
   } catch (error) {
-    console.error("Error in addRecordWithDataset:", error);
+    console.error("Error deleting collection:", error);
     throw error;
   }
 };
-
-// Update record with dataset type
-export const updateRecordWithDataset = async (id, newData, datasetType) => {
-  const preparedData = {
-    ...prepareDataForFirebase(newData),
-    dataset: datasetType,
-    updatedAt: new Date().toISOString()
-  };
-  const ref = doc(db, COLLECTION, id);
-  await updateDoc(ref, preparedData);
-  return preparedData;
-};
-
-// Clear all data from collection
-export const clearCollection = async (collectionName = DEFAULT_COLLECTION) => {
-  const targetCollection = resolveCollectionName(collectionName);
-  const querySnapshot = await getDocs(getCollectionRef(targetCollection));
-  const deletePromises = querySnapshot.docs.map(docSnap =>
-    deleteDoc(getDocumentRef(targetCollection, docSnap.id))
-  );
-  await Promise.all(deletePromises);
-};
-
-// Create simple hash for deduplication
-const createRowHash = (row) => {
-  return JSON.stringify(Object.keys(row).sort().map(k => `${k}:${row[k]}`));
-};
-
-// Used for bulk CSV import - ALWAYS REPLACES ALL EXISTING DATA
-export const overwriteCollection = async (rows, clearExisting = true, collectionName = DEFAULT_COLLECTION) => {
-  const targetCollection = resolveCollectionName(collectionName);
-  console.log("[Firestore] Uploading to collection:", targetCollection);
-
-  // Clear existing data FIRST (this is the default behavior)
-  if (clearExisting) {
-    await clearCollection(targetCollection);
-  }
-
-  // Prepare rows: extract year for doc ID, store rest as fields
-  const seenYears = new Set();
-  const preparedRows = [];
-
-  rows.forEach(row => {
-    const { year, fields } = prepareDataForFirebase(row);
-    const yearId = String(year);
-
-    // Deduplicate by year (year is the unique key)
-    if (!seenYears.has(yearId)) {
-      seenYears.add(yearId);
-      preparedRows.push({ year, yearId, fields });
-    } else {
-      console.warn("Skipping duplicate year in CSV:", year, row);
-    }
-  });
-
-  // Sort by year ascending before storing
-  preparedRows.sort((a, b) => a.year - b.year);
-
-  // Store each row: document ID = year, document fields = everything else
-  for (const { year, yearId, fields } of preparedRows) {
-    console.log(`[Firestore] Writing doc ID: ${yearId}, fields:`, fields);
-    await setDoc(getDocumentRef(targetCollection, yearId), fields, { merge: false });
-  }
-
-  // Return full records for local state
-  return preparedRows.map(({ year, yearId, fields }) => ({ id: yearId, year, ...fields }));
-};
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  overwriteCollection,
+  upsertCollection,
+  previewCollectionImport,
+  clearCollection,
+  BATCH_SIZE,
+  fetchRecordsByDataset,
+  classifyRecordDataset,
+  migrateDatasetRecordTags
+} from './firestoreService';
+
+let storage;
+let batchSizes;
+let touchedCollections;
+
+// Memory adapter that records batch sizes and can fail the first swap into a
+// collection after applying it, as if a later chunk of the swap had failed
+const createTrackingAdapter = (initialData, { failSwapInto } = {}) => {
+  const adapter = createMemoryAdapter({ initialData });
+  let failed = false;
+  return {
+    ...adapter,
+    async commitBatch(operations) {
+      batchSizes.push(operations.length);
+      operations.forEach(({ collection }) => touchedCollections.add(collection));
+      await adapter.commitBatch(operations);
+      const isSwap = operations.some(({ type, collection }) => type === 'set' && collection === failSwapInto);
+      if (isSwap && !failed) {
+        failed = true;
+        throw new Error('Simulated write failure');
+      }
+    }
+  };
+};
+
+const stagingCollections = () =>
+  [...touchedCollections].filter((name) => name.startsWith('emigrants__staging_'));
+
+beforeEach(() => {
+  batchSizes = [];
+  touchedCollections = new Set();
+});
+
+describe('overwriteCollection', () => {
+  it('replaces the collection and reports progress for each phase', async () => {
+    storage = setStorage(createTrackingAdapter({
+      emigrants: { 1990: { single: 1 }, 1991: { single: 2 } }
+    }));
+    const progress = [];
+
+    const records = await overwriteCollection(
+      [{ year: 2000, single: 16 }, { year: 2001, single: 20 }, { year: 2000, single: 99 }],
+      true,
+      'emigrants',
+      { onProgress: (event) => progress.push(event) }
+    );
+
+    expect(records.map((record) => record.id)).toEqual(['2000', '2001']);
+    const documents = await storage.getDocuments('emigrants');
+    expect(documents.map(({ id }) => id).sort()).toEqual(['2000', '2001']);
+    expect(documents.find(({ id }) => id === '2000').data).toEqual({ single: 16 });
+
+    const phases = [...new Set(progress.map(({ phase }) => phase))];
+    expect(phases).toEqual(['staging', 'swapping', 'cleanup', 'complete']);
+    expect(progress.at(-1)).toEqual({ phase: 'complete', completed: 2, total: 2 });
+  });
+
+  it('keeps documents missing from the upload when clearExisting is false', async () => {
+    storage = setStorage(createTrackingAdapter({ emigrants: { 1990: { single: 1 } } }));
+
+    await overwriteCollection([{ year: 2000, single: 16 }], false, 'emigrants');
+
+    const documents = await storage.getDocuments('emigrants');
+    expect(documents.map(({ id }) => id).sort()).toEqual(['1990', '2000']);
+  });
+
+  it('restores the previous contents and removes staging data when the swap fails', async () => {
+    storage = setStorage(createTrackingAdapter(
+      { emigrants: { 1990: { single: 1 }, 1991: { single: 2 } } },
+      { failSwapInto: 'emigrants' }
+    ));
+    const progress = [];
+
+    await expect(overwriteCollection(
+      [{ year: 2000, single: 16 }],
+      true,
+      'emigrants',
+      { onProgress: (event) => progress.push(event) }
+    )).rejects.toThrow('Simulated write failure');
+
+    const documents = await storage.getDocuments('emigrants');
+    expect(documents).toEqual([
+      { id: '1990', data: { single: 1 } },
+      { id: '1991', data: { single: 2 } }
+    ]);
+    expect(stagingCollections()).toHaveLength(1);
+    expect(await storage.getDocuments(stagingCollections()[0])).toEqual([]);
+    expect(await storage.getDocuments('dataset_versions')).toEqual([]);
+    expect(progress.some(({ phase }) => phase === 'rolling-back')).toBe(true);
+    expect(progress.some(({ phase }) => phase === 'complete')).toBe(false);
+  });
+});
+
+describe('upsertCollection', () => {
+  it('merges the upload field by field and keeps a version of the previous contents', async () => {
+    storage = setStorage(createTrackingAdapter({
+      emigrants: { 1990: { single: 1, married: 4 }, 1991: { single: 2 } }
+    }));
+
+    const { records, merge } = await upsertCollection(
+      [{ year: 1990, single: 5, married: 1 }, { year: 2000, single: 16 }],
+      'emigrants',
+      { strategies: { single: 'sum' }, defaultStrategy: 'keep' }
+    );
+
+    expect(records.map(({ id }) => id)).toEqual(['1990', '2000']);
+    expect(merge.summary).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+    expect(await storage.getDocuments('emigrants')).toEqual([
+      { id: '1990', data: { single: 6, married: 4 } },
+      { id: '1991', data: { single: 2 } },
+      { id: '2000', data: { single: 16 } }
+    ]);
+    expect(await storage.getDocuments('dataset_versions')).toHaveLength(1);
+  });
+
+  it('writes nothing when the upload changes no value', async () => {
+    storage = setStorage(createTrackingAdapter({ emigrants: { 1990: { single: 1 } } }));
+
+    const { records } = await upsertCollection([{ year: 1990, single: 1 }], 'emigrants');
+
+    expect(records).toEqual([]);
+    expect(batchSizes).toEqual([]);
+  });
+});
+
+describe('previewCollectionImport', () => {
+  it('diffs the upload against the collection for replace and merge without writing', async () => {
+    storage = setStorage(createTrackingAdapter({
+      emigrants: { 1990: { single: 1 }, 1991: { single: 2 } }
+    }));
+
+    const { replace, merge } = await previewCollectionImport(
+      [{ year: 1991, single: 5 }, { year: 2000, single: 16 }],
+      'emigrants'
+    );
+
+    expect(replace.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 0 });
+    expect(replace.rows.find(({ status }) => status === 'changed')).toEqual({
+      year: '1991',
+      status: 'changed',
+      changes: [{ column: 'single', before: 2, after: 5 }]
+    });
+    expect(merge.summary).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+    expect(touchedCollections.size).toBe(0);
+  });
+});
+
+describe('clearCollection', () => {
+  it(`deletes documents in batches of at most ${BATCH_SIZE}`, async () => {
+    const documents = Object.fromEntries(
+      Array.from({ length: 1000 }, (_, index) => [`doc${index}`, { value: index }])
+    );
+    storage = setStorage(createTrackingAdapter({ emigrants: documents }));
+
+    await clearCollection('emigrants');
+
+    expect(await storage.getDocuments('emigrants')).toEqual([]);
+    expect(batchSizes).toEqual([BATCH_SIZE, BATCH_SIZE, 1000 - 2 * BATCH_SIZE]);
+  });
+});
+
+describe('dataset-tagged records', () => {
+  beforeEach(() => {
+    storage = setStorage(createMemoryAdapter({
+      initialData: {
+        emigrants: {
+          r1: { dataset: 'sex', year: 1990, male: 1 },
+          r2: { dataset: 'Percentage of total', year: 1990, value: 3 },
+          r3: { source: 'Emigrant-1981-2020-Age.csv', year: 1990, value: 4 },
+          r4: { dataset: 'civil-status', year: 1991, single: 5 },
+          r5: { dataset: 'Civil Status', year: 1992, single: 6 },
+          r6: { dataset: 'sex', year: 1991, male: 2 },
+          1990: { single: 1 }
+        }
+      }
+    }));
+  });
+
+  it('queries records by exact dataset key with pagination', async () => {
+    const first = await fetchRecordsByDataset('sex', { pageSize: 1 });
+    expect(first.records).toEqual([{ id: 'r1', dataset: 'sex', year: 1990, male: 1 }]);
+
+    const second = await fetchRecordsByDataset('sex', { pageSize: 1, cursor: first.nextCursor });
+    expect(second.records.map(({ id }) => id)).toEqual(['r6']);
+    expect(second.nextCursor).toBeNull();
+
+    await expect(fetchRecordsByDataset('percentage')).rejects.toThrow('Unknown dataset');
+  });
+
+  it('matches whole words only when classifying legacy tags', () => {
+    expect(classifyRecordDataset({ dataset: 'Percentage of total' })).toEqual([]);
+    expect(classifyRecordDataset({ source: 'Emigrant-1981-2020-Age.csv' })).toEqual(['age']);
+    expect(classifyRecordDataset({ dataset: 'Civil Status' })).toEqual(['civil-status']);
+    expect(classifyRecordDataset({ source: 'Emigrant-1988-2020-PlaceOfOrigin.csv' })).toEqual(['place-of-origin']);
+    expect(classifyRecordDataset({ dataset: 'age', source: 'sex.csv' })).toEqual(['age']);
+  });
+
+  it('re-tags loosely tagged records and reports unresolved ones', async () => {
+    const preview = await migrateDatasetRecordTags({ dryRun: true });
+    expect((await storage.getDocument('emigrants', 'r3')).data.dataset).toBeUndefined();
+
+    const report = await migrateDatasetRecordTags();
+    expect(report).toEqual(preview);
+    expect(report).toMatchObject({ scanned: 6, unchanged: 3 });
+    expect(report.retagged).toEqual([
+      { id: 'r3', from: null, to: 'age' },
+      { id: 'r5', from: 'Civil Status', to: 'civil-status' }
+    ]);
+    expect(report.unresolved.map(({ id }) => id)).toEqual(['r2']);
+
+    const { records } = await fetchRecordsByDataset('civil-status');
+    expect(records.map(({ id }) => id)).toEqual(['r4', 'r5']);
+    expect(records[1].legacyDataset).toBe('Civil Status');
+  });
+});
@@ -0,0 +1,286 @@
+// src/services/forecastModelService.js
+import * as tf from "@tensorflow/tfjs";
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+import { DEFAULT_PREPARATION_OPTIONS } from "../utils/dataPreparation";
+import { validateModelConfig } from "../utils/sharedTrainingPipeline";
+
+/**
+ * ============================================
+ * SHARED FORECAST MODELS
+ * ============================================
+ *
+ * Forecast configurations are registered once and retrained by the server
+ * (server/retraining.js) on a schedule and whenever the data they train on
+ * changes. Each configuration is a document in "forecast_configs":
+ *
+ *   {
+ *     name,
+ *     collection,          // uploaded collection to train on
+ *     modelType,           // "LSTM" or "MLP"
+ *     yearKey, target, features,
+ *     hyperparameters,     // lookback, epochs, layer sizes, ... (see ForecastPanel)
+ *     scheduleHours,       // retrain at least this often; 0 = only when the data changes
+ *     retrainOnDataChange,
+ *     createdAt, createdBy, updatedAt,
+ *     status,              // one of FORECAST_STATUS, written by the server
+ *     lastTrainedAt, lastReason, lastDataHash, lastError
+ *   }
+ *
+ * The latest model of a configuration is stored under the same ID in
+ * "forecast_models", so every user's ForecastPanel loads the same model:
+ *
+ *   {
+ *     configId, name, collection, modelType,
+ *     trainedAt, dataHash, metrics,
+ *     metadata,            // JSON of the ForecastPanel metadata
+ *     modelTopology,       // JSON
+ *     weightSpecs,         // JSON
+ *     weightData           // base64
+ *   }
+ *
+ * Topology and metadata are kept as JSON strings because Firestore cannot
+ * store nested arrays or undefined values.
+ */
+
+export const FORECAST_CONFIGS_COLLECTION = "forecast_configs";
+export const FORECAST_MODELS_COLLECTION = "forecast_models";
+
+export const FORECAST_MODEL_TYPES = ["LSTM", "MLP"];
+
+export const FORECAST_STATUS = {
+  IDLE: "idle",
+  TRAINING: "training",
+  FAILED: "failed"
+};
+
+export const RETRAIN_REASONS = {
+  FIRST: "first-training",
+  DATA_CHANGED: "data-changed",
+  SCHEDULE: "schedule",
+  MANUAL: "manual"
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toActor = (user) => (user ? { uid: user.uid || null, email: user.email || null } : null);
+
+const toConfigs = (documents = []) =>
+  documents
+    .map(({ id, data }) => ({ ...data, id }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+/**
+ * Validated configuration fields from user input.
+ * @param {Object} input - { name, collection, modelType, yearKey, target, features, hyperparameters, scheduleHours, retrainOnDataChange }
+ * @returns {Object}
+ */
+export const normalizeForecastConfig = ({
+  name,
+  collection,
+  modelType,
+  yearKey = DEFAULT_PREPARATION_OPTIONS.yearKey,
+  target,
+  features,
+  hyperparameters = {},
+  scheduleHours = 24,
+  retrainOnDataChange = true
+}) => {
+  const label = String(name || "").trim();
+  const hours = Number(scheduleHours);
+  if (!label) throw new Error("Give the forecast a name.");
+  if (!String(collection || "").trim()) throw new Error("Choose the collection to train on.");
+  if (!FORECAST_MODEL_TYPES.includes(modelType)) throw new Error(`Unknown model type ${modelType}.`);
+  if (!Number.isFinite(hours) || hours < 0) throw new Error("The schedule must be zero or more hours.");
+  validateModelConfig({ lookback: hyperparameters.lookback, features, target });
+
+  return {
+    name: label,
+    collection: String(collection).trim(),
+    modelType,
+    yearKey,
+    target,
+    features: [...features],
+    hyperparameters: { ...hyperparameters, modelType },
+    scheduleHours: hours,
+    retrainOnDataChange: Boolean(retrainOnDataChange)
+  };
+};
+
+// cleanData options for a configuration, as ForecastPanel builds them
+export const forecastPreparation = ({ yearKey, target, features }) => ({
+  ...DEFAULT_PREPARATION_OPTIONS,
+  yearKey,
+  target,
+  features,
+  requiredFields: [yearKey, ...features],
+  featureDefaults: Object.fromEntries(features.map((feature) => [feature, 0])),
+  dropInvalid: true,
+  allowNegative: []
+});
+
+/**
+ * Why a configuration should be retrained now, or null when it is current.
+ * @param {Object} config - stored configuration
+ * @param {Object} state
+ * @param {string} state.dataHash - hash of the collection's current documents
+ * @param {number} [state.now] - epoch milliseconds
+ * @returns {string|null} one of RETRAIN_REASONS
+ */
+export const getRetrainReason = (config, { dataHash, now = Date.now() }) => {
+  if (!config.lastTrainedAt) return RETRAIN_REASONS.FIRST;
+  if (config.retrainOnDataChange && dataHash !== config.lastDataHash) return RETRAIN_REASONS.DATA_CHANGED;
+  if (config.scheduleHours > 0 && now - Date.parse(config.lastTrainedAt) >= config.scheduleHours * HOUR_MS) {
+    return RETRAIN_REASONS.SCHEDULE;
+  }
+  return null;
+};
+
+// ========== CONFIGURATIONS ==========
+
+export const createForecastConfig = async (input, createdBy = null) => {
+  const now = new Date().toISOString();
+  const config = {
+    ...normalizeForecastConfig(input),
+    createdAt: now,
+    createdBy: toActor(createdBy),
+    updatedAt: now,
+    status: FORECAST_STATUS.IDLE,
+    lastTrainedAt: null,
+    lastReason: null,
+    lastDataHash: null,
+    lastError: null
+  };
+
+  try {
+    const id = await getStorage().addDocument(FORECAST_CONFIGS_COLLECTION, config);
+    return { ...config, id };
+  } catch (error) {
+    console.error("Error registering forecast:", error);
+    throw error;
+  }
+};
+
+export const getForecastConfig = async (id) => {
+  try {
+    const config = await getStorage().getDocument(FORECAST_CONFIGS_COLLECTION, id);
+    return config ? { ...config.data, id: config.id } : null;
+  } catch (error) {
+    console.error("Error loading forecast configuration:", error);
+    throw error;
+  }
+};
+
+export const listForecastConfigs = async () => {
+  try {
+    return toConfigs(await getStorage().getDocuments(FORECAST_CONFIGS_COLLECTION));
+  } catch (error) {
+    console.error("Error listing forecast configurations:", error);
+    throw error;
+  }
+};
+
+// Status fields written while retraining; not validated
+export const updateForecastStatus = async (id, changes) => {
+  try {
+    await getStorage().updateDocument(FORECAST_CONFIGS_COLLECTION, id, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Error updating forecast status:", error);
+    throw error;
+  }
+};
+
+// Removes the configuration and its stored model
+export const deleteForecastConfig = async (id) => {
+  try {
+    await getStorage().deleteDocument(FORECAST_MODELS_COLLECTION, id);
+    await getStorage().deleteDocument(FORECAST_CONFIGS_COLLECTION, id);
+  } catch (error) {
+    console.error("Error deleting forecast configuration:", error);
+    throw error;
+  }
+};
+
+// Real-time list of configurations, by name
+export const subscribeToForecastConfigs = (onData, onError) =>
+  subscribeCollection(FORECAST_CONFIGS_COLLECTION, (documents) => onData(toConfigs(documents)), onError);
+
+// ========== MODELS ==========
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0)).buffer;
+
+// Topology and weights of a trained model, without writing it anywhere
+const captureArtifacts = async (model) => {
+  let captured = null;
+  await model.save(tf.io.withSaveHandler(async (artifacts) => {
+    captured = artifacts;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+  }));
+  return captured;
+};
+
+/**
+ * Store the latest model of a configuration.
+ * @param {Object} config - the configuration, with its id
+ * @param {tf.LayersModel} model
+ * @param {Object} metadata - see buildForecastMetadata in utils/sharedTrainingPipeline.js
+ * @param {string} dataHash - hash of the documents it was trained on
+ */
+export const saveForecastModel = async (config, model, metadata, dataHash) => {
+  const { modelTopology, weightSpecs, weightData } = await captureArtifacts(model);
+  const stored = {
+    configId: config.id,
+    name: config.name,
+    collection: config.collection,
+    modelType: metadata.modelType,
+    trainedAt: metadata.trainedAt,
+    dataHash,
+    metrics: metadata.metrics,
+    metadata: JSON.stringify(metadata),
+    modelTopology: JSON.stringify(modelTopology),
+    weightSpecs: JSON.stringify(weightSpecs),
+    weightData: toBase64(weightData)
+  };
+
+  try {
+    await getStorage().setDocument(FORECAST_MODELS_COLLECTION, config.id, stored);
+  } catch (error) {
+    console.error("Error saving forecast model:", error);
+    throw error;
+  }
+};
+
+/**
+ * Load the latest model of a configuration.
+ * @param {string} configId
+ * @returns {Promise<{ model: tf.LayersModel, metadata: Object }|null>} null before the first training
+ */
+export const loadForecastModel = async (configId) => {
+  try {
+    const stored = await getStorage().getDocument(FORECAST_MODELS_COLLECTION, configId);
+    if (!stored) return null;
+
+    const { modelTopology, weightSpecs, weightData, metadata } = stored.data;
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology: JSON.parse(modelTopology),
+      weightSpecs: JSON.parse(weightSpecs),
+      weightData: fromBase64(weightData)
+    }));
+    return { model, metadata: JSON.parse(metadata) };
+  } catch (error) {
+    console.error("Error loading forecast model:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import { buildMLPModel } from '../models/mlpModel';
+import {
+  FORECAST_CONFIGS_COLLECTION,
+  FORECAST_STATUS,
+  RETRAIN_REASONS,
+  createForecastConfig,
+  getRetrainReason,
+  loadForecastModel,
+  saveForecastModel
+} from './forecastModelService';
+
+const analyst = { uid: 'u1', email: 'analyst@example.edu' };
+
+const input = {
+  name: ' Emigrants MLP ',
+  collection: 'emigrants',
+  modelType: 'MLP',
+  target: 'emigrants',
+  features: ['emigrants'],
+  hyperparameters: { lookback: 2, hiddenUnits: [4], epochs: 2 },
+  scheduleHours: 24
+};
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter());
+});
+
+describe('forecast configurations', () => {
+  it('stores a validated configuration waiting for its first training', async () => {
+    const config = await createForecastConfig(input, analyst);
+
+    const stored = (await storage.getDocument(FORECAST_CONFIGS_COLLECTION, config.id)).data;
+    expect(stored).toMatchObject({
+      name: 'Emigrants MLP',
+      yearKey: 'year',
+      status: FORECAST_STATUS.IDLE,
+      lastTrainedAt: null,
+      createdBy: analyst,
+      hyperparameters: { lookback: 2, modelType: 'MLP' }
+    });
+
+    await expect(createForecastConfig({ ...input, modelType: 'GRU' })).rejects.toThrow('model type');
+    await expect(createForecastConfig({ ...input, features: [] })).rejects.toThrow('feature');
+  });
+
+  it('is due when untrained, when its data changed or when its schedule passed', () => {
+    const trainedAt = '2024-01-01T00:00:00.000Z';
+    const config = { ...input, retrainOnDataChange: true, lastTrainedAt: trainedAt, lastDataHash: 'abc' };
+    const hour = 60 * 60 * 1000;
+    const at = (hours) => Date.parse(trainedAt) + hours * hour;
+
+    expect(getRetrainReason({ ...config, lastTrainedAt: null }, { dataHash: 'abc', now: at(1) })).toBe(RETRAIN_REASONS.FIRST);
+    expect(getRetrainReason(config, { dataHash: 'abc', now: at(1) })).toBeNull();
+    expect(getRetrainReason(config, { dataHash: 'def', now: at(1) })).toBe(RETRAIN_REASONS.DATA_CHANGED);
+    expect(getRetrainReason(config, { dataHash: 'abc', now: at(24) })).toBe(RETRAIN_REASONS.SCHEDULE);
+    expect(getRetrainReason({ ...config, scheduleHours: 0 }, { dataHash: 'abc', now: at(1000) })).toBeNull();
+  });
+});
+
+describe('forecast models', () => {
+  it('round-trips a model and its metadata through storage', async () => {
+    const model = buildMLPModel(2, 1, { hiddenUnits: [4] });
+    const metadata = { modelType: 'MLP', lookback: 2, trainedAt: '2024-01-01T00:00:00.000Z', metrics: { mae: 1 } };
+
+    await saveForecastModel({ id: 'f1', name: 'Test', collection: 'emigrants' }, model, metadata, 'abc');
+    const loaded = await loadForecastModel('f1');
+
+    expect(loaded.metadata).toEqual(metadata);
+    const original = model.getWeights().map((weights) => Array.from(weights.dataSync()));
+    const restored = loaded.model.getWeights().map((weights) => Array.from(weights.dataSync()));
+    expect(restored).toEqual(original);
+    expect(await loadForecastModel('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+// src/services/importProfileService.js
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+import { BUILT_IN_IMPORT_PROFILES, getBuiltInProfile, validateImportProfile } from "../utils/importProfiles";
+
+/**
+ * ============================================
+ * SAVED IMPORT PROFILES
+ * ============================================
+ *
+ * Import profiles saved from CsvUploader's mapping editor, one document per
+ * profile in "import_profiles" (the shape is described in
+ * utils/importProfiles.js), plus createdAt, createdBy and updatedAt.
+ *
+ * Lists always include BUILT_IN_IMPORT_PROFILES after the saved ones, so a
+ * saved profile wins when both fit a header row equally well.
+ */
+
+export const IMPORT_PROFILES_COLLECTION = "import_profiles";
+
+const toActor = (user) => (user ? { uid: user.uid || null, email: user.email || null } : null);
+
+const toProfiles = (documents = []) => [
+  ...documents
+    .map(({ id, data }) => ({ ...data, id }))
+    .sort((a, b) => String(a.name).localeCompare(String(b.name))),
+  ...BUILT_IN_IMPORT_PROFILES
+];
+
+export const listImportProfiles = async () => {
+  try {
+    return toProfiles(await getStorage().getDocuments(IMPORT_PROFILES_COLLECTION));
+  } catch (error) {
+    console.error("Error listing import profiles:", error);
+    throw error;
+  }
+};
+
+// A saved or built-in profile, or null
+export const getImportProfile = async (id) => {
+  const builtIn = getBuiltInProfile(id);
+  if (builtIn) return builtIn;
+
+  try {
+    const stored = await getStorage().getDocument(IMPORT_PROFILES_COLLECTION, id);
+    return stored ? { ...stored.data, id: stored.id } : null;
+  } catch (error) {
+    console.error("Error loading import profile:", error);
+    throw error;
+  }
+};
+
+/**
+ * Save a profile from the mapping editor.
+ * @param {Object} input - { name, dataset, columns, otherColumns }
+ * @param {Object} [createdBy] - { uid, email }
+ * @returns {Promise<Object>} the saved profile with its id
+ */
+export const saveImportProfile = async (input, createdBy = null) => {
+  const { name, dataset = null, columns, otherColumns = null } = validateImportProfile(input);
+  const now = new Date().toISOString();
+  const profile = { name, dataset, columns, otherColumns, createdAt: now, createdBy: toActor(createdBy), updatedAt: now };
+
+  try {
+    const id = await getStorage().addDocument(IMPORT_PROFILES_COLLECTION, profile);
+    return { ...profile, id };
+  } catch (error) {
+    console.error("Error saving import profile:", error);
+    throw error;
+  }
+};
+
+export const deleteImportProfile = async (id) => {
+  if (getBuiltInProfile(id)) throw new Error("Built-in profiles cannot be deleted.");
+
+  try {
+    await getStorage().deleteDocument(IMPORT_PROFILES_COLLECTION, id);
+  } catch (error) {
+    console.error("Error deleting import profile:", error);
+    throw error;
+  }
+};
+
+// Real-time list of saved profiles by name, then the built-in ones
+export const subscribeToImportProfiles = (onData, onError) =>
+  subscribeCollection(IMPORT_PROFILES_COLLECTION, (documents) => onData(toProfiles(documents)), onError);
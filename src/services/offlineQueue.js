@@ -0,0 +1,376 @@
+// src/services/offlineQueue.js
+import { getStorage } from "./storage";
+import { stableStringify } from "./versionService";
+import { getCurrentAuditUser } from "./auditService";
+import { getCachedDocument } from "./subscriptionCache";
+import {
+  addRecord,
+  updateRecord,
+  deleteRecord,
+  prepareDataForFirebase,
+  resolveCollectionName
+} from "./firestoreService";
+import {
+  addDatasetValue,
+  updateDatasetValue,
+  deleteDatasetValue,
+  deleteDatasetCategory,
+  locateDatasetCell,
+  readDatasetCell
+} from "./datasetRepository";
+import { createIndexedDbQueueStore, createMemoryQueueStore } from "./offlineQueueStore";
+
+/**
+ * ============================================
+ * OFFLINE MUTATION QUEUE
+ * ============================================
+ *
+ * Edits made through performMutation() go straight to storage while online.
+ * When the browser is offline, or the write fails with a network error, the
+ * edit is queued in IndexedDB instead and replayed in order on reconnect.
+ *
+ * Each queued mutation remembers the value it was based on (from the shared
+ * subscription cache). Before replaying, the server's current value is read
+ * again; if someone else changed it meanwhile the mutation is parked as a
+ * conflict for the user to resolve (keep mine / take theirs):
+ *
+ *   {
+ *     id, kind, args, description,
+ *     collection, documentId, cellKey,   // what the edit targets
+ *     proposed,      // value the edit writes, null for deletes
+ *     base,          // stable JSON of the value the edit started from, null if unknown
+ *     status,        // one of MUTATION_STATUS
+ *     remote,        // server value found during replay (conflicts)
+ *     error,         // message of a non-network failure
+ *     createdAt, createdBy
+ *   }
+ */
+
+export const MUTATION_STATUS = {
+  PENDING: "pending",
+  CONFLICT: "conflict",
+  FAILED: "failed"
+};
+
+export const CONFLICT_RESOLUTIONS = {
+  KEEP_MINE: "keep-mine",
+  TAKE_THEIRS: "take-theirs"
+};
+
+const formatCategory = (value = "") => String(value).replace(/__/g, " ");
+
+const recordTarget = (collectionName, id) => ({
+  collection: resolveCollectionName(collectionName),
+  documentId: String(id),
+  cellKey: null
+});
+
+const cellTarget = (datasetKey, category, year = null) => {
+  const { collection, documentId, key } = locateDatasetCell(datasetKey, category, year);
+  return { collection, documentId, cellKey: key };
+};
+
+/**
+ * Operations that can be queued. Arguments are stored as-is, so they must
+ * be plain data.
+ *
+ * - run: the real write
+ * - target: { collection, documentId, cellKey } the write touches
+ * - read: the part of the document compared for conflicts
+ * - describe: label shown in the pending-changes list
+ * - proposed: value the edit writes (omitted for deletes)
+ * - preview: what run would have returned, for callers of a queued write
+ */
+const MUTATION_KINDS = {
+  "record.add": {
+    run: addRecord,
+    target: (data, collectionName) => recordTarget(collectionName, prepareDataForFirebase(data).year),
+    read: (args, documentData) => documentData,
+    describe: (data, collectionName) =>
+      `Add ${prepareDataForFirebase(data).year} to ${resolveCollectionName(collectionName)}`,
+    proposed: (data) => prepareDataForFirebase(data).fields,
+    preview: (data) => {
+      const { year, fields } = prepareDataForFirebase(data);
+      return { id: String(year), year, ...fields };
+    }
+  },
+  "record.update": {
+    run: updateRecord,
+    target: (id, data, collectionName) => recordTarget(collectionName, id),
+    read: (args, documentData) => documentData,
+    describe: (id, data, collectionName) => `Edit ${id} in ${resolveCollectionName(collectionName)}`,
+    proposed: (id, data) => prepareDataForFirebase(data).fields,
+    preview: (id, data) => {
+      const { year, fields } = prepareDataForFirebase(data);
+      return { id: String(year), year, ...fields };
+    }
+  },
+  "record.delete": {
+    run: deleteRecord,
+    target: (id, collectionName) => recordTarget(collectionName, id),
+    read: (args, documentData) => documentData,
+    describe: (id, collectionName) => `Delete ${id} from ${resolveCollectionName(collectionName)}`
+  },
+  "dataset.add": {
+    run: addDatasetValue,
+    target: cellTarget,
+    read: ([datasetKey], documentData, cellKey) => readDatasetCell(datasetKey, documentData, cellKey),
+    describe: (datasetKey, category, year, count) => `Add ${formatCategory(category)} ${year} = ${count}`,
+    proposed: (datasetKey, category, year, count) => count
+  },
+  "dataset.update": {
+    run: updateDatasetValue,
+    target: cellTarget,
+    read: ([datasetKey], documentData, cellKey) => readDatasetCell(datasetKey, documentData, cellKey),
+    describe: (datasetKey, category, year, count) => `Set ${formatCategory(category)} ${year} = ${count}`,
+    proposed: (datasetKey, category, year, count) => count
+  },
+  "dataset.delete": {
+    run: deleteDatasetValue,
+    target: cellTarget,
+    read: ([datasetKey], documentData, cellKey) => readDatasetCell(datasetKey, documentData, cellKey),
+    describe: (datasetKey, category, year) => `Delete ${formatCategory(category)} ${year}`
+  },
+  "dataset.deleteCategory": {
+    run: deleteDatasetCategory,
+    target: (datasetKey, category) => cellTarget(datasetKey, category),
+    read: ([datasetKey], documentData, cellKey) => readDatasetCell(datasetKey, documentData, cellKey),
+    describe: (datasetKey, category) => `Delete ${formatCategory(category)} (all years)`
+  }
+};
+
+// ========== QUEUE STATE ==========
+
+let queueStore = null;
+let mutations = [];
+let syncing = false;
+let started = false;
+const listeners = new Set();
+
+const getQueueStore = () => {
+  if (!queueStore) queueStore = createMemoryQueueStore();
+  return queueStore;
+};
+
+export const isOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+// Firestore reports lost connectivity as "unavailable"; fetch as a TypeError
+export const isNetworkError = (error) =>
+  ["unavailable", "deadline-exceeded"].includes(error?.code) ||
+  /offline|network|failed to fetch/i.test(error?.message || "");
+
+const getKind = (kind) => {
+  const definition = MUTATION_KINDS[kind];
+  if (!definition) throw new Error(`Unknown mutation kind: ${kind}`);
+  return definition;
+};
+
+const snapshotState = () => ({
+  mutations: mutations.map((mutation) => ({ ...mutation })),
+  online: isOnline(),
+  syncing
+});
+
+const notify = () => {
+  const state = snapshotState();
+  listeners.forEach((listener) => listener(state));
+};
+
+const saveMutation = async (mutation) => {
+  await getQueueStore().put(mutation);
+  mutations = mutations.map((item) => (item.id === mutation.id ? mutation : item));
+  notify();
+};
+
+const dropMutation = async (id) => {
+  await getQueueStore().remove(id);
+  mutations = mutations.filter((item) => item.id !== id);
+  notify();
+};
+
+// Stable JSON of the part of a document a mutation is compared on
+const readValue = (definition, mutation, documentData) =>
+  stableStringify(definition.read(mutation.args, documentData, mutation.cellKey) ?? null);
+
+const enqueue = async (kind, args) => {
+  const definition = getKind(kind);
+  const target = definition.target(...args);
+  const cached = target.documentId === null
+    ? { known: false }
+    : getCachedDocument(target.collection, target.documentId);
+
+  const mutation = {
+    kind,
+    args,
+    description: definition.describe(...args),
+    proposed: definition.proposed?.(...args) ?? null,
+    ...target,
+    base: cached.known ? readValue(definition, { args, ...target }, cached.data) : null,
+    status: MUTATION_STATUS.PENDING,
+    remote: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    createdBy: getCurrentAuditUser()
+  };
+
+  const id = await getQueueStore().add(mutation);
+  mutations = [...mutations, { ...mutation, id }];
+  notify();
+  return { queued: true, mutationId: id, ...(definition.preview?.(...args) || {}) };
+};
+
+/**
+ * Run a write now, or queue it when offline (or when earlier writes are
+ * still queued, so edits reach the server in the order they were made).
+ *
+ * @param {string} kind - key of MUTATION_KINDS, e.g. "dataset.update"
+ * @param {...*} args - arguments of the underlying service function
+ * @returns {Promise<*>} the service result, or { queued: true, mutationId, ...preview }
+ */
+export const performMutation = async (kind, ...args) => {
+  const definition = getKind(kind);
+  const hasPending = mutations.some((mutation) => mutation.status === MUTATION_STATUS.PENDING);
+
+  if (!isOnline() || hasPending) return enqueue(kind, args);
+
+  try {
+    return await definition.run(...args);
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    console.warn(`[OfflineQueue] ${kind} failed while offline, queued for later:`, error);
+    return enqueue(kind, args);
+  }
+};
+
+const sameTarget = (a, b) =>
+  a.collection === b.collection && a.documentId === b.documentId && a.cellKey === b.cellKey;
+
+// After a replay, later edits of the same value start from what is now stored
+const rebaseFollowing = async (mutation, definition) => {
+  if (mutation.base === null) return;
+  const followers = mutations.filter((item) =>
+    item.id > mutation.id && item.status === MUTATION_STATUS.PENDING && item.base !== null && sameTarget(item, mutation));
+  if (followers.length === 0) return;
+
+  const server = await getStorage().getDocument(mutation.collection, mutation.documentId);
+  for (const follower of followers) {
+    await saveMutation({ ...follower, base: readValue(definition, follower, server?.data ?? null) });
+  }
+};
+
+/**
+ * Replay pending mutations oldest first. Stops at the first network error
+ * (still offline); conflicting or failing mutations are parked for review.
+ *
+ * @returns {Promise<{ replayed: number, conflicts: number, failed: number }>}
+ */
+export const replayQueue = async () => {
+  const summary = { replayed: 0, conflicts: 0, failed: 0 };
+  if (syncing || !isOnline()) return summary;
+
+  syncing = true;
+  notify();
+  try {
+    for (const queued of mutations.filter((item) => item.status === MUTATION_STATUS.PENDING)) {
+      // Re-read: a conflict may have been resolved while earlier entries replayed
+      const mutation = mutations.find((item) => item.id === queued.id);
+      if (mutation?.status !== MUTATION_STATUS.PENDING) continue;
+      const definition = getKind(mutation.kind);
+
+      try {
+        if (mutation.base !== null) {
+          const server = await getStorage().getDocument(mutation.collection, mutation.documentId);
+          const remote = readValue(definition, mutation, server?.data ?? null);
+          if (remote !== mutation.base) {
+            await saveMutation({ ...mutation, status: MUTATION_STATUS.CONFLICT, remote: JSON.parse(remote) });
+            summary.conflicts += 1;
+            continue;
+          }
+        }
+
+        await definition.run(...mutation.args);
+        await dropMutation(mutation.id);
+        await rebaseFollowing(mutation, definition);
+        summary.replayed += 1;
+      } catch (error) {
+        if (isNetworkError(error)) break;
+        console.error(`[OfflineQueue] Replaying ${mutation.kind} failed:`, error);
+        await saveMutation({ ...mutation, status: MUTATION_STATUS.FAILED, error: error.message });
+        summary.failed += 1;
+      }
+    }
+    return summary;
+  } finally {
+    syncing = false;
+    notify();
+  }
+};
+
+/**
+ * Settle a conflicting or failed mutation: write it anyway (keep mine)
+ * or drop it in favour of the server's value (take theirs).
+ */
+export const resolveMutation = async (id, resolution) => {
+  const mutation = mutations.find((item) => item.id === id);
+  if (!mutation) throw new Error("Queued change not found");
+
+  try {
+    if (resolution === CONFLICT_RESOLUTIONS.KEEP_MINE) {
+      await getKind(mutation.kind).run(...mutation.args);
+    } else if (resolution !== CONFLICT_RESOLUTIONS.TAKE_THEIRS) {
+      throw new Error(`Unknown resolution: ${resolution}`);
+    }
+    await dropMutation(id);
+  } catch (error) {
+    console.error("Error resolving queued change:", error);
+    throw error;
+  }
+};
+
+/**
+ * Listen to the queue; the listener is called right away and after every
+ * change with { mutations, online, syncing }.
+ *
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  listener(snapshotState());
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Load the persisted queue and replay it whenever the browser reconnects.
+ * Called once from main.jsx; falls back to an in-memory queue without IndexedDB.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - queue store (see offlineQueueStore.js)
+ */
+export const initOfflineQueue = async ({ store } = {}) => {
+  if (store) {
+    queueStore = store;
+  } else if (!queueStore) {
+    try {
+      queueStore = await createIndexedDbQueueStore();
+    } catch (error) {
+      console.warn("[OfflineQueue] IndexedDB unavailable, queue will not survive reloads:", error);
+      queueStore = createMemoryQueueStore();
+    }
+  }
+
+  mutations = (await queueStore.list()).sort((a, b) => a.id - b.id);
+  notify();
+
+  if (!started && typeof window !== "undefined") {
+    started = true;
+    window.addEventListener("online", () => {
+      notify();
+      replayQueue();
+    });
+    window.addEventListener("offline", notify);
+  }
+
+  if (isOnline()) await replayQueue();
+  return queueStore;
+};
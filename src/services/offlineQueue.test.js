@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import { resetSubscriptionCache } from './subscriptionCache';
+import { fetchDataset, subscribeToDataset } from './datasetRepository';
+import { createMemoryQueueStore } from './offlineQueueStore';
+import {
+  CONFLICT_RESOLUTIONS,
+  MUTATION_STATUS,
+  initOfflineQueue,
+  performMutation,
+  replayQueue,
+  resolveMutation,
+  subscribeToQueue
+} from './offlineQueue';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const networkError = () => Object.assign(new Error('Failed to get document because the client is offline.'), {
+  code: 'unavailable'
+});
+
+let storage;
+let queueStore;
+let onlineGetDocument;
+
+// Reads fail the way Firestore does without a connection
+const goOffline = () => {
+  storage.getDocument = () => Promise.reject(networkError());
+};
+
+const goOnline = () => {
+  storage.getDocument = onlineGetDocument;
+};
+
+const currentQueue = () => {
+  let state;
+  subscribeToQueue((next) => { state = next; })();
+  return state.mutations;
+};
+
+const countOf = async (category, year) =>
+  (await fetchDataset('age')).find((row) => row.category === category && row.year === year)?.count;
+
+beforeEach(async () => {
+  resetSubscriptionCache();
+  storage = setStorage(createMemoryAdapter({
+    initialData: {
+      emigrant_age: { '15__19': { yearly_data: { 1981: 3 } } }
+    }
+  }));
+  onlineGetDocument = storage.getDocument;
+  queueStore = createMemoryQueueStore();
+  await initOfflineQueue({ store: queueStore });
+
+  subscribeToDataset('age', () => {});
+  await flush();
+});
+
+describe('performMutation', () => {
+  it('writes straight through while online', async () => {
+    const result = await performMutation('dataset.update', 'age', '15__19', 1981, 4);
+    expect(result).toEqual({ ageGroup: '15__19', year: 1981, count: 4 });
+    expect(currentQueue()).toHaveLength(0);
+  });
+
+  it('queues writes that fail offline and replays them in order on reconnect', async () => {
+    goOffline();
+    const first = await performMutation('dataset.update', 'age', '15__19', 1981, 10);
+    const second = await performMutation('dataset.update', 'age', '15__19', 1981, 12);
+
+    expect(first).toMatchObject({ queued: true });
+    expect(second).toMatchObject({ queued: true });
+    expect(await queueStore.list()).toHaveLength(2);
+    expect(currentQueue()[0]).toMatchObject({ status: MUTATION_STATUS.PENDING, proposed: 10, base: '3' });
+
+    goOnline();
+    const summary = await replayQueue();
+
+    expect(summary).toEqual({ replayed: 2, conflicts: 0, failed: 0 });
+    expect(await countOf('15__19', 1981)).toBe(12);
+    expect(await queueStore.list()).toHaveLength(0);
+  });
+});
+
+describe('conflicts', () => {
+  it('parks a queued edit whose value changed on the server and resolves it', async () => {
+    goOffline();
+    await performMutation('dataset.update', 'age', '15__19', 1981, 10);
+    goOnline();
+
+    // Someone else saves while our edit is still queued
+    await storage.setDocument('emigrant_age', '15__19', { yearly_data: { 1981: 7 } });
+
+    const summary = await replayQueue();
+    expect(summary.conflicts).toBe(1);
+    const [conflict] = currentQueue();
+    expect(conflict).toMatchObject({ status: MUTATION_STATUS.CONFLICT, proposed: 10, remote: 7 });
+    expect(await countOf('15__19', 1981)).toBe(7);
+
+    await resolveMutation(conflict.id, CONFLICT_RESOLUTIONS.KEEP_MINE);
+    expect(await countOf('15__19', 1981)).toBe(10);
+    expect(currentQueue()).toHaveLength(0);
+  });
+
+  it('drops the queued edit when the server value is kept', async () => {
+    goOffline();
+    await performMutation('dataset.delete', 'age', '15__19', 1981);
+    goOnline();
+    await storage.setDocument('emigrant_age', '15__19', { yearly_data: { 1981: 7 } });
+
+    await replayQueue();
+    const [conflict] = currentQueue();
+    await resolveMutation(conflict.id, CONFLICT_RESOLUTIONS.TAKE_THEIRS);
+
+    expect(await countOf('15__19', 1981)).toBe(7);
+    expect(await queueStore.list()).toHaveLength(0);
+  });
+});
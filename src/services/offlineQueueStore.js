@@ -0,0 +1,93 @@
+// src/services/offlineQueueStore.js
+
+/**
+ * Persistence for the offline mutation queue (see offlineQueue.js).
+ *
+ * Both stores expose the same interface:
+ *
+ *   list()            → Promise<[mutation]> ordered by id (oldest first)
+ *   add(mutation)     → Promise<id>
+ *   put(mutation)     (mutation.id must be set)
+ *   remove(id)
+ */
+
+const DEFAULT_DB_NAME = "filipino-emigrants-offline";
+const DB_VERSION = 1;
+const MUTATION_STORE = "mutations";
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = (dbName) => {
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    if (!database.objectStoreNames.contains(MUTATION_STORE)) {
+      database.createObjectStore(MUTATION_STORE, { keyPath: "id", autoIncrement: true });
+    }
+  };
+  return requestToPromise(request);
+};
+
+// Keeps the queue for the lifetime of the page only (tests, no IndexedDB)
+export const createMemoryQueueStore = () => {
+  const mutations = new Map();
+  let nextId = 1;
+
+  return {
+    name: "memory",
+
+    async list() {
+      return Array.from(mutations.values()).map((mutation) => structuredClone(mutation));
+    },
+
+    async add(mutation) {
+      const id = nextId++;
+      mutations.set(id, structuredClone({ ...mutation, id }));
+      return id;
+    },
+
+    async put(mutation) {
+      mutations.set(mutation.id, structuredClone(mutation));
+    },
+
+    async remove(id) {
+      mutations.delete(id);
+    }
+  };
+};
+
+/**
+ * Queue store surviving reloads and browser restarts.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.dbName] - IndexedDB database name
+ * @returns {Promise<Object>} queue store
+ */
+export const createIndexedDbQueueStore = async ({ dbName = DEFAULT_DB_NAME } = {}) => {
+  if (typeof indexedDB === "undefined") {
+    throw new Error("IndexedDB is not available in this environment.");
+  }
+
+  const database = await openDatabase(dbName);
+
+  const run = (mode, operation) => {
+    const transaction = database.transaction(MUTATION_STORE, mode);
+    return requestToPromise(operation(transaction.objectStore(MUTATION_STORE)));
+  };
+
+  return {
+    name: "indexeddb",
+
+    list: () => run("readonly", (store) => store.getAll()),
+
+    add: (mutation) => run("readwrite", (store) => store.add(mutation)),
+
+    put: (mutation) => run("readwrite", (store) => store.put(mutation)),
+
+    remove: (id) => run("readwrite", (store) => store.delete(id))
+  };
+};
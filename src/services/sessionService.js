@@ -0,0 +1,185 @@
+// src/services/sessionService.js
+import { getStorage } from "./storage";
+import { subscribeCollection } from "./subscriptionCache";
+
+/**
+ * ============================================
+ * SESSIONS
+ * ============================================
+ *
+ * Firebase Auth keeps a user signed in until they log out. To bound that,
+ * every sign-in on a device opens a session record in "sessions":
+ *
+ *   {
+ *     uid, email,
+ *     device,        // e.g. "Chrome on Windows"
+ *     userAgent,
+ *     createdAt,     // ISO string
+ *     lastActiveAt,  // ISO string, refreshed while the user is active
+ *     expiresAt,     // createdAt + SESSION_MAX_AGE_MS
+ *     endedAt,       // ISO string once logged out, revoked or timed out
+ *     endReason,     // one of SESSION_END_REASONS
+ *     endedBy        // { uid, email } when revoked, else null
+ *   }
+ *
+ * The ID of this device's session is kept in localStorage. useSession signs
+ * the user out when the session expires, is revoked from another device, or
+ * the user stays idle past the idle timeout.
+ */
+
+export const SESSIONS_COLLECTION = "sessions";
+export const SESSION_ID_KEY = "sessionId";
+
+// Hard limit on one sign-in, matching the token lifetime in SIMPLIFIED_DATA_FLOW.md
+export const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const positiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// VITE_IDLE_TIMEOUT_MINUTES (default 30) and VITE_IDLE_WARNING_SECONDS (default 60)
+export const IDLE_TIMEOUT_MS = positiveNumber(import.meta.env?.VITE_IDLE_TIMEOUT_MINUTES, 30) * 60 * 1000;
+export const IDLE_WARNING_MS = positiveNumber(import.meta.env?.VITE_IDLE_WARNING_SECONDS, 60) * 1000;
+
+export const SESSION_END_REASONS = {
+  LOGOUT: "logout",
+  REVOKED: "revoked",
+  IDLE: "idle",
+  EXPIRED: "expired"
+};
+
+export const SESSION_STATES = {
+  ACTIVE: "active",
+  EXPIRED: "expired",
+  ENDED: "ended"
+};
+
+// Short "Browser on OS" label from a user agent string
+export const describeDevice = (userAgent = "") => {
+  const browsers = [["Edg/", "Edge"], ["OPR/", "Opera"], ["Firefox/", "Firefox"], ["Chrome/", "Chrome"], ["Safari/", "Safari"]];
+  const systems = [["Windows", "Windows"], ["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iOS"], ["Mac OS", "macOS"], ["Linux", "Linux"]];
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1] || "Unknown browser";
+  const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+  return system ? `${browser} on ${system}` : browser;
+};
+
+/**
+ * State of a session record at a point in time.
+ * @param {Object|null} session - stored session data
+ * @param {number} [now] - epoch milliseconds
+ * @returns {string} one of SESSION_STATES; missing sessions count as ended
+ */
+export const getSessionState = (session, now = Date.now()) => {
+  if (!session || session.endedAt) return SESSION_STATES.ENDED;
+  return Date.parse(session.expiresAt) <= now ? SESSION_STATES.EXPIRED : SESSION_STATES.ACTIVE;
+};
+
+const toSessions = (documents = []) =>
+  documents
+    .map(({ id, data }) => ({ ...data, id, state: getSessionState(data) }))
+    .sort((a, b) => String(b.lastActiveAt).localeCompare(String(a.lastActiveAt)));
+
+// ========== THIS DEVICE ==========
+
+// Unavailable outside the browser (e.g. in tests)
+const deviceStorage = () => (typeof localStorage === "undefined" ? null : localStorage);
+
+export const getStoredSessionId = () => deviceStorage()?.getItem(SESSION_ID_KEY) || null;
+
+const storeSessionId = (sessionId) => {
+  const storage = deviceStorage();
+  if (!storage) return;
+  if (sessionId) storage.setItem(SESSION_ID_KEY, sessionId);
+  else storage.removeItem(SESSION_ID_KEY);
+};
+
+/**
+ * Open a session for a user who just signed in on this device.
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<Object>} the session, with its id
+ */
+export const startSession = async ({ uid, email }) => {
+  const now = new Date();
+  const userAgent = typeof navigator === "undefined" ? "" : navigator.userAgent || "";
+  const session = {
+    uid,
+    email: email || null,
+    device: describeDevice(userAgent),
+    userAgent,
+    createdAt: now.toISOString(),
+    lastActiveAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS).toISOString(),
+    endedAt: null,
+    endReason: null,
+    endedBy: null
+  };
+
+  try {
+    const id = await getStorage().addDocument(SESSIONS_COLLECTION, session);
+    storeSessionId(id);
+    return { ...session, id };
+  } catch (error) {
+    console.error("Error starting session:", error);
+    throw error;
+  }
+};
+
+export const getSession = async (sessionId) => {
+  if (!sessionId) return null;
+  try {
+    const session = await getStorage().getDocument(SESSIONS_COLLECTION, sessionId);
+    return session ? { ...session.data, id: session.id } : null;
+  } catch (error) {
+    console.error("Error loading session:", error);
+    throw error;
+  }
+};
+
+export const touchSession = async (sessionId) => {
+  try {
+    await getStorage().updateDocument(SESSIONS_COLLECTION, sessionId, { lastActiveAt: new Date().toISOString() });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+  }
+};
+
+/**
+ * Close a session; closing an already closed session keeps its first reason.
+ * @param {string} sessionId
+ * @param {string} reason - one of SESSION_END_REASONS
+ * @param {Object} [endedBy] - { uid, email } of whoever revoked it
+ */
+export const endSession = async (sessionId, reason, endedBy = null) => {
+  if (!sessionId) return;
+  try {
+    const session = await getSession(sessionId);
+    if (session && !session.endedAt) {
+      await getStorage().updateDocument(SESSIONS_COLLECTION, sessionId, {
+        endedAt: new Date().toISOString(),
+        endReason: reason,
+        endedBy: endedBy ? { uid: endedBy.uid || null, email: endedBy.email || null } : null
+      });
+    }
+  } catch (error) {
+    console.error("Error ending session:", error);
+    throw error;
+  } finally {
+    if (sessionId === getStoredSessionId()) storeSessionId(null);
+  }
+};
+
+export const revokeSession = (sessionId, revokedBy) =>
+  endSession(sessionId, SESSION_END_REASONS.REVOKED, revokedBy);
+
+/**
+ * Real-time sessions, most recently active first.
+ * @param {string|null} uid - one user's sessions, or null for everyone's (admins)
+ */
+export const subscribeToSessions = (uid, onData, onError) =>
+  subscribeCollection(
+    SESSIONS_COLLECTION,
+    (documents) => onData(toSessions(documents)),
+    onError,
+    uid ? { where: [["uid", "==", uid]] } : null
+  );
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  SESSION_MAX_AGE_MS,
+  SESSION_STATES,
+  describeDevice,
+  endSession,
+  getSession,
+  getSessionState,
+  revokeSession,
+  startSession
+} from './sessionService';
+
+beforeEach(() => {
+  setStorage(createMemoryAdapter());
+});
+
+describe('getSessionState', () => {
+  it('expires sessions 24 hours after sign-in', async () => {
+    const session = await startSession({ uid: 'u1', email: 'ana@example.com' });
+    const signedIn = Date.parse(session.createdAt);
+
+    expect(getSessionState(session, signedIn + SESSION_MAX_AGE_MS - 1)).toBe(SESSION_STATES.ACTIVE);
+    expect(getSessionState(session, signedIn + SESSION_MAX_AGE_MS)).toBe(SESSION_STATES.EXPIRED);
+    expect(getSessionState(null)).toBe(SESSION_STATES.ENDED);
+  });
+});
+
+describe('ending sessions', () => {
+  it('keeps the first reason and who revoked it', async () => {
+    const { id } = await startSession({ uid: 'u1', email: 'ana@example.com' });
+    const admin = { uid: 'a1', email: 'admin@example.com' };
+
+    await revokeSession(id, admin);
+    await endSession(id, 'logout');
+
+    const session = await getSession(id);
+    expect(session).toMatchObject({ endReason: 'revoked', endedBy: admin });
+    expect(getSessionState(session)).toBe(SESSION_STATES.ENDED);
+  });
+});
+
+describe('describeDevice', () => {
+  it('names the browser and operating system', () => {
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36'))
+      .toBe('Chrome on Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Version/17.0 Mobile Safari/604.1'))
+      .toBe('Safari on iOS');
+    expect(describeDevice('')).toBe('Unknown browser');
+  });
+});
@@ -0,0 +1,109 @@
+// src/services/storage/firestoreAdapter.js
+import {
+  collection,
+  doc,
+  getDocs,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  addDoc,
+  onSnapshot,
+  writeBatch,
+  query,
+  where as whereClause,
+  orderBy as orderByClause,
+  limit as limitClause,
+  startAfter as startAfterClause,
+  documentId
+} from "firebase/firestore";
+
+const toEntry = (snapshot) => ({ id: snapshot.id, data: snapshot.data() });
+
+/**
+ * Storage adapter backed by a Cloud Firestore instance.
+ *
+ * @param {Object} db - Firestore instance exported by ../firebase
+ * @returns {Object} storage adapter
+ */
+export const createFirestoreAdapter = (db) => ({
+  name: "firestore",
+
+  async getDocuments(collectionName) {
+    const querySnapshot = await getDocs(collection(db, collectionName));
+    return querySnapshot.docs.map(toEntry);
+  },
+
+  async getDocument(collectionName, id) {
+    const docSnap = await getDoc(doc(db, collectionName, id));
+    return docSnap.exists() ? toEntry(docSnap) : null;
+  },
+
+  async setDocument(collectionName, id, data, { merge = false } = {}) {
+    await setDoc(doc(db, collectionName, id), data, { merge });
+  },
+
+  async updateDocument(collectionName, id, partial) {
+    await updateDoc(doc(db, collectionName, id), partial);
+  },
+
+  async deleteDocument(collectionName, id) {
+    await deleteDoc(doc(db, collectionName, id));
+  },
+
+  async addDocument(collectionName, data) {
+    const docRef = await addDoc(collection(db, collectionName), data);
+    return docRef.id;
+  },
+
+  // Operations: [{ type: "set" | "delete", collection, id, data }], at most 500 per call
+  async commitBatch(operations = []) {
+    const batch = writeBatch(db);
+    operations.forEach(({ type, collection: collectionName, id, data }) => {
+      const ref = doc(db, collectionName, id);
+      if (type === "delete") batch.delete(ref);
+      else batch.set(ref, data);
+    });
+    await batch.commit();
+  },
+
+  // Server-side filter/order/page; the cursor is the last document ID of the previous page
+  async queryDocuments(collectionName, { where = [], orderBy = null, limit = null, startAfter = null } = {}) {
+    const constraints = where.map(([field, op, value]) => whereClause(field, op, value));
+    constraints.push(orderBy ? orderByClause(orderBy) : orderByClause(documentId()));
+
+    if (startAfter) {
+      const cursorSnap = await getDoc(doc(db, collectionName, startAfter));
+      if (cursorSnap.exists()) constraints.push(startAfterClause(cursorSnap));
+    }
+    // Fetch one extra document to know whether another page exists
+    if (limit) constraints.push(limitClause(limit + 1));
+
+    const querySnapshot = await getDocs(query(collection(db, collectionName), ...constraints));
+    const entries = querySnapshot.docs.map(toEntry);
+    const documents = limit ? entries.slice(0, limit) : entries;
+    const hasMore = limit ? entries.length > limit : false;
+
+    return { documents, nextCursor: hasMore ? documents[documents.length - 1].id : null };
+  },
+
+  // Optional { where, orderBy, limit } narrows the listener to a query
+  subscribe(collectionName, onNext, onError, queryOptions = null) {
+    const source = queryOptions
+      ? query(
+        collection(db, collectionName),
+        ...(queryOptions.where || []).map(([field, op, value]) => whereClause(field, op, value)),
+        queryOptions.orderBy ? orderByClause(queryOptions.orderBy) : orderByClause(documentId()),
+        ...(queryOptions.limit ? [limitClause(queryOptions.limit)] : [])
+      )
+      : collection(db, collectionName);
+
+    return onSnapshot(
+      source,
+      (snapshot) => onNext(snapshot.docs.map(toEntry)),
+      onError
+    );
+  }
+});
+
+export default createFirestoreAdapter;
@@ -0,0 +1,92 @@
+// src/services/storage/index.js
+import { createMemoryAdapter } from "./memoryAdapter";
+
+/**
+ * ============================================
+ * STORAGE ADAPTER REGISTRY
+ * ============================================
+ *
+ * firestoreService and the dataset hooks never talk to Firebase directly;
+ * they go through the active adapter returned by getStorage() (listeners go
+ * through the shared, ref-counted layer in ../subscriptionCache.js). Every adapter
+ * exposes the same document-oriented interface:
+ *
+ *   getDocuments(collection)                  → Promise<[{ id, data }]>
+ *   getDocument(collection, id)               → Promise<{ id, data } | null>
+ *   setDocument(collection, id, data, { merge })
+ *   updateDocument(collection, id, partial)   (rejects if missing)
+ *   deleteDocument(collection, id)
+ *   addDocument(collection, data)             → Promise<id>
+ *   commitBatch([{ type, collection, id, data }])  (atomic, ≤ 500 operations)
+ *   queryDocuments(collection, { where: [[field, "==" | "in", value]],
+ *                  orderBy, limit, startAfter })   → Promise<{ documents, nextCursor }>
+ *   subscribe(collection, onNext, onError, { where, orderBy, limit }?)  → unsubscribe
+ *
+ * The backend is chosen once at startup by initStorage(), from
+ * VITE_STORAGE_BACKEND ("firestore" | "indexeddb" | "memory").
+ * Until then (e.g. in tests) an empty in-memory adapter is used.
+ */
+
+export const STORAGE_BACKENDS = {
+  FIRESTORE: "firestore",
+  INDEXEDDB: "indexeddb",
+  MEMORY: "memory"
+};
+
+let activeAdapter = null;
+
+export const getStorage = () => {
+  if (!activeAdapter) activeAdapter = createMemoryAdapter();
+  return activeAdapter;
+};
+
+export const setStorage = (adapter) => {
+  activeAdapter = adapter;
+  return adapter;
+};
+
+export const resolveStorageBackend = (requested = import.meta.env?.VITE_STORAGE_BACKEND) => {
+  const normalized = String(requested || "").trim().toLowerCase();
+  return Object.values(STORAGE_BACKENDS).includes(normalized)
+    ? normalized
+    : STORAGE_BACKENDS.FIRESTORE;
+};
+
+const createLocalAdapter = async () => {
+  const { createIndexedDbAdapter } = await import("./indexedDbAdapter");
+  try {
+    return await createIndexedDbAdapter();
+  } catch (error) {
+    console.warn("[Storage] IndexedDB unavailable, using in-memory storage:", error);
+    return createMemoryAdapter();
+  }
+};
+
+/**
+ * Select and install the storage backend. Falls back to local storage when
+ * the Firebase project cannot be loaded, so the dashboard still works offline.
+ */
+export const initStorage = async (backend = resolveStorageBackend()) => {
+  const selected = resolveStorageBackend(backend);
+
+  if (selected === STORAGE_BACKENDS.MEMORY) {
+    return setStorage(createMemoryAdapter());
+  }
+
+  if (selected === STORAGE_BACKENDS.INDEXEDDB) {
+    return setStorage(await createLocalAdapter());
+  }
+
+  try {
+    const [{ db }, { createFirestoreAdapter }] = await Promise.all([
+      import("../../firebase"),
+      import("./firestoreAdapter")
+    ]);
+    return setStorage(createFirestoreAdapter(db));
+  } catch (error) {
+    console.error("[Storage] Firestore unavailable, falling back to local storage:", error);
+    return setStorage(await createLocalAdapter());
+  }
+};
+
+export default getStorage;
@@ -0,0 +1,80 @@
+// src/services/storage/indexedDbAdapter.js
+import { createMemoryAdapter } from "./memoryAdapter";
+
+const DEFAULT_DB_NAME = "filipino-emigrants";
+const DB_VERSION = 1;
+const DOCUMENT_STORE = "documents";
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = (dbName) => {
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const database = request.result;
+    if (!database.objectStoreNames.contains(DOCUMENT_STORE)) {
+      database.createObjectStore(DOCUMENT_STORE, { keyPath: ["collection", "id"] });
+    }
+  };
+  return requestToPromise(request);
+};
+
+const readAllDocuments = async (database) => {
+  const transaction = database.transaction(DOCUMENT_STORE, "readonly");
+  const rows = await requestToPromise(transaction.objectStore(DOCUMENT_STORE).getAll());
+
+  // Group rows back into { collectionName: { documentId: data } }
+  return rows.reduce((acc, { collection, id, data }) => {
+    if (!acc[collection]) acc[collection] = {};
+    acc[collection][id] = data;
+    return acc;
+  }, {});
+};
+
+const persistChange = (database, change) =>
+  new Promise((resolve, reject) => {
+    const transaction = database.transaction(DOCUMENT_STORE, "readwrite");
+    const store = transaction.objectStore(DOCUMENT_STORE);
+
+    if (change.type === "delete") {
+      store.delete([change.collection, change.id]);
+    } else {
+      store.put({ collection: change.collection, id: change.id, data: change.data });
+    }
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * Browser-local storage adapter.
+ *
+ * Loads every stored document into an in-memory adapter at startup and
+ * writes each change through to IndexedDB, so reads and listeners stay
+ * synchronous with the UI while data survives reloads without Firebase.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.dbName] - IndexedDB database name
+ * @returns {Promise<Object>} storage adapter
+ */
+export const createIndexedDbAdapter = async ({ dbName = DEFAULT_DB_NAME } = {}) => {
+  if (typeof indexedDB === "undefined") {
+    throw new Error("IndexedDB is not available in this environment.");
+  }
+
+  const database = await openDatabase(dbName);
+  const initialData = await readAllDocuments(database);
+
+  const adapter = createMemoryAdapter({
+    initialData,
+    onWrite: (change) => persistChange(database, change)
+  });
+
+  return { ...adapter, name: "indexeddb" };
+};
+
+export default createIndexedDbAdapter;
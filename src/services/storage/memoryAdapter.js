@@ -0,0 +1,196 @@
+// src/services/storage/memoryAdapter.js
+
+/**
+ * In-memory storage adapter.
+ *
+ * Keeps documents in a Map per collection and mimics the subset of Firestore
+ * behaviour the app relies on (document IDs, merge writes, live listeners).
+ * Used directly in tests and as the core of the IndexedDB adapter, which
+ * hydrates it on startup and persists every write through `onWrite`.
+ */
+
+const ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Firestore-style merge: nested maps are merged, everything else is replaced
+const deepMerge = (target = {}, source = {}) => {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(target[key])
+      ? deepMerge(target[key], value)
+      : value;
+  });
+  return merged;
+};
+
+const matchesCondition = (fieldValue, op, value) => {
+  if (op === "==") return fieldValue === value;
+  if (op === "in") return Array.isArray(value) && value.includes(fieldValue);
+  throw new Error(`Unsupported query operator: ${op}`);
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+// Auto-generated IDs look like Firestore's (20 alphanumeric characters)
+export const generateDocumentId = () => {
+  let id = "";
+  for (let i = 0; i < 20; i++) {
+    id += ID_ALPHABET.charAt(Math.floor(Math.random() * ID_ALPHABET.length));
+  }
+  return id;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.initialData] - { collectionName: { documentId: data } }
+ * @param {Function} [options.onWrite] - async ({ type, collection, id, data }) => void,
+ *   called after every set/delete so a persistence layer can mirror it
+ * @returns {Object} storage adapter
+ */
+export const createMemoryAdapter = ({ initialData = {}, onWrite } = {}) => {
+  const collections = new Map();
+  const listeners = new Map();
+
+  Object.entries(initialData).forEach(([collectionName, documents]) => {
+    const store = new Map();
+    Object.entries(documents || {}).forEach(([id, data]) => store.set(id, clone(data)));
+    collections.set(collectionName, store);
+  });
+
+  const getStore = (collectionName) => {
+    if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+    return collections.get(collectionName);
+  };
+
+  const listDocuments = (collectionName) =>
+    Array.from(getStore(collectionName).entries()).map(([id, data]) => ({ id, data: clone(data) }));
+
+  // Filter ("==" / "in"), order and page through a collection
+  const runQuery = (collectionName, { where = [], orderBy = null, limit = null, startAfter = null } = {}) => {
+    const matches = listDocuments(collectionName).filter(({ data }) =>
+      where.every(([field, op, value]) => matchesCondition(data[field], op, value)));
+
+    matches.sort((a, b) => compareValues(orderBy ? a.data[orderBy] : a.id, orderBy ? b.data[orderBy] : b.id)
+      || compareValues(a.id, b.id));
+
+    const start = startAfter ? matches.findIndex(({ id }) => id === startAfter) + 1 : 0;
+    const documents = limit ? matches.slice(start, start + limit) : matches.slice(start);
+    const hasMore = limit ? start + limit < matches.length : false;
+
+    return { documents, nextCursor: hasMore ? documents[documents.length - 1].id : null };
+  };
+
+  // Listeners without query constraints see the whole collection in insertion order
+  const snapshotFor = (collectionName, queryOptions) =>
+    queryOptions ? runQuery(collectionName, queryOptions).documents : listDocuments(collectionName);
+
+  const notify = (collectionName) => {
+    const handlers = listeners.get(collectionName);
+    if (!handlers || handlers.size === 0) return;
+    handlers.forEach(({ onNext, queryOptions }) => onNext(snapshotFor(collectionName, queryOptions)));
+  };
+
+  const writeDocument = async (collectionName, id, data) => {
+    getStore(collectionName).set(id, clone(data));
+    if (onWrite) await onWrite({ type: "set", collection: collectionName, id, data: clone(data) });
+    notify(collectionName);
+  };
+
+  const removeDocument = async (collectionName, id) => {
+    getStore(collectionName).delete(id);
+    if (onWrite) await onWrite({ type: "delete", collection: collectionName, id });
+    notify(collectionName);
+  };
+
+  return {
+    name: "memory",
+
+    async getDocuments(collectionName) {
+      return listDocuments(collectionName);
+    },
+
+    async getDocument(collectionName, id) {
+      const store = getStore(collectionName);
+      if (!store.has(id)) return null;
+      return { id, data: clone(store.get(id)) };
+    },
+
+    async setDocument(collectionName, id, data, { merge = false } = {}) {
+      const existing = getStore(collectionName).get(id);
+      const next = merge && existing ? deepMerge(existing, data) : data;
+      await writeDocument(collectionName, id, next);
+    },
+
+    async updateDocument(collectionName, id, partial) {
+      const existing = getStore(collectionName).get(id);
+      if (!existing) {
+        throw new Error(`No document to update: ${collectionName}/${id}`);
+      }
+      await writeDocument(collectionName, id, { ...existing, ...partial });
+    },
+
+    async deleteDocument(collectionName, id) {
+      await removeDocument(collectionName, id);
+    },
+
+    async addDocument(collectionName, data) {
+      const id = generateDocumentId();
+      await writeDocument(collectionName, id, data);
+      return id;
+    },
+
+    // Apply every operation before notifying listeners, so a batch is seen atomically
+    async commitBatch(operations = []) {
+      const touched = new Set();
+      operations.forEach(({ type, collection: collectionName, id, data }) => {
+        const store = getStore(collectionName);
+        if (type === "delete") store.delete(id);
+        else store.set(id, clone(data));
+        touched.add(collectionName);
+      });
+
+      if (onWrite) {
+        for (const { type, collection: collectionName, id, data } of operations) {
+          await onWrite(type === "delete"
+            ? { type, collection: collectionName, id }
+            : { type: "set", collection: collectionName, id, data: clone(data) });
+        }
+      }
+
+      touched.forEach(notify);
+    },
+
+    async queryDocuments(collectionName, options) {
+      return runQuery(collectionName, options);
+    },
+
+    // Optional { where, orderBy, limit } narrows the listener to a query
+    subscribe(collectionName, onNext, onError, queryOptions = null) {
+      const handler = { onNext, onError, queryOptions };
+      if (!listeners.has(collectionName)) listeners.set(collectionName, new Set());
+      listeners.get(collectionName).add(handler);
+
+      // Deliver the initial snapshot asynchronously, like onSnapshot does
+      queueMicrotask(() => {
+        if (listeners.get(collectionName)?.has(handler)) {
+          onNext(snapshotFor(collectionName, queryOptions));
+        }
+      });
+
+      return () => {
+        listeners.get(collectionName)?.delete(handler);
+      };
+    }
+  };
+};
+
+export default createMemoryAdapter;
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createMemoryAdapter } from './memoryAdapter';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createMemoryAdapter', () => {
+  it('reads documents seeded through initialData', async () => {
+    const storage = createMemoryAdapter({
+      initialData: { emigrant_age: { '14_Below': { 'yearly-data': { 1981: 10 } } } }
+    });
+
+    const documents = await storage.getDocuments('emigrant_age');
+    expect(documents).toEqual([{ id: '14_Below', data: { 'yearly-data': { 1981: 10 } } }]);
+    expect(await storage.getDocument('emigrant_age', 'missing')).toBeNull();
+  });
+
+  it('returns copies so callers cannot mutate stored data', async () => {
+    const storage = createMemoryAdapter();
+    await storage.setDocument('emigrants', '1981', { male: 1 });
+
+    const { data } = await storage.getDocument('emigrants', '1981');
+    data.male = 99;
+
+    expect((await storage.getDocument('emigrants', '1981')).data).toEqual({ male: 1 });
+  });
+
+  it('merges nested maps when setDocument is called with merge', async () => {
+    const storage = createMemoryAdapter();
+    await storage.setDocument('emigrant_age', 'A', { yearly_data: { 1981: 1 }, label: 'a' });
+    await storage.setDocument('emigrant_age', 'A', { yearly_data: { 1982: 2 } }, { merge: true });
+
+    expect((await storage.getDocument('emigrant_age', 'A')).data).toEqual({
+      yearly_data: { 1981: 1, 1982: 2 },
+      label: 'a'
+    });
+  });
+
+  it('rejects updates to missing documents', async () => {
+    const storage = createMemoryAdapter();
+    await expect(storage.updateDocument('emigrants', '1990', { male: 1 })).rejects.toThrow();
+  });
+
+  it('notifies subscribers with the initial snapshot and after each write', async () => {
+    const storage = createMemoryAdapter();
+    const onNext = vi.fn();
+    const unsubscribe = storage.subscribe('emigrants', onNext);
+
+    await flush();
+    expect(onNext).toHaveBeenLastCalledWith([]);
+
+    const id = await storage.addDocument('emigrants', { female: 3 });
+    expect(onNext).toHaveBeenLastCalledWith([{ id, data: { female: 3 } }]);
+
+    unsubscribe();
+    await storage.deleteDocument('emigrants', id);
+    expect(onNext).toHaveBeenCalledTimes(2);
+  });
+
+  it('filters and pages through query results with a cursor', async () => {
+    const storage = createMemoryAdapter({
+      initialData: {
+        emigrants: {
+          a: { dataset: 'sex' }, b: { dataset: 'age' }, c: { dataset: 'sex' }, d: { dataset: 'sex' }
+        }
+      }
+    });
+    const where = [['dataset', '==', 'sex']];
+
+    const first = await storage.queryDocuments('emigrants', { where, limit: 2 });
+    expect(first.documents.map(({ id }) => id)).toEqual(['a', 'c']);
+    expect(first.nextCursor).toBe('c');
+
+    const second = await storage.queryDocuments('emigrants', { where, limit: 2, startAfter: first.nextCursor });
+    expect(second.documents.map(({ id }) => id)).toEqual(['d']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  it('passes every write to onWrite for persistence', async () => {
+    const onWrite = vi.fn();
+    const storage = createMemoryAdapter({ onWrite });
+
+    await storage.setDocument('emigrants', '2000', { male: 5 });
+    await storage.deleteDocument('emigrants', '2000');
+
+    expect(onWrite).toHaveBeenNthCalledWith(1, { type: 'set', collection: 'emigrants', id: '2000', data: { male: 5 } });
+    expect(onWrite).toHaveBeenNthCalledWith(2, { type: 'delete', collection: 'emigrants', id: '2000' });
+  });
+});
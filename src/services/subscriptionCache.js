@@ -0,0 +1,239 @@
+// src/services/subscriptionCache.js
+import { getStorage } from "./storage";
+import { stableStringify } from "./versionService";
+
+/**
+ * ============================================
+ * SHARED SUBSCRIPTION CACHE
+ * ============================================
+ *
+ * Every dataset hook listens through this module instead of calling
+ * getStorage().subscribe directly:
+ *
+ * - One storage listener per collection (or per collection + query),
+ *   ref-counted across components and closed when the last one unsubscribes.
+ * - The latest snapshot is cached, so a component mounting later gets data
+ *   immediately instead of waiting for a new listener.
+ * - Writes wrapped in withOptimisticUpdate() are shown to every subscriber
+ *   right away and rolled back if the write fails.
+ * - If a remote snapshot changes a document that still has a pending local
+ *   write (another user saved first), the local overlay is dropped and
+ *   conflict listeners registered with onConflict() are told.
+ *
+ * Snapshots have the adapter shape: [{ id, data }].
+ */
+
+// key → { key, collection, queryOptions, listeners: Set, documents, unsubscribe }
+const entries = new Map();
+// collection → Map(mutationId → [{ documentId, apply, base, expected, dropped }])
+const pendingMutations = new Map();
+const conflictListeners = new Set();
+
+let mutationCounter = 0;
+
+const entryKey = (collectionName, queryOptions) =>
+  queryOptions ? `${collectionName}?${stableStringify(queryOptions)}` : collectionName;
+
+const matchesQuery = (data, queryOptions) =>
+  !queryOptions?.where || queryOptions.where.every(([field, op, value]) =>
+    op === "in" ? Array.isArray(value) && value.includes(data?.[field]) : data?.[field] === value);
+
+const entriesOf = (collectionName) =>
+  Array.from(entries.values()).filter((entry) => entry.collection === collectionName);
+
+const pendingOf = (collectionName) => {
+  if (!pendingMutations.has(collectionName)) pendingMutations.set(collectionName, new Map());
+  return pendingMutations.get(collectionName);
+};
+
+// Server snapshot with pending local writes applied on top, in the order they were made
+const viewOf = (entry) => {
+  const byId = new Map(entry.documents.map((document) => [document.id, document]));
+  const order = entry.documents.map(({ id }) => id);
+
+  pendingOf(entry.collection).forEach((changes) => {
+    changes.forEach((change) => {
+      if (change.dropped) return;
+      const next = change.apply(byId.get(change.documentId)?.data ?? null);
+      if (next === null || !matchesQuery(next, entry.queryOptions)) {
+        byId.delete(change.documentId);
+        return;
+      }
+      if (!byId.has(change.documentId)) order.push(change.documentId);
+      byId.set(change.documentId, { id: change.documentId, data: next });
+    });
+  });
+
+  return order.filter((id) => byId.has(id)).map((id) => byId.get(id));
+};
+
+const emit = (entry) => {
+  if (!entry.documents) return;
+  const view = viewOf(entry);
+  entry.listeners.forEach(({ onNext }) => onNext(view));
+};
+
+const emitCollection = (collectionName) => entriesOf(collectionName).forEach(emit);
+
+/**
+ * Last known server data of a document: { known: true, data } when some
+ * cached snapshot can tell (data is null if the document does not exist),
+ * { known: false } otherwise.
+ */
+export const getCachedDocument = (collectionName, documentId) => {
+  for (const entry of entriesOf(collectionName)) {
+    if (!entry.documents) continue;
+    const found = entry.documents.find(({ id }) => id === documentId);
+    if (found) return { known: true, data: found.data };
+    if (!entry.queryOptions) return { known: true, data: null };
+  }
+  return { known: false };
+};
+
+const notifyConflict = (conflict) => {
+  conflictListeners.forEach((listener) => {
+    try {
+      listener(conflict);
+    } catch (error) {
+      console.error("Error in conflict listener:", error);
+    }
+  });
+};
+
+// A pending change conflicts when the server now holds neither the data it
+// started from nor the data it is writing, i.e. someone else changed it
+const detectConflicts = (entry) => {
+  pendingOf(entry.collection).forEach((changes) => {
+    changes.forEach((change) => {
+      if (change.dropped || change.base === undefined) return;
+      const found = entry.documents.find(({ id }) => id === change.documentId);
+      if (!found && entry.queryOptions) return;
+
+      const remote = stableStringify(found ? found.data : null);
+      if (remote === change.base || remote === change.expected) return;
+
+      change.dropped = true;
+      notifyConflict({
+        collection: entry.collection,
+        documentId: change.documentId,
+        local: JSON.parse(change.expected),
+        remote: found ? found.data : null,
+        detectedAt: new Date().toISOString()
+      });
+    });
+  });
+};
+
+const handleSnapshot = (entry, documents) => {
+  entry.documents = documents;
+  detectConflicts(entry);
+  emit(entry);
+};
+
+/**
+ * Listen to a collection through the shared cache.
+ *
+ * @param {string} collectionName
+ * @param {Function} onNext - receives [{ id, data }] including optimistic writes
+ * @param {Function} [onError]
+ * @param {Object} [queryOptions] - { where, orderBy, limit } passed to the adapter
+ * @returns {Function} unsubscribe
+ */
+export const subscribeCollection = (collectionName, onNext, onError, queryOptions = null) => {
+  const key = entryKey(collectionName, queryOptions);
+  let entry = entries.get(key);
+
+  if (!entry) {
+    entry = { key, collection: collectionName, queryOptions, listeners: new Set(), documents: null };
+    entries.set(key, entry);
+    const created = entry;
+    entry.unsubscribe = getStorage().subscribe(
+      collectionName,
+      (documents) => handleSnapshot(created, documents),
+      (error) => created.listeners.forEach((listener) => listener.onError?.(error)),
+      queryOptions
+    );
+  }
+
+  const listener = { onNext, onError };
+  entry.listeners.add(listener);
+
+  // Late subscribers get the cached snapshot without waiting for the backend
+  if (entry.documents) {
+    const current = entry;
+    queueMicrotask(() => {
+      if (current.listeners.has(listener)) onNext(viewOf(current));
+    });
+  }
+
+  return () => {
+    if (!entry.listeners.delete(listener) || entry.listeners.size > 0) return;
+    entry.unsubscribe();
+    entries.delete(key);
+  };
+};
+
+// Cached server documents of a collection, or null when nobody listens to all of it
+export const getCachedDocuments = (collectionName) => {
+  const entry = entries.get(entryKey(collectionName, null));
+  return entry?.documents ? entry.documents.map(({ id, data }) => ({ id, data })) : null;
+};
+
+/**
+ * Show a write to every subscriber before it reaches the backend.
+ *
+ * @param {string} collectionName
+ * @param {Array<{ documentId: string, apply: Function }>} changes - apply(data | null)
+ *   returns the document data after the write, or null when it is deleted
+ * @param {Function} commit - async function performing the real write
+ * @returns {Promise<*>} whatever commit resolves to; the overlay is removed
+ *   once it settles, and its rejection is rethrown after rolling back
+ */
+export const withOptimisticUpdate = async (collectionName, changes, commit) => {
+  const mutationId = ++mutationCounter;
+  const pending = pendingOf(collectionName);
+
+  pending.set(mutationId, changes.map(({ documentId, apply }) => {
+    const server = getCachedDocument(collectionName, String(documentId));
+    return {
+      documentId: String(documentId),
+      apply,
+      base: server.known ? stableStringify(server.data) : undefined,
+      expected: server.known ? stableStringify(apply(server.data)) : undefined,
+      dropped: false
+    };
+  }));
+  emitCollection(collectionName);
+
+  try {
+    return await commit();
+  } finally {
+    pending.delete(mutationId);
+    if (pending.size === 0) pendingMutations.delete(collectionName);
+    emitCollection(collectionName);
+  }
+};
+
+// Number of writes still waiting for the backend
+export const countPendingMutations = (collectionName) =>
+  collectionName
+    ? pendingMutations.get(collectionName)?.size || 0
+    : Array.from(pendingMutations.values()).reduce((sum, pending) => sum + pending.size, 0);
+
+/**
+ * Register a listener called with { collection, documentId, local, remote, detectedAt }
+ * whenever a remote edit overwrites a pending local one.
+ *
+ * @returns {Function} unsubscribe
+ */
+export const onConflict = (listener) => {
+  conflictListeners.add(listener);
+  return () => conflictListeners.delete(listener);
+};
+
+// Close every listener and forget all cached state (storage backend switches, tests)
+export const resetSubscriptionCache = () => {
+  entries.forEach((entry) => entry.unsubscribe());
+  entries.clear();
+  pendingMutations.clear();
+};
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import {
+  subscribeCollection,
+  withOptimisticUpdate,
+  countPendingMutations,
+  onConflict,
+  resetSubscriptionCache
+} from './subscriptionCache';
+import { subscribeToDataset, updateDatasetValue } from './datasetRepository';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+let storage;
+
+beforeEach(() => {
+  resetSubscriptionCache();
+  storage = setStorage(createMemoryAdapter({
+    initialData: {
+      emigrant_age: { '15__19': { yearly_data: { 1981: 3 } } }
+    }
+  }));
+});
+
+describe('subscribeCollection', () => {
+  it('shares one storage listener and closes it after the last unsubscribe', async () => {
+    const subscribeSpy = vi.spyOn(storage, 'subscribe');
+    const first = vi.fn();
+    const second = vi.fn();
+
+    const unsubscribeFirst = subscribeCollection('emigrant_age', first);
+    await flush();
+    const unsubscribeSecond = subscribeCollection('emigrant_age', second);
+    await flush();
+
+    expect(subscribeSpy).toHaveBeenCalledTimes(1);
+    // The late subscriber is served from the cache
+    expect(second).toHaveBeenCalledWith([{ id: '15__19', data: { yearly_data: { 1981: 3 } } }]);
+
+    unsubscribeFirst();
+    await storage.setDocument('emigrant_age', '20__24', { yearly_data: { 1981: 4 } });
+    expect(second).toHaveBeenLastCalledWith(expect.arrayContaining([
+      { id: '20__24', data: { yearly_data: { 1981: 4 } } }
+    ]));
+
+    unsubscribeSecond();
+    subscribeCollection('emigrant_age', vi.fn());
+    expect(subscribeSpy).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('withOptimisticUpdate', () => {
+  it('shows a write before it commits and rolls it back when it fails', async () => {
+    const onData = vi.fn();
+    subscribeToDataset('age', onData);
+    await flush();
+
+    let rejectWrite;
+    const pending = withOptimisticUpdate(
+      'emigrant_age',
+      [{ documentId: '15__19', apply: (data) => ({ ...data, yearly_data: { 1981: 99 } }) }],
+      () => new Promise((resolve, reject) => { rejectWrite = reject; })
+    );
+
+    expect(onData.mock.lastCall[0][0].count).toBe(99);
+    expect(countPendingMutations('emigrant_age')).toBe(1);
+
+    rejectWrite(new Error('offline'));
+    await expect(pending).rejects.toThrow('offline');
+    expect(onData.mock.lastCall[0][0].count).toBe(3);
+    expect(countPendingMutations()).toBe(0);
+  });
+
+  it('drops a pending write and reports a conflict when a remote edit lands first', async () => {
+    const onData = vi.fn();
+    const conflicts = [];
+    subscribeToDataset('age', onData);
+    const stopListening = onConflict((conflict) => conflicts.push(conflict));
+    await flush();
+
+    let releaseWrite;
+    const gate = new Promise((resolve) => { releaseWrite = resolve; });
+    const originalUpdate = storage.updateDocument;
+    storage.updateDocument = async (...args) => {
+      await gate;
+      return originalUpdate(...args);
+    };
+
+    const local = updateDatasetValue('age', '15__19', 1981, 10);
+    await flush();
+    expect(onData.mock.lastCall[0][0].count).toBe(10);
+
+    // Another admin saves a different value before ours reaches the backend
+    await storage.setDocument('emigrant_age', '15__19', { yearly_data: { 1981: 7 } });
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      collection: 'emigrant_age',
+      documentId: '15__19',
+      local: { yearly_data: { 1981: 10 } },
+      remote: { yearly_data: { 1981: 7 } }
+    });
+    expect(onData.mock.lastCall[0][0].count).toBe(7);
+
+    releaseWrite();
+    await local;
+    stopListening();
+  });
+});
@@ -0,0 +1,154 @@
+// src/services/versionService.js
+import { getStorage } from "./storage";
+
+/**
+ * ============================================
+ * DATASET VERSION HISTORY
+ * ============================================
+ *
+ * Before overwriteCollection replaces a collection, the previous contents are
+ * saved as one document in the "dataset_versions" collection:
+ *
+ *   {
+ *     collection,        // collection that was replaced
+ *     createdAt,         // ISO timestamp of the overwrite
+ *     createdBy,         // { uid, email } of the uploader
+ *     sourceFileName,    // file whose upload replaced this data
+ *     rowCount,          // number of documents in the snapshot
+ *     hash,              // SHA-256 of the snapshot (see hashDocuments)
+ *     documents          // { documentId: data } snapshot
+ *   }
+ *
+ * Snapshots of year-keyed collections are small (one document per year), so
+ * they fit comfortably inside a single Firestore document.
+ */
+
+export const VERSIONS_COLLECTION = "dataset_versions";
+
+// Pseudo-version id used by the UI to refer to the live collection
+export const CURRENT_VERSION_ID = "current";
+
+// JSON with sorted keys so equal data always hashes the same
+export const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Convert [{ id, data }] into a { id: data } map
+export const toDocumentMap = (documents = []) =>
+  Object.fromEntries(documents.map(({ id, data }) => [id, data]));
+
+// SHA-256 hex digest of a document snapshot
+export const hashDocuments = async (documents = []) => {
+  const bytes = new TextEncoder().encode(stableStringify(toDocumentMap(documents)));
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Save the given documents as a version of a collection; returns the version id
+export const saveVersionSnapshot = async (collectionName, documents, {
+  versionId,
+  createdBy = null,
+  sourceFileName = null
+} = {}) => {
+  try {
+    const record = {
+      collection: collectionName,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      sourceFileName,
+      rowCount: documents.length,
+      hash: await hashDocuments(documents),
+      documents: toDocumentMap(documents)
+    };
+    const id = versionId || `${collectionName}_${Date.now()}`;
+    await getStorage().setDocument(VERSIONS_COLLECTION, id, record);
+    return id;
+  } catch (error) {
+    console.error("Error saving dataset version:", error);
+    throw error;
+  }
+};
+
+// Version summaries for a collection, newest first (snapshot data omitted)
+export const listVersions = async (collectionName) => {
+  try {
+    const versions = await getStorage().getDocuments(VERSIONS_COLLECTION);
+    return versions
+      .filter(({ data }) => data.collection === collectionName)
+      .map(({ id, data: { documents, ...summary } }) => ({ id, ...summary }))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  } catch (error) {
+    console.error("Error listing dataset versions:", error);
+    throw error;
+  }
+};
+
+// Full version record including the snapshot, as [{ id, data }] documents
+export const getVersion = async (versionId) => {
+  const version = await getStorage().getDocument(VERSIONS_COLLECTION, versionId);
+  if (!version) {
+    throw new Error(`Version ${versionId} not found`);
+  }
+  const { documents = {}, ...summary } = version.data;
+  return {
+    id: version.id,
+    ...summary,
+    documents: Object.entries(documents).map(([id, data]) => ({ id, data }))
+  };
+};
+
+// Documents of a version, or of the live collection for CURRENT_VERSION_ID
+export const getVersionDocuments = async (versionId, collectionName) => {
+  if (versionId === CURRENT_VERSION_ID) {
+    return getStorage().getDocuments(collectionName);
+  }
+  const { documents } = await getVersion(versionId);
+  return documents;
+};
+
+/**
+ * Compare two snapshots year by year (document ID) and column by column.
+ *
+ * @param {Array<{id, data}>} fromDocuments - older snapshot
+ * @param {Array<{id, data}>} toDocuments - newer snapshot
+ * @returns {{ rows: Array, summary: { added, removed, changed, unchanged } }}
+ *   rows: [{ year, status: "added" | "removed" | "changed",
+ *            changes: [{ column, before, after }] }], sorted by year
+ */
+export const diffVersions = (fromDocuments = [], toDocuments = []) => {
+  const before = toDocumentMap(fromDocuments);
+  const after = toDocumentMap(toDocuments);
+  const years = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .sort((a, b) => Number(a) - Number(b) || a.localeCompare(b));
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const rows = [];
+
+  years.forEach((year) => {
+    const oldData = before[year];
+    const newData = after[year];
+    const columns = [...new Set([...Object.keys(oldData || {}), ...Object.keys(newData || {})])].sort();
+    const changes = columns
+      .map((column) => ({ column, before: oldData?.[column], after: newData?.[column] }))
+      .filter((change) => stableStringify(change.before) !== stableStringify(change.after));
+
+    const status = !oldData ? "added" : !newData ? "removed" : changes.length > 0 ? "changed" : null;
+    if (!status) {
+      summary.unchanged += 1;
+      return;
+    }
+
+    summary[status] += 1;
+    rows.push({ year, status, changes });
+  });
+
+  return { rows, summary };
+};
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorage } from './storage';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import { overwriteCollection, restoreCollectionVersion } from './firestoreService';
+import {
+  CURRENT_VERSION_ID,
+  listVersions,
+  getVersion,
+  getVersionDocuments,
+  hashDocuments,
+  diffVersions
+} from './versionService';
+
+let storage;
+
+beforeEach(() => {
+  storage = setStorage(createMemoryAdapter({
+    initialData: {
+      emigrants: { 1990: { single: 1, married: 5 }, 1991: { single: 2 } }
+    }
+  }));
+});
+
+describe('hashDocuments', () => {
+  it('ignores document and key order', async () => {
+    const a = await hashDocuments([{ id: '1', data: { x: 1, y: 2 } }, { id: '2', data: { x: 3 } }]);
+    const b = await hashDocuments([{ id: '2', data: { x: 3 } }, { id: '1', data: { y: 2, x: 1 } }]);
+    const c = await hashDocuments([{ id: '1', data: { x: 1, y: 3 } }, { id: '2', data: { x: 3 } }]);
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+});
+
+describe('diffVersions', () => {
+  it('reports added, removed and changed years by column', () => {
+    const { rows, summary } = diffVersions(
+      [{ id: '1990', data: { single: 1, married: 5 } }, { id: '1991', data: { single: 2 } }, { id: '1992', data: { single: 4 } }],
+      [{ id: '1990', data: { single: 1, married: 6 } }, { id: '1992', data: { single: 4 } }, { id: '1993', data: { single: 7 } }]
+    );
+
+    expect(summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 1 });
+    expect(rows).toEqual([
+      { year: '1990', status: 'changed', changes: [{ column: 'married', before: 5, after: 6 }] },
+      { year: '1991', status: 'removed', changes: [{ column: 'single', before: 2, after: undefined }] },
+      { year: '1993', status: 'added', changes: [{ column: 'single', before: undefined, after: 7 }] }
+    ]);
+  });
+});
+
+describe('version history', () => {
+  it('snapshots the previous contents on overwrite', async () => {
+    await overwriteCollection([{ year: 2000, single: 16 }], true, 'emigrants', {
+      createdBy: { uid: 'u1', email: 'admin@example.com' },
+      sourceFileName: 'new.csv'
+    });
+
+    const versions = await listVersions('emigrants');
+    expect(versions).toHaveLength(1);
+    expect(versions[0]).toMatchObject({
+      collection: 'emigrants',
+      createdBy: { uid: 'u1', email: 'admin@example.com' },
+      sourceFileName: 'new.csv',
+      rowCount: 2
+    });
+    expect(versions[0]).not.toHaveProperty('documents');
+
+    const { documents } = await getVersion(versions[0].id);
+    expect(documents).toEqual([
+      { id: '1990', data: { single: 1, married: 5 } },
+      { id: '1991', data: { single: 2 } }
+    ]);
+  });
+
+  it('restores a version and keeps the replaced data as a new version', async () => {
+    await overwriteCollection([{ year: 2000, single: 16 }], true, 'emigrants');
+    const [original] = await listVersions('emigrants');
+
+    await restoreCollectionVersion(original.id, { createdBy: { uid: 'u1', email: 'admin@example.com' } });
+
+    const current = await getVersionDocuments(CURRENT_VERSION_ID, 'emigrants');
+    expect(current.map(({ id }) => id).sort()).toEqual(['1990', '1991']);
+
+    const versions = await listVersions('emigrants');
+    expect(versions).toHaveLength(2);
+    const undo = versions.find(({ id }) => id !== original.id);
+    expect(undo.rowCount).toBe(1);
+    expect(undo.sourceFileName).toBe(`Restore of version ${original.id}`);
+  });
+
+  it('does not create a version for an empty collection', async () => {
+    await overwriteCollection([{ year: 2000, single: 16 }], true, 'fresh_collection');
+    expect(await listVersions('fresh_collection')).toEqual([]);
+    expect(await storage.getDocuments('dataset_versions')).toEqual([]);
+  });
+});
@@ -0,0 +1,230 @@
+// src/utils/crosstab.js
+import { createTidyRow, tidyToWideRecords } from "./tidyData";
+
+/**
+ * ============================================
+ * CROSSTAB RESHAPING
+ * ============================================
+ *
+ * The CFO publishes its tables as crosstabs, categories down and years
+ * across, with total rows at the bottom and footnote markers next to the
+ * numbers:
+ *
+ *   AGE GROUP   1981     1982 1/   TOTAL
+ *   14 - Below  5,000    5,200     10,200
+ *   15 - 19     3,000    3,100 2/  6,100
+ *   TOTAL       8,000    8,300     16,300
+ *
+ * while import profiles expect the stored shape, one row per year and one
+ * column per category:
+ *
+ *   YEAR   14 - Below   15 - 19
+ *   1981   5000         3000
+ *   1982   5200         3100
+ *
+ * reshapeImportTable runs on every upload before the import profile is
+ * detected (CsvUploader, and server/importJobs.js for server imports):
+ *
+ * 1. Footnote markers ("1/", "(2/)", "*", "¹") are removed from headers and cells
+ * 2. Total and subtotal rows and total columns are left out, after checking
+ *    them against the sums of the rows and columns they add up
+ * 3. Crosstabs are melted to tidy rows (utils/tidyData.js) and pivoted back
+ *    to one row per year
+ *
+ * Tables already in the stored shape with no totals or markers are returned
+ * as they are.
+ */
+
+export const YEAR_HEADER = "YEAR";
+
+// At least this many year headers make a table a crosstab
+const MIN_CROSSTAB_YEARS = 2;
+
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+const YEAR_COLUMN_PATTERN = /^(years?|yr)\b/i;
+const TOTAL_ROW_PATTERN = /^(grand\s*|sub-?\s*)?totals?\b/i;
+const TOTAL_COLUMN_PATTERN = /^(grand\s*|sub-?\s*)?totals?$/i;
+const FOOTNOTE_MARKER = /^(.*?\S)(?:\s+\(?\d{1,2}\/\)?|\s*\*+|\s*[¹²³⁰⁴-⁹]+)$/;
+// Cells published as "no data" rather than as a number
+const EMPTY_CELLS = ["", "-", "–", "—", "n/a", "N/A"];
+
+const toNumber = (text) => {
+  const number = Number(String(text).replace(/,/g, ""));
+  return String(text).trim() !== "" && Number.isFinite(number) ? number : null;
+};
+
+// Subtotals add up the rows since the last total of any level, totals the
+// rows since the last total or grand total, grand totals every row
+const totalLevel = (label) => {
+  if (/^grand/i.test(label)) return 2;
+  return /^sub/i.test(label) ? 0 : 1;
+};
+
+/**
+ * Split a footnote marker off a header or cell.
+ * @param {*} value - e.g. "1,234 1/", "Others 2/", "1990*"
+ * @returns {{ text: string, marker: string|null }}
+ */
+export const stripFootnoteMarker = (value) => {
+  const text = String(value ?? "").trim();
+  const match = text.match(FOOTNOTE_MARKER);
+  return match ? { text: match[1], marker: text.slice(match[1].length).trim() } : { text, marker: null };
+};
+
+/**
+ * Crosstab layout of a header row: categories down the first column, years
+ * across the others.
+ * @param {Array<string>} headers - without footnote markers
+ * @returns {{ labelColumn: string, yearColumns: Array<{ header, year }>,
+ *   otherColumns: Array<string> }|null} null for one row per year
+ */
+export const detectCrosstab = (headers = []) => {
+  const [labelColumn, ...rest] = headers;
+  if (labelColumn === undefined || YEAR_PATTERN.test(labelColumn) || YEAR_COLUMN_PATTERN.test(labelColumn)) return null;
+
+  const yearColumns = rest.filter((header) => YEAR_PATTERN.test(header)).map((header) => ({ header, year: Number(header) }));
+  if (yearColumns.length < MIN_CROSSTAB_YEARS) return null;
+
+  return {
+    labelColumn,
+    yearColumns,
+    otherColumns: rest.filter((header) => !YEAR_PATTERN.test(header))
+  };
+};
+
+// Sum of the numeric cells of `columns`; null when none is numeric
+const sumOf = (values) => {
+  const numbers = values.map(toNumber).filter((number) => number !== null);
+  return numbers.length > 0 ? numbers.reduce((total, number) => total + number, 0) : null;
+};
+
+const differs = (expected, actual) => expected !== null && actual !== null && Math.abs(expected - actual) > 1e-6;
+
+/**
+ * Bring an uploaded table into the stored shape (see the module comment).
+ * @param {{ headers: Array<string>, rows: Array<Object> }} table - parsed rows
+ *   keyed by header, as Papa.parse or utils/workbookImport.js return them
+ * @returns {{ headers: Array<string>, rows: Array<Object>, report: Object }}
+ *   report: { reshaped, orientation ("years-as-columns" or null), categories,
+ *   totalRows, totalColumns, droppedColumns, markers (marker → count),
+ *   skippedCells, mismatches: [{ row, column, expected, actual }] }
+ */
+export const reshapeImportTable = ({ headers = [], rows = [] }) => {
+  const report = {
+    reshaped: false,
+    orientation: null,
+    categories: [],
+    totalRows: [],
+    totalColumns: [],
+    droppedColumns: [],
+    markers: {},
+    skippedCells: 0,
+    mismatches: []
+  };
+
+  // 1. Footnote markers
+  const clean = (value) => {
+    const { text, marker } = stripFootnoteMarker(value);
+    if (marker) report.markers[marker] = (report.markers[marker] || 0) + 1;
+    return text;
+  };
+  const names = headers.map(clean);
+  const cleaned = rows.map((row) => Object.fromEntries(headers.map((header, index) => [names[index], clean(row[header])])));
+
+  // 2. Totals, checked against what they add up
+  const crosstab = detectCrosstab(names);
+  const labelColumn = crosstab ? crosstab.labelColumn : names.find((name) => YEAR_COLUMN_PATTERN.test(name)) ?? names[0];
+  const totalColumns = names.filter((name) => name !== labelColumn && TOTAL_COLUMN_PATTERN.test(name));
+  const valueColumns = crosstab
+    ? crosstab.yearColumns.map(({ header }) => header)
+    : names.filter((name) => name !== labelColumn && !totalColumns.includes(name));
+
+  const details = [];
+  const marks = []; // { level, at } for each total row, at = details before it
+  cleaned.forEach((row) => {
+    const label = String(row[labelColumn] ?? "");
+    if (!TOTAL_ROW_PATTERN.test(label)) {
+      details.push(row);
+      return;
+    }
+
+    const level = totalLevel(label);
+    const start = Math.max(0, ...marks.filter((mark) => mark.level >= level).map(({ at }) => at));
+    const covered = details.slice(start);
+    valueColumns.forEach((column) => {
+      const expected = sumOf(covered.map((detail) => detail[column]));
+      const actual = toNumber(row[column]);
+      if (differs(expected, actual)) report.mismatches.push({ row: label, column, expected, actual });
+    });
+    marks.push({ level, at: details.length });
+    report.totalRows.push(label);
+  });
+
+  details.forEach((row) => {
+    const expected = sumOf(valueColumns.map((column) => row[column]));
+    totalColumns.forEach((column) => {
+      const actual = toNumber(row[column]);
+      if (differs(expected, actual)) report.mismatches.push({ row: String(row[labelColumn] ?? ""), column, expected, actual });
+    });
+  });
+  report.totalColumns = totalColumns;
+
+  // 3. Crosstabs melted and pivoted to one row per year
+  if (crosstab) {
+    const tidy = details.flatMap((row) => {
+      const category = String(row[labelColumn] ?? "");
+      if (category === "") return [];
+      return crosstab.yearColumns.flatMap(({ header, year }) => {
+        const tidyRow = createTidyRow({ dataset: null, year, category, value: row[header] });
+        if (!tidyRow && !EMPTY_CELLS.includes(row[header])) report.skippedCells += 1;
+        return tidyRow ? [tidyRow] : [];
+      });
+    });
+
+    report.orientation = "years-as-columns";
+    report.categories = [...new Set(tidy.map(({ category }) => category))];
+    report.droppedColumns = crosstab.otherColumns.filter((column) => !totalColumns.includes(column));
+    report.reshaped = true;
+
+    const reshapedHeaders = [YEAR_HEADER, ...report.categories];
+    return {
+      headers: reshapedHeaders,
+      rows: tidyToWideRecords(tidy, { yearKey: YEAR_HEADER }).map((record) =>
+        Object.fromEntries(reshapedHeaders.map((header) => [header, record[header] === undefined ? "" : String(record[header])]))),
+      report
+    };
+  }
+
+  report.reshaped = report.totalRows.length > 0 || totalColumns.length > 0 || Object.keys(report.markers).length > 0;
+  if (!report.reshaped) return { headers, rows, report };
+
+  const keptHeaders = names.filter((name) => !totalColumns.includes(name));
+  return {
+    headers: keptHeaders,
+    rows: details.map((row) => Object.fromEntries(keptHeaders.map((header) => [header, row[header]]))),
+    report
+  };
+};
+
+/**
+ * What reshapeImportTable did, one line each, for the import preview.
+ * Total mismatches are listed separately (report.mismatches).
+ * @param {Object} report
+ * @returns {Array<string>}
+ */
+export const describeReshape = (report) => {
+  if (!report?.reshaped) return [];
+  const markers = Object.entries(report.markers);
+  return [
+    report.orientation && `Crosstab with years as columns: ${report.categories.length} categories turned into one row per year`,
+    report.totalRows.length > 0 && `Total rows left out: ${[...new Set(report.totalRows)].join(", ")}`,
+    report.totalColumns.length > 0 && `Total columns left out: ${report.totalColumns.join(", ")}`,
+    report.droppedColumns.length > 0 && `Other columns left out: ${report.droppedColumns.join(", ")}`,
+    markers.length > 0 && `Footnote markers removed: ${markers.map(([marker, count]) => `${marker} (${count})`).join(", ")}`,
+    report.skippedCells > 0 && `${report.skippedCells} cells that are not numbers were left out`
+  ].filter(Boolean);
+};
+
+// One line per total that does not match the rows or columns it adds up
+export const describeTotalMismatch = ({ row, column, expected, actual }) =>
+  `${row}, ${column}: the file says ${actual.toLocaleString()} but the values add up to ${expected.toLocaleString()}`;
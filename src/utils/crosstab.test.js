@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { describeReshape, detectCrosstab, reshapeImportTable, stripFootnoteMarker } from './crosstab';
+
+const table = (headers, ...values) => ({
+  headers,
+  rows: values.map((cells) => Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])))
+});
+
+describe('stripFootnoteMarker', () => {
+  it('splits markers off numbers and labels but leaves other values alone', () => {
+    expect(stripFootnoteMarker('1,234 1/')).toEqual({ text: '1,234', marker: '1/' });
+    expect(stripFootnoteMarker('Others (2/)')).toEqual({ text: 'Others', marker: '(2/)' });
+    expect(stripFootnoteMarker('1990*')).toEqual({ text: '1990', marker: '*' });
+    expect(stripFootnoteMarker('15 - 19')).toEqual({ text: '15 - 19', marker: null });
+    expect(stripFootnoteMarker('1/2')).toEqual({ text: '1/2', marker: null });
+  });
+});
+
+describe('detectCrosstab', () => {
+  it('finds years across the header row only', () => {
+    expect(detectCrosstab(['AGE GROUP', '1981', '1982', 'TOTAL'])).toEqual({
+      labelColumn: 'AGE GROUP',
+      yearColumns: [{ header: '1981', year: 1981 }, { header: '1982', year: 1982 }],
+      otherColumns: ['TOTAL']
+    });
+    expect(detectCrosstab(['YEAR', 'MALE', 'FEMALE'])).toBeNull();
+  });
+});
+
+describe('reshapeImportTable', () => {
+  it('melts a crosstab into one row per year and checks its totals', () => {
+    const { headers, rows, report } = reshapeImportTable(table(
+      ['AGE GROUP', '1981', '1982 1/', 'TOTAL'],
+      ['14 - Below', '5,000', '5,200', '10,200'],
+      ['15 - 19', '3,000', '3,100 2/', '6,000'],
+      ['TOTAL', '8,000', '8,400', '16,300']
+    ));
+
+    expect(headers).toEqual(['YEAR', '14 - Below', '15 - 19']);
+    expect(rows).toEqual([
+      { YEAR: '1981', '14 - Below': '5000', '15 - 19': '3000' },
+      { YEAR: '1982', '14 - Below': '5200', '15 - 19': '3100' }
+    ]);
+    expect(report.mismatches).toEqual([
+      { row: 'TOTAL', column: '1982', expected: 8300, actual: 8400 },
+      { row: '15 - 19', column: 'TOTAL', expected: 6100, actual: 6000 }
+    ]);
+    expect(describeReshape(report)).toEqual([
+      'Crosstab with years as columns: 2 categories turned into one row per year',
+      'Total rows left out: TOTAL',
+      'Total columns left out: TOTAL',
+      'Footnote markers removed: 1/ (1), 2/ (1)'
+    ]);
+  });
+
+  it('checks subtotals against their section and the grand total against every row', () => {
+    const { rows, report } = reshapeImportTable(table(
+      ['COUNTRY', '1990', '1991'],
+      ['USA', '10', '20'],
+      ['Canada', '5', '5'],
+      ['Subtotal North America', '15', '25'],
+      ['Japan', '1', '-'],
+      ['Subtotal Asia', '1', '0'],
+      ['Grand Total', '16', '26']
+    ));
+
+    expect(report.totalRows).toEqual(['Subtotal North America', 'Subtotal Asia', 'Grand Total']);
+    expect(report.mismatches).toEqual([{ row: 'Grand Total', column: '1991', expected: 25, actual: 26 }]);
+    expect(rows[0]).toEqual({ YEAR: '1990', USA: '10', Canada: '5', Japan: '1' });
+    expect(report.skippedCells).toBe(0);
+  });
+
+  it('strips totals and markers from year rows and leaves clean tables untouched', () => {
+    const { headers, rows, report } = reshapeImportTable(table(
+      ['YEAR', 'MALE', 'FEMALE', 'TOTAL'],
+      ['1990', '40', '60 1/', '100'],
+      ['TOTAL', '40', '60', '100']
+    ));
+    expect(headers).toEqual(['YEAR', 'MALE', 'FEMALE']);
+    expect(rows).toEqual([{ YEAR: '1990', MALE: '40', FEMALE: '60' }]);
+    expect(report.mismatches).toEqual([]);
+
+    const clean = table(['Year ', 'Emigrants'], ['1990', '100']);
+    expect(reshapeImportTable(clean)).toMatchObject({ headers: clean.headers, rows: clean.rows, report: { reshaped: false } });
+  });
+});
@@ -0,0 +1,162 @@
+// src/utils/datasetRegistry.js
+
+/**
+ * ============================================
+ * CATEGORY DATASET REGISTRY
+ * ============================================
+ *
+ * Every CFO table in the Data Management tab is a "category × year → count"
+ * dataset. This registry describes how each one is stored so the generic
+ * datasetRepository can read and write it; adding a dataset means adding an
+ * entry here rather than another set of CRUD functions.
+ *
+ * Entry fields:
+ * - key: dataset id used by DatasetNavigation and the hooks
+ * - navLabel: short tab label in DatasetNavigation
+ * - collection: Firestore collection name
+ * - layout: BY_CATEGORY (one document per category, years inside)
+ *           or BY_YEAR (one document per year, categories inside)
+ * - valueFields: document field(s) holding the counts; the first one is
+ *   used when a new document is created
+ * - categoryKey: property name exposed on each row (e.g. "ageGroup")
+ * - categoryLabel / categoryLabelPlural: UI labels for the category column
+ * - displayName / description: section heading and subtitle
+ * - sourceFile: CFO CSV the collection was imported from
+ * - excludedCategories: document IDs that are not real categories
+ * - hideEmptyCategories: hide zero-count categories in the table view
+ * - recordAliases: whole words that identify legacy flat records of this
+ *   dataset in their `dataset` / `source` fields (used by the re-tag migration)
+ */
+
+export const DOCUMENT_LAYOUTS = {
+  BY_CATEGORY: "by-category",
+  BY_YEAR: "by-year"
+};
+
+export const DATASET_REGISTRY = {
+  age: {
+    key: "age",
+    navLabel: "Age",
+    collection: "emigrant_age",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearly-data", "yearly_data"],
+    categoryKey: "ageGroup",
+    categoryLabel: "Age Group",
+    categoryLabelPlural: "Age Groups",
+    displayName: "Age Distribution",
+    description: "Emigrant data by age groups from 1981-2020",
+    sourceFile: "Emigrant-1981-2020-Age.csv",
+    recordAliases: ["age"],
+    excludedCategories: ["No_Response"]
+  },
+  "all-countries": {
+    key: "all-countries",
+    navLabel: "All Countries",
+    collection: "emigrant_allCountries",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["data"],
+    categoryKey: "country",
+    categoryLabel: "Country",
+    categoryLabelPlural: "Countries",
+    displayName: "All Countries",
+    description: "Complete emigrant data across all destination countries",
+    sourceFile: "Emigrant-1981-2020-AllCountries.csv",
+    recordAliases: ["allcountries"],
+    hideEmptyCategories: true
+  },
+  "major-countries": {
+    key: "major-countries",
+    navLabel: "Major Countries",
+    collection: "emigrant_majorCountry",
+    layout: DOCUMENT_LAYOUTS.BY_YEAR,
+    valueFields: ["countries"],
+    categoryKey: "country",
+    categoryLabel: "Country",
+    categoryLabelPlural: "Countries",
+    displayName: "Major Countries",
+    description: "Emigrant data for major destination countries",
+    sourceFile: "Emigrant-1981-2020-MajorCountry.csv",
+    recordAliases: ["majorcountry", "majorcountries"],
+    hideEmptyCategories: true
+  },
+  occupation: {
+    key: "occupation",
+    navLabel: "Occupation",
+    collection: "emigrant_occupation",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearlyData"],
+    categoryKey: "occupation",
+    categoryLabel: "Occupation",
+    categoryLabelPlural: "Occupations",
+    displayName: "Occupation",
+    description: "Emigrant data by occupation categories",
+    sourceFile: "Emigrant-1981-2020-Occu.csv",
+    recordAliases: ["occu", "occupation"]
+  },
+  sex: {
+    key: "sex",
+    navLabel: "Sex",
+    collection: "emigrant_sex",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearlyData"],
+    categoryKey: "sex",
+    categoryLabel: "Sex",
+    categoryLabelPlural: "Sexes",
+    displayName: "Sex Distribution",
+    description: "Emigrant data by gender from 1981-2020",
+    sourceFile: "Emigrant-1981-2020-Sex.csv",
+    recordAliases: ["sex"]
+  },
+  "civil-status": {
+    key: "civil-status",
+    navLabel: "Civil Status",
+    collection: "emigrant_civilStatus",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearlyData"],
+    categoryKey: "civilStatus",
+    categoryLabel: "Civil Status",
+    categoryLabelPlural: "Civil Statuses",
+    displayName: "Civil Status",
+    description: "Emigrant data by marital status from 1988-2020",
+    sourceFile: "Emigrant-1988-2020-CivilStatus.csv",
+    recordAliases: ["civilstatus"]
+  },
+  education: {
+    key: "education",
+    navLabel: "Education",
+    collection: "emigrant_education",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearlyData"],
+    categoryKey: "education",
+    categoryLabel: "Educational Attainment",
+    categoryLabelPlural: "Education Levels",
+    displayName: "Education",
+    description: "Emigrant data by educational attainment from 1988-2020",
+    sourceFile: "Emigrant-1988-2020-Educ.csv",
+    recordAliases: ["educ", "education"]
+  },
+  "place-of-origin": {
+    key: "place-of-origin",
+    navLabel: "Place of Origin",
+    collection: "emigrant_placeOfOrigin",
+    layout: DOCUMENT_LAYOUTS.BY_CATEGORY,
+    valueFields: ["yearlyData"],
+    categoryKey: "placeOfOrigin",
+    categoryLabel: "Place of Origin",
+    categoryLabelPlural: "Places of Origin",
+    displayName: "Place of Origin",
+    description: "Emigrant data by geographic origin from 1988-2020",
+    sourceFile: "Emigrant-1988-2020-PlaceOfOrigin.csv",
+    recordAliases: ["placeoforigin"]
+  }
+};
+
+export const DATASET_KEYS = Object.keys(DATASET_REGISTRY);
+
+export const getDatasetConfig = (datasetKey) => {
+  const config = DATASET_REGISTRY[datasetKey];
+  if (!config) {
+    throw new Error(`Unknown dataset: ${datasetKey}`);
+  }
+  return config;
+};
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { generateFirestoreRules } from './firestoreRules';
+
+/**
+ * Exercises the generated rules against the local Firestore emulator.
+ * Skipped unless FIRESTORE_EMULATOR_HOST is set; run with `npm run test:rules`
+ * (needs the Firebase CLI).
+ */
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('firestore.rules', () => {
+  let testEnv;
+  let assertSucceeds;
+  let assertFails;
+
+  const as = {
+    admin: () => testEnv.authenticatedContext('admin-uid').firestore(),
+    user: () => testEnv.authenticatedContext('user-uid').firestore(),
+    editor: () => testEnv.authenticatedContext('editor-uid').firestore(),
+    anonymous: () => testEnv.unauthenticatedContext().firestore()
+  };
+
+  beforeAll(async () => {
+    const rulesTesting = await import('@firebase/rules-unit-testing');
+    ({ assertSucceeds, assertFails } = rulesTesting);
+    const [host, port] = emulatorHost.split(':');
+    testEnv = await rulesTesting.initializeTestEnvironment({
+      projectId: 'demo-filipino-emigrants',
+      firestore: { host, port: Number(port), rules: generateFirestoreRules() }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/admin-uid'), { email: 'admin@example.com', role: 'admin' });
+      await setDoc(doc(db, 'users/user-uid'), { email: 'user@example.com', role: 'user', name: 'user' });
+      await setDoc(doc(db, 'users/editor-uid'), { email: 'editor@example.com', role: 'editor' });
+      await setDoc(doc(db, 'emigrant_age/15__19'), { yearly_data: { 1981: 3 } });
+      await setDoc(doc(db, 'emigrant_allCountries/USA'), { data: { 1981: 10 } });
+      await setDoc(doc(db, 'emigrant_occupation/Students'), { yearlyData: { 1981: 5 } });
+      await setDoc(doc(db, 'emigrants/1981'), { total: 5 });
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  describe('users', () => {
+    it('lets users read and edit their own profile but not their role', async () => {
+      await assertSucceeds(getDoc(doc(as.user(), 'users/user-uid')));
+      await assertSucceeds(updateDoc(doc(as.user(), 'users/user-uid'), { displayName: 'New Name' }));
+      await assertFails(updateDoc(doc(as.user(), 'users/user-uid'), { role: 'admin' }));
+      await assertFails(getDoc(doc(as.user(), 'users/admin-uid')));
+    });
+
+    it('only lets self-registration create a plain user', async () => {
+      const newcomer = testEnv.authenticatedContext('new-uid').firestore();
+      await assertFails(setDoc(doc(newcomer, 'users/new-uid'), { role: 'admin' }));
+      await assertFails(setDoc(doc(newcomer, 'users/new-uid'), { role: 'viewer', permissions: ['manage_users'] }));
+      await assertSucceeds(setDoc(doc(newcomer, 'users/new-uid'), { role: 'viewer', permissions: [] }));
+    });
+
+    it('lets admins manage every user', async () => {
+      await assertSucceeds(updateDoc(doc(as.admin(), 'users/user-uid'), { role: 'admin' }));
+      await assertSucceeds(deleteDoc(doc(as.admin(), 'users/user-uid')));
+    });
+
+    it('lets invitees register with their invited role', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'user_invitations/new@example.com'), { role: 'editor' });
+      });
+      const invitee = testEnv.authenticatedContext('new-uid', { email: 'new@example.com' }).firestore();
+      await assertSucceeds(getDoc(doc(invitee, 'user_invitations/new@example.com')));
+      await assertFails(setDoc(doc(invitee, 'users/new-uid'), { role: 'admin', permissions: [] }));
+      await assertSucceeds(setDoc(doc(invitee, 'users/new-uid'), { role: 'editor', permissions: [] }));
+      await assertSucceeds(deleteDoc(doc(invitee, 'user_invitations/new@example.com')));
+      await assertFails(setDoc(doc(as.user(), 'user_invitations/other@example.com'), { role: 'admin' }));
+    });
+
+    it('lets an invitee registering with capitals in their email take the invited role', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'user_invitations/new.user@example.com'), { role: 'analyst' });
+      });
+      // AuthService.register reads the invitation only after creating the account
+      await assertFails(getDoc(doc(as.anonymous(), 'user_invitations/new.user@example.com')));
+      const invitee = testEnv.authenticatedContext('new-uid', { email: 'New.User@Example.com' }).firestore();
+      const invitation = await assertSucceeds(getDoc(doc(invitee, 'user_invitations/new.user@example.com')));
+      expect(invitation.data().role).toBe('analyst');
+      await assertSucceeds(setDoc(doc(invitee, 'users/new-uid'), { role: invitation.data().role, permissions: [] }));
+      await assertSucceeds(deleteDoc(doc(invitee, 'user_invitations/new.user@example.com')));
+    });
+
+    it('refuses everything to suspended users', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await updateDoc(doc(context.firestore(), 'users/admin-uid'), { status: 'suspended' });
+      });
+      await assertFails(getDoc(doc(as.admin(), 'emigrant_age/15__19')));
+      await assertFails(updateDoc(doc(as.admin(), 'users/user-uid'), { role: 'admin' }));
+    });
+
+    it('lets users file admin requests that only admins decide', async () => {
+      await assertFails(setDoc(doc(as.user(), 'admin_requests/user-uid'), { status: 'approved' }));
+      await assertSucceeds(setDoc(doc(as.user(), 'admin_requests/user-uid'), { status: 'pending' }));
+      await assertFails(setDoc(doc(as.user(), 'admin_requests/admin-uid'), { status: 'pending' }));
+      await assertFails(updateDoc(doc(as.user(), 'admin_requests/user-uid'), { status: 'approved' }));
+      await assertSucceeds(updateDoc(doc(as.admin(), 'admin_requests/user-uid'), { status: 'approved' }));
+    });
+
+    it('lets signed-in users read settings but only admins change them', async () => {
+      await assertSucceeds(setDoc(doc(as.admin(), 'settings/access'), { adminDomains: ['example.edu'] }));
+      await assertSucceeds(getDoc(doc(as.user(), 'settings/access')));
+      await assertFails(updateDoc(doc(as.user(), 'settings/access'), { adminDomains: ['gmail.com'] }));
+      await assertFails(getDoc(doc(as.anonymous(), 'settings/access')));
+    });
+
+    it('lets users end their own sessions and admins revoke any', async () => {
+      const session = { uid: 'user-uid', lastActiveAt: 'a', endedAt: null };
+      await assertFails(setDoc(doc(as.user(), 'sessions/s2'), { ...session, uid: 'admin-uid' }));
+      await assertSucceeds(setDoc(doc(as.user(), 'sessions/s1'), session));
+      await assertFails(updateDoc(doc(as.user(), 'sessions/s1'), { expiresAt: 'later' }));
+      await assertSucceeds(updateDoc(doc(as.user(), 'sessions/s1'), { endedAt: 'now', endReason: 'logout' }));
+      await assertFails(updateDoc(doc(as.user(), 'sessions/s1'), { endedAt: null }));
+      await assertSucceeds(getDoc(doc(as.admin(), 'sessions/s1')));
+    });
+
+    it('hides users from anonymous visitors', async () => {
+      await assertFails(getDoc(doc(as.anonymous(), 'users/user-uid')));
+    });
+  });
+
+  describe.each([
+    ['emigrant_age', '15__19', { yearly_data: { 1981: 4 } }],
+    ['emigrant_allCountries', 'USA', { data: { 1981: 11 } }],
+    ['emigrant_occupation', 'Students', { yearlyData: { 1981: 6 } }],
+    ['emigrants', '1981', { total: 6 }]
+  ])('%s', (collection, id, update) => {
+    const path = `${collection}/${id}`;
+
+    it('is readable by signed-in users only', async () => {
+      await assertSucceeds(getDoc(doc(as.admin(), path)));
+      await assertSucceeds(getDoc(doc(as.user(), path)));
+      await assertFails(getDoc(doc(as.anonymous(), path)));
+    });
+
+    it('is writable by admins only', async () => {
+      await assertFails(setDoc(doc(as.user(), path), update));
+      await assertFails(deleteDoc(doc(as.user(), path)));
+      await assertFails(setDoc(doc(as.anonymous(), path), update));
+      await assertSucceeds(setDoc(doc(as.admin(), path), update));
+      await assertSucceeds(deleteDoc(doc(as.admin(), path)));
+    });
+  });
+
+  it('honours permissions granted on the user document', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'users/analyst-uid'), { role: 'analyst', permissions: ['upload_data'] });
+    });
+    const analyst = testEnv.authenticatedContext('analyst-uid').firestore();
+
+    await assertSucceeds(setDoc(doc(analyst, 'uploaded_2020/1981'), { total: 1 }));
+    await assertFails(setDoc(doc(analyst, 'emigrant_age/15__19'), { yearly_data: { 1981: 4 } }));
+  });
+
+  it('lets editors rename an uploaded collection with its versions and registry entry', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'uploads_2020/1981'), { total: 5 });
+      await setDoc(doc(db, 'dataset_versions/v1'), { collection: 'uploads_2020', documents: [] });
+      await setDoc(doc(db, 'collection_registry/uploads_2020'), { name: 'uploads_2020', rowCount: 1 });
+    });
+    const editor = as.editor();
+
+    // The steps of firestoreService.renameCollection, in order
+    await assertSucceeds(setDoc(doc(editor, 'sex_2020/1981'), { total: 5 }));
+    await assertSucceeds(updateDoc(doc(editor, 'dataset_versions/v1'), { collection: 'sex_2020' }));
+    await assertFails(updateDoc(doc(editor, 'dataset_versions/v1'), { documents: [{ id: '1981' }] }));
+    await assertSucceeds(setDoc(doc(editor, 'collection_registry/sex_2020'), { name: 'sex_2020', rowCount: 1 }));
+    await assertSucceeds(deleteDoc(doc(editor, 'collection_registry/uploads_2020')));
+    await assertSucceeds(deleteDoc(doc(editor, 'uploads_2020/1981')));
+  });
+
+  it('lets editors restore recycle bin entries but only admins purge them', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'recycle_bin/entry'), { dataset: 'age', category: '15__19', cells: [] });
+    });
+
+    await assertSucceeds(updateDoc(doc(as.editor(), 'recycle_bin/entry'), {
+      restoredAt: new Date().toISOString(),
+      restoredBy: { uid: 'editor-uid', email: 'editor@example.com' }
+    }));
+    await assertFails(updateDoc(doc(as.editor(), 'recycle_bin/entry'), { category: '14_Below' }));
+    await assertFails(deleteDoc(doc(as.editor(), 'recycle_bin/entry')));
+    await assertSucceeds(deleteDoc(doc(as.admin(), 'recycle_bin/entry')));
+  });
+
+  it('keeps the audit log append-only', async () => {
+    const entry = (uid, timestamp = new Date().toISOString()) => ({ operation: 'update', user: { uid }, timestamp });
+    await assertSucceeds(setDoc(doc(as.admin(), 'audit_log/entry'), entry('admin-uid')));
+    await assertFails(setDoc(doc(as.user(), 'audit_log/other'), entry('user-uid')));
+    await assertFails(updateDoc(doc(as.admin(), 'audit_log/entry'), { operation: 'delete' }));
+    await assertFails(deleteDoc(doc(as.admin(), 'audit_log/entry')));
+  });
+
+  it('refuses audit entries in someone else\'s name or at another time', async () => {
+    await assertFails(setDoc(doc(as.admin(), 'audit_log/forged'), { operation: 'update', user: { uid: 'user-uid' }, timestamp: new Date().toISOString() }));
+    await assertFails(setDoc(doc(as.admin(), 'audit_log/backdated'), { operation: 'update', user: { uid: 'admin-uid' }, timestamp: '2020-01-01T00:00:00.000Z' }));
+    await assertFails(setDoc(doc(as.admin(), 'audit_log/unsigned'), { operation: 'update', user: null, timestamp: new Date().toISOString() }));
+  });
+});
@@ -0,0 +1,198 @@
+// src/utils/firestoreRules.js
+import {
+  ACCESS,
+  COLLECTION_ACCESS,
+  UPLOADED_COLLECTION_ACCESS,
+  USER_STATUS,
+  rolesWithPermission
+} from "./permissions";
+
+/**
+ * ============================================
+ * FIRESTORE RULES GENERATOR
+ * ============================================
+ *
+ * Turns the permission definition in utils/permissions.js into the text of
+ * firestore.rules. Roles and extra permission grants are read from the
+ * caller's `users/{uid}` document, so changing either takes effect on their
+ * next request.
+ *
+ * Regenerate the committed file after changing permissions:
+ *   npm run rules:generate
+ */
+
+export const RULES_FILE = "firestore.rules";
+
+const OPERATIONS = ["read", "create", "update", "delete"];
+
+// How far a signed entry's timestamp may be from the request time
+const MAX_ENTRY_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const quoteList = (values) => `[${values.map((value) => `'${value}'`).join(", ")}]`;
+
+const helpers = (reservedCollections) => `    function signedIn() {
+      return request.auth != null;
+    }
+
+    function isOwner(userId) {
+      return signedIn() && request.auth.uid == userId;
+    }
+
+    function profile() {
+      return get(/databases/$(database)/documents/users/$(request.auth.uid)).data;
+    }
+
+    // Granted by the caller's role or listed in their stored permissions;
+    // suspended users are refused everything
+    function can(permission, roles) {
+      return signedIn()
+        && exists(/databases/$(database)/documents/users/$(request.auth.uid))
+        && profile().get('status', '${USER_STATUS.ACTIVE}') != '${USER_STATUS.SUSPENDED}'
+        && (profile().role in roles || permission in profile().get('permissions', []));
+    }
+
+    // The user named in a document's \`uid\` field
+    function ownsRecord(data) {
+      return signedIn() && data.uid == request.auth.uid;
+    }
+
+    // Invitations are keyed by lower-cased email (AuthService.inviteUsers)
+    function isInvitee(email) {
+      return signedIn() && request.auth.token.email.lower() == email;
+    }
+
+    // Firestore ORs every matching statement, so the catch-all for uploaded
+    // collections must skip the collections that have rules of their own
+    function isUploadedCollection(name) {
+      return !(name in ${quoteList(reservedCollections)});
+    }
+
+    // Time of an ISO string as written by Date.toISOString
+    function isoTime(iso) {
+      return timestamp.date(int(iso[0:4]), int(iso[5:7]), int(iso[8:10]))
+        + duration.value(int(iso[11:13]) * 3600 + int(iso[14:16]) * 60 + int(iso[17:19]), 's');
+    }
+
+    // A new entry naming the caller in \`user.uid\` and the current time in
+    // \`timestamp\`, so entries cannot be written in someone else's name
+    function isSignedEntry(data) {
+      return signedIn()
+        && data.user.uid == request.auth.uid
+        && data.timestamp is string
+        && data.timestamp.matches('^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}:[0-9]{2}[.][0-9]{3}Z$')
+        && math.abs(isoTime(data.timestamp).toMillis() - request.time.toMillis()) <= ${MAX_ENTRY_CLOCK_SKEW_MS};
+    }
+
+    // Role of the caller's pending invitation, or null
+    function invitedRole(invitations) {
+      return exists(/databases/$(database)/documents/$(invitations)/$(request.auth.token.email.lower()))
+        ? get(/databases/$(database)/documents/$(invitations)/$(request.auth.token.email.lower())).data.role
+        : null;
+    }`;
+
+// Rule condition granting one ACCESS constant or permission for an operation
+const conditionFor = (grant, access, operation) => {
+  if (grant === ACCESS.NOBODY) return "false";
+
+  if (grant === ACCESS.SIGNED_IN) return "signedIn()";
+
+  if (grant === ACCESS.OWNER) return "isOwner(docId)";
+
+  if (grant === ACCESS.OWNER_REQUEST) {
+    return `(isOwner(docId) && request.resource.data.status == '${access.pendingStatus}')`;
+  }
+
+  if (grant === ACCESS.SELF_REGISTER) {
+    const roleCheck = access.invitations
+      ? `(request.resource.data.role == '${access.createdRole}' || request.resource.data.role == invitedRole('${access.invitations}'))`
+      : `request.resource.data.role == '${access.createdRole}'`;
+    return `(isOwner(docId) && ${roleCheck} && request.resource.data.get('permissions', []).size() == 0)`;
+  }
+
+  if (grant === ACCESS.INVITEE) return "isInvitee(docId)";
+
+  if (grant === ACCESS.RECORD_OWNER) {
+    return operation === "create" ? "ownsRecord(request.resource.data)" : "ownsRecord(resource.data)";
+  }
+
+  if (grant === ACCESS.OPEN_RECORD_OWNER_FIELDS) {
+    return "(ownsRecord(resource.data) && resource.data.get('endedAt', null) == null"
+      + ` && request.resource.data.diff(resource.data).affectedKeys().hasOnly(${quoteList(access.ownerFields || [])}))`;
+  }
+
+  if (grant === ACCESS.OWNER_FIELDS) {
+    return `(isOwner(docId) && request.resource.data.diff(resource.data).affectedKeys().hasOnly(${quoteList(access.ownerFields || [])}))`;
+  }
+
+  return `can('${grant}', ${quoteList(rolesWithPermission(grant))})`;
+};
+
+// Condition for one operation; a list of grants means any of them.
+// Collections with signedEntries only accept new documents that pass
+// isSignedEntry as well, and collections with updateFields only accept
+// updates limited to those fields.
+const operationCondition = (access, operation) => {
+  const grants = [].concat(access[operation] ?? ACCESS.NOBODY);
+  const conditions = Array.from(new Set(grants.map((grant) => conditionFor(grant, access, operation))));
+  const condition = conditions.length === 1 ? conditions[0] : conditions.join(" || ");
+  if (condition === "false") return condition;
+  if (operation === "create" && access.signedEntries) {
+    return `isSignedEntry(request.resource.data) && (${condition})`;
+  }
+  if (operation === "update" && access.updateFields) {
+    return `request.resource.data.diff(resource.data).affectedKeys().hasOnly(${quoteList(access.updateFields)}) && (${condition})`;
+  }
+  return condition;
+};
+
+// Merge operations with identical conditions into one `allow` line
+const allowLines = (access, guard = null) => {
+  const byCondition = new Map();
+  OPERATIONS.forEach((operation) => {
+    const condition = operationCondition(access, operation);
+    if (!byCondition.has(condition)) byCondition.set(condition, []);
+    byCondition.get(condition).push(operation);
+  });
+
+  return Array.from(byCondition.entries()).map(([condition, operations]) => {
+    const guarded = guard && condition !== "false" ? `${guard} && (${condition})` : condition;
+    return `      allow ${operations.join(", ")}: if ${guarded};`;
+  });
+};
+
+const matchBlock = (path, lines) => [`    match ${path} {`, ...lines, "    }"].join("\n");
+
+/**
+ * Build firestore.rules from the permission definition.
+ *
+ * @param {Object} [definition]
+ * @param {Object} [definition.collections] - COLLECTION_ACCESS
+ * @param {Object} [definition.uploaded] - access for every other collection
+ * @returns {string} rules file contents
+ */
+export const generateFirestoreRules = ({
+  collections = COLLECTION_ACCESS,
+  uploaded = UPLOADED_COLLECTION_ACCESS
+} = {}) => {
+  const names = Object.keys(collections).sort();
+
+  const blocks = [
+    ...names.map((name) => matchBlock(`/${name}/{docId}`, allowLines(collections[name]))),
+    matchBlock("/{collectionName}/{docId}", allowLines(uploaded, "isUploadedCollection(collectionName)"))
+  ];
+
+  return [
+    "rules_version = '2';",
+    "",
+    "// Generated from src/utils/permissions.js by `npm run rules:generate`.",
+    "// Do not edit by hand.",
+    "service cloud.firestore {",
+    "  match /databases/{database}/documents {",
+    helpers(names),
+    "",
+    blocks.join("\n\n"),
+    "  }",
+    "}",
+    ""
+  ].join("\n");
+};
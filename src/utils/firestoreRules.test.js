@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { RULES_FILE, generateFirestoreRules } from './firestoreRules';
+import { PERMISSIONS } from './permissions';
+
+describe('generateFirestoreRules', () => {
+  it('matches the committed rules file (run `npm run rules:generate`)', () => {
+    const committed = readFileSync(resolve(__dirname, '../..', RULES_FILE), 'utf8');
+    expect(committed).toBe(generateFirestoreRules());
+  });
+
+  it('keeps the uploaded-collection catch-all off collections with their own rules', () => {
+    const rules = generateFirestoreRules({
+      collections: { users: { read: PERMISSIONS.MANAGE_USERS } },
+      uploaded: { read: PERMISSIONS.VIEW_DATA, create: PERMISSIONS.UPLOAD_DATA }
+    });
+
+    expect(rules).toContain("return !(name in ['users']);");
+    expect(rules).toContain(
+      "allow read: if isUploadedCollection(collectionName) && (can('view_data', ['admin', 'editor', 'analyst', 'viewer', 'super-admin', 'user']));"
+    );
+    expect(rules).toContain('allow update, delete: if false;');
+  });
+
+  it('only accepts audit entries signed by their writer', () => {
+    const rules = generateFirestoreRules();
+    expect(rules).toMatch(/match \/audit_log\/\{docId\} \{\n.*\n      allow create: if isSignedEntry\(request\.resource\.data\) && \(/);
+  });
+
+  it('limits updates to the listed fields', () => {
+    const rules = generateFirestoreRules({
+      collections: { bin: { read: PERMISSIONS.VIEW_DATA, update: PERMISSIONS.DELETE_DATA, updateFields: ['restoredAt'] } }
+    });
+    expect(rules).toContain(
+      "allow update: if request.resource.data.diff(resource.data).affectedKeys().hasOnly(['restoredAt']) && (can('delete_data', "
+    );
+  });
+});
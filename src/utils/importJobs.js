@@ -0,0 +1,30 @@
+// src/utils/importJobs.js
+
+/**
+ * Import job states shared by the server's job runner (server/importJobs.js)
+ * and the uploader that follows a job's progress.
+ */
+
+export const IMPORT_JOBS_COLLECTION = "import_jobs";
+
+// Replace drops stored years missing from the upload; merge keeps them
+export const IMPORT_MODES = {
+  REPLACE: "replace",
+  MERGE: "merge"
+};
+
+export const IMPORT_JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  FAILED: "failed",
+  COMPLETE: "complete",
+  CANCELLED: "cancelled"
+};
+
+const FINISHED = [IMPORT_JOB_STATUS.FAILED, IMPORT_JOB_STATUS.COMPLETE, IMPORT_JOB_STATUS.CANCELLED];
+const RESUMABLE = [IMPORT_JOB_STATUS.FAILED, IMPORT_JOB_STATUS.CANCELLED];
+
+export const isFinishedJob = (job) => FINISHED.includes(job?.status);
+
+// Failed, cancelled and interrupted jobs restart from the stored upload
+export const isResumableJob = (job) => RESUMABLE.includes(job?.status);
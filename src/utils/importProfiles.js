@@ -0,0 +1,326 @@
+// src/utils/importProfiles.js
+import { CHART_CATEGORIES } from "./chartCategories";
+
+/**
+ * ============================================
+ * CSV IMPORT PROFILES
+ * ============================================
+ *
+ * A profile describes the header row and value rules of one kind of source
+ * file, so the uploader can rename and type its columns and reject bad rows:
+ *
+ *   {
+ *     id, name,
+ *     dataset,        // DATASET_REGISTRY key of the CFO table it describes, or null
+ *     columns: [{
+ *       field,        // name stored in Firestore
+ *       aliases,      // other headers that mean the same column
+ *       type,         // one of COLUMN_TYPES
+ *       required,     // rows without a value are rejected
+ *       min, max      // optional range for numbers and years
+ *     }],
+ *     otherColumns    // { type, min, max } for columns the profile does not
+ *                     // list, or null to drop them
+ *   }
+ *
+ * Headers are compared ignoring case, spaces and punctuation, so "YEAR",
+ * "Year " and "year" all match the `year` column. BUILT_IN_IMPORT_PROFILES
+ * cover the CFO source files; users save their own from the mapping editor
+ * (services/importProfileService.js).
+ */
+
+export const COLUMN_TYPES = {
+  YEAR: "year",
+  INTEGER: "integer",
+  NUMBER: "number",
+  STRING: "string",
+  // Numbers where the cell is numeric, text otherwise (the uploader's old behaviour)
+  AUTO: "auto"
+};
+
+export const COLUMN_TYPE_LABELS = {
+  [COLUMN_TYPES.YEAR]: "Year",
+  [COLUMN_TYPES.INTEGER]: "Whole number",
+  [COLUMN_TYPES.NUMBER]: "Number",
+  [COLUMN_TYPES.STRING]: "Text",
+  [COLUMN_TYPES.AUTO]: "Number or text"
+};
+
+// Share of a profile's columns a header row must contain to be matched
+export const MIN_PROFILE_MATCH = 0.5;
+
+export const normalizeHeader = (header) => String(header ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+
+const YEAR_COLUMN = {
+  field: "year",
+  aliases: ["years", "yr", "year of migration"],
+  type: COLUMN_TYPES.YEAR,
+  required: true,
+  min: 1900,
+  max: 2100
+};
+
+const countColumn = (label) => ({ field: label, aliases: [], type: COLUMN_TYPES.INTEGER, required: false, min: 0 });
+
+const COUNT_COLUMNS = { type: COLUMN_TYPES.INTEGER, min: 0 };
+
+const PHILIPPINE_REGIONS = [
+  "NCR", "CAR", "Region I", "Region II", "Region III", "Region IV A", "Region IV B", "Region V",
+  "Region VI", "Region VII", "Region VIII", "Region IX", "Region X", "Region XI", "Region XII",
+  "CARAGA", "ARMM"
+];
+
+// One profile per CFO table: a Year column and one count column per category
+const categoryProfile = (id, name, dataset, labels) => ({
+  id,
+  name,
+  dataset,
+  columns: [YEAR_COLUMN, ...labels.map(countColumn)],
+  otherColumns: COUNT_COLUMNS,
+  builtIn: true
+});
+
+export const BUILT_IN_IMPORT_PROFILES = [
+  {
+    id: "emigrants",
+    name: "Emigrants by year",
+    dataset: null,
+    columns: [
+      YEAR_COLUMN,
+      { field: "emigrants", aliases: ["total emigrants", "number of emigrants"], type: COLUMN_TYPES.INTEGER, required: false, min: 0 },
+      { field: "population", aliases: [], type: COLUMN_TYPES.NUMBER, required: false, min: 0 }
+    ],
+    otherColumns: { type: COLUMN_TYPES.AUTO },
+    builtIn: true
+  },
+  categoryProfile("age", "CFO emigrants by age", "age", CHART_CATEGORIES.age.dataColumns),
+  categoryProfile("sex", "CFO emigrants by sex", "sex", CHART_CATEGORIES.sex.dataColumns),
+  categoryProfile("civil-status", "CFO emigrants by civil status", "civil-status", CHART_CATEGORIES.civilStatus.dataColumns),
+  categoryProfile("education", "CFO emigrants by education", "education", CHART_CATEGORIES.education.dataColumns),
+  categoryProfile("occupation", "CFO emigrants by occupation", "occupation", CHART_CATEGORIES.occupation.dataColumns),
+  categoryProfile("destination", "CFO emigrants by destination", "major-countries", CHART_CATEGORIES.destination.dataColumns),
+  categoryProfile("place-of-origin", "CFO emigrants by place of origin", "place-of-origin", PHILIPPINE_REGIONS)
+];
+
+export const getBuiltInProfile = (id) => BUILT_IN_IMPORT_PROFILES.find((profile) => profile.id === id) || null;
+
+/**
+ * Check a profile from the mapping editor before it is saved or used.
+ * @returns {Object} the profile with trimmed names and numeric ranges
+ * @throws {Error} describing the first problem
+ */
+export const validateImportProfile = (profile) => {
+  const name = String(profile?.name || "").trim();
+  if (!name) throw new Error("Give the profile a name.");
+
+  const columns = (profile.columns || []).map((column) => ({
+    field: String(column.field || "").trim(),
+    aliases: (column.aliases || []).map((alias) => String(alias).trim()).filter(Boolean),
+    type: column.type,
+    required: Boolean(column.required),
+    ...(column.min !== undefined && column.min !== null && column.min !== "" ? { min: Number(column.min) } : {}),
+    ...(column.max !== undefined && column.max !== null && column.max !== "" ? { max: Number(column.max) } : {})
+  }));
+
+  const fields = new Set();
+  columns.forEach((column) => {
+    if (!column.field) throw new Error("Every mapped column needs a field name.");
+    if (!Object.values(COLUMN_TYPES).includes(column.type)) throw new Error(`Unknown type "${column.type}" for ${column.field}.`);
+    if (fields.has(column.field)) throw new Error(`Two columns are mapped to ${column.field}.`);
+    if (Number.isNaN(column.min) || Number.isNaN(column.max)) throw new Error(`The range of ${column.field} must be numbers.`);
+    fields.add(column.field);
+  });
+
+  const yearColumns = columns.filter((column) => column.type === COLUMN_TYPES.YEAR);
+  if (yearColumns.length !== 1 || yearColumns[0].field !== "year") {
+    throw new Error('Map exactly one column to "year" with the Year type.');
+  }
+
+  return { ...profile, name, columns };
+};
+
+// ========== MAPPING EDITOR ==========
+
+const guessType = (header, rows) => {
+  if (headerKeys(YEAR_COLUMN).includes(normalizeHeader(header))) return COLUMN_TYPES.YEAR;
+  const values = rows.map((row) => row[header]).filter((value) => !isBlank(value));
+  const numbers = values.map((value) => Number(String(value).trim().replace(/,/g, "")));
+  if (values.length === 0 || numbers.some(Number.isNaN)) return COLUMN_TYPES.STRING;
+  return numbers.every(Number.isInteger) ? COLUMN_TYPES.INTEGER : COLUMN_TYPES.NUMBER;
+};
+
+/**
+ * First guess at the mapping editor's rows for an unmatched file: the year
+ * column is found by name, other types from the sample values.
+ * @param {Array<string>} headers
+ * @param {Array<Object>} [rows] - sample rows, keyed by header
+ * @returns {Array<Object>} { header, include, field, type, required, min, max }
+ */
+export const suggestProfileColumns = (headers = [], rows = []) =>
+  headers.map((header) => {
+    const type = guessType(header, rows);
+    const isYear = type === COLUMN_TYPES.YEAR;
+    return {
+      header,
+      include: true,
+      field: isYear ? "year" : String(header).trim(),
+      type,
+      required: isYear,
+      min: isYear ? YEAR_COLUMN.min : "",
+      max: isYear ? YEAR_COLUMN.max : ""
+    };
+  });
+
+/**
+ * Profile from the mapping editor's rows. Each header is kept as an alias
+ * of its field, so the same file is detected the next time. Columns left
+ * out of the mapping are dropped.
+ * @param {Object} details - { name, dataset, columns } with editor rows
+ * @returns {Object} a validated profile
+ */
+export const buildImportProfile = ({ name, dataset = null, columns = [] }) =>
+  validateImportProfile({
+    name,
+    dataset: dataset || null,
+    columns: columns
+      .filter((column) => column.include)
+      .map(({ header, field, type, required, min, max }) => ({
+        field,
+        aliases: normalizeHeader(header) === normalizeHeader(field) ? [] : [header],
+        type,
+        required,
+        min,
+        max
+      })),
+    otherColumns: null
+  });
+
+// ========== MATCHING ==========
+
+const headerKeys = (column) => [column.field, ...(column.aliases || [])].map(normalizeHeader);
+
+/**
+ * Pair a header row with a profile's columns.
+ * @param {Array<string>} headers
+ * @param {Object} profile
+ * @returns {{ mapping: Object, missing: Array<string>, matched: number }}
+ *   mapping is header → field for the headers the profile names; missing
+ *   lists required fields without a header
+ */
+export const matchProfileColumns = (headers = [], profile) => {
+  const mapping = {};
+  const used = new Set();
+
+  profile.columns.forEach((column) => {
+    const keys = headerKeys(column);
+    const header = headers.find((candidate) => !Object.hasOwn(mapping, candidate) && keys.includes(normalizeHeader(candidate)));
+    if (header !== undefined) {
+      mapping[header] = column.field;
+      used.add(column.field);
+    }
+  });
+
+  const missing = profile.columns.filter((column) => column.required && !used.has(column.field)).map(({ field }) => field);
+  return { mapping, missing, matched: used.size };
+};
+
+/**
+ * The profile that best fits a header row: every required column present
+ * and at least MIN_PROFILE_MATCH of its columns found.
+ * @param {Array<string>} headers
+ * @param {Array<Object>} profiles - saved and built-in profiles
+ * @returns {{ profile: Object, mapping: Object }|null} null when none fits
+ */
+export const detectImportProfile = (headers = [], profiles = BUILT_IN_IMPORT_PROFILES) => {
+  let best = null;
+
+  profiles.forEach((profile) => {
+    const { mapping, missing, matched } = matchProfileColumns(headers, profile);
+    const score = matched / profile.columns.length;
+    if (missing.length > 0 || score < MIN_PROFILE_MATCH) return;
+    if (!best || score > best.score || (score === best.score && matched > best.matched)) {
+      best = { profile, mapping, score, matched };
+    }
+  });
+
+  return best ? { profile: best.profile, mapping: best.mapping } : null;
+};
+
+// ========== APPLYING ==========
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+
+/**
+ * Typed value of one cell under a column's rules.
+ * @param {*} value - the cell as parsed
+ * @param {Object} rules - { type, min, max } of a profile column
+ * @param {string} label - column name used in the error
+ * @returns {{ value: * }|{ error: string }}
+ */
+export const convertImportCell = (value, { type, min, max }, label) => {
+  const text = String(value).trim();
+
+  if (type === COLUMN_TYPES.STRING) return { value: text };
+  if (type === COLUMN_TYPES.YEAR && !/^\d{4}$/.test(text)) {
+    return { error: `Invalid year format: "${value}" (must be 4 digits)` };
+  }
+
+  const number = Number(text.replace(/,/g, ""));
+  if (Number.isNaN(number)) {
+    return type === COLUMN_TYPES.AUTO ? { value: text } : { error: `${label}: "${value}" is not a number` };
+  }
+  if (type === COLUMN_TYPES.INTEGER && !Number.isInteger(number)) {
+    return { error: `${label}: ${number} is not a whole number` };
+  }
+
+  const outOfRange = (min !== undefined && number < min) || (max !== undefined && number > max);
+  if (outOfRange && type === COLUMN_TYPES.YEAR) {
+    return { error: `Year ${number} out of range (${min ?? "…"}-${max ?? "…"})` };
+  }
+  if (min !== undefined && number < min) return { error: `${label}: ${number} is below ${min}` };
+  if (max !== undefined && number > max) return { error: `${label}: ${number} is above ${max}` };
+  return { value: number };
+};
+
+/**
+ * Rename, type and check parsed CSV rows with a profile.
+ * @param {Array<Object>} rows - Papa.parse output with header: true
+ * @param {Object} profile
+ * @param {Object} [mapping] - header → field; matched from the headers when omitted
+ * @returns {{ rows: Array<Object>, invalidRows: Array<{ index: number, reason: string }> }}
+ *   index is the 1-based line number in the file (header is line 1)
+ */
+export const applyImportProfile = (rows = [], profile, mapping = null) => {
+  const headers = Object.keys(rows[0] || {});
+  const columnMapping = mapping || matchProfileColumns(headers, profile).mapping;
+  const columnsByField = Object.fromEntries(profile.columns.map((column) => [column.field, column]));
+  const required = profile.columns.filter((column) => column.required);
+
+  const invalidRows = [];
+  const processed = [];
+
+  rows.forEach((row, index) => {
+    const result = {};
+    const errors = [];
+
+    Object.entries(row).forEach(([header, value]) => {
+      const field = Object.hasOwn(columnMapping, header) ? columnMapping[header] : null;
+      const rules = field ? columnsByField[field] : profile.otherColumns;
+      if (!rules || isBlank(value)) return;
+
+      const { value: converted, error } = convertImportCell(value, rules, field || header);
+      if (error) errors.push(error);
+      else result[field || header] = converted;
+    });
+
+    required.forEach(({ field, type }) => {
+      if (result[field] !== undefined || errors.length > 0) return;
+      errors.push(type === COLUMN_TYPES.YEAR ? "Year column is empty" : `${field} is required`);
+    });
+
+    if (errors.length > 0) invalidRows.push({ index: index + 2, reason: errors.join("; ") });
+    else processed.push(result);
+  });
+
+  return { rows: processed, invalidRows };
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUILT_IN_IMPORT_PROFILES,
+  COLUMN_TYPES,
+  applyImportProfile,
+  buildImportProfile,
+  detectImportProfile,
+  getBuiltInProfile,
+  suggestProfileColumns
+} from './importProfiles';
+
+describe('detectImportProfile', () => {
+  it('picks the profile that fits the header row best', () => {
+    expect(detectImportProfile(['YEAR', 'MALE', 'FEMALE']).profile.id).toBe('sex');
+    expect(detectImportProfile(['Year ', 'Emigrants']).profile.id).toBe('emigrants');
+    expect(detectImportProfile(['Year', '15-19', '20-24', '25-29', '30-34', '35-39', '40-44', '45-49', '50-54']).profile.id).toBe('age');
+  });
+
+  it('finds nothing without the required columns or enough of the others', () => {
+    expect(detectImportProfile(['Country', 'Emigrants'])).toBeNull();
+    expect(detectImportProfile(['Year', 'Respondents', 'Region'])).toBeNull();
+  });
+
+  it('matches saved profiles by their aliases', () => {
+    const saved = buildImportProfile({
+      name: 'Survey',
+      columns: suggestProfileColumns(['Survey Year', 'Respondents'], [{ 'Survey Year': '1990', Respondents: '12' }])
+        .map((column) => (column.header === 'Survey Year' ? { ...column, field: 'year', type: COLUMN_TYPES.YEAR, required: true } : column))
+    });
+    const detected = detectImportProfile(['Survey Year', 'Respondents'], [saved, ...BUILT_IN_IMPORT_PROFILES]);
+    expect(detected.profile).toBe(saved);
+    expect(detected.mapping).toEqual({ 'Survey Year': 'year', Respondents: 'Respondents' });
+  });
+});
+
+describe('applyImportProfile', () => {
+  it('renames and types columns and reports rows that break the rules', () => {
+    const { rows, invalidRows } = applyImportProfile([
+      { Year: '1990', 'Total Emigrants': '1,200', Population: '60.7', Region: 'NCR', Note: '' },
+      { Year: '90', 'Total Emigrants': '5' },
+      { Year: '1991', 'Total Emigrants': '-3' },
+      { Year: '', 'Total Emigrants': '5' }
+    ], getBuiltInProfile('emigrants'));
+
+    expect(rows).toEqual([{ year: 1990, emigrants: 1200, population: 60.7, Region: 'NCR' }]);
+    expect(invalidRows).toEqual([
+      { index: 3, reason: 'Invalid year format: "90" (must be 4 digits)' },
+      { index: 4, reason: 'emigrants: -3 is below 0' },
+      { index: 5, reason: 'Year column is empty' }
+    ]);
+  });
+
+  it('drops columns a saved profile leaves out', () => {
+    const profile = buildImportProfile({
+      name: 'Survey',
+      columns: [
+        { header: 'Yr', include: true, field: 'year', type: COLUMN_TYPES.YEAR, required: true, min: 1900, max: 2100 },
+        { header: 'Notes', include: false, field: 'Notes', type: COLUMN_TYPES.STRING, required: false, min: '', max: '' }
+      ]
+    });
+    expect(applyImportProfile([{ Yr: '1995', Notes: 'x' }], profile).rows).toEqual([{ year: 1995 }]);
+  });
+});
+
+describe('buildImportProfile', () => {
+  it('needs a name and exactly one year column', () => {
+    const columns = suggestProfileColumns(['Country', 'Count'], [{ Country: 'USA', Count: '4' }]);
+    expect(columns.map(({ type }) => type)).toEqual([COLUMN_TYPES.STRING, COLUMN_TYPES.INTEGER]);
+    expect(() => buildImportProfile({ name: '', columns })).toThrow('name');
+    expect(() => buildImportProfile({ name: 'Countries', columns })).toThrow('"year"');
+  });
+});
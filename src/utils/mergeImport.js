@@ -0,0 +1,153 @@
+// src/utils/mergeImport.js
+
+/**
+ * ============================================
+ * MERGE (UPSERT) IMPORTS
+ * ============================================
+ *
+ * Merging an upload into stored data instead of replacing it, for a new
+ * year or a correction to one category. Documents are matched by ID (the
+ * year; category datasets are pivoted to year documents with one field per
+ * category first, see services/datasetRepository.js) and merged field by
+ * field. When both sides hold a value the field's strategy decides:
+ *
+ *   keep - keep the stored value
+ *   take - take the uploaded value (the default)
+ *   sum  - add the two; text values are taken from the upload
+ *
+ * Fields only one side has are always kept, and stored documents missing
+ * from the upload are left alone.
+ */
+
+export const MERGE_STRATEGIES = {
+  KEEP: "keep",
+  TAKE: "take",
+  SUM: "sum"
+};
+
+export const MERGE_STRATEGY_LABELS = {
+  [MERGE_STRATEGIES.KEEP]: "Keep existing",
+  [MERGE_STRATEGIES.TAKE]: "Take incoming",
+  [MERGE_STRATEGIES.SUM]: "Sum"
+};
+
+export const DEFAULT_MERGE_STRATEGY = MERGE_STRATEGIES.TAKE;
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const checkStrategy = (strategy, label) => {
+  if (!Object.values(MERGE_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown merge strategy "${strategy}" for ${label}.`);
+  }
+  return strategy;
+};
+
+/**
+ * Checked merge options from user input (query strings, job documents).
+ * @param {Object} [options] - { strategies, defaultStrategy }
+ * @returns {{ strategies: Object, defaultStrategy: string }}
+ * @throws {Error} on an unknown strategy
+ */
+export const normalizeMergeOptions = ({ strategies = {}, defaultStrategy = DEFAULT_MERGE_STRATEGY } = {}) => ({
+  strategies: Object.fromEntries(
+    Object.entries(strategies || {}).map(([field, strategy]) => [field, checkStrategy(strategy, field)])
+  ),
+  defaultStrategy: checkStrategy(defaultStrategy || DEFAULT_MERGE_STRATEGY, "the other fields")
+});
+
+/**
+ * The merged value of one field.
+ * @param {*} before - stored value, undefined when missing
+ * @param {*} after - uploaded value, undefined when missing
+ * @param {string} strategy - one of MERGE_STRATEGIES
+ */
+export const mergeValue = (before, after, strategy = DEFAULT_MERGE_STRATEGY) => {
+  if (after === undefined) return before;
+  if (before === undefined) return after;
+
+  switch (strategy) {
+    case MERGE_STRATEGIES.KEEP:
+      return before;
+    case MERGE_STRATEGIES.SUM:
+      return typeof before === "number" && typeof after === "number" ? before + after : after;
+    default:
+      return after;
+  }
+};
+
+/**
+ * Merge uploaded documents into stored ones.
+ * @param {Array<{id, data}>} current - stored documents
+ * @param {Array<{id, data}>} incoming - uploaded documents
+ * @param {Object} [options]
+ * @param {Object} [options.strategies] - field → strategy
+ * @param {string} [options.defaultStrategy] - for fields without one
+ * @returns {{ documents: Array<{id, data}>, rows: Array, summary: Object }}
+ *   documents are the merged versions of the added and changed documents
+ *   only; rows and summary have the shape of diffVersions in
+ *   services/versionService.js, and each change names the strategy applied
+ */
+export const mergeDocuments = (current = [], incoming = [], {
+  strategies = {},
+  defaultStrategy = DEFAULT_MERGE_STRATEGY
+} = {}) => {
+  const stored = new Map(current.map(({ id, data }) => [String(id), data || {}]));
+  const documents = [];
+  const rows = [];
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: stored.size };
+
+  incoming.forEach(({ id, data }) => {
+    const key = String(id);
+    const before = stored.get(key);
+
+    if (!before) {
+      documents.push({ id: key, data: { ...data } });
+      rows.push({
+        year: key,
+        status: "added",
+        changes: Object.keys(data).sort().map((column) => ({ column, before: undefined, after: data[column] }))
+      });
+      summary.added += 1;
+      return;
+    }
+
+    const merged = { ...before };
+    const changes = [];
+    Object.keys(data).sort().forEach((column) => {
+      const strategy = strategies[column] || defaultStrategy;
+      const value = mergeValue(before[column], data[column], strategy);
+      if (sameValue(value, before[column])) return;
+      merged[column] = value;
+      changes.push({ column, before: before[column], after: value, strategy });
+    });
+
+    if (changes.length === 0) return;
+    documents.push({ id: key, data: merged });
+    rows.push({ year: key, status: "changed", changes });
+    summary.changed += 1;
+    summary.unchanged -= 1;
+  });
+
+  rows.sort((a, b) => Number(a.year) - Number(b.year) || a.year.localeCompare(b.year));
+  return { documents, rows, summary };
+};
+
+// One line per changed document, for alerts and logs
+export const describeMerge = ({ rows, summary }) => [
+  `${summary.added} added, ${summary.changed} changed, ${summary.unchanged} unchanged`,
+  ...rows
+    .filter(({ status }) => status === "changed")
+    .map(({ year, changes }) => `${year}: ${changes.map(({ column, before, after }) => `${column} ${before} → ${after}`).join(", ")}`)
+];
+
+/**
+ * Cells of a CFO table from year rows with one column per category, as the
+ * built-in category import profiles produce them.
+ * @param {Array<Object>} rows - e.g. [{ year: 1990, MALE: 40, FEMALE: 60 }]
+ * @returns {Array<{ category, year, count }>}
+ */
+export const yearRowsToCells = (rows = []) =>
+  rows.flatMap(({ year, ...counts }) =>
+    Object.entries(counts)
+      .filter(([, count]) => typeof count === "number")
+      .map(([category, count]) => ({ category, year, count })));
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MERGE_STRATEGIES,
+  describeMerge,
+  mergeDocuments,
+  normalizeMergeOptions,
+  yearRowsToCells
+} from './mergeImport';
+
+const stored = [
+  { id: '1990', data: { male: 40, female: 60, note: 'final' } },
+  { id: '1991', data: { male: 10, female: 20 } }
+];
+
+describe('mergeDocuments', () => {
+  it('applies each field\'s strategy and keeps fields and years the upload lacks', () => {
+    const { documents, rows, summary } = mergeDocuments(stored, [
+      { id: '1990', data: { male: 5, female: 7, note: 'revised' } },
+      { id: '1992', data: { male: 1 } }
+    ], { strategies: { male: MERGE_STRATEGIES.SUM, female: MERGE_STRATEGIES.KEEP } });
+
+    expect(documents).toEqual([
+      { id: '1990', data: { male: 45, female: 60, note: 'revised' } },
+      { id: '1992', data: { male: 1 } }
+    ]);
+    expect(rows.find(({ year }) => year === '1990').changes).toEqual([
+      { column: 'male', before: 40, after: 45, strategy: 'sum' },
+      { column: 'note', before: 'final', after: 'revised', strategy: 'take' }
+    ]);
+    expect(summary).toEqual({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+  });
+
+  it('reports nothing when the upload changes no value', () => {
+    const merge = mergeDocuments(stored, [{ id: '1991', data: { male: 99 } }], { defaultStrategy: MERGE_STRATEGIES.KEEP });
+    expect(merge.documents).toEqual([]);
+    expect(describeMerge(merge)).toEqual(['0 added, 0 changed, 2 unchanged']);
+  });
+});
+
+describe('normalizeMergeOptions', () => {
+  it('defaults to taking the uploaded values and rejects unknown strategies', () => {
+    expect(normalizeMergeOptions()).toEqual({ strategies: {}, defaultStrategy: 'take' });
+    expect(() => normalizeMergeOptions({ strategies: { male: 'max' } })).toThrow('Unknown merge strategy "max" for male');
+  });
+});
+
+describe('yearRowsToCells', () => {
+  it('turns year rows into category cells', () => {
+    expect(yearRowsToCells([{ year: 1990, MALE: 40, FEMALE: 60 }])).toEqual([
+      { category: 'MALE', year: 1990, count: 40 },
+      { category: 'FEMALE', year: 1990, count: 60 }
+    ]);
+  });
+});
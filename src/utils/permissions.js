@@ -0,0 +1,298 @@
+// src/utils/permissions.js
+import { DATASET_REGISTRY } from "./datasetRegistry";
+
+/**
+ * ============================================
+ * PERMISSION DEFINITION
+ * ============================================
+ *
+ * The single source of truth for who may do what. Every signed-in user has
+ * one role; their effective permissions are the role's permissions plus any
+ * extra grants stored in the `permissions` array of their `users/{uid}`
+ * document. The UI checks them through usePermission / hasPermission, and
+ * firestore.rules is generated from this file (see utils/firestoreRules.js,
+ * `npm run rules:generate`), so a permission granted or revoked here is
+ * enforced by Firestore as well as hidden in the UI.
+ *
+ * COLLECTION_ACCESS maps every stored collection to the permission each
+ * operation needs. Operations are "read", "create", "update" and "delete";
+ * the value is a permission name, or one of the ACCESS constants below.
+ */
+
+export const ROLES = {
+  ADMIN: "admin",
+  EDITOR: "editor",
+  ANALYST: "analyst",
+  VIEWER: "viewer"
+};
+
+// Role names found on older user documents
+export const ROLE_ALIASES = {
+  "super-admin": ROLES.ADMIN,
+  user: ROLES.VIEWER
+};
+
+export const DEFAULT_ROLE = ROLES.VIEWER;
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: "Administrator",
+  [ROLES.EDITOR]: "Editor",
+  [ROLES.ANALYST]: "Analyst",
+  [ROLES.VIEWER]: "Viewer"
+};
+
+export const ROLE_DESCRIPTIONS = {
+  [ROLES.ADMIN]: "Full control, including users, data resets and ML training.",
+  [ROLES.EDITOR]: "Upload, edit, delete and export datasets.",
+  [ROLES.ANALYST]: "Explore and export data and train forecasting models.",
+  [ROLES.VIEWER]: "Read-only access with chart and table exports."
+};
+
+export const PERMISSIONS = {
+  VIEW_DASHBOARD: "view_dashboard",
+  VIEW_DATA: "view_data",
+  EXPORT_DATA: "export_data",
+  EXPORT_CHARTS: "export_charts",
+  EXPORT_TABLE: "export_table",
+  UPLOAD_DATA: "upload_data",
+  MANAGE_DATA: "manage_data",
+  DELETE_DATA: "delete_data",
+  CLEAR_ALL_DATA: "clear_all_data",
+  TRAIN_ML_MODELS: "train_ml_models",
+  MANAGE_USERS: "manage_users"
+};
+
+// Permission names found in the `permissions` array of older user documents
+const PERMISSION_ALIASES = {
+  view_all: PERMISSIONS.VIEW_DATA
+};
+
+const VIEWING = [
+  PERMISSIONS.VIEW_DASHBOARD,
+  PERMISSIONS.VIEW_DATA,
+  PERMISSIONS.EXPORT_CHARTS,
+  PERMISSIONS.EXPORT_TABLE
+];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.EDITOR]: [
+    ...VIEWING,
+    PERMISSIONS.EXPORT_DATA,
+    PERMISSIONS.UPLOAD_DATA,
+    PERMISSIONS.MANAGE_DATA,
+    PERMISSIONS.DELETE_DATA
+  ],
+  [ROLES.ANALYST]: [...VIEWING, PERMISSIONS.EXPORT_DATA, PERMISSIONS.TRAIN_ML_MODELS],
+  [ROLES.VIEWER]: VIEWING
+};
+
+// `status` field of a user document; suspended users keep their role but
+// are signed out at login and refused by the Firestore rules
+export const USER_STATUS = {
+  ACTIVE: "active",
+  SUSPENDED: "suspended"
+};
+
+// `status` of an admin_requests document (see services/adminAccessService.js)
+export const ADMIN_REQUEST_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected"
+};
+
+// Canonical role for a stored role name; unknown roles get no permissions
+export const normalizeRole = (role) => {
+  const name = String(role || "").trim().toLowerCase();
+  const canonical = ROLE_ALIASES[name] || name;
+  return ROLE_PERMISSIONS[canonical] ? canonical : null;
+};
+
+/**
+ * Effective permissions of a user.
+ *
+ * @param {Object|string|null} user - { role, permissions } as stored on the
+ *   user document, or just a role name
+ * @returns {Set<string>}
+ */
+export const resolvePermissions = (user) => {
+  if (!user) return new Set();
+  const { role, permissions = [] } = typeof user === "string" ? { role: user } : user;
+
+  const granted = new Set(ROLE_PERMISSIONS[normalizeRole(role)] || []);
+  (Array.isArray(permissions) ? permissions : []).forEach((permission) => {
+    const name = PERMISSION_ALIASES[permission] || permission;
+    if (Object.values(PERMISSIONS).includes(name)) granted.add(name);
+  });
+  return granted;
+};
+
+// `user` is a role name or a { role, permissions } user document
+export const hasPermission = (user, permission) => resolvePermissions(user).has(permission);
+
+// Stored role names (canonical and legacy) whose role holds a permission
+export const rolesWithPermission = (permission) => {
+  const roles = Object.values(ROLES).filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+  const aliases = Object.keys(ROLE_ALIASES).filter((alias) => roles.includes(ROLE_ALIASES[alias]));
+  return [...roles, ...aliases];
+};
+
+// ========== COLLECTION ACCESS ==========
+
+export const ACCESS = {
+  NOBODY: "nobody",
+  // Any signed-in user
+  SIGNED_IN: "signed-in",
+  // The signed-in user's own document (document ID is their uid)
+  OWNER: "owner",
+  // The owner creating their own document with `createdRole`, or with the
+  // role of their pending invitation
+  SELF_REGISTER: "self-register",
+  // The signed-in user whose email is the document ID
+  INVITEE: "invitee",
+  // The owner filing their own request with `status` set to `pendingStatus`
+  OWNER_REQUEST: "owner-request",
+  // The owner, limited to fields listed in `ownerFields`
+  OWNER_FIELDS: "owner-fields",
+  // The user named in the document's `uid` field
+  RECORD_OWNER: "record-owner",
+  // That user, limited to `ownerFields` and only while `endedAt` is unset
+  OPEN_RECORD_OWNER_FIELDS: "open-record-owner-fields"
+};
+
+// Profile fields users may change on their own document
+export const USER_SELF_EDITABLE_FIELDS = ["name", "displayName", "lastLogin", "updatedAt"];
+
+const CATEGORY_DATASET_ACCESS = {
+  read: PERMISSIONS.VIEW_DATA,
+  create: PERMISSIONS.MANAGE_DATA,
+  update: PERMISSIONS.MANAGE_DATA,
+  delete: PERMISSIONS.DELETE_DATA
+};
+
+export const COLLECTION_ACCESS = {
+  users: {
+    read: [ACCESS.OWNER, PERMISSIONS.MANAGE_USERS],
+    create: [ACCESS.SELF_REGISTER, PERMISSIONS.MANAGE_USERS],
+    update: [ACCESS.OWNER_FIELDS, PERMISSIONS.MANAGE_USERS],
+    delete: PERMISSIONS.MANAGE_USERS,
+    ownerFields: USER_SELF_EDITABLE_FIELDS,
+    createdRole: DEFAULT_ROLE,
+    invitations: "user_invitations"
+  },
+  // Pending invitations keyed by lower-cased email (see AuthService.inviteUsers);
+  // the invitee reads theirs while registering and removes it afterwards
+  user_invitations: {
+    read: [ACCESS.INVITEE, PERMISSIONS.MANAGE_USERS],
+    create: PERMISSIONS.MANAGE_USERS,
+    update: PERMISSIONS.MANAGE_USERS,
+    delete: [ACCESS.INVITEE, PERMISSIONS.MANAGE_USERS]
+  },
+  // Requests for admin elevation, keyed by uid; owners may (re)file theirs,
+  // only admins decide them
+  admin_requests: {
+    read: [ACCESS.OWNER, PERMISSIONS.MANAGE_USERS],
+    create: ACCESS.OWNER_REQUEST,
+    update: [ACCESS.OWNER_REQUEST, PERMISSIONS.MANAGE_USERS],
+    delete: PERMISSIONS.MANAGE_USERS,
+    pendingStatus: ADMIN_REQUEST_STATUS.PENDING
+  },
+  // One record per sign-in (see services/sessionService.js); users end
+  // their own sessions, admins can revoke anyone's
+  sessions: {
+    read: [ACCESS.RECORD_OWNER, PERMISSIONS.MANAGE_USERS],
+    create: ACCESS.RECORD_OWNER,
+    update: [ACCESS.OPEN_RECORD_OWNER_FIELDS, PERMISSIONS.MANAGE_USERS],
+    delete: PERMISSIONS.MANAGE_USERS,
+    ownerFields: ["lastActiveAt", "endedAt", "endReason", "endedBy"]
+  },
+  // App-wide settings such as the admin domain allowlist
+  settings: {
+    read: ACCESS.SIGNED_IN,
+    create: PERMISSIONS.MANAGE_USERS,
+    update: PERMISSIONS.MANAGE_USERS,
+    delete: ACCESS.NOBODY
+  },
+  // Public API keys, keyed by the key's SHA-256 hash (see services/apiKeyService.js);
+  // revoked keys are kept for the record
+  api_keys: {
+    read: PERMISSIONS.MANAGE_USERS,
+    create: PERMISSIONS.MANAGE_USERS,
+    update: PERMISSIONS.MANAGE_USERS,
+    delete: ACCESS.NOBODY
+  },
+  // Server-side CSV import jobs (server/importJobs.js); only the server writes them
+  import_jobs: {
+    read: PERMISSIONS.UPLOAD_DATA,
+    create: ACCESS.NOBODY,
+    update: ACCESS.NOBODY,
+    delete: ACCESS.NOBODY
+  },
+  // CSV import profiles saved from the mapping editor (services/importProfileService.js)
+  import_profiles: {
+    read: PERMISSIONS.UPLOAD_DATA,
+    create: PERMISSIONS.UPLOAD_DATA,
+    update: PERMISSIONS.UPLOAD_DATA,
+    delete: PERMISSIONS.MANAGE_DATA
+  },
+  // Registered forecasts retrained by the server (services/forecastModelService.js)
+  forecast_configs: {
+    read: PERMISSIONS.VIEW_DATA,
+    create: PERMISSIONS.TRAIN_ML_MODELS,
+    update: PERMISSIONS.TRAIN_ML_MODELS,
+    delete: PERMISSIONS.TRAIN_ML_MODELS
+  },
+  // Their latest trained models; written only by server/retraining.js
+  forecast_models: {
+    read: PERMISSIONS.VIEW_DATA,
+    create: ACCESS.NOBODY,
+    update: ACCESS.NOBODY,
+    delete: PERMISSIONS.TRAIN_ML_MODELS
+  },
+  ...Object.fromEntries(
+    Object.values(DATASET_REGISTRY).map(({ collection }) => [collection, CATEGORY_DATASET_ACCESS])
+  ),
+  // Entries are re-keyed when a collection is renamed (manage_data, see
+  // firestoreService.renameCollection) and removed when it is deleted
+  collection_registry: {
+    read: PERMISSIONS.VIEW_DATA,
+    create: PERMISSIONS.UPLOAD_DATA,
+    update: PERMISSIONS.UPLOAD_DATA,
+    delete: PERMISSIONS.MANAGE_DATA
+  },
+  // Saved contents are immutable; a rename only repoints their collection
+  dataset_versions: {
+    read: PERMISSIONS.MANAGE_DATA,
+    create: PERMISSIONS.UPLOAD_DATA,
+    update: PERMISSIONS.MANAGE_DATA,
+    delete: PERMISSIONS.MANAGE_DATA,
+    updateFields: ["collection"]
+  },
+  // Deleted dataset counts (see datasetRepository.js); whoever may delete
+  // restores them by marking the entry restored, only admins purge entries
+  recycle_bin: {
+    read: PERMISSIONS.DELETE_DATA,
+    create: PERMISSIONS.DELETE_DATA,
+    update: PERMISSIONS.DELETE_DATA,
+    delete: PERMISSIONS.CLEAR_ALL_DATA,
+    updateFields: ["restoredAt", "restoredBy"]
+  },
+  // Entries are append-only; every writer records one, naming themselves
+  // and the current time (signedEntries)
+  audit_log: {
+    read: PERMISSIONS.MANAGE_USERS,
+    create: [PERMISSIONS.MANAGE_DATA, PERMISSIONS.UPLOAD_DATA, PERMISSIONS.DELETE_DATA, PERMISSIONS.MANAGE_USERS],
+    update: ACCESS.NOBODY,
+    delete: ACCESS.NOBODY,
+    signedEntries: true
+  }
+};
+
+// Any other top-level collection is an uploaded CSV collection (see
+// firestoreService.overwriteCollection), including its staging copies
+export const UPLOADED_COLLECTION_ACCESS = {
+  read: PERMISSIONS.VIEW_DATA,
+  create: PERMISSIONS.UPLOAD_DATA,
+  update: PERMISSIONS.MANAGE_DATA,
+  delete: PERMISSIONS.DELETE_DATA
+};
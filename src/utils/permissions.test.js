@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { PERMISSIONS, ROLES, hasPermission, rolesWithPermission } from './permissions';
+
+describe('hasPermission', () => {
+  it('reads the shared role definition', () => {
+    expect(hasPermission(ROLES.ADMIN, PERMISSIONS.CLEAR_ALL_DATA)).toBe(true);
+    expect(hasPermission('ADMIN', PERMISSIONS.UPLOAD_DATA)).toBe(true);
+    expect(hasPermission(ROLES.EDITOR, PERMISSIONS.TRAIN_ML_MODELS)).toBe(false);
+    expect(hasPermission(ROLES.ANALYST, PERMISSIONS.TRAIN_ML_MODELS)).toBe(true);
+    expect(hasPermission(ROLES.VIEWER, PERMISSIONS.UPLOAD_DATA)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.VIEW_DATA)).toBe(false);
+  });
+
+  it('maps legacy roles and adds grants stored on the user document', () => {
+    expect(hasPermission('super-admin', PERMISSIONS.MANAGE_USERS)).toBe(true);
+    expect(hasPermission('user', PERMISSIONS.VIEW_DATA)).toBe(true);
+    expect(hasPermission({ role: 'user', permissions: ['export_data'] }, PERMISSIONS.EXPORT_DATA)).toBe(true);
+    expect(hasPermission({ role: 'viewer', permissions: ['view_all', 'bogus'] }, 'bogus')).toBe(false);
+    expect(hasPermission({ role: 'unknown', permissions: [] }, PERMISSIONS.VIEW_DATA)).toBe(false);
+  });
+});
+
+describe('rolesWithPermission', () => {
+  it('lists legacy role names alongside the canonical roles', () => {
+    expect(rolesWithPermission(PERMISSIONS.MANAGE_USERS)).toEqual(['admin', 'super-admin']);
+    expect(rolesWithPermission(PERMISSIONS.TRAIN_ML_MODELS)).toEqual(['admin', 'analyst', 'super-admin']);
+  });
+});
@@ -5,6 +5,8 @@
  */
 
 import { cleanData, sortData, normalizeData, denormalize, createSequences, calculateMetrics, DEFAULT_PREPARATION_OPTIONS } from './dataPreparation';
+import { buildLSTMModel, trainLSTMModel, predictLSTM } from '../models/lstmModel';
+import { buildMLPModel, trainMLPModel, predictMLP } from '../models/mlpModel';
 
 /**
  * Common training configuration for both models
@@ -292,11 +294,161 @@ export function validateModelConfig(config) {
   return true;
 }
 
+/**
+ * Clean, sort, normalize and window raw rows for a forecast model.
+ * Used by ForecastPanel and by the server's scheduled retraining
+ * (server/retraining.js), so both train on identically prepared data.
+ * @param {Array} data - Raw rows
+ * @param {Object} preparation - cleanData options with yearKey, target and features
+ * @param {number} lookback - Lookback window size
+ * @returns {Object} Sequences, scaling and the series shown next to forecasts
+ */
+export function prepareForecastDataset(data, preparation, lookback) {
+  const { yearKey, target, features } = preparation;
+  const { rows: cleanedRows, issues, discardedCount } = cleanData(data, preparation);
+
+  const sortedData = sortData(cleanedRows, yearKey);
+  const aggregatedSeries = sortedData.map((row) => ({
+    year: row[yearKey],
+    value: row[target]
+  }));
+
+  const { normalized, mins, maxs } = normalizeData(sortedData, features);
+  const { X, y } = sortedData.length > lookback
+    ? createSequences(normalized, lookback, features, target)
+    : { X: [], y: [] };
+
+  return {
+    normalizedLookback: lookback,
+    workingData: data,
+    issues,
+    discardedCount,
+    sortedData,
+    aggregatedSeries,
+    mins,
+    maxs,
+    X,
+    y
+  };
+}
+
+/**
+ * Build, train and evaluate an LSTM or MLP model on a prepared dataset
+ * @param {Object} dataset - Output of prepareForecastDataset
+ * @param {Object} preparation - The preparation options the dataset was built with
+ * @param {Object} config - Hyperparameters: modelType, lookback, epochs, validationSplit and the layer options
+ * @param {Function} [onEpoch] - Called with { epoch, totalEpochs, logs, config } after each epoch
+ * @returns {Object} The trained model, its metrics and the series for its metadata
+ */
+export async function trainForecastModel(dataset, preparation, config, onEpoch) {
+  const { yearKey, target, features } = preparation;
+  const { normalizedLookback, sortedData, mins, maxs, X, y } = dataset;
+
+  if (sortedData.length <= normalizedLookback) {
+    throw new Error('Not enough valid rows after cleaning to train the model.');
+  }
+
+  const isLSTM = config.modelType === 'LSTM';
+  const model = isLSTM
+    ? buildLSTMModel(normalizedLookback, features.length, {
+        layerUnits: config.layerUnits,
+        dropout: config.dropout,
+        learningRate: config.learningRate
+      })
+    : buildMLPModel(normalizedLookback, features.length, {
+        hiddenUnits: config.hiddenUnits,
+        dropout: config.dropout,
+        activation: config.activation,
+        learningRate: config.learningRate
+      });
+
+  const trainFn = isLSTM ? trainLSTMModel : trainMLPModel;
+  const predictFn = isLSTM ? predictLSTM : predictMLP;
+
+  const epochLogs = [];
+  const epochHandler = (epoch, logs) => {
+    const entry = {
+      epoch: epoch + 1,
+      loss: typeof logs.loss === 'number' ? logs.loss : Number.parseFloat(logs.loss ?? 'NaN'),
+      mae: typeof logs.mae === 'number' ? logs.mae : Number.parseFloat(logs.mae ?? 'NaN'),
+      val_loss: typeof logs.val_loss === 'number' ? logs.val_loss : logs.val_loss != null ? Number.parseFloat(logs.val_loss) : undefined,
+      val_mae: typeof logs.val_mae === 'number' ? logs.val_mae : logs.val_mae != null ? Number.parseFloat(logs.val_mae) : undefined
+    };
+    epochLogs.push(entry);
+    if (onEpoch) {
+      onEpoch({
+        epoch: entry.epoch,
+        totalEpochs: config.epochs,
+        logs: entry,
+        config
+      });
+    }
+  };
+
+  await trainFn(model, X, y, epochHandler, config.epochs, config.validationSplit);
+
+  const normalizedPredictions = await predictFn(model, X);
+  const predictions = normalizedPredictions.map((pred) => denormalize(pred, mins[target], maxs[target]));
+  const actualValues = y.map((val) => denormalize(val, mins[target], maxs[target]));
+
+  const trainingYears = sortedData.slice(normalizedLookback).map((row) => row[yearKey]);
+  const trainingSeries = trainingYears.map((year, index) => ({
+    year,
+    actual: actualValues[index],
+    fitted: predictions[index]
+  }));
+
+  return {
+    ...dataset,
+    config,
+    model,
+    epochLogs,
+    metrics: calculateMetrics(actualValues, predictions),
+    trainingSeries
+  };
+}
+
+/**
+ * Metadata stored with a trained forecast model; everything ForecastPanel
+ * needs to forecast and chart without retraining
+ * @param {Object} result - Output of trainForecastModel
+ * @param {Object} preparation - The preparation options used for training
+ * @returns {Object} Model metadata
+ */
+export function buildForecastMetadata(result, preparation) {
+  const { yearKey, target, features } = preparation;
+  return {
+    modelType: result.config.modelType,
+    lookback: result.config.lookback,
+    features,
+    target,
+    mins: result.mins,
+    maxs: result.maxs,
+    lastYear: result.sortedData[result.sortedData.length - 1][yearKey],
+    lastData: result.sortedData.slice(-result.config.lookback),
+    metrics: result.metrics,
+    trainedAt: new Date().toISOString(),
+    preparation: {
+      ...preparation,
+      issueCount: result.issues.length,
+      discardedCount: result.discardedCount,
+      totalRows: result.workingData.length
+    },
+    historicalSeries: result.aggregatedSeries,
+    fittedSeries: result.trainingSeries,
+    trainingHistory: result.epochLogs,
+    hyperparameters: result.config
+  };
+}
+
 export default {
   prepareTrainingData,
   trainModel,
   generateForecast,
   createModelMetadata,
+  prepareForecastDataset,
+  trainForecastModel,
+  buildForecastMetadata,
   handleModelError,
   validateModelConfig,
   SHARED_TRAINING_CONFIG
@@ -0,0 +1,252 @@
+/**
+ * Long-Format (Tidy) Data Model
+ * One row per observation: { dataset, year, dimension, category, value }
+ *
+ * Both storage layouts convert to and from this shape:
+ * - year documents written by overwriteCollection ({ id: year, data: { column: value } });
+ *   flat numeric columns become dimension "measure", nested objects such as
+ *   { status: { single: 3 } } become dimension "status", category "single"
+ * - category datasets from utils/datasetRegistry.js; the dimension is the
+ *   dataset's categoryKey (e.g. "ageGroup")
+ *
+ * pivotByYear produces the year-per-row records that charts and
+ * dataPreparation.cleanData expect; pivotByCategory produces table rows.
+ */
+
+import { DOCUMENT_LAYOUTS, getDatasetConfig } from './datasetRegistry';
+
+export const MEASURE_DIMENSION = 'measure';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const numeric = Number(value.replace(/,/g, ''));
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const byYearThenCategory = (a, b) =>
+  a.year - b.year || a.dimension.localeCompare(b.dimension) || a.category.localeCompare(b.category);
+
+/**
+ * Build one tidy row; null when the year or value is not numeric
+ * @param {Object} fields - dataset, year, dimension, category, value
+ * @returns {Object|null}
+ */
+export function createTidyRow({ dataset, year, dimension = MEASURE_DIMENSION, category, value }) {
+  const numericYear = toNumber(year);
+  const numericValue = toNumber(value);
+  if (numericYear === null || numericValue === null || category === undefined || category === null) return null;
+
+  return {
+    dataset,
+    year: numericYear,
+    dimension,
+    category: String(category),
+    value: numericValue
+  };
+}
+
+// ========== WIDE (YEAR PER ROW) ==========
+
+/**
+ * Convert year-per-row records (e.g. fetchAllRecords or a parsed CSV) to tidy rows
+ * @param {Array<Object>} records - each with a year column
+ * @param {Object} options - dataset name, yearKey (default 'year')
+ * @returns {Array<Object>} tidy rows sorted by year
+ */
+export function wideRecordsToTidy(records = [], { dataset = null, yearKey = 'year' } = {}) {
+  const rows = [];
+  const push = (fields) => {
+    const row = createTidyRow({ dataset, ...fields });
+    if (row) rows.push(row);
+  };
+
+  records.forEach((record) => {
+    if (!record) return;
+    const year = record[yearKey];
+
+    Object.entries(record).forEach(([key, value]) => {
+      if (key === yearKey || key === 'id') return;
+
+      if (isPlainObject(value)) {
+        Object.entries(value).forEach(([category, nested]) => push({ year, dimension: key, category, value: nested }));
+      } else {
+        push({ year, dimension: MEASURE_DIMENSION, category: key, value });
+      }
+    });
+  });
+
+  return rows.sort(byYearThenCategory);
+}
+
+/**
+ * Convert tidy rows back to year-per-row records; values of the same cell are summed
+ * @param {Array<Object>} rows - tidy rows
+ * @param {Object} options - yearKey (default 'year')
+ * @returns {Array<Object>} records sorted by year, nested dimensions as objects
+ */
+export function tidyToWideRecords(rows = [], { yearKey = 'year' } = {}) {
+  const records = new Map();
+
+  rows.forEach(({ year, dimension, category, value }) => {
+    if (!records.has(year)) records.set(year, { [yearKey]: year });
+    const record = records.get(year);
+
+    if (dimension === MEASURE_DIMENSION) {
+      record[category] = (record[category] || 0) + value;
+    } else {
+      record[dimension] = record[dimension] || {};
+      record[dimension][category] = (record[dimension][category] || 0) + value;
+    }
+  });
+
+  return Array.from(records.values()).sort((a, b) => a[yearKey] - b[yearKey]);
+}
+
+/**
+ * Convert stored year documents ([{ id, data }], the ID being the year) to tidy rows
+ * @param {Array<Object>} documents - as returned by storage.getDocuments
+ * @param {Object} options - dataset name (usually the collection)
+ * @returns {Array<Object>} tidy rows
+ */
+export function yearDocumentsToTidy(documents = [], { dataset = null } = {}) {
+  return wideRecordsToTidy(
+    documents.map(({ id, data }) => ({ ...data, year: id })),
+    { dataset }
+  );
+}
+
+/**
+ * Convert tidy rows to year documents ready for replaceCollection
+ * @param {Array<Object>} rows - tidy rows
+ * @returns {Array<{id: string, data: Object}>}
+ */
+export function tidyToYearDocuments(rows = []) {
+  return tidyToWideRecords(rows).map(({ year, ...data }) => ({ id: String(year), data }));
+}
+
+// ========== CATEGORY DATASETS ==========
+
+/**
+ * Convert category dataset rows (see datasetRepository.parseDatasetDocuments) to tidy rows
+ * @param {string} datasetKey - registry key, e.g. 'age'
+ * @param {Array<Object>} datasetRows - { category, year, count }
+ * @returns {Array<Object>} tidy rows
+ */
+export function categoryRowsToTidy(datasetKey, datasetRows = []) {
+  const config = getDatasetConfig(datasetKey);
+
+  return datasetRows
+    .map(({ category, year, count }) => createTidyRow({
+      dataset: datasetKey,
+      year,
+      dimension: config.categoryKey,
+      category,
+      value: count
+    }))
+    .filter(Boolean)
+    .sort(byYearThenCategory);
+}
+
+/**
+ * Convert tidy rows to documents in a category dataset's storage layout.
+ * Values are written to the dataset's default value field as an object map.
+ * @param {string} datasetKey - registry key
+ * @param {Array<Object>} rows - tidy rows (other datasets are ignored)
+ * @returns {Array<{id: string, data: Object}>}
+ */
+export function tidyToCategoryDocuments(datasetKey, rows = []) {
+  const config = getDatasetConfig(datasetKey);
+  const [valueField] = config.valueFields;
+  const byYear = config.layout === DOCUMENT_LAYOUTS.BY_YEAR;
+  const documents = new Map();
+
+  rows
+    .filter((row) => row.dataset === null || row.dataset === undefined || row.dataset === datasetKey)
+    .forEach(({ year, category, value }) => {
+      const documentId = byYear ? String(year) : category;
+      const key = byYear ? category : String(year);
+      if (!documents.has(documentId)) documents.set(documentId, {});
+      const values = documents.get(documentId);
+      values[key] = (values[key] || 0) + value;
+    });
+
+  return Array.from(documents.entries()).map(([id, values]) => ({ id, data: { [valueField]: values } }));
+}
+
+// ========== PIVOTS & FILTERS ==========
+
+// Column name of a tidy row once pivoted; the dimension is only added when
+// the same category appears under more than one dimension
+const columnNamer = (rows) => {
+  const dimensionsByCategory = new Map();
+  rows.forEach(({ dimension, category }) => {
+    if (!dimensionsByCategory.has(category)) dimensionsByCategory.set(category, new Set());
+    dimensionsByCategory.get(category).add(dimension);
+  });
+
+  return ({ dimension, category }) =>
+    dimensionsByCategory.get(category).size > 1 ? `${dimension}_${category}` : category;
+};
+
+/**
+ * Pivot tidy rows to one record per year with a column per category.
+ * The result can be passed straight to charts or dataPreparation.cleanData.
+ * @param {Array<Object>} rows - tidy rows
+ * @param {Object} options - yearKey (default 'year'), includeTotal (adds a `total` column)
+ * @returns {Array<Object>} records sorted by year; missing cells are absent
+ */
+export function pivotByYear(rows = [], { yearKey = 'year', includeTotal = false } = {}) {
+  const columnOf = columnNamer(rows);
+  const records = new Map();
+
+  rows.forEach((row) => {
+    if (!records.has(row.year)) records.set(row.year, { [yearKey]: row.year });
+    const record = records.get(row.year);
+    const column = columnOf(row);
+    record[column] = (record[column] || 0) + row.value;
+    if (includeTotal) record.total = (record.total || 0) + row.value;
+  });
+
+  return Array.from(records.values()).sort((a, b) => a[yearKey] - b[yearKey]);
+}
+
+/**
+ * Pivot tidy rows to one record per dimension/category with a column per year
+ * @param {Array<Object>} rows - tidy rows
+ * @returns {Array<{dimension, category, total, values: Object}>} values keyed by year
+ */
+export function pivotByCategory(rows = []) {
+  const records = new Map();
+
+  rows.forEach(({ dimension, category, year, value }) => {
+    const key = `${dimension}\u0000${category}`;
+    if (!records.has(key)) records.set(key, { dimension, category, total: 0, values: {} });
+    const record = records.get(key);
+    record.values[year] = (record.values[year] || 0) + value;
+    record.total += value;
+  });
+
+  return Array.from(records.values())
+    .sort((a, b) => a.dimension.localeCompare(b.dimension) || a.category.localeCompare(b.category));
+}
+
+/**
+ * Filter tidy rows; every criterion is optional
+ * @param {Array<Object>} rows - tidy rows
+ * @param {Object} filters - datasets, dimensions, categories (arrays), minYear, maxYear
+ * @returns {Array<Object>}
+ */
+export function filterTidy(rows = [], { datasets, dimensions, categories, minYear, maxYear } = {}) {
+  const allows = (list, value) => !list || list.length === 0 || list.includes(value);
+
+  return rows.filter((row) =>
+    allows(datasets, row.dataset) &&
+    allows(dimensions, row.dimension) &&
+    allows(categories, row.category) &&
+    (minYear === undefined || minYear === null || row.year >= minYear) &&
+    (maxYear === undefined || maxYear === null || row.year <= maxYear)
+  );
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MEASURE_DIMENSION,
+  categoryRowsToTidy,
+  filterTidy,
+  pivotByCategory,
+  pivotByYear,
+  tidyToCategoryDocuments,
+  tidyToYearDocuments,
+  yearDocumentsToTidy
+} from './tidyData';
+import { parseDatasetDocuments } from '../services/datasetRepository';
+import { getDatasetConfig } from './datasetRegistry';
+
+describe('year documents', () => {
+  const documents = [
+    { id: '1982', data: { male: 11, status: { single: 4 } } },
+    { id: '1981', data: { male: 10, female: '1,200', note: 'n/a' } }
+  ];
+
+  it('flattens columns and nested objects into tidy rows', () => {
+    expect(yearDocumentsToTidy(documents, { dataset: 'emigrants' })).toEqual([
+      { dataset: 'emigrants', year: 1981, dimension: MEASURE_DIMENSION, category: 'female', value: 1200 },
+      { dataset: 'emigrants', year: 1981, dimension: MEASURE_DIMENSION, category: 'male', value: 10 },
+      { dataset: 'emigrants', year: 1982, dimension: MEASURE_DIMENSION, category: 'male', value: 11 },
+      { dataset: 'emigrants', year: 1982, dimension: 'status', category: 'single', value: 4 }
+    ]);
+  });
+
+  it('round-trips numeric fields back to year documents', () => {
+    expect(tidyToYearDocuments(yearDocumentsToTidy(documents))).toEqual([
+      { id: '1981', data: { female: 1200, male: 10 } },
+      { id: '1982', data: { male: 11, status: { single: 4 } } }
+    ]);
+  });
+});
+
+describe('category datasets', () => {
+  it('converts between both storage layouts through the tidy form', () => {
+    const ageRows = parseDatasetDocuments(getDatasetConfig('age'), [
+      { id: '15__19', data: { yearly_data: { 1981: 3, 1982: 5 } } }
+    ]);
+    const tidy = categoryRowsToTidy('age', ageRows);
+
+    expect(tidy[0]).toEqual({ dataset: 'age', year: 1981, dimension: 'ageGroup', category: '15__19', value: 3 });
+    expect(tidyToCategoryDocuments('age', tidy)).toEqual([
+      { id: '15__19', data: { 'yearly-data': { 1981: 3, 1982: 5 } } }
+    ]);
+    expect(tidyToCategoryDocuments('major-countries', tidy.map((row) => ({ ...row, dataset: null })))).toEqual([
+      { id: '1981', data: { countries: { '15__19': 3 } } },
+      { id: '1982', data: { countries: { '15__19': 5 } } }
+    ]);
+  });
+});
+
+describe('pivots', () => {
+  const rows = [
+    { dataset: 'sex', year: 1981, dimension: 'sex', category: 'male', value: 10 },
+    { dataset: 'sex', year: 1981, dimension: 'sex', category: 'female', value: 12 },
+    { dataset: 'sex', year: 1982, dimension: 'sex', category: 'male', value: 11 },
+    { dataset: 'x', year: 1982, dimension: 'other', category: 'male', value: 1 }
+  ];
+
+  it('pivots by year, qualifying categories shared by several dimensions', () => {
+    expect(pivotByYear(rows.slice(0, 3), { includeTotal: true })).toEqual([
+      { year: 1981, male: 10, female: 12, total: 22 },
+      { year: 1982, male: 11, total: 11 }
+    ]);
+    expect(pivotByYear(rows)[1]).toEqual({ year: 1982, sex_male: 11, other_male: 1 });
+  });
+
+  it('pivots by category with per-year values and totals', () => {
+    expect(pivotByCategory(filterTidy(rows, { datasets: ['sex'], minYear: 1981, maxYear: 1981 }))).toEqual([
+      { dimension: 'sex', category: 'female', total: 12, values: { 1981: 12 } },
+      { dimension: 'sex', category: 'male', total: 10, values: { 1981: 10 } }
+    ]);
+  });
+});
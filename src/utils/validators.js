@@ -1,42 +1,103 @@
 // src/utils/validators.js
+import { convertImportCell, getBuiltInProfile, matchProfileColumns } from "./importProfiles";
+
+const isEmptyCell = (value) => value === null || value === undefined || String(value).trim() === "";
+
+// Years the CFO tables cover; others are allowed but flagged
+const EXPECTED_YEARS = { min: 1980, max: 2022 };
+
+/**
+ * Per-cell problems for the import preview: cells the profile rejects are
+ * errors; empty and duplicate rows, repeated years and years outside
+ * EXPECTED_YEARS are warnings.
+ * @returns {Array<{ row: number, column: string|null, severity: "error"|"warning", message: string }>}
+ *   row is the 1-based line number in the file (header is line 1); column is
+ *   the file's header, or null for the whole row
+ */
+const findCellIssues = (data, profile, mapping, yearColumn) => {
+  const issues = [];
+  const columnsByField = Object.fromEntries(profile.columns.map(column => [column.field, column]));
+  const seenRows = new Set();
+  const seenYears = new Set();
+
+  data.forEach((row, index) => {
+    const line = index + 2;
+    const add = (column, severity, message) => issues.push({ row: line, column, severity, message });
+
+    if (Object.values(row).every(isEmptyCell)) {
+      add(null, "warning", "Empty row");
+      return;
+    }
+
+    const serialized = JSON.stringify(row);
+    if (seenRows.has(serialized)) add(null, "warning", "Duplicate of an earlier row");
+    seenRows.add(serialized);
+
+    Object.entries(row).forEach(([header, value]) => {
+      const rules = Object.hasOwn(mapping, header) ? columnsByField[mapping[header]] : profile.otherColumns;
+      if (!rules) return;
+      if (isEmptyCell(value)) {
+        if (rules.required) add(header, "error", `${rules.field} is required`);
+        return;
+      }
+      const { error } = convertImportCell(value, rules, rules.field || header);
+      if (error) add(header, "error", error);
+    });
+
+    const year = yearColumn ? Number(String(row[yearColumn] ?? "").trim()) : NaN;
+    if (!Number.isInteger(year)) return;
+    if (seenYears.has(year)) add(yearColumn, "warning", `Year ${year} appears more than once; only the first row is kept`);
+    seenYears.add(year);
+    if (year < EXPECTED_YEARS.min || year > EXPECTED_YEARS.max) {
+      add(yearColumn, "warning", `Year ${year} is outside ${EXPECTED_YEARS.min}-${EXPECTED_YEARS.max}`);
+    }
+  });
+
+  return issues;
+};
 
 /**
- * Validates CSV data before upload
+ * Validates CSV data before upload against an import profile (see
+ * utils/importProfiles.js); the profile decides which columns are required
+ * and which one holds the year.
+ * @param {Array<Object>} data - parsed rows, keyed by the file's headers
+ * @param {Object} [profile] - defaults to the built-in emigrants profile
+ * @returns {Object} { isValid, errors, warnings, issues, stats }; errors and
+ *   warnings summarize the file, issues point at rows and cells (see findCellIssues)
  */
-export const validateCsvData = (data) => {
+export const validateCsvData = (data, profile = getBuiltInProfile("emigrants")) => {
   const errors = [];
   const warnings = [];
 
-  
-
   // Check if data exists
   if (!data || data.length === 0) {
     errors.push("CSV file is empty");
-    return { isValid: false, errors, warnings };
+    return { isValid: false, errors, warnings, issues: [] };
   }
 
-  // Check minimum required columns
-  const requiredColumns = ["Year"]; // Add your required columns
+  // Check the profile's required columns
   const firstRow = data[0];
   const columns = Object.keys(firstRow);
+  const { mapping, missing } = matchProfileColumns(columns, profile);
 
-  requiredColumns.forEach(col => {
-    if (!columns.includes(col)) {
-      errors.push(`Missing required column: ${col}`);
-    }
+  missing.forEach(field => {
+    errors.push(`Missing required column: ${field}`);
   });
 
   // Validate year range
-  const years = data.map(row => Number(row.Year)).filter(y => !isNaN(y));
+  const yearColumn = columns.find(col => mapping[col] === "year");
+  const years = yearColumn
+    ? data.map(row => Number(row[yearColumn])).filter(y => !isNaN(y))
+    : [];
   if (years.length > 0) {
     const minYear = Math.min(...years);
     const maxYear = Math.max(...years);
 
-    if (minYear < 1980) {
-      warnings.push(`Data contains years before 1980 (earliest: ${minYear})`);
+    if (minYear < EXPECTED_YEARS.min) {
+      warnings.push(`Data contains years before ${EXPECTED_YEARS.min} (earliest: ${minYear})`);
     }
-    if (maxYear > 2022) {
-      warnings.push(`Data contains years after 2022 (latest: ${maxYear})`);
+    if (maxYear > EXPECTED_YEARS.max) {
+      warnings.push(`Data contains years after ${EXPECTED_YEARS.max} (latest: ${maxYear})`);
     }
   }
 
@@ -57,7 +118,7 @@ export const validateCsvData = (data) => {
 
   // Check for inconsistent data types in Year column
   const invalidYears = data.filter(row => {
-    const year = row.Year;
+    const year = yearColumn && row[yearColumn];
     return year && (isNaN(Number(year)) || Number(year) < 1900 || Number(year) > 2100);
   });
   if (invalidYears.length > 0) {
@@ -68,6 +129,7 @@ export const validateCsvData = (data) => {
     isValid: errors.length === 0,
     errors,
     warnings,
+    issues: findCellIssues(data, profile, mapping, yearColumn),
     stats: {
       totalRows: data.length,
       columns: columns.length,
@@ -111,4 +173,68 @@ export const validateFilter = (value, type) => {
     default:
       return true; // Strings always valid
   }
-};
\ No newline at end of file
+};
+/**
+ * Extracts invitation emails from a CSV export or a pasted list. Any cell
+ * containing an "@" is taken; header cells and blanks are ignored.
+ * @returns {{ emails: string[], invalid: string[] }} lower-cased, deduplicated
+ */
+export const parseInviteEmails = (text) => {
+  const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const emails = new Set();
+  const invalid = new Set();
+
+  String(text || "")
+    .split(/[\r\n,;\t]+/)
+    .map(cell => cell.trim().replace(/^"|"$/g, "").trim().toLowerCase())
+    .filter(cell => cell.includes("@"))
+    .forEach(cell => (emailPattern.test(cell) ? emails : invalid).add(cell));
+
+  return { emails: [...emails], invalid: [...invalid] };
+};
+
+/**
+ * Types parsed CSV rows the way the uploader always has: the Year column
+ * (or the first column) must be a 4-digit year in 1900-2100, numeric
+ * strings become numbers and empty cells are dropped. Shared by
+ * CsvUploader and the server's CSV import.
+ * @param {Array<Object>} rows - Papa.parse output with header: true
+ * @returns {{ rows: Array<Object>, invalidRows: Array<{ index: number, reason: string }> }}
+ *   index is the 1-based line number in the file (header is line 1)
+ */
+export const processCsvRows = (rows = []) => {
+  const invalidRows = [];
+
+  const processed = rows.map((row, index) => {
+    const processedRow = {};
+    const keys = Object.keys(row);
+    const yearColumnKey = keys.find(col => col.toLowerCase().trim() === "year") || keys[0];
+
+    // Process Year column
+    const yearValue = row[yearColumnKey];
+    const yearStr = String(yearValue ?? "").trim();
+    processedRow.year = null;
+    if (!yearValue) {
+      invalidRows.push({ index: index + 2, reason: "Year column is empty" });
+    } else if (!/^\d{4}$/.test(yearStr)) {
+      invalidRows.push({ index: index + 2, reason: `Invalid year format: "${yearValue}" (must be 4 digits)` });
+    } else if (Number(yearStr) < 1900 || Number(yearStr) > 2100) {
+      invalidRows.push({ index: index + 2, reason: `Year ${Number(yearStr)} out of range (1900-2100)` });
+    } else {
+      processedRow.year = Number(yearStr);
+    }
+
+    // Process other columns
+    keys.forEach(key => {
+      if (key === yearColumnKey) return;
+      const value = row[key];
+      if (value === null || value === undefined || value === "") return;
+      const valueStr = String(value).trim();
+      processedRow[key] = !isNaN(valueStr) && valueStr !== "" ? Number(valueStr) : valueStr;
+    });
+
+    return processedRow;
+  }).filter(row => row.year !== null);
+
+  return { rows: processed, invalidRows };
+};
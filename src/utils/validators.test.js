@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseInviteEmails, processCsvRows, validateCsvData } from './validators';
+import { getBuiltInProfile } from './importProfiles';
+
+describe('parseInviteEmails', () => {
+  it('reads emails from any column and skips headers and duplicates', () => {
+    const csv = 'name,email\nAna,"Ana@Example.com"\nBen,ben@example.org\n,ana@example.com\n';
+    expect(parseInviteEmails(csv)).toEqual({
+      emails: ['ana@example.com', 'ben@example.org'],
+      invalid: []
+    });
+  });
+
+  it('reports malformed addresses separately', () => {
+    expect(parseInviteEmails('ok@example.com; broken@; two@@example.com')).toEqual({
+      emails: ['ok@example.com'],
+      invalid: ['broken@', 'two@@example.com']
+    });
+  });
+});
+
+describe('processCsvRows', () => {
+  it('types values and reports rows with a bad year', () => {
+    const { rows, invalidRows } = processCsvRows([
+      { Year: '1990', Total: ' 1200 ', Region: 'NCR', Note: '' },
+      { Year: '90', Total: '5' },
+      { Year: '2200', Total: '5' },
+      { Year: '', Total: '5' }
+    ]);
+    expect(rows).toEqual([{ year: 1990, Total: 1200, Region: 'NCR' }]);
+    expect(invalidRows.map(({ index }) => index)).toEqual([3, 4, 5]);
+  });
+});
+
+describe('validateCsvData', () => {
+  it('points at the rows and cells with problems', () => {
+    const { isValid, errors, issues } = validateCsvData([
+      { Year: '1990', Emigrants: '100' },
+      { Year: '1990', Emigrants: '-4' },
+      { Year: '1975', Emigrants: 'many' },
+      { Year: '', Emigrants: '' }
+    ]);
+
+    expect(isValid).toBe(true);
+    expect(errors).toEqual([]);
+    expect(issues).toEqual([
+      { row: 3, column: 'Emigrants', severity: 'error', message: 'emigrants: -4 is below 0' },
+      { row: 3, column: 'Year', severity: 'warning', message: 'Year 1990 appears more than once; only the first row is kept' },
+      { row: 4, column: 'Emigrants', severity: 'error', message: 'emigrants: "many" is not a number' },
+      { row: 4, column: 'Year', severity: 'warning', message: 'Year 1975 is outside 1980-2022' },
+      { row: 5, column: null, severity: 'warning', message: 'Empty row' }
+    ]);
+  });
+
+  it('requires the columns of the given profile', () => {
+    const { isValid, errors } = validateCsvData([{ Country: 'USA' }], getBuiltInProfile('sex'));
+    expect(isValid).toBe(false);
+    expect(errors).toContain('Missing required column: year');
+  });
+});
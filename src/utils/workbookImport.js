@@ -0,0 +1,182 @@
+// src/utils/workbookImport.js
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+
+/**
+ * ============================================
+ * WORKBOOK (.xlsx / .xls / .ods) IMPORTS
+ * ============================================
+ *
+ * The CFO publishes its statistics as workbooks with one table per sheet,
+ * laid out for printing rather than parsing:
+ *
+ *   ┌──────────────────────────────────────┐
+ *   │ Registered Emigrants by Sex          │  title rows (one value, often merged)
+ *   ├──────┬───────────────────────────────┤
+ *   │ YEAR │              SEX              │  header rows joined by merged cells
+ *   │      ├───────────────┬───────────────┤
+ *   │      │ MALE          │ FEMALE        │
+ *   ├──────┼───────────────┼───────────────┤
+ *   │ 1981 │ 20,000        │ 28,000        │  data rows
+ *   │ ...  │               │               │
+ *   ├──────┴───────────────────────────────┤
+ *   │ Source: Commission on Filipino ...   │  footnote rows
+ *   └──────────────────────────────────────┘
+ *
+ * Each sheet is turned into the rows Papa.parse produces for a CSV
+ * (objects keyed by header, string values) so it goes through the same
+ * import profiles and validation as a CSV upload. *
+ * SheetJS is installed from its own CDN (see package.json): the npm `xlsx`
+ * package stopped at 0.18.5, whose reader is open to prototype pollution
+ * (CVE-2023-30533) and ReDoS (CVE-2024-22363) from uploaded files.
+ */
+
+export const WORKBOOK_EXTENSIONS = [".xlsx", ".xls", ".ods"];
+
+// First cell of a footnote row: "Source:", "Note:", "* ...", "1/ ..."
+const FOOTNOTE_PATTERN = /^(sources?|notes?|remarks?|footnotes?)\s*:|^\*|^\d+\s*\/\s*\D/i;
+const NUMBER_PATTERN = /^-?[\d,]*\.?\d+$/;
+
+export const isWorkbookFile = (fileName = "") =>
+  WORKBOOK_EXTENSIONS.some((extension) => fileName.toLowerCase().endsWith(extension));
+
+const distinctValues = (row) => [...new Set(row.filter((value) => value !== ""))];
+
+const cellText = (value) => (value === null || value === undefined ? "" : String(value).replace(/\s+/g, " ").trim());
+
+/**
+ * The cells of a sheet as a grid of trimmed strings, with merged ranges
+ * filled with their top-left value.
+ * @param {Object} sheet - SheetJS worksheet
+ * @returns {{ grid: Array<Array<string>>, merges: Array<{ s, e }> }} merges
+ *   in grid coordinates
+ */
+export const sheetToGrid = (sheet) => {
+  if (!sheet?.["!ref"]) return { grid: [], merges: [] };
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const width = range.e.c - range.s.c + 1;
+  const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: "", blankrows: true })
+    .map((row) => Array.from({ length: width }, (_, column) => cellText(row[column])));
+
+  const merges = (sheet["!merges"] || []).map(({ s, e }) => ({
+    s: { r: s.r - range.s.r, c: s.c - range.s.c },
+    e: { r: e.r - range.s.r, c: e.c - range.s.c }
+  }));
+  merges.forEach(({ s, e }) => {
+    const value = grid[s.r]?.[s.c] ?? "";
+    for (let r = s.r; r <= e.r && r < grid.length; r++) {
+      for (let c = s.c; c <= e.c && c < width; c++) grid[r][c] = value;
+    }
+  });
+
+  return { grid, merges };
+};
+
+// Last header row: merged cells starting in the header pull in the rows they
+// cover, and a group header spanning columns has its sub-headers below it
+const findHeaderEnd = (start, merges) => {
+  let end = start;
+  let grown = true;
+  while (grown) {
+    grown = false;
+    merges
+      .filter(({ s }) => s.r >= start && s.r <= end)
+      .forEach(({ s, e }) => {
+        const last = s.r === e.r && e.c > s.c ? e.r + 1 : e.r;
+        if (last > end) {
+          end = last;
+          grown = true;
+        }
+      });
+  }
+  return end;
+};
+
+// One header per column: the bottom header row, prefixed with the headers
+// above it where the bottom names repeat (e.g. "1990 MALE", "1991 MALE")
+const flattenHeaders = (headerRows, width) => {
+  const parts = Array.from({ length: width }, (_, column) =>
+    headerRows
+      .map((row) => row[column])
+      .filter((value, index, values) => value !== "" && value !== values[index - 1]));
+
+  const bottoms = parts.map((names) => names.at(-1) || "");
+  const repeated = (name) => name !== "" && bottoms.filter((other) => other === name).length > 1;
+  const headers = parts.map((names, column) => (repeated(bottoms[column]) ? names.join(" ") : bottoms[column]));
+
+  // Anything still repeated gets a counter, as spreadsheet apps do
+  const seen = new Map();
+  return headers.map((header) => {
+    if (header === "") return header;
+    const count = (seen.get(header) || 0) + 1;
+    seen.set(header, count);
+    return count > 1 ? `${header} (${count})` : header;
+  });
+};
+
+const isFootnoteRow = (row) => {
+  const values = distinctValues(row);
+  if (values.length === 0) return false;
+  if (FOOTNOTE_PATTERN.test(values[0])) return true;
+  // A single text value across a data row is a note, not data
+  return values.length === 1 && !NUMBER_PATTERN.test(values[0]);
+};
+
+/**
+ * The table on a sheet: title rows above it, one header per column (merged
+ * header cells flattened), the data rows, and the footnotes below it.
+ * @param {Object} sheet - SheetJS worksheet
+ * @returns {{ headers: Array<string>, rows: Array<Object>, title: Array<string>,
+ *   footnotes: Array<string> }} rows keyed by header, empty when the sheet
+ *   holds no table
+ */
+export const parseSheet = (sheet) => {
+  const { grid, merges } = sheetToGrid(sheet);
+  const headerStart = grid.findIndex((row) => distinctValues(row).length > 1);
+  if (headerStart === -1) return { headers: [], rows: [], title: grid.flatMap(distinctValues), footnotes: [] };
+
+  const headerEnd = findHeaderEnd(headerStart, merges);
+  const width = grid[0].length;
+  const names = flattenHeaders(grid.slice(headerStart, headerEnd + 1), width);
+
+  const body = grid.slice(headerEnd + 1);
+  const footnoteAt = body.findIndex(isFootnoteRow);
+  const dataRows = footnoteAt === -1 ? body : body.slice(0, footnoteAt);
+  const footnotes = footnoteAt === -1 ? [] : body.slice(footnoteAt).map((row) => distinctValues(row).join(" ")).filter(Boolean);
+
+  // Columns without a header keep their data under "Column N"
+  const columns = names
+    .map((name, column) => ({ column, name: name || `Column ${column + 1}` }))
+    .filter(({ column, name }) => name !== `Column ${column + 1}` || dataRows.some((row) => row[column] !== ""));
+
+  return {
+    headers: columns.map(({ name }) => name),
+    rows: dataRows
+      .filter((row) => distinctValues(row).length > 0)
+      .map((row) => Object.fromEntries(columns.map(({ column, name }) => [name, row[column]]))),
+    title: grid.slice(0, headerStart).flatMap(distinctValues),
+    footnotes
+  };
+};
+
+/**
+ * Every sheet of a workbook, parsed with parseSheet.
+ * @param {ArrayBuffer|Uint8Array} data - file contents
+ * @returns {Array<Object>} [{ name, headers, rows, title, footnotes }]
+ * @throws {Error} when the file is not a workbook SheetJS can read
+ */
+export const readWorkbook = (data) => {
+  const workbook = XLSX.read(data, { type: "array" });
+  return workbook.SheetNames.map((name) => ({ name, ...parseSheet(workbook.Sheets[name]) }));
+};
+
+/**
+ * A sheet's rows as CSV text, for the server import (server/importJobs.js)
+ * which only takes CSV.
+ * @param {{ headers, rows }} sheet - from parseSheet
+ */
+export const sheetToCsv = ({ headers, rows }) => Papa.unparse({
+  fields: headers,
+  data: rows.map((row) => headers.map((header) => row[header]))
+});
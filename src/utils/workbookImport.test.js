@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { isWorkbookFile, parseSheet, readWorkbook, sheetToCsv } from './workbookImport';
+
+const range = (ref) => XLSX.utils.decode_range(ref);
+
+// The layout of the CFO sex table: title, merged headers, footnotes
+const sexSheet = () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['Number of Registered Filipino Emigrants by Sex'],
+    [],
+    ['YEAR', 'SEX', ''],
+    ['', 'MALE', 'FEMALE'],
+    [1981, 20000, 28000],
+    [1982, '21,500', 27000],
+    [],
+    ['Source: Commission on Filipino Overseas'],
+    ['1/ Excludes emigrants with no response', '', '']
+  ]);
+  sheet['!merges'] = [range('A1:C1'), range('A3:A4'), range('B3:C3')];
+  return sheet;
+};
+
+describe('parseSheet', () => {
+  it('flattens merged headers and separates the title and footnotes from the data', () => {
+    expect(parseSheet(sexSheet())).toEqual({
+      headers: ['YEAR', 'MALE', 'FEMALE'],
+      rows: [
+        { YEAR: '1981', MALE: '20000', FEMALE: '28000' },
+        { YEAR: '1982', MALE: '21,500', FEMALE: '27000' }
+      ],
+      title: ['Number of Registered Filipino Emigrants by Sex'],
+      footnotes: ['Source: Commission on Filipino Overseas', '1/ Excludes emigrants with no response']
+    });
+  });
+
+  it('prefixes repeated sub-headers with their group', () => {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ['COUNTRY', '1990', '', '1991', ''],
+      ['', 'MALE', 'FEMALE', 'MALE', 'FEMALE'],
+      ['USA', 1, 2, 3, 4]
+    ]);
+    sheet['!merges'] = [range('A1:A2'), range('B1:C1'), range('D1:E1')];
+    expect(parseSheet(sheet).headers).toEqual(['COUNTRY', '1990 MALE', '1990 FEMALE', '1991 MALE', '1991 FEMALE']);
+  });
+
+  it('finds no table on a sheet of notes', () => {
+    expect(parseSheet(XLSX.utils.aoa_to_sheet([['Notes'], ['See the other sheets']]))).toMatchObject({ headers: [], rows: [] });
+  });
+});
+
+describe('readWorkbook', () => {
+  it('reads every sheet of an .xlsx file and turns tables back into CSV', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sexSheet(), 'Sex');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Contents']]), 'About');
+    const sheets = readWorkbook(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+
+    expect(sheets.map(({ name, rows }) => [name, rows.length])).toEqual([['Sex', 2], ['About', 0]]);
+    expect(sheetToCsv(sheets[0]).split(/\r?\n/)).toEqual(['YEAR,MALE,FEMALE', '1981,20000,28000', '1982,"21,500",27000']);
+    expect(isWorkbookFile('CFO Statistics.XLSX')).toBe(true);
+    expect(isWorkbookFile('emigrants.csv')).toBe(false);
+  });
+});